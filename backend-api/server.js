@@ -5,6 +5,31 @@ const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const AWS = require('aws-sdk');
 const { v4: uuidv4 } = require('uuid');
+const { parseQuery, executeQuery, getReferencedTables, getPartitionFilters, isPartitionPruned } = require('../shared/sql');
+const { ERROR_CODES, createError } = require('../shared/constants/errorCodes');
+const { transformValue } = require('../shared/utils/valueTransformer');
+const {
+  FILE_FORMATS,
+  FILE_COMPRESSIONS,
+  getFileFormat,
+  getFileCompression,
+  getMimeTypeFromFileName,
+  isAllowedFileName
+} = require('../shared/constants/fileTypes');
+const { readParquet, inspectParquet } = require('../shared/utils/parquet');
+const { inspectAvro } = require('../shared/utils/avroReader');
+const { bufferSource, listZipEntries, decompressSource, createInputReader } = require('../shared/utils/inputReader');
+const { DIALECT_SAMPLE_BYTES, sniffDialect, resolveDialect } = require('../shared/utils/dialectSniffer');
+const { normalizePartitionSpec, parsePartitionPath } = require('../shared/utils/partitioning');
+const { JOB_STAGES, STAGE_PROGRESS, getStageFromStatus, isFinalStage } = require('../shared/constants/jobStages');
+const { WRITE_MODES, getWriteMode, getLiveFiles } = require('../shared/constants/writeModes');
+const { validateRowRules, createRowValidator } = require('../shared/utils/rowValidator');
+const { validateColumnTransforms, createColumnTransformer } = require('../shared/utils/columnTransforms');
+const { isDerivedField, validateDerivedColumns, createDerivedColumns } = require('../shared/utils/derivedColumns');
+const { validateQualityRules } = require('../shared/utils/qualityRules');
+const { TABLE_RECORD_TYPE, getTableRecordId, isTableRecord } = require('../shared/constants/catalogRecords');
+const { COMPATIBILITY_MODES, getCurrentSchemaVersion, compareWithSchemaRegistry, getSchemaRollback } = require('../shared/utils/schemaCompatibility');
+const { DUPLICATE_POLICIES, getPrimaryKey, getKeyConstraints, getKeyValue, validateConstraints } = require('../shared/utils/constraints');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -19,6 +44,7 @@ const dynamodb = new AWS.DynamoDB.DocumentClient();
 
 // Configuración de buckets y tabla
 const RAW_BUCKET = process.env.S3_BUCKET_RAW || 'data-pipeline-raw-ACCOUNT_ID';
+const CURATED_BUCKET = process.env.S3_BUCKET_CURATED || 'data-pipeline-curated-ACCOUNT_ID';
 const DDB_TABLE = process.env.DDB_TABLE_NAME || 'datasets-catalog';
 const LAMBDA_ETL_FUNCTION_NAME = process.env.LAMBDA_ETL_FUNCTION_NAME || 'data-pipeline-etl-function';
 
@@ -42,10 +68,12 @@ const upload = multer({
     fileSize: 50 * 1024 * 1024 // 50MB máximo
   },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv')) {
+    // El formato se decide por la extensión: los navegadores no envían un tipo MIME fiable para Excel
+    if (isAllowedFileName(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Solo se permiten archivos CSV'), false);
+      cb(new Error('Solo se permiten archivos CSV, Excel (.xlsx, .xls), JSON (.json, .ndjson, .jsonl), Parquet o Avro, ' +
+        'sin comprimir, con gzip (.gz) o bzip2 (.bz2), o agrupados en un zip'), false);
     }
   }
 });
@@ -65,9 +93,13 @@ app.get('/api/files', async (req, res) => {
     
     const params = {
       TableName: DDB_TABLE,
-      ProjectionExpression: 'tableName, fileName, directory, #st, createdAt, description',
+      ProjectionExpression: 'tableName, fileName, directory, #st, createdAt, description, writeMode, #live, supersededBy, validation, duplicates, quarantine, #quality, errorInfo, schemaVersion',
+      // Los registros de tabla (reglas de calidad...) no son archivos
+      FilterExpression: 'attribute_not_exists(recordType)',
       ExpressionAttributeNames: {
-        '#st': 'status'
+        '#st': 'status',
+        '#live': 'live',
+        '#quality': 'quality'
       }
     };
     
@@ -86,9 +118,22 @@ app.get('/api/files', async (req, res) => {
         name: item.fileName,
         directory: item.directory,
         tableName: item.tableName,
+        // Las entradas anteriores a las versiones de esquema son de la versión 1
+        schemaVersion: item.schemaVersion || 1,
         status: item.status || 'pending',
         createdAt: item.createdAt,
-        description: item.description
+        description: item.description,
+        writeMode: getWriteMode(item),
+        // Un archivo deja de estar vigente cuando un overwrite posterior lo reemplaza
+        live: item.live !== false,
+        supersededBy: item.supersededBy || null,
+        // Filas rechazadas por el esquema y descartadas o apartadas por repetir una clave
+        validation: item.validation || null,
+        duplicates: item.duplicates || null,
+        quarantine: item.quarantine || null,
+        // Informe de las reglas de calidad de la tabla evaluadas sobre el archivo; si una regla error
+        // hizo fallar la carga, el informe está en los detalles del error
+        quality: item.quality || (item.errorInfo && item.errorInfo.details && item.errorInfo.details.quality) || null
       };
     });
 
@@ -108,261 +153,507 @@ app.get('/api/files', async (req, res) => {
   }
 });
 
-// Subir archivo CSV
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-  try {
-    console.log('[INFO] Iniciando subida de archivo CSV');
-    
-    if (!req.file) {
-      console.log('[ERROR] No se proporcionó archivo en la solicitud');
-      return res.status(400).json({ error: 'No se proporcionó archivo' });
-    }
-    
-    console.log('[DEBUG] Archivo recibido:', {
-      filename: req.file.originalname,
-      size: req.file.size,
-      mimetype: req.file.mimetype
-    });
+/**
+ * Valida la especificación de una tabla a ingestar
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array} schema - Esquema de la tabla
+ * @param {Array} partitionSpec - Particiones pedidas
+ * @returns {Array} - Particiones normalizadas
+ * @throws {Object} - VALIDATION_ERROR si la especificación no es válida
+ */
+const validateTableSpec = (tableName, schema, partitionSpec) => {
+  if (!tableName) {
+    throw createError('VALIDATION_ERROR', 'Nombre de tabla y directorio son requeridos');
+  }
 
-    const config = JSON.parse(req.body.config);
-    const schema = JSON.parse(req.body.schema);
-    
-    console.log('[DEBUG] Configuración:', JSON.stringify(config));
-    console.log('[DEBUG] Esquema:', JSON.stringify(schema, null, 2));
+  if (!schema || !Array.isArray(schema) || schema.length === 0) {
+    throw createError('VALIDATION_ERROR', `El esquema de ${tableName} no puede estar vacío y debe ser un array`);
+  }
 
-    // Validar configuración
-    if (!config.tableName || !config.directory) {
-      return res.status(400).json({ error: 'Nombre de tabla y directorio son requeridos' });
+  // Validar que cada campo del esquema tenga nombre y tipo
+  for (const field of schema) {
+    if (!field.name || !field.type) {
+      throw createError('VALIDATION_ERROR', 'Cada campo del esquema debe tener nombre y tipo');
     }
+  }
+
+  // Validar las columnas de partición de la salida curated
+  return normalizePartitionSpec(partitionSpec, schema);
+};
+
+/**
+ * Valida el modo de escritura y las restricciones de clave de una tabla a ingestar
+ * upsert necesita la clave primaria con la que se combinan las filas
+ * @param {Object} config - Configuración de la tabla (writeMode, duplicatePolicy)
+ * @param {Array} schema - Esquema de la tabla, con los campos primaryKey y unique
+ * @throws {Object} - VALIDATION_ERROR si el modo, la clave o la política no son válidos
+ */
+const validateWriteMode = (config, schema) => {
+  const writeMode = getWriteMode(config);
+  if (!Object.values(WRITE_MODES).includes(writeMode)) {
+    throw createError('VALIDATION_ERROR', `Modo de escritura no soportado: ${writeMode} (append, overwrite o upsert)`);
+  }
+
+  try {
+    validateConstraints(schema, config);
+  } catch (constraintError) {
+    throw createError('VALIDATION_ERROR', `${config.tableName}: ${constraintError.message}`);
+  }
+  if (writeMode === WRITE_MODES.UPSERT && getPrimaryKey(schema, config).length === 0) {
+    throw createError('VALIDATION_ERROR', `El modo upsert de ${config.tableName} necesita una clave primaria en el esquema`);
+  }
+};
+
+/**
+ * Sube un archivo y su esquema al bucket raw, lo registra en el catálogo y encola su ETL
+ * Si Lambda no acepta la invocación el trabajo queda como fallido y se relanza el error
+ * @param {Object} params - Parámetros del trabajo
+ * @param {Object} params.file - Archivo recibido por multer
+ * @param {Object} params.config - Configuración del archivo (tableName, directory, separator, sheetName, entries...)
+ * @param {Array} params.schema - Esquema de la tabla
+ * @param {Array} params.partitionSpec - Particiones normalizadas
+ * @param {number} params.schemaVersion - Versión del esquema de la tabla con la que se ingesta
+ * @returns {Promise<Object>} - Trabajo encolado { jobId, fileId, tableName, sheetName, entries, s3Key, schemaKey }
+ */
+const createIngestionJob = async ({ file, config, schema, partitionSpec, schemaVersion }) => {
+  const fileId = uuidv4();
+  const fileName = file.originalname;
+  const s3Key = `${config.directory}/${fileId}/${fileName}`;
+  const schemaKey = `${config.directory}/${fileId}/schema.json`;
+  const job = {
+    jobId: fileId,
+    fileId: fileId,
+    tableName: config.tableName,
+    sheetName: config.sheetName || null,
+    entries: config.entries || null,
+    writeMode: getWriteMode(config),
+    s3Key: s3Key,
+    schemaKey: schemaKey
+  };
+
+  console.log('[INFO] ID generado para el archivo:', fileId);
+  console.log('[DEBUG] Rutas de almacenamiento:', {
+    s3Key: s3Key,
+    schemaKey: schemaKey,
+    bucket: RAW_BUCKET
+  });
 
-    if (!schema || !Array.isArray(schema) || schema.length === 0) {
-      return res.status(400).json({ error: 'El esquema no puede estar vacío y debe ser un array' });
+  // Subir archivo de datos al bucket RAW
+  console.log('[INFO] Preparando para subir archivo a S3');
+  const uploadParams = {
+    Bucket: RAW_BUCKET,
+    Key: s3Key,
+    Body: file.buffer,
+    ContentType: getMimeTypeFromFileName(fileName),
+    Metadata: {
+      'table-name': config.tableName,
+      'directory': config.directory,
+      // Sin separador la Lambda lo detecta en el archivo
+      ...(config.separator ? { 'separator': config.separator } : {}),
+      'file-id': fileId,
+      'original-name': fileName
     }
+  };
 
-    // Validar que cada campo del esquema tenga nombre y tipo
-    for (const field of schema) {
-      if (!field.name || !field.type) {
-        return res.status(400).json({ error: 'Cada campo del esquema debe tener nombre y tipo' });
-      }
+  console.log('[INFO] Subiendo archivo a S3');
+  await s3.upload(uploadParams).promise();
+  console.log('[INFO] Archivo subido exitosamente a S3');
+
+  // Subir esquema JSON al bucket RAW
+  console.log('[INFO] Preparando para subir esquema JSON a S3');
+  const schemaParams = {
+    Bucket: RAW_BUCKET,
+    Key: schemaKey,
+    Body: JSON.stringify({
+      tableName: config.tableName,
+      directory: config.directory,
+      schema: schema,
+      schemaVersion: schemaVersion,
+      partitionSpec: partitionSpec,
+      config: config,
+      fileId: fileId,
+      fileName: fileName,
+      createdAt: new Date().toISOString()
+    }, null, 2),
+    ContentType: 'application/json',
+    Metadata: {
+      'table-name': config.tableName,
+      'file-id': fileId
     }
+  };
 
-    const fileId = uuidv4();
-    const fileName = req.file.originalname;
-    const s3Key = `${config.directory}/${fileId}/${fileName}`;
-    const schemaKey = `${config.directory}/${fileId}/schema.json`;
-    
-    console.log('[INFO] ID generado para el archivo:', fileId);
-    console.log('[DEBUG] Rutas de almacenamiento:', {
+  await s3.upload(schemaParams).promise();
+  console.log('[INFO] Esquema JSON subido exitosamente a S3');
+
+  // Guardar metadatos en DynamoDB
+  console.log('[INFO] Guardando metadatos en DynamoDB');
+  const ddbParams = {
+    TableName: DDB_TABLE,
+    Item: {
+      tableName: config.tableName,
+      fileId: fileId,
+      fileName: fileName,
+      directory: config.directory,
       s3Key: s3Key,
       schemaKey: schemaKey,
-      bucket: RAW_BUCKET
-    });
+      schema: schema,
+      schemaVersion: schemaVersion,
+      partitionSpec: partitionSpec,
+      config: config,
+      writeMode: getWriteMode(config),
+      status: 'pending',
+      stage: JOB_STAGES.UPLOADED,
+      progress: STAGE_PROGRESS[JOB_STAGES.UPLOADED],
+      createdAt: new Date().toISOString(),
+      description: config.description || '',
+      recordCount: 0, // Se actualizará después del procesamiento
+      fileSize: file.size
+    }
+  };
 
-    // Subir archivo CSV al bucket RAW
-    console.log('[INFO] Preparando para subir CSV a S3');
-    const uploadParams = {
-      Bucket: RAW_BUCKET,
-      Key: s3Key,
-      Body: req.file.buffer,
-      ContentType: 'text/csv',
-      Metadata: {
-        'table-name': config.tableName,
-        'directory': config.directory,
-        'separator': config.separator,
-        'file-id': fileId,
-        'original-name': fileName
-      }
-    };
+  console.log('[DEBUG] Parámetros para DynamoDB:', JSON.stringify({
+    tabla: DDB_TABLE,
+    fileId: fileId,
+    tableName: config.tableName
+  }));
 
-    console.log('[INFO] Subiendo archivo CSV a S3');
-    await s3.upload(uploadParams).promise();
-    console.log('[INFO] Archivo CSV subido exitosamente a S3');
-
-    // Subir esquema JSON al bucket RAW
-    console.log('[INFO] Preparando para subir esquema JSON a S3');
-    const schemaParams = {
-      Bucket: RAW_BUCKET,
-      Key: schemaKey,
-      Body: JSON.stringify({
-        tableName: config.tableName,
-        directory: config.directory,
-        schema: schema,
-        config: config,
-        fileId: fileId,
-        fileName: fileName,
-        createdAt: new Date().toISOString()
-      }, null, 2),
-      ContentType: 'application/json',
-      Metadata: {
-        'table-name': config.tableName,
-        'file-id': fileId
-      }
-    };
+  await dynamodb.put(ddbParams).promise();
+  console.log('[INFO] Metadatos guardados exitosamente en DynamoDB');
 
-    await s3.upload(schemaParams).promise();
-    console.log('[INFO] Esquema JSON subido exitosamente a S3');
+  // Encolar el procesamiento ETL: la invocación asíncrona vuelve en cuanto Lambda acepta el evento
+  try {
+    console.log('[INFO] Encolando procesamiento en Lambda ETL');
+    console.log('[DEBUG] Nombre de la función Lambda:', LAMBDA_ETL_FUNCTION_NAME);
 
-    // Guardar metadatos en DynamoDB
-    console.log('[INFO] Guardando metadatos en DynamoDB');
-    const ddbParams = {
-      TableName: DDB_TABLE,
-      Item: {
-        tableName: config.tableName,
-        fileId: fileId,
-        fileName: fileName,
-        directory: config.directory,
-        s3Key: s3Key,
-        schemaKey: schemaKey,
-        schema: schema,
-        config: config,
-        status: 'pending',
-        createdAt: new Date().toISOString(),
-        description: config.description || '',
-        recordCount: 0, // Se actualizará después del procesamiento
-        fileSize: req.file.size
-      }
+    const lambdaParams = {
+      FunctionName: LAMBDA_ETL_FUNCTION_NAME,
+      InvocationType: 'Event',
+      Payload: JSON.stringify({
+        httpMethod: 'POST',
+        path: '/process',
+        body: JSON.stringify({
+          fileId: fileId,
+          bucketName: RAW_BUCKET,
+          objectKey: s3Key,
+          tableName: config.tableName,
+          directory: config.directory
+        }),
+        headers: {
+          'Content-Type': 'application/json'
+        }
+      })
     };
-    
-    console.log('[DEBUG] Parámetros para DynamoDB:', JSON.stringify({
-      tabla: DDB_TABLE,
+
+    const lambda = new AWS.Lambda();
+    const lambdaResponse = await lambda.invoke(lambdaParams).promise();
+
+    if (lambdaResponse.StatusCode !== 202) {
+      console.error('[ERROR] Lambda no aceptó la invocación asíncrona:', lambdaResponse.StatusCode);
+      throw new Error(`Código de estado inesperado de Lambda: ${lambdaResponse.StatusCode}`);
+    }
+
+    console.log('[INFO] Trabajo de ingesta encolado:', fileId);
+    return job;
+
+  } catch (lambdaError) {
+    console.error('[ERROR] Error al invocar Lambda ETL:', lambdaError);
+    console.error('[ERROR] Stack trace:', lambdaError.stack);
+    console.error('[ERROR] Detalles adicionales:', JSON.stringify({
+      lambdaFunction: LAMBDA_ETL_FUNCTION_NAME,
       fileId: fileId,
-      tableName: config.tableName
+      s3Key: s3Key,
+      errorName: lambdaError.name,
+      errorCode: lambdaError.code || 'UNKNOWN'
     }));
 
-    await dynamodb.put(ddbParams).promise();
-    console.log('[INFO] Metadatos guardados exitosamente en DynamoDB');
-
-    // Invocar Lambda ETL para procesar el archivo
+    // Registrar el fallo en el trabajo para que /api/jobs/:id lo informe
     try {
-      console.log('[INFO] Invocando Lambda ETL para procesar el archivo');
-      console.log('[DEBUG] Nombre de la función Lambda:', LAMBDA_ETL_FUNCTION_NAME);
-      
-      const lambdaParams = {
-        FunctionName: LAMBDA_ETL_FUNCTION_NAME,
-        InvocationType: 'RequestResponse',
-        Payload: JSON.stringify({
-          httpMethod: 'POST',
-          path: '/process',
-          body: JSON.stringify({
-            fileId: fileId,
-            bucketName: RAW_BUCKET,
-            objectKey: s3Key,
-            tableName: config.tableName,
-            directory: config.directory
-          }),
-          headers: {
-            'Content-Type': 'application/json'
-          }
-        })
-      };
+      await dynamodb.update({
+        TableName: DDB_TABLE,
+        Key: { fileId: fileId },
+        UpdateExpression: 'SET #status = :status, #stage = :stage, #errorInfo = :errorInfo, #updatedAt = :updatedAt',
+        ExpressionAttributeNames: {
+          '#status': 'status',
+          '#stage': 'stage',
+          '#errorInfo': 'errorInfo',
+          '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+          ':status': 'error',
+          ':stage': JOB_STAGES.FAILED,
+          ':errorInfo': {
+            error: 'Error invocando Lambda ETL: ' + lambdaError.message,
+            code: lambdaError.code || 'UNKNOWN',
+            stage: JOB_STAGES.UPLOADED
+          },
+          ':updatedAt': new Date().toISOString()
+        }
+      }).promise();
+    } catch (statusError) {
+      console.error('[ERROR] No se pudo registrar el fallo del trabajo:', statusError.message);
+    }
+
+    lambdaError.job = job;
+    throw lambdaError;
+  }
+};
 
-      const lambda = new AWS.Lambda();
-      const lambdaResponse = await lambda.invoke(lambdaParams).promise();
+/**
+ * Construye las tablas a ingestar de una subida
+ * Un libro Excel puede cargar varias hojas y un zip varias entradas, cada una como una tabla
+ * con su propio esquema; sin ellas, las entradas de un zip se unen en una sola tabla
+ * @param {Object} body - Cuerpo de la petición (config, schema y opcionalmente sheets o entries)
+ * @param {string} format - Formato del archivo (csv, excel...); null en un zip
+ * @param {Array} [zipEntries] - Archivos de datos del zip, si el archivo es un zip
+ * @returns {Array} - Tablas [{ config, schema, partitionSpec }]
+ * @throws {Object} - VALIDATION_ERROR si alguna tabla no es válida
+ */
+const buildIngestionTables = (body, format, zipEntries = null) => {
+  const config = { ...JSON.parse(body.config), format };
+  if (!config.directory) {
+    throw createError('VALIDATION_ERROR', 'Nombre de tabla y directorio son requeridos');
+  }
+
+  // Arrays de los datasets JSON que se expanden en una fila por elemento
+  if (config.explodeArrays !== undefined &&
+      (!Array.isArray(config.explodeArrays) || config.explodeArrays.some(path => typeof path !== 'string' || !path))) {
+    throw createError('VALIDATION_ERROR', 'Los arrays a expandir deben ser una lista de rutas de campos');
+  }
+
+  // Filas de preámbulo y de pie que se omiten al leer los CSV
+  if (config.hasHeader !== undefined && typeof config.hasHeader !== 'boolean') {
+    throw createError('VALIDATION_ERROR', 'hasHeader debe ser true o false');
+  }
+  // Confirmación de que la subida crea una nueva versión del esquema aunque sea incompatible
+  if (config.newSchemaVersion !== undefined && typeof config.newSchemaVersion !== 'boolean') {
+    throw createError('VALIDATION_ERROR', 'newSchemaVersion debe ser true o false');
+  }
+  // Autor y descripción del cambio de la versión del esquema que registre la subida
+  for (const option of ['author', 'schemaDescription']) {
+    if (config[option] !== undefined && config[option] !== null && typeof config[option] !== 'string') {
+      throw createError('VALIDATION_ERROR', `${option} debe ser un texto`);
+    }
+  }
+  for (const option of ['skipRows', 'footerRows']) {
+    if (config[option] !== undefined && (!Number.isInteger(config[option]) || config[option] < 0)) {
+      throw createError('VALIDATION_ERROR', `${option} debe ser un entero no negativo`);
+    }
+  }
 
-      if (lambdaResponse.StatusCode !== 200) {
-        console.error('[ERROR] Función Lambda devolvió código de estado no exitoso:', lambdaResponse.StatusCode);
-        throw new Error('Error en la función Lambda ETL');
+  if (zipEntries) {
+    if (zipEntries.length === 0) {
+      throw createError('VALIDATION_ERROR', 'El zip no contiene archivos de datos (CSV, Excel, JSON, Parquet o Avro)');
+    }
+    // Entradas del zip que se unen en la tabla; por defecto todos sus archivos de datos
+    if (config.entries !== undefined) {
+      if (!Array.isArray(config.entries) || config.entries.length === 0) {
+        throw createError('VALIDATION_ERROR', 'Las entradas del zip a cargar deben ser un array no vacío');
+      }
+      const missing = config.entries.find(entryName => !zipEntries.includes(entryName));
+      if (missing !== undefined) {
+        throw createError('VALIDATION_ERROR', `La entrada ${missing} no es un archivo de datos del zip`);
       }
+    }
+  }
 
-      console.log('[DEBUG] Respuesta Lambda obtenida, analizando payload');
-      console.log('[DEBUG] Payload crudo de Lambda:', lambdaResponse.Payload);
-      
-      let responsePayload;
-      try {
-        responsePayload = JSON.parse(lambdaResponse.Payload);
-      } catch (parseError) {
-        console.error('[ERROR] Error parseando respuesta de Lambda:', parseError.message);
-        console.error('[ERROR] Payload crudo que causó error:', lambdaResponse.Payload);
-        
-        // La respuesta no es JSON válido (probablemente es un error directo de Lambda)
-        console.log('[INFO] Devolviendo respuesta con error de invocación Lambda');
-        res.json({
-          success: false,
-          fileId: fileId,
-          message: 'Archivo subido correctamente, pero falló la invocación Lambda ETL',
-          s3Key: s3Key,
-          schemaKey: schemaKey,
-          etlError: `Error en invocación Lambda: ${lambdaResponse.Payload}`
-        });
-        return;
+  if (zipEntries && body.entries) {
+    // Una tabla por entrada: [{ entryName, tableName, schema, partitionSpec }]
+    const entries = JSON.parse(body.entries);
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw createError('VALIDATION_ERROR', 'Las entradas del zip a cargar deben ser un array no vacío');
+    }
+
+    const tableNames = new Set();
+    return entries.map((entry) => {
+      if (!zipEntries.includes(entry.entryName)) {
+        throw createError('VALIDATION_ERROR', `La entrada ${entry.entryName} no es un archivo de datos del zip`);
       }
-      
-      if (responsePayload.statusCode >= 400) {
-        let errorBody;
-        try {
-          errorBody = JSON.parse(responsePayload.body);
-        } catch (parseBodyError) {
-          errorBody = { error: responsePayload.body || 'Error desconocido' };
-        }
-        console.error('[ERROR] Error en Lambda ETL:', errorBody.error);
-        console.error('[DEBUG] Detalles completos de error Lambda:', JSON.stringify(errorBody));
-        
-        // No fallar la respuesta completa, pero registrar el error
-        console.log('[INFO] Devolviendo respuesta parcial con información de error ETL');
-        res.json({
-          success: true,
-          fileId: fileId,
-          message: 'Archivo subido correctamente, pero falló el procesamiento ETL',
-          s3Key: s3Key,
-          schemaKey: schemaKey,
-          etlError: errorBody.error
-        });
-        return;
+      if (tableNames.has(entry.tableName)) {
+        throw createError('VALIDATION_ERROR', `Tabla repetida entre entradas del zip: ${entry.tableName}`);
       }
+      tableNames.add(entry.tableName);
 
-      console.log('[DEBUG] Lambda ETL ejecutado exitosamente, procesando resultado');
-      let etlResult;
-      try {
-        etlResult = JSON.parse(responsePayload.body);
-      } catch (parseBodyError) {
-        console.error('[ERROR] Error parseando body de la respuesta:', parseBodyError.message);
-        console.error('[ERROR] Body crudo que causó error:', responsePayload.body);
-        
-        // El body no es JSON válido
-        res.json({
-          success: false,
-          fileId: fileId,
-          message: 'Archivo subido correctamente, pero la respuesta del procesamiento no es válida',
-          s3Key: s3Key,
-          schemaKey: schemaKey,
-          etlError: `Error parseando respuesta: ${parseBodyError.message}`
-        });
-        return;
+      const partitionSpec = validateTableSpec(entry.tableName, entry.schema, entry.partitionSpec);
+      return {
+        config: {
+          ...config,
+          tableName: entry.tableName,
+          entries: [entry.entryName],
+          partitionSpec: entry.partitionSpec || []
+        },
+        schema: entry.schema,
+        partitionSpec
+      };
+    });
+  }
+
+  if (format !== FILE_FORMATS.EXCEL || !body.sheets) {
+    const schema = JSON.parse(body.schema);
+    return [{
+      config,
+      schema,
+      partitionSpec: validateTableSpec(config.tableName, schema, config.partitionSpec)
+    }];
+  }
+
+  // Una tabla por hoja: [{ sheetName, tableName, headerRow, schema, partitionSpec }]
+  const sheets = JSON.parse(body.sheets);
+  if (!Array.isArray(sheets) || sheets.length === 0) {
+    throw createError('VALIDATION_ERROR', 'Las hojas a cargar deben ser un array no vacío');
+  }
+
+  const tableNames = new Set();
+  return sheets.map((sheet) => {
+    if (!sheet.sheetName) {
+      throw createError('VALIDATION_ERROR', 'Cada hoja a cargar debe indicar su nombre');
+    }
+    if (tableNames.has(sheet.tableName)) {
+      throw createError('VALIDATION_ERROR', `Tabla repetida entre hojas: ${sheet.tableName}`);
+    }
+    tableNames.add(sheet.tableName);
+
+    const partitionSpec = validateTableSpec(sheet.tableName, sheet.schema, sheet.partitionSpec);
+    return {
+      config: {
+        ...config,
+        tableName: sheet.tableName,
+        sheetName: sheet.sheetName,
+        headerRow: sheet.headerRow || null,
+        partitionSpec: sheet.partitionSpec || []
+      },
+      schema: sheet.schema,
+      partitionSpec
+    };
+  });
+};
+
+// Subir archivo CSV, Excel, JSON, Parquet o Avro, comprimido o en un zip
+app.post('/api/upload', upload.single('file'), async (req, res) => {
+  try {
+    console.log('[INFO] Iniciando subida de archivo');
+    
+    if (!req.file) {
+      console.log('[ERROR] No se proporcionó archivo en la solicitud');
+      return res.status(400).json({ error: 'No se proporcionó archivo' });
+    }
+    
+    console.log('[DEBUG] Archivo recibido:', {
+      filename: req.file.originalname,
+      size: req.file.size,
+      mimetype: req.file.mimetype
+    });
+
+    const format = getFileFormat(req.file.originalname);
+
+    // El esquema se guarda como schema.json junto al archivo, así que ese nombre está reservado
+    if (req.file.originalname === 'schema.json') {
+      return res.status(400).json({ error: 'El nombre schema.json está reservado; renombra el archivo de datos' });
+    }
+    
+    console.log('[DEBUG] Configuración:', req.body.config);
+    console.log('[DEBUG] Esquema:', req.body.sheets || req.body.entries || req.body.schema);
+
+    // Validar configuración y esquemas de todas las tablas antes de subir nada
+    let tables;
+    try {
+      const zipEntries = getFileCompression(req.file.originalname) === FILE_COMPRESSIONS.ZIP
+        ? (await listZipEntries(bufferSource(req.file.buffer, req.file.originalname))).map(entry => entry.name)
+        : null;
+      tables = buildIngestionTables(req.body, format, zipEntries);
+      tables.forEach(table => {
+        validateWriteMode(table.config, table.schema);
+        validateRowRules(table.schema, table.config);
+        validateColumnTransforms(table.schema);
+        validateDerivedColumns(table.schema);
+      });
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Los cambios incompatibles con el esquema actual de una tabla solo se aceptan si la subida
+    // crea explícitamente una nueva versión del esquema
+    const incompatible = [];
+    const schemaChecks = [];
+    for (const table of tables) {
+      const registry = await getSchemaRegistry(table.config.tableName);
+      const compatibility = compareWithSchemaRegistry(table.config.tableName, registry, table.schema);
+      schemaChecks.push({ table, registry, compatibility });
+      if (!compatibility.compatible && !table.config.newSchemaVersion) {
+        incompatible.push(compatibility);
       }
-      console.log('[DEBUG] Resultado ETL:', JSON.stringify(etlResult, null, 2));
-      
-      console.log('[INFO] Archivo procesado correctamente, enviando respuesta');
-      res.json({
-        success: true,
-        fileId: fileId,
-        message: 'Archivo subido y procesado correctamente',
-        s3Key: s3Key,
-        schemaKey: schemaKey,
-        etlResult: etlResult
+    }
+    if (incompatible.length > 0) {
+      const summary = incompatible
+        .map(compatibility => `${compatibility.tableName} (versión ${compatibility.currentVersion}): ${compatibility.changes
+          .filter(change => !change.compatible)
+          .map(change => change.message)
+          .join(', ')}`)
+        .join('; ');
+      console.log('[INFO] Subida rechazada por esquema incompatible:', summary);
+      return res.status(409).json({
+        error: `El esquema no es compatible con el esquema actual de la tabla: ${summary}. Crea una nueva versión del esquema para cargarlo`,
+        incompatible
       });
+    }
 
+    // Cada archivo referencia la versión del esquema con la que se ingesta, registrada si es nueva
+    try {
+      for (const { table, registry, compatibility } of schemaChecks) {
+        table.schemaVersion = await registerSchemaVersion(table.config, table.schema, registry, compatibility);
+      }
+    } catch (registryError) {
+      if (!ERROR_CODES[registryError.code]) throw registryError;
+      return res.status(registryError.statusCode).json({ error: registryError.message });
+    }
+
+    // Cada tabla es un trabajo de ingesta con su propia copia del archivo
+    const jobs = [];
+    try {
+      for (const table of tables) {
+        jobs.push(await createIngestionJob({ file: req.file, ...table }));
+      }
     } catch (lambdaError) {
-      console.error('[ERROR] Error al invocar Lambda ETL:', lambdaError);
-      console.error('[ERROR] Stack trace:', lambdaError.stack);
-      console.error('[ERROR] Detalles adicionales:', JSON.stringify({
-        lambdaFunction: LAMBDA_ETL_FUNCTION_NAME,
-        fileId: fileId,
-        s3Key: s3Key,
-        errorName: lambdaError.name,
-        errorCode: lambdaError.code || 'UNKNOWN'
-      }));
-      
+      // Las versiones nuevas del esquema de las tablas que quedaron sin trabajo encolado se deshacen
+      for (const { table, registry, compatibility } of schemaChecks.slice(jobs.length)) {
+        if (!registry || compatibility.changes.length > 0) {
+          try {
+            await rollbackSchemaVersion(table.config.tableName, table.schemaVersion);
+          } catch (rollbackError) {
+            console.error('[ERROR] No se pudo deshacer la versión del esquema:', table.config.tableName, rollbackError.message);
+          }
+        }
+      }
+      if (!lambdaError.job) throw lambdaError;
+
       // Fallar la respuesta completa para que el frontend sepa que hubo un error
       console.log('[ERROR] Devolviendo error de invocación Lambda');
       return res.status(500).json({
         success: false,
         error: 'Error invocando Lambda ETL: ' + lambdaError.message,
-        fileId: fileId,
-        s3Key: s3Key,
-        schemaKey: schemaKey,
+        jobId: lambdaError.job.jobId,
+        fileId: lambdaError.job.fileId,
+        s3Key: lambdaError.job.s3Key,
+        schemaKey: lambdaError.job.schemaKey,
+        jobs: jobs,
         etlError: lambdaError.message
       });
     }
+
+    const [firstJob] = jobs;
+    res.status(202).json({
+      success: true,
+      jobId: firstJob.jobId,
+      fileId: firstJob.fileId,
+      stage: JOB_STAGES.UPLOADED,
+      progress: STAGE_PROGRESS[JOB_STAGES.UPLOADED],
+      statusUrl: `/api/jobs/${firstJob.jobId}`,
+      message: jobs.length > 1
+        ? `Archivo subido correctamente; ${jobs.length} tablas en cola para el procesamiento ETL`
+        : 'Archivo subido correctamente; el procesamiento ETL está en cola',
+      s3Key: firstJob.s3Key,
+      schemaKey: firstJob.schemaKey,
+      jobs: jobs.map(job => ({ ...job, statusUrl: `/api/jobs/${job.jobId}` }))
+    });
     
   } catch (error) {
     console.error('[ERROR] Error general al subir archivo:', error);
@@ -380,6 +671,217 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
   }
 });
 
+// Detectar el dialecto de un CSV (basta con su inicio) o leer el esquema embebido en un Parquet o Avro
+app.post('/api/inspect', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó archivo' });
+    }
+
+    const format = getFileFormat(req.file.originalname);
+    console.log('[INFO] Inspeccionando archivo:', req.file.originalname, format);
+
+    let inspection;
+    if (format === FILE_FORMATS.CSV) {
+      // Mismo detector que la Lambda ETL, sobre el inicio del contenido descomprimido
+      // skipRows permite saltar el preámbulo anterior a la cabecera al detectarla
+      const sample = await createInputReader(bufferSource(req.file.buffer, req.file.originalname))
+        .readSample(DIALECT_SAMPLE_BYTES);
+      inspection = { dialect: sniffDialect(sample, { skipRows: req.body.skipRows }) };
+    } else if (format === FILE_FORMATS.PARQUET) {
+      inspection = await inspectParquet(req.file.buffer);
+    } else if (format === FILE_FORMATS.AVRO) {
+      inspection = await inspectAvro(req.file.buffer);
+    } else {
+      return res.status(400).json({ error: 'Solo se inspeccionan archivos CSV (dialecto) y Parquet o Avro (esquema embebido)' });
+    }
+
+    res.json({
+      success: true,
+      fileName: req.file.originalname,
+      format,
+      dialect: inspection.dialect,
+      schema: inspection.schema,
+      rowCount: inspection.rowCount
+    });
+  } catch (error) {
+    // Archivo ilegible o con un esquema no soportado
+    if (ERROR_CODES[error.code]) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[ERROR] Error inspeccionando archivo:', error);
+    res.status(500).json({ error: 'Error al inspeccionar el archivo' });
+  }
+});
+
+// Descomprimir un gzip o bzip2 para la vista previa del Ingestor, con el mismo lector que el ETL
+app.post('/api/decompress', upload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No se proporcionó archivo' });
+    }
+
+    console.log('[INFO] Descomprimiendo archivo:', req.file.originalname);
+    const content = await decompressSource(bufferSource(req.file.buffer, req.file.originalname));
+    res.type('application/octet-stream').send(content);
+  } catch (error) {
+    // Archivo sin compresión gzip o bzip2, o ilegible
+    if (ERROR_CODES[error.code]) {
+      return res.status(error.statusCode).json({ error: error.message });
+    }
+    console.error('[ERROR] Error descomprimiendo archivo:', error);
+    res.status(500).json({ error: 'Error al descomprimir el archivo' });
+  }
+});
+
+// Intervalo de lectura del catálogo para los eventos de un trabajo y de los comentarios keep-alive
+const JOB_EVENTS_POLL_INTERVAL_MS = 1000;
+const JOB_EVENTS_KEEPALIVE_MS = 15000;
+
+/**
+ * Construye la vista pública de un trabajo de ingesta a partir de su entrada del catálogo
+ * @param {Object} job - Entrada del catálogo
+ * @returns {Object} - Estado del trabajo
+ */
+const toJobView = (job) => {
+  // Las entradas anteriores a los trabajos asíncronos solo tienen status
+  const stage = job.stage || getStageFromStatus(job.status);
+  const progress = stage === JOB_STAGES.DONE
+    ? STAGE_PROGRESS[JOB_STAGES.DONE]
+    : (job.progress !== undefined ? job.progress : (STAGE_PROGRESS[stage] || 0));
+
+  return {
+    jobId: job.fileId,
+    fileId: job.fileId,
+    tableName: job.tableName,
+    fileName: job.fileName,
+    status: job.status,
+    stage,
+    progress,
+    rowCount: job.rowCount,
+    rowsProcessed: job.rowsProcessed || 0,
+    bytesProcessed: job.bytesProcessed || 0,
+    totalBytes: job.totalBytes || job.fileSize || 0,
+    warnings: job.warnings || [],
+    errorInfo: job.errorInfo || null,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt || job.createdAt
+  };
+};
+
+/**
+ * Lee la entrada del catálogo de un trabajo de ingesta
+ * @param {string} jobId - ID del trabajo (fileId)
+ * @returns {Promise<Object|null>} - Entrada del catálogo o null si no existe
+ */
+const getJob = async (jobId) => {
+  const result = await dynamodb.get({
+    TableName: DDB_TABLE,
+    Key: { fileId: jobId }
+  }).promise();
+  return result.Item || null;
+};
+
+// Consultar el estado de un trabajo de ingesta (el ID del trabajo es el fileId)
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Trabajo no encontrado' });
+    }
+
+    res.json({ success: true, ...toJobView(job) });
+  } catch (error) {
+    console.error('[ERROR] Error consultando trabajo:', error);
+    res.status(500).json({ success: false, error: 'Error al consultar el trabajo' });
+  }
+});
+
+// Eventos en vivo de un trabajo de ingesta (Server-Sent Events)
+// Emite progress con cada cambio de etapa o avance, warning por cada aviso de validación
+// y un evento final done o failed antes de cerrar el stream
+app.get('/api/jobs/:id/events', async (req, res) => {
+  const jobId = req.params.id;
+  console.log('[INFO] Suscripción a eventos del trabajo:', jobId);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  let timer = null;
+  let lastProgressKey = null;
+  let warningsSent = 0;
+  let lastWriteAt = Date.now();
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    lastWriteAt = Date.now();
+  };
+
+  req.on('close', () => {
+    closed = true;
+    clearTimeout(timer);
+    console.log('[INFO] Suscripción a eventos cerrada:', jobId);
+  });
+
+  const tick = async () => {
+    if (closed) return;
+
+    try {
+      const job = await getJob(jobId);
+      if (closed) return;
+
+      if (!job) {
+        send('failed', { jobId, stage: JOB_STAGES.FAILED, errorInfo: { error: 'Trabajo no encontrado' } });
+        return res.end();
+      }
+
+      const view = toJobView(job);
+
+      for (const warning of view.warnings.slice(warningsSent)) {
+        send('warning', { jobId, message: warning.message, createdAt: warning.createdAt });
+      }
+      warningsSent = view.warnings.length;
+
+      const progressKey = `${view.stage}:${view.progress}:${view.rowsProcessed}`;
+      if (progressKey !== lastProgressKey) {
+        lastProgressKey = progressKey;
+        send('progress', {
+          jobId,
+          stage: view.stage,
+          progress: view.progress,
+          rowsProcessed: view.rowsProcessed,
+          bytesProcessed: view.bytesProcessed,
+          totalBytes: view.totalBytes
+        });
+      }
+
+      if (isFinalStage(view.stage)) {
+        send(view.stage, view);
+        return res.end();
+      }
+
+      // Comentario para que el balanceador no cierre la conexión inactiva
+      if (Date.now() - lastWriteAt >= JOB_EVENTS_KEEPALIVE_MS) {
+        res.write(': keep-alive\n\n');
+        lastWriteAt = Date.now();
+      }
+    } catch (error) {
+      console.error('[ERROR] Error leyendo eventos del trabajo:', jobId, error.message);
+    }
+
+    timer = setTimeout(tick, JOB_EVENTS_POLL_INTERVAL_MS);
+  };
+
+  tick();
+});
+
 // Obtener detalles de un archivo específico
 app.get('/api/files/:fileId', async (req, res) => {
   try {
@@ -400,7 +902,7 @@ app.get('/api/files/:fileId', async (req, res) => {
       itemKeys: result.Item ? Object.keys(result.Item) : []
     }));
     
-    if (!result.Item) {
+    if (!result.Item || isTableRecord(result.Item)) {
       return res.status(404).json({ error: 'Archivo no encontrado' });
     }
 
@@ -416,37 +918,708 @@ app.get('/api/schema/:tableName', async (req, res) => {
   try {
     const { tableName } = req.params;
 
-    const params = {
-      TableName: DDB_TABLE,
-      FilterExpression: 'tableName = :tableName',
-      ExpressionAttributeValues: {
-        ':tableName': tableName
+    const registry = await getSchemaRegistry(tableName);
+    if (!registry) {
+      return res.status(404).json({ error: 'Tabla no encontrada' });
+    }
+
+    const current = getCurrentSchemaVersion(registry);
+    res.json({
+      tableName,
+      schema: current.schema,
+      schemaVersion: current.version,
+      description: current.description,
+      lastUpdated: current.createdAt
+    });
+  } catch (error) {
+    console.error('Error fetching schema:', error);
+    res.status(500).json({ error: 'Error al obtener esquema' });
+  }
+});
+
+// Comparar un esquema con el esquema actual de una tabla antes de subir un archivo
+app.post('/api/schema/:tableName/compatibility', async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const { schema } = req.body;
+
+    if (!Array.isArray(schema) || schema.some(field => !field || !field.name || !field.type)) {
+      return res.status(400).json({ error: 'El esquema debe ser un array de campos con nombre y tipo' });
+    }
+
+    res.json(await checkSchemaCompatibility(tableName, schema));
+  } catch (error) {
+    console.error('Error checking schema compatibility:', error);
+    res.status(500).json({ error: 'Error al comprobar la compatibilidad del esquema' });
+  }
+});
+
+// Filas de muestra que se transforman como máximo en la vista previa del Ingestor
+const TRANSFORM_PREVIEW_ROWS = 20;
+
+// Aplicar las transformaciones de columna del esquema a unas filas de muestra antes de subir el archivo
+app.post('/api/transforms/preview', async (req, res) => {
+  try {
+    const { schema, rows } = req.body;
+
+    if (!Array.isArray(schema) || schema.some(field => !field || !field.name || !field.type)) {
+      return res.status(400).json({ error: 'El esquema debe ser un array de campos con nombre y tipo' });
+    }
+    if (!Array.isArray(rows) || rows.some(row => !row || typeof row !== 'object' || Array.isArray(row))) {
+      return res.status(400).json({ error: 'rows debe ser un array de filas' });
+    }
+
+    try {
+      validateColumnTransforms(schema);
+      validateDerivedColumns(schema);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    // Mismo recorrido que la Lambda ETL: cabeceras del archivo, transformaciones, validación
+    // y columnas calculadas
+    const sourceSchema = schema.filter(field => !isDerivedField(field));
+    const mapHeader = createHeaderMapper(schema);
+    const transformRow = createColumnTransformer(sourceSchema);
+    const validateRow = createRowValidator(sourceSchema);
+    const computeDerived = createDerivedColumns(schema);
+
+    const preview = rows.slice(0, TRANSFORM_PREVIEW_ROWS).map(sample => {
+      const row = {};
+      for (const [header, value] of Object.entries(sample)) {
+        row[mapHeader(header)] = value;
       }
-    };
+      const { row: transformedRow, errors: transformErrors } = transformRow(row);
+      const { row: validatedRow, errors: validationErrors } = validateRow(transformedRow);
+      const errors = transformErrors.concat(validationErrors.filter(error =>
+        !transformErrors.some(transformError => transformError.column === error.column)));
+      // Las columnas calculadas se muestran aunque la fila tenga errores, con los valores que se pudieron leer
+      const { row: derivedRow, errors: derivedErrors } = computeDerived(validatedRow);
+      const values = {};
+      schema.forEach(field => {
+        const value = isDerivedField(field) ? derivedRow[field.name] : transformedRow[field.name];
+        values[field.name] = value === undefined ? null : value;
+      });
+      return { row: values, errors: errors.concat(derivedErrors) };
+    });
 
-    const result = await dynamodb.scan(params).promise();
-    
-    if (result.Items.length === 0) {
+    res.json({ rows: preview });
+  } catch (error) {
+    console.error('Error previewing transforms:', error);
+    res.status(500).json({ error: 'Error al previsualizar las transformaciones' });
+  }
+});
+
+// Listar las versiones del esquema de una tabla
+app.get('/api/tables/:tableName/schemas', async (req, res) => {
+  try {
+    const { tableName } = req.params;
+
+    const registry = await getSchemaRegistry(tableName);
+    if (!registry) {
       return res.status(404).json({ error: 'Tabla no encontrada' });
     }
 
-    // Obtener el esquema más reciente
-    const latestSchema = result.Items.sort((a, b) => 
-      new Date(b.createdAt) - new Date(a.createdAt)
-    )[0];
+    res.json({
+      tableName,
+      currentVersion: registry.currentVersion,
+      versions: registry.versions
+    });
+  } catch (error) {
+    console.error('Error fetching schema versions:', error);
+    res.status(500).json({ error: 'Error al obtener las versiones del esquema' });
+  }
+});
+
+// Obtener una versión del esquema de una tabla
+app.get('/api/tables/:tableName/schemas/:version', async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const version = Number(req.params.version);
+
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'La versión del esquema debe ser un entero positivo' });
+    }
+
+    const registry = await getSchemaRegistry(tableName);
+    const schemaVersion = registry && registry.versions.find(candidate => candidate.version === version);
+    if (!schemaVersion) {
+      return res.status(404).json({ error: `La tabla ${tableName} no tiene la versión ${version} del esquema` });
+    }
+
+    res.json({ tableName, current: version === registry.currentVersion, ...schemaVersion });
+  } catch (error) {
+    console.error('Error fetching schema version:', error);
+    res.status(500).json({ error: 'Error al obtener la versión del esquema' });
+  }
+});
+
+// Obtener las reglas de calidad de una tabla
+app.get('/api/tables/:tableName/rules', async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const record = await getTableRecord(tableName);
 
     res.json({
-      tableName: latestSchema.tableName,
-      schema: latestSchema.schema,
-      description: latestSchema.description,
-      lastUpdated: latestSchema.createdAt
+      tableName,
+      rules: (record && record.qualityRules) || [],
+      updatedAt: record ? record.updatedAt : null
     });
   } catch (error) {
-    console.error('Error fetching schema:', error);
-    res.status(500).json({ error: 'Error al obtener esquema' });
+    console.error('Error fetching quality rules:', error);
+    res.status(500).json({ error: 'Error al obtener las reglas de calidad' });
+  }
+});
+
+// Guardar las reglas de calidad de una tabla; la Lambda las evalúa en los archivos que procese después
+app.put('/api/tables/:tableName/rules', async (req, res) => {
+  try {
+    const { tableName } = req.params;
+    const { rules } = req.body;
+
+    try {
+      validateQualityRules(rules);
+    } catch (validationError) {
+      return res.status(400).json({ error: validationError.message });
+    }
+
+    const updatedAt = new Date().toISOString();
+    await dynamodb.update({
+      TableName: DDB_TABLE,
+      Key: {
+        fileId: getTableRecordId(tableName)
+      },
+      UpdateExpression: 'SET #recordType = :recordType, #table = :table, #qualityRules = :qualityRules, #updatedAt = :updatedAt',
+      ExpressionAttributeNames: {
+        '#recordType': 'recordType',
+        '#table': 'table',
+        '#qualityRules': 'qualityRules',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ':recordType': TABLE_RECORD_TYPE,
+        ':table': tableName,
+        ':qualityRules': rules,
+        ':updatedAt': updatedAt
+      }
+    }).promise();
+
+    console.log('[INFO] Reglas de calidad guardadas:', { tableName, rules: rules.length });
+    res.json({ tableName, rules, updatedAt });
+  } catch (error) {
+    console.error('Error saving quality rules:', error);
+    res.status(500).json({ error: 'Error al guardar las reglas de calidad' });
   }
 });
 
+/**
+ * Crea la función que traduce las cabeceras de un CSV a los nombres del esquema del catálogo.
+ * Las cabeceras se buscan primero por nombre original y luego por nombre limpio.
+ * @param {Array} schema - Esquema del catálogo
+ * @returns {Function} - Función (header) => nombre de columna
+ */
+const createHeaderMapper = (schema = []) => {
+  return (header) => {
+    const field = schema.find(f => f.originalName === header) ||
+      schema.find(f => f.name === header);
+
+    return field ? field.name : header;
+  };
+};
+
+/**
+ * Busca en el catálogo todos los archivos de una tabla usando el índice TableNameIndex
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {Promise<Array>} - Entradas del catálogo ordenadas por fecha de creación
+ */
+const findTableFiles = async (tableName) => {
+  const params = {
+    TableName: DDB_TABLE,
+    IndexName: 'TableNameIndex',
+    KeyConditionExpression: 'tableName = :tableName',
+    ExpressionAttributeValues: {
+      ':tableName': tableName
+    }
+  };
+
+  const items = [];
+  let result;
+  do {
+    result = await dynamodb.query(params).promise();
+    items.push(...(result.Items || []));
+    params.ExclusiveStartKey = result.LastEvaluatedKey;
+  } while (result.LastEvaluatedKey);
+
+  console.log('[INFO] Archivos encontrados para la tabla', tableName + ':', items.length);
+  return items;
+};
+
+/**
+ * Lee el registro de una tabla del catálogo (reglas de calidad y versiones del esquema)
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {Promise<Object|null>} - Registro de la tabla o null si no tiene
+ */
+const getTableRecord = async (tableName) => {
+  const result = await dynamodb.get({
+    TableName: DDB_TABLE,
+    Key: {
+      fileId: getTableRecordId(tableName)
+    }
+  }).promise();
+  return result.Item || null;
+};
+
+/**
+ * Obtiene el registro de versiones del esquema de una tabla
+ * Las tablas cargadas antes del registro no tienen versiones: su esquema actual (el del archivo
+ * más reciente cuya subida no falló) se toma como la versión 1, que se registra en la siguiente subida
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {Promise<Object|null>} - { currentVersion, versions, registered } o null si la tabla no existe
+ */
+const getSchemaRegistry = async (tableName) => {
+  const record = await getTableRecord(tableName);
+  if (record && record.schemas && record.schemas.length > 0) {
+    return { currentVersion: record.schemaVersion, versions: record.schemas, registered: true };
+  }
+
+  const [latest] = (await findTableFiles(tableName))
+    .filter(file => file.status !== 'error')
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  if (!latest) {
+    return null;
+  }
+  return {
+    currentVersion: 1,
+    versions: [{
+      version: 1,
+      schema: latest.schema || [],
+      author: null,
+      createdAt: latest.createdAt,
+      description: 'Esquema anterior al registro de versiones',
+      compatibility: COMPATIBILITY_MODES.BACKWARD,
+      changes: []
+    }],
+    registered: false
+  };
+};
+
+/**
+ * Compara el esquema de un archivo con el esquema actual de su tabla
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array} schema - Esquema del archivo
+ * @returns {Promise<Object>} - Resultado de compareWithSchemaRegistry
+ */
+const checkSchemaCompatibility = async (tableName, schema) =>
+  compareWithSchemaRegistry(tableName, await getSchemaRegistry(tableName), schema);
+
+/**
+ * Registra en el catálogo la versión del esquema con la que se ingesta una tabla cuando es nueva,
+ * con su autor, fecha, descripción del cambio y modo de compatibilidad
+ * Si la ingesta falla la versión se deshace (rollbackSchemaVersion aquí o en la Lambda ETL)
+ * @param {Object} config - Configuración de la tabla (tableName, author, schemaDescription)
+ * @param {Array} schema - Esquema de la tabla
+ * @param {Object|null} registry - Registro de versiones de getSchemaRegistry
+ * @param {Object} compatibility - Resultado de compareWithSchemaRegistry
+ * @returns {Promise<number>} - Versión del esquema con la que se ingesta la tabla
+ * @throws {Object} - SCHEMA_VERSION_CONFLICT si otra subida registró una versión del esquema entretanto
+ */
+const registerSchemaVersion = async (config, schema, registry, compatibility) => {
+  // Las tablas anteriores al registro guardan primero su esquema actual como versión 1
+  const versions = registry && !registry.registered ? [...registry.versions] : [];
+  if (compatibility.changes.length > 0 || !registry) {
+    versions.push({
+      version: compatibility.schemaVersion,
+      schema,
+      author: config.author || null,
+      createdAt: new Date().toISOString(),
+      description: config.schemaDescription ||
+        (registry ? compatibility.changes.map(change => change.message).join(', ') : 'Esquema inicial'),
+      compatibility: compatibility.compatible ? COMPATIBILITY_MODES.BACKWARD : COMPATIBILITY_MODES.NONE,
+      changes: compatibility.changes
+    });
+  }
+  if (versions.length === 0) {
+    return compatibility.schemaVersion;
+  }
+
+  const expressionAttributeValues = {
+    ':recordType': TABLE_RECORD_TYPE,
+    ':table': config.tableName,
+    ':noSchemas': [],
+    ':schemas': versions,
+    ':schemaVersion': compatibility.schemaVersion,
+    ':updatedAt': new Date().toISOString()
+  };
+  // Si otra subida registró una versión entretanto, la versión calculada ya no es la siguiente
+  if (registry && registry.registered) {
+    expressionAttributeValues[':currentVersion'] = registry.currentVersion;
+  }
+
+  try {
+    await dynamodb.update({
+      TableName: DDB_TABLE,
+      Key: {
+        fileId: getTableRecordId(config.tableName)
+      },
+      UpdateExpression: 'SET #recordType = :recordType, #table = :table, ' +
+        '#schemas = list_append(if_not_exists(#schemas, :noSchemas), :schemas), ' +
+        '#schemaVersion = :schemaVersion, #updatedAt = :updatedAt',
+      ConditionExpression: registry && registry.registered
+        ? '#schemaVersion = :currentVersion'
+        : 'attribute_not_exists(#schemaVersion)',
+      ExpressionAttributeNames: {
+        '#recordType': 'recordType',
+        '#table': 'table',
+        '#schemas': 'schemas',
+        '#schemaVersion': 'schemaVersion',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: expressionAttributeValues
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      throw createError('SCHEMA_VERSION_CONFLICT',
+        `El esquema de ${config.tableName} cambió durante la subida; revisa la versión actual y vuelve a intentarlo`);
+    }
+    throw error;
+  }
+
+  console.log('[INFO] Versión del esquema registrada:', {
+    tableName: config.tableName,
+    versions: versions.map(version => version.version)
+  });
+  return compatibility.schemaVersion;
+};
+
+/**
+ * Deshace la versión del esquema que registró una subida cuyo trabajo de ingesta no llegó a encolarse,
+ * para que la versión actual de la tabla no sea una que ningún archivo cargó
+ * @param {string} tableName - Nombre de la tabla
+ * @param {number} version - Versión registrada por la subida
+ * @returns {Promise<boolean>} - True si se deshizo la versión
+ */
+const rollbackSchemaVersion = async (tableName, version) => {
+  const rollback = getSchemaRollback(await getTableRecord(tableName), version, await findTableFiles(tableName));
+  if (!rollback) {
+    return false;
+  }
+
+  const expressionAttributeValues = {
+    ':version': version,
+    ':count': rollback.count,
+    ':updatedAt': new Date().toISOString()
+  };
+  // Sin versión anterior la tabla era nueva y vuelve a no tener registro de versiones
+  let updateExpression = 'SET #updatedAt = :updatedAt REMOVE #schemas, #schemaVersion';
+  if (rollback.previousVersion !== null) {
+    updateExpression = `SET #schemaVersion = :previousVersion, #updatedAt = :updatedAt REMOVE #schemas[${rollback.index}]`;
+    expressionAttributeValues[':previousVersion'] = rollback.previousVersion;
+  }
+
+  try {
+    await dynamodb.update({
+      TableName: DDB_TABLE,
+      Key: {
+        fileId: getTableRecordId(tableName)
+      },
+      UpdateExpression: updateExpression,
+      // Otra subida pudo registrar una versión entretanto: entonces se conserva
+      ConditionExpression: '#schemaVersion = :version AND size(#schemas) = :count',
+      ExpressionAttributeNames: {
+        '#schemas': 'schemas',
+        '#schemaVersion': 'schemaVersion',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: expressionAttributeValues
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+
+  console.log('[INFO] Versión del esquema deshecha:', { tableName, version, currentVersion: rollback.previousVersion });
+  return true;
+};
+
+/**
+ * Compara los esquemas de los archivos de una tabla que se ingestaron con la misma versión
+ * del esquema con el del más antiguo de ellos; las versiones distintas se concilian al leer
+ * @param {Array} files - Entradas del catálogo de la tabla
+ * @returns {Array} - Diferencias por archivo { fileId, fileName, schemaVersion, referenceFileId, referenceFileName, differences }
+ */
+const findSchemaMismatches = (files) => {
+  const filesByVersion = new Map();
+  for (const file of files) {
+    const version = file.schemaVersion || 1;
+    filesByVersion.set(version, [...(filesByVersion.get(version) || []), file]);
+  }
+
+  return [...filesByVersion.values()].flatMap(versionFiles => {
+    const [reference, ...others] = versionFiles;
+    return compareFileSchemas(reference, others);
+  });
+};
+
+/**
+ * Compara los esquemas de varios archivos con el de un archivo de referencia
+ * @param {Object} reference - Entrada del catálogo de referencia
+ * @param {Array} others - Entradas del catálogo a comparar
+ * @returns {Array} - Diferencias por archivo con alguna diferencia
+ */
+const compareFileSchemas = (reference, others) => {
+  const referenceTypes = Object.fromEntries((reference.schema || []).map(field => [field.name, field.type]));
+
+  return others.map(file => {
+    const fileTypes = Object.fromEntries((file.schema || []).map(field => [field.name, field.type]));
+    const differences = [];
+
+    for (const [name, type] of Object.entries(referenceTypes)) {
+      if (!(name in fileTypes)) {
+        differences.push(`falta la columna ${name}`);
+      } else if (fileTypes[name] !== type) {
+        differences.push(`la columna ${name} es ${fileTypes[name]} y se esperaba ${type}`);
+      }
+    }
+    for (const name of Object.keys(fileTypes)) {
+      if (!(name in referenceTypes)) {
+        differences.push(`columna adicional ${name}`);
+      }
+    }
+
+    return {
+      fileId: file.fileId,
+      fileName: file.fileName,
+      schemaVersion: file.schemaVersion || 1,
+      referenceFileId: reference.fileId,
+      referenceFileName: reference.fileName,
+      differences
+    };
+  }).filter(mismatch => mismatch.differences.length > 0);
+};
+
+/**
+ * Lee desde el bucket curated las partes Parquet generadas por la Lambda ETL para un archivo,
+ * omitiendo las particiones que no pueden cumplir los filtros de la consulta
+ * @param {Object} fileInfo - Entrada del catálogo con s3Location.curatedKeys y partitionSpec
+ * @param {Array} columns - Columnas { name, type } de la tabla
+ * @param {Array} rows - Filas acumuladas de la tabla, a las que se añaden las del archivo
+ * @param {Array} [partitionFilters] - Filtros de partición de la consulta
+ * @returns {Promise<Object>} - { rowCount, partsRead, partsPruned }
+ */
+const loadParquetFile = async (fileInfo, columns, rows, partitionFilters = []) => {
+  const bucket = fileInfo.s3Location.curatedBucket || CURATED_BUCKET;
+  const columnTypes = Object.fromEntries(columns.map(column => [column.name, column.type]));
+  let rowCount = 0;
+  let partsRead = 0;
+  let partsPruned = 0;
+
+  for (const key of fileInfo.s3Location.curatedKeys) {
+    const partitionValues = parsePartitionPath(key, fileInfo.partitionSpec);
+    if (partitionFilters.length > 0 && isPartitionPruned(partitionFilters, partitionValues, columnTypes)) {
+      partsPruned++;
+      continue;
+    }
+
+    console.log('[INFO] Leyendo Parquet desde S3:', key);
+    const s3Object = await s3.getObject({ Bucket: bucket, Key: key }).promise();
+
+    rowCount += await readParquet(s3Object.Body, (record) => {
+      const obj = {};
+      for (const column of columns) {
+        obj[column.name] = transformValue(record[column.name], column.type);
+      }
+      rows.push(obj);
+    });
+    partsRead++;
+  }
+
+  return { rowCount, partsRead, partsPruned };
+};
+
+/**
+ * Lee desde S3 el archivo raw de una entrada del catálogo con su propio esquema y opciones
+ * (dialecto en CSV; hoja y fila de cabecera en Excel; arrays a expandir en JSON;
+ * esquema embebido en Parquet y Avro; entradas de un zip), descomprimiéndolo si hace falta,
+ * aplicando las transformaciones de columna del esquema, añadiendo sus columnas calculadas y
+ * convirtiendo cada valor al tipo declarado
+ * @param {Object} fileInfo - Entrada del catálogo
+ * @param {Array} columns - Columnas { name, type } de la tabla
+ * @param {Array} rows - Filas acumuladas de la tabla, a las que se añaden las del archivo
+ * @returns {Promise<number>} - Número de filas leídas
+ */
+const loadTableFile = async (fileInfo, columns, rows) => {
+  const s3Params = {
+    Bucket: RAW_BUCKET,
+    Key: fileInfo.s3Key
+  };
+
+  const config = fileInfo.config || {};
+  const fileSchema = fileInfo.schema || [];
+  const transformRow = createColumnTransformer(fileSchema.filter(field => !isDerivedField(field)));
+  const computeDerived = createDerivedColumns(fileSchema);
+  const onRow = (row) => {
+    // Mismas transformaciones de columna, columnas calculadas y reglas de conversión que la
+    // Lambda ETL (las celdas vacías son NULL)
+    const { row: transformed } = transformRow(row);
+    const { row: computed } = computeDerived(transformed);
+    const obj = {};
+    for (const column of columns) {
+      obj[column.name] = transformValue(computed[column.name], column.type);
+    }
+    rows.push(obj);
+  };
+
+  const source = {
+    name: fileInfo.s3Key,
+    size: fileInfo.fileSize || 0,
+    createReadStream: () => s3.getObject(s3Params).createReadStream(),
+    readBuffer: async () => (await s3.getObject(s3Params).promise()).Body
+  };
+
+  // El dialecto que usó la Lambda ETL tiene prioridad sobre la configuración de la subida;
+  // las entradas procesadas antes de guardarlo lo detectan igual que la Lambda
+  let options = { ...config, ...fileInfo.dialect };
+  if (!fileInfo.dialect) {
+    const sample = await createInputReader(source, config).readSample(DIALECT_SAMPLE_BYTES);
+    if (sample) {
+      options = { ...config, ...resolveDialect(config, sniffDialect(sample, config)) };
+    }
+  }
+
+  console.log('[INFO] Leyendo archivo raw desde S3:', fileInfo.s3Key);
+  const { rowCount } = await createInputReader(source, options).read(onRow, createHeaderMapper(fileInfo.schema));
+
+  return rowCount;
+};
+
+/**
+ * Obtiene las claves por las que las filas de un archivo sustituyen a las ya cargadas de la tabla
+ * Un upsert combina por su clave primaria; un archivo keep_last que repetía claves de la tabla
+ * sustituye las filas con cualquiera de sus claves primaria o únicas
+ * @param {Object} fileInfo - Entrada del catálogo del archivo
+ * @returns {Array|null} - Columnas de cada clave, o null si el archivo solo añade filas
+ */
+const getMergeKeys = (fileInfo) => {
+  if (getWriteMode(fileInfo) === WRITE_MODES.UPSERT) {
+    return [getPrimaryKey(fileInfo.schema, fileInfo.config)];
+  }
+  const { duplicates } = fileInfo;
+  if (duplicates && duplicates.policy === DUPLICATE_POLICIES.KEEP_LAST && duplicates.replacesExisting > 0) {
+    return getKeyConstraints(fileInfo.schema, fileInfo.config).map(constraint => constraint.columns);
+  }
+  return null;
+};
+
+/**
+ * Combina las filas de un archivo con las filas ya cargadas de la tabla
+ * Cada fila del archivo sustituye a las filas que comparten alguna de sus claves; dentro del
+ * archivo gana la última aparición de la primera clave. Las filas con la clave incompleta
+ * se añaden sin combinar
+ * @param {Array} rows - Filas acumuladas de la tabla, que se modifican
+ * @param {Array} fileRows - Filas del archivo
+ * @param {Array} keys - Columnas de cada clave; la primera es la clave primaria
+ */
+const mergeKeyedRows = (rows, fileRows, keys) => {
+  const incoming = new Map();
+  const keyless = [];
+  for (const row of fileRows) {
+    const value = getKeyValue(row, keys[0]);
+    if (value !== null) {
+      incoming.set(value, row);
+    } else {
+      keyless.push(row);
+    }
+  }
+
+  const merged = [...incoming.values(), ...keyless];
+  const mergedKeys = keys.map(columns => new Set(merged.map(row => getKeyValue(row, columns)).filter(value => value !== null)));
+  const kept = rows.filter(row => !keys.some((columns, index) => mergedKeys[index].has(getKeyValue(row, columns))));
+  // Sin spread: una tabla grande supera el límite de argumentos de push
+  rows.length = 0;
+  for (const row of kept) {
+    rows.push(row);
+  }
+  for (const row of merged) {
+    rows.push(row);
+  }
+};
+
+/**
+ * Carga el estado vigente de una tabla del catálogo: sus archivos procesados desde el último
+ * overwrite, unidos en orden de confirmación y combinando por clave los de modo upsert
+ * y los keep_last que sustituyen filas existentes
+ * Con la consulta se descartan las particiones que sus predicados excluyen
+ * Las columnas son las de la versión del esquema más reciente de los archivos vigentes; los
+ * archivos de versiones anteriores leen como NULL las columnas que no tienen
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Object} [ast] - AST de la consulta
+ * @returns {Promise<Object>} - Tabla { columns, rows, fileCount, partsPruned, schemaVersion }
+ * @throws {Object} - NOT_FOUND si no hay archivos procesados, INVALID_SCHEMA si difieren los esquemas
+ *   de archivos con la misma versión
+ */
+const loadTable = async (tableName, ast = null) => {
+  const files = await findTableFiles(tableName);
+
+  if (files.length === 0) {
+    throw createError('NOT_FOUND', `No se encontraron archivos para la tabla ${tableName}`);
+  }
+
+  const processedFiles = getLiveFiles(files);
+
+  if (processedFiles.length === 0) {
+    throw createError('NOT_FOUND',
+      `La tabla ${tableName} no tiene archivos procesados (${files.length} pendientes o con error)`);
+  }
+
+  const mismatches = findSchemaMismatches(processedFiles);
+  if (mismatches.length > 0) {
+    const summary = mismatches
+      .map(mismatch => `${mismatch.fileName} (${mismatch.fileId}) frente a ${mismatch.referenceFileName}, ` +
+        `versión ${mismatch.schemaVersion}: ${mismatch.differences.join(', ')}`)
+      .join('; ');
+    throw createError('INVALID_SCHEMA',
+      `Los archivos de la tabla ${tableName} con la misma versión del esquema tienen esquemas distintos: ${summary}`,
+      { tableName, mismatches });
+  }
+
+  // Las filas se indexan por nombre de columna, así que el orden de columnas de cada archivo no importa
+  const latestFile = processedFiles.reduce((latest, file) =>
+    ((file.schemaVersion || 1) >= (latest.schemaVersion || 1) ? file : latest));
+  const columns = (latestFile.schema || []).map(field => ({ name: field.name, type: field.type }));
+  // Un upsert puede mover una clave a otra partición: descartar particiones dejaría visibles
+  // filas ya sustituidas, así que solo se poda si ningún archivo vigente sustituye filas
+  const hasMerges = processedFiles.some(file => getMergeKeys(file) !== null);
+  const partitionFilters = ast && !hasMerges
+    ? getPartitionFilters(ast, tableName, columns.map(column => column.name))
+    : [];
+  // Se lee el Parquet del bucket curated; los archivos procesados antes de que existiera
+  // la conversión solo tienen el CSV original
+  const rows = [];
+  let partsPruned = 0;
+  for (const fileInfo of processedFiles) {
+    const mergeKeys = getMergeKeys(fileInfo);
+    const fileRows = mergeKeys ? [] : rows;
+    const curatedKeys = fileInfo.s3Location && fileInfo.s3Location.curatedKeys;
+    if (curatedKeys && curatedKeys.length > 0) {
+      const result = await loadParquetFile(fileInfo, columns, fileRows, partitionFilters);
+      partsPruned += result.partsPruned;
+    } else {
+      await loadTableFile(fileInfo, columns, fileRows);
+    }
+    if (mergeKeys) {
+      mergeKeyedRows(rows, fileRows, mergeKeys);
+    }
+  }
+
+  if (partsPruned > 0) {
+    console.log('[INFO] Particiones descartadas por la consulta:', { tableName, partsPruned });
+  }
+
+  return { columns, rows, fileCount: processedFiles.length, partsPruned, schemaVersion: latestFile.schemaVersion || 1 };
+};
+
 // Ejecutar consulta SQL directamente en el backend
 app.post('/api/query', async (req, res) => {
   try {
@@ -466,13 +1639,6 @@ app.post('/api/query', async (req, res) => {
       });
     }
 
-    if (!tableName || !tableName.trim()) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Nombre de tabla es requerido' 
-      });
-    }
-
     // Validar que sea SELECT
     const sanitizedQuery = query.trim().toLowerCase();
     if (!sanitizedQuery.startsWith('select')) {
@@ -482,68 +1648,31 @@ app.post('/api/query', async (req, res) => {
       });
     }
 
-    // Buscar archivos CSV de la tabla en DynamoDB
-    const params = {
-      TableName: DDB_TABLE,
-      FilterExpression: 'tableName = :tableName',
-      ExpressionAttributeValues: {
-        ':tableName': tableName
-      }
-    };
+    // Parsear la consulta a un AST antes de tocar S3
+    const ast = parseQuery(query);
+    const referencedTables = getReferencedTables(ast);
 
-    const catalogResult = await dynamodb.scan(params).promise();
-    
-    if (!catalogResult.Items || catalogResult.Items.length === 0) {
-      return res.status(404).json({
+    // Las tablas se toman del FROM/JOIN; tableName solo se usa si la consulta no nombra ninguna
+    const tableNames = referencedTables.length > 0
+      ? referencedTables
+      : (tableName && tableName.trim() ? [tableName.trim()] : []);
+
+    if (tableNames.length === 0) {
+      return res.status(400).json({ 
         success: false,
-        error: `No se encontraron archivos para la tabla ${tableName}`
+        error: 'Nombre de tabla es requerido' 
       });
     }
 
-    console.log('[INFO] Archivos encontrados:', catalogResult.Items.length);
-
-    // Leer el primer archivo CSV desde S3
-    const fileInfo = catalogResult.Items[0];
-    const s3Params = {
-      Bucket: RAW_BUCKET,
-      Key: fileInfo.s3Key
-    };
-
-    console.log('[INFO] Leyendo archivo CSV desde S3:', fileInfo.s3Key);
-    
-    const s3Object = await s3.getObject(s3Params).promise();
-    const csvContent = s3Object.Body.toString('utf-8');
-    
-    // Parsear CSV de forma simple
-    const lines = csvContent.split('\n').filter(line => line.trim());
-    if (lines.length === 0) {
-      return res.json({
-        success: true,
-        data: [],
-        message: 'Archivo CSV vacío'
-      });
+    // Resolver cada tabla en el catálogo y cargar las filas de todos sus archivos
+    const tables = {};
+    for (const name of tableNames) {
+      tables[name] = await loadTable(name, ast);
     }
 
-    // Primera línea son headers
-    const headers = lines[0].split(',').map(h => h.trim().replace(/"/g, ''));
-    const dataRows = lines.slice(1);
-
-    // Convertir a objetos
-    let data = dataRows.map(line => {
-      const values = line.split(',').map(v => v.trim().replace(/"/g, ''));
-      const obj = {};
-      headers.forEach((header, index) => {
-        obj[header] = values[index] || '';
-      });
-      return obj;
-    });
-
-    // Aplicar LIMIT si existe en la query
-    const limitMatch = query.match(/LIMIT\s+(\d+)/i);
-    if (limitMatch) {
-      const limit = parseInt(limitMatch[1]);
-      data = data.slice(0, limit);
-    }
+    // Ejecutar la consulta sobre las filas de las tablas
+    const result = executeQuery(ast, tables);
+    const data = result.rows;
 
     const processingTime = Date.now() - startTime;
 
@@ -555,12 +1684,26 @@ app.post('/api/query', async (req, res) => {
     res.json({
       success: true,
       data: data,
+      columns: result.columns,
       executionTime: processingTime,
       rowCount: data.length,
-      message: `Consulta ejecutada sobre ${tableName}`
+      message: `Consulta ejecutada sobre ${tableNames
+        .map(name => `${name} (${tables[name].fileCount} archivo${tables[name].fileCount === 1 ? '' : 's'}, esquema v${tables[name].schemaVersion}${
+          tables[name].partsPruned > 0 ? `, ${tables[name].partsPruned} partes descartadas por partición` : ''})`)
+        .join(', ')}`
     });
 
   } catch (error) {
+    // Errores propios del sistema (consulta inválida, tabla inexistente, esquemas incompatibles)
+    if (ERROR_CODES[error.code]) {
+      console.log('[INFO] Consulta rechazada:', error.code, error.message);
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message,
+        details: error.details
+      });
+    }
+
     console.error('[ERROR] Error procesando consulta:', error);
     console.error('[ERROR] Stack trace:', error.stack);
     
@@ -619,6 +1762,7 @@ app.listen(PORT, () => {
   console.log('Configuración:');
   console.log(`- Región AWS: ${process.env.AWS_REGION || 'us-east-1'}`);
   console.log(`- Bucket Raw: ${RAW_BUCKET}`);
+  console.log(`- Bucket Curated: ${CURATED_BUCKET}`);
   console.log(`- Tabla DynamoDB: ${DDB_TABLE}`);
   console.log(`- Lambda ETL: ${LAMBDA_ETL_FUNCTION_NAME}`);
   console.log('=================================================');
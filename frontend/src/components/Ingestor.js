@@ -1,28 +1,481 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useDropzone } from 'react-dropzone';
 import Papa from 'papaparse';
+import * as XLSX from 'xlsx';
+import { gunzipSync, unzipSync } from 'fflate';
 import { toast } from 'react-toastify';
-import { FaUpload, FaEye, FaEdit, FaSave, FaTrash, FaCloudUploadAlt, FaCogs, FaTable, FaCheckCircle, FaClock, FaFileAlt, FaDatabase, FaPlay } from 'react-icons/fa';
+import { FaUpload, FaEye, FaEdit, FaSave, FaTrash, FaCloudUploadAlt, FaCogs, FaTable, FaCheckCircle, FaClock, FaFileAlt, FaDatabase, FaPlay, FaMagic, FaCalculator } from 'react-icons/fa';
 import axios from 'axios';
 
+// Etiquetas de las etapas de los trabajos de ingesta
+const JOB_STAGE_LABELS = {
+  uploaded: 'Subido',
+  validating: 'Validando',
+  transforming: 'Transformando',
+  cataloguing: 'Catalogando',
+  done: 'Completado',
+  failed: 'Fallido'
+};
+
+// Entradas máximas del log en vivo de cada trabajo
+const MAX_JOB_LOG_ENTRIES = 50;
+
+// Extensiones de los libros Excel aceptados
+const EXCEL_EXTENSIONS = ['.xlsx', '.xls'];
+
+// Filas iniciales examinadas al detectar la cabecera y filas de muestra para inferir el esquema
+const HEADER_SCAN_ROWS = 20;
+const SAMPLE_ROWS = 100;
+
+// Bytes iniciales de un CSV que se envían al backend para detectar su dialecto (mismo detector que el ETL)
+const DIALECT_SAMPLE_BYTES = 64 * 1024;
+
+// Caracteres de cada fin de línea y dialecto usado si no se puede detectar
+const LINE_ENDINGS = { lf: '\n', crlf: '\r\n', cr: '\r' };
+const DEFAULT_DIALECT = {
+  separator: ',',
+  quote: '"',
+  escape: '"',
+  encoding: 'utf-8',
+  lineEnding: 'lf',
+  hasHeader: true
+};
+
+// Filas de muestra de un CSV leídas como el ETL: sin las skipRows filas de preámbulo ni, si la muestra
+// llega al final del texto, las footerRows filas de pie. Sin cabecera las columnas se llaman col_1, col_2...
+const parseCsvSample = (text, options) => {
+  const skipRows = Number(options.skipRows) || 0;
+  const footerRows = Number(options.footerRows) || 0;
+  const result = Papa.parse(text, {
+    delimiter: options.separator === '\\t' ? '\t' : options.separator,
+    quoteChar: options.quote,
+    escapeChar: options.escape,
+    newline: LINE_ENDINGS[options.lineEnding],
+    preview: skipRows + SAMPLE_ROWS + 1 + footerRows
+  });
+
+  // Las líneas en blanco del preámbulo cuentan como filas omitidas, igual que en el ETL
+  let values = result.data.slice(skipRows).filter(row => row.length > 1 || row[0] !== '');
+  if (!result.meta.truncated) {
+    values = values.slice(0, Math.max(values.length - footerRows, 0));
+  }
+
+  const headers = options.hasHeader ? (values.shift() || []).map(header => header.trim()) : [];
+  const rows = values.slice(0, SAMPLE_ROWS).map(row => Object.fromEntries(row.map((value, index) => [
+    options.hasHeader ? (headers[index] !== undefined ? headers[index] : `_${index}`) : `col_${index + 1}`,
+    value
+  ])));
+
+  return { rows, errors: result.errors };
+};
+
+// Modos de escritura: cómo se combina el archivo con los ya cargados en su tabla
+const WRITE_MODE_LABELS = {
+  append: 'Añadir (append)',
+  overwrite: 'Reemplazar (overwrite)',
+  upsert: 'Combinar por clave (upsert)'
+};
+
+// Políticas ante filas que repiten una clave primaria o única del archivo o de la tabla
+const DUPLICATE_POLICY_LABELS = {
+  reject: 'Rechazar el archivo',
+  keep_first: 'Conservar la primera',
+  keep_last: 'Conservar la última',
+  quarantine: 'Apartar en cuarentena'
+};
+
+// Espera tras escribir el nombre de la tabla antes de cargar sus reglas de calidad
+const QUALITY_RULES_LOAD_DELAY_MS = 500;
+
+// Ejemplo mostrado en el editor de reglas de calidad de la tabla
+const QUALITY_RULES_EXAMPLE = '[{"name": "importe_positivo", "type": "condition", "condition": "amount >= 0", "severity": "error"}]';
+
+// Espera tras editar la tabla destino o su esquema antes de compararlo con el esquema actual
+const SCHEMA_CHECK_DELAY_MS = 500;
+
+// Cambios de cada columna frente al esquema actual de la tabla
+const SCHEMA_CHANGE_LABELS = {
+  unchanged: 'Sin cambios',
+  added: 'Nueva',
+  removed: 'Eliminada',
+  type_changed: 'Cambio de tipo',
+  required: 'Pasa a obligatoria',
+  modified: 'Definición modificada'
+};
+
+/**
+ * Construye las filas del diff entre el esquema actual de la tabla y el esquema editado
+ * @param {Object} check - Resultado de POST /api/schema/:tableName/compatibility
+ * @returns {Array} - Filas [{ column, change, from, to, compatible, message }]; las columnas sin cambios con change unchanged
+ */
+const getSchemaDiffRows = (check) => {
+  const changes = new Map(check.changes.map(change => [change.column, change]));
+  return [
+    ...check.currentSchema.map(field => changes.get(field.name) ||
+      { column: field.name, change: 'unchanged', from: field.type, to: field.type, compatible: true }),
+    ...check.changes.filter(change => change.change === 'added')
+  ];
+};
+
+// Tipos de columna a los que se aplican las reglas mínimo y máximo
+const RANGE_TYPES = ['integer', 'float', 'date'];
+
+/**
+ * Convierte los valores permitidos escritos separados por comas al tipo de la columna
+ * @param {string} text - Valores separados por comas
+ * @param {string} type - Tipo de la columna
+ * @returns {Array|undefined} - Valores, o undefined si no se indicó ninguno
+ */
+const parseAllowedValues = (text, type) => {
+  const values = text.split(',').map(value => value.trim()).filter(value => value !== '');
+  if (values.length === 0) {
+    return undefined;
+  }
+  return type === 'integer' || type === 'float' ? values.map(Number) : values;
+};
+
+// Transformaciones de columna que aplica la Lambda a cada valor antes de validarlo
+const COLUMN_TRANSFORM_OPTIONS = [
+  { value: 'trim', label: 'Quitar espacios' },
+  { value: 'upper', label: 'Mayúsculas' },
+  { value: 'lower', label: 'Minúsculas' },
+  { value: 'regex_replace', label: 'Reemplazar (regex)' },
+  { value: 'default', label: 'Valor por defecto' },
+  { value: 'date_format', label: 'Leer fecha con formato' },
+  { value: 'multiply', label: 'Multiplicar (unidades)' },
+  { value: 'map', label: 'Tabla de valores' }
+];
+
+// Parámetros con los que se crea cada transformación al añadirla
+const COLUMN_TRANSFORM_DEFAULTS = {
+  regex_replace: { pattern: '', replacement: '' },
+  default: { value: '' },
+  date_format: { format: 'DD/MM/YYYY' },
+  multiply: { factor: 1 },
+  map: { values: {} }
+};
+
+/**
+ * Convierte una tabla de valores escrita como "origen=destino" separados por comas
+ * @param {string} text - Pares separados por comas, p. ej. A=activo, I=inactivo
+ * @returns {Object} - Tabla { origen: destino }
+ */
+const parseMapValues = (text) => Object.fromEntries(text.split(',')
+  .map(pair => pair.split('='))
+  .filter(parts => parts.length === 2 && parts[0].trim() !== '')
+  .map(([from, to]) => [from.trim(), to.trim()]));
+
+const formatMapValues = (values) => Object.entries(values || {}).map(([from, to]) => `${from}=${to}`).join(', ');
+
+// Filas de muestra que se envían a la vista previa de las transformaciones
+const TRANSFORM_PREVIEW_ROWS = 10;
+
+// Extensiones de los datasets JSON: array de objetos o un objeto por línea (NDJSON)
+const JSON_EXTENSIONS = ['.json', '.ndjson', '.jsonl'];
+
+const isExcelFile = (fileName) => EXCEL_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+const isJsonFile = (fileName) => JSON_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+// Extensiones de los formatos con esquema embebido (Parquet y Avro), que se lee en el backend
+const EMBEDDED_SCHEMA_EXTENSIONS = ['.parquet', '.avro'];
+
+const isEmbeddedSchemaFile = (fileName) => EMBEDDED_SCHEMA_EXTENSIONS.some(extension => fileName.toLowerCase().endsWith(extension));
+
+// Compresiones de un único archivo; se descomprimen para analizar su contenido
+const COMPRESSED_EXTENSIONS = ['.gz', '.bz2'];
+
+const isZipFile = (fileName) => fileName.toLowerCase().endsWith('.zip');
+
+const stripCompressionExtension = (fileName) => fileName.replace(/\.(gz|bz2)$/i, '');
+
+const isDataFile = (fileName) => {
+  const name = stripCompressionExtension(fileName);
+  return name.toLowerCase().endsWith('.csv') || isExcelFile(name) || isJsonFile(name) || isEmbeddedSchemaFile(name);
+};
+
+// Mismas reglas que el ETL: se ignoran directorios, archivos ocultos y los metadatos que añade macOS
+const isZipDataEntry = (entryName) => !entryName.endsWith('/') &&
+  !entryName.startsWith('__MACOSX/') &&
+  !entryName.split('/').pop().startsWith('.') &&
+  isDataFile(entryName);
+
+// Nombre de un archivo sin directorio, compresión ni extensión de datos
+const getBaseName = (fileName) => stripCompressionExtension(fileName.split('/').pop())
+  .replace(/\.(zip|csv|xlsx|xls|json|ndjson|jsonl|parquet|avro)$/i, '');
+
+// Archivo a analizar: un gzip o bzip2 se sustituye por el archivo que contiene
+// El gzip se descomprime en el navegador; el bzip2, que no tiene descompresor en el navegador, en el backend
+const decompressFile = async (file) => {
+  const name = file.name.toLowerCase();
+  if (!COMPRESSED_EXTENSIONS.some(extension => name.endsWith(extension))) return file;
+
+  let content;
+  if (name.endsWith('.gz')) {
+    content = gunzipSync(new Uint8Array(await file.arrayBuffer()));
+  } else {
+    const formData = new FormData();
+    formData.append('file', file);
+    content = (await axios.post('/api/decompress', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+      responseType: 'arraybuffer'
+    })).data;
+  }
+  return new File([content], stripCompressionExtension(file.name));
+};
+
+const isEmptyCell = (value) => value === null || value === undefined || value === '';
+
+// Misma regla que el lector Excel del ETL: primera fila con el máximo de celdas y todas de texto
+const detectHeaderRow = (rows) => {
+  const filled = rows.slice(0, HEADER_SCAN_ROWS).map(row => row.filter(value => !isEmptyCell(value)));
+  const maxCells = Math.max(0, ...filled.map(values => values.length));
+  if (maxCells === 0) return 1;
+
+  const header = filled.findIndex(values => values.length === maxCells && values.every(value => typeof value === 'string'));
+  return header !== -1 ? header + 1 : filled.findIndex(values => values.length > 0) + 1;
+};
+
+// Registros de muestra de un dataset JSON: un array de objetos, un único objeto o un objeto por línea
+const parseJsonRecords = (text) => {
+  const content = text.replace(/^\uFEFF/, '').trim();
+  if (content.startsWith('[')) {
+    return JSON.parse(content).slice(0, SAMPLE_ROWS);
+  }
+  try {
+    return [JSON.parse(content)];
+  } catch (error) {
+    return content.split(/\r?\n/)
+      .filter(line => line.trim() !== '')
+      .slice(0, SAMPLE_ROWS)
+      .map(line => JSON.parse(line));
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Mismo aplanado que el lector JSON del ETL: objetos anidados en columnas `padre.hijo`, arrays como
+// texto JSON salvo los que se expanden en una fila por elemento. Registra en arrayPaths los arrays vistos
+const flattenJsonRecord = (record, explodeArrays, arrayPaths) => {
+  const explode = (current, [key, ...rest]) => {
+    const value = current[key];
+    if (rest.length > 0) {
+      return isPlainObject(value) ? explode(value, rest).map(nested => ({ ...current, [key]: nested })) : [current];
+    }
+    if (Array.isArray(value) && value.length > 0) {
+      return value.map(element => ({ ...current, [key]: element }));
+    }
+    // Sin elementos el campo se omite y las columnas de sus elementos quedan en NULL
+    const { [key]: _omitted, ...others } = current;
+    return [others];
+  };
+
+  const flatten = (value, prefix, row) => {
+    if (isPlainObject(value)) {
+      Object.entries(value).forEach(([key, nested]) => flatten(nested, prefix ? `${prefix}.${key}` : key, row));
+    } else if (Array.isArray(value)) {
+      arrayPaths.add(prefix);
+      row[prefix] = JSON.stringify(value);
+    } else {
+      row[prefix] = value === undefined ? null : value;
+    }
+    return row;
+  };
+
+  let records = [record];
+  for (const path of explodeArrays) {
+    records = records.flatMap(current => explode(current, path.split('.')));
+  }
+  return records.map(current => flatten(current, '', {}));
+};
+
+// Filas de una hoja como arrays de valores, empezando por la fila 1 del libro
+const getSheetRows = (workbook, sheetName) => XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+  header: 1,
+  range: 0,
+  raw: true,
+  defval: null,
+  blankrows: true
+});
+
+const formatBytes = (bytes) => {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / Math.pow(1024, exponent)).toFixed(exponent === 0 ? 0 : 1)} ${units[exponent]}`;
+};
+
 function Ingestor() {
   const [files, setFiles] = useState([]);
   const [currentFile, setCurrentFile] = useState(null);
   const [schema, setSchema] = useState([]);
   const [uploadConfig, setUploadConfig] = useState({
     separator: ',',
+    quote: '"',
+    escape: '"',
+    encoding: 'utf-8',
+    lineEnding: 'lf',
+    hasHeader: true,
+    skipRows: 0,
+    footerRows: 0,
     directory: '',
     tableName: '',
-    description: ''
+    description: '',
+    partitionSpec: [],
+    explodeArrays: [],
+    writeMode: 'append',
+    duplicatePolicy: 'reject',
+    errorThreshold: null,
+    newSchemaVersion: false,
+    author: '',
+    schemaDescription: ''
   });
   const [isAnalyzing, setIsAnalyzing] = useState(false);
   const [isUploading, setIsUploading] = useState(false);
+  const [uploadProgress, setUploadProgress] = useState(0);
+  const [jobs, setJobs] = useState([]);
+  const [excelBook, setExcelBook] = useState(null);
+  const [jsonPreview, setJsonPreview] = useState(null);
+  const [csvPreview, setCsvPreview] = useState(null);
+  const [embeddedFile, setEmbeddedFile] = useState(null);
+  const [zipArchive, setZipArchive] = useState(null);
+  // Campo del esquema cuyas reglas de validación se están editando
+  const [rulesField, setRulesField] = useState(null);
+  // Campo del esquema cuyas transformaciones se están editando
+  const [transformsField, setTransformsField] = useState(null);
+  // Filas de muestra con las transformaciones aplicadas por el backend
+  const [transformPreview, setTransformPreview] = useState(null);
+  // Reglas de calidad de la tabla destino, editadas como JSON
+  const [qualityRules, setQualityRules] = useState({ tableName: '', text: '[]' });
+  // Compatibilidad del esquema editado con el esquema actual de la tabla destino
+  const [schemaCheck, setSchemaCheck] = useState(null);
+  const eventSources = useRef({});
 
   // Cargar archivos existentes al montar el componente
   useEffect(() => {
     loadExistingFiles();
+    const sources = eventSources.current;
+    return () => {
+      Object.values(sources).forEach(source => source.close());
+    };
   }, []);
 
+  // Cargar las reglas de calidad de la tabla destino cuando se deja de escribir su nombre
+  useEffect(() => {
+    const tableName = uploadConfig.tableName.trim();
+    if (!tableName) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await axios.get(`/api/tables/${encodeURIComponent(tableName)}/rules`);
+        setQualityRules({ tableName, text: JSON.stringify(response.data.rules, null, 2) });
+      } catch (error) {
+        console.error('[FRONTEND] Error al cargar las reglas de calidad:', error);
+      }
+    }, QUALITY_RULES_LOAD_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [uploadConfig.tableName]);
+
+  // Comparar el esquema editado con el esquema actual de la tabla destino
+  useEffect(() => {
+    const tableName = uploadConfig.tableName.trim();
+    if (!tableName || schema.length === 0 || schema.some(field => !field.name)) {
+      setSchemaCheck(null);
+      return undefined;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        // Se envía la definición completa de cada campo: cualquier cambio crea una versión del esquema
+        const response = await axios.post(`/api/schema/${encodeURIComponent(tableName)}/compatibility`, {
+          schema
+        });
+        setSchemaCheck(response.data);
+      } catch (error) {
+        console.error('[FRONTEND] Error al comprobar la compatibilidad del esquema:', error);
+        setSchemaCheck(null);
+      }
+    }, SCHEMA_CHECK_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [uploadConfig.tableName, schema]);
+
+  // La vista previa de las transformaciones deja de valer al editar el esquema
+  useEffect(() => {
+    setTransformPreview(null);
+  }, [schema]);
+
+  // Actualiza el estado de un trabajo y añade, opcionalmente, una entrada a su log
+  const updateJob = (jobId, changes, logEntry = null) => {
+    setJobs(prev => prev.map(job => {
+      if (job.jobId !== jobId) return job;
+      const log = logEntry
+        ? [...job.log, { time: new Date().toLocaleTimeString(), ...logEntry }].slice(-MAX_JOB_LOG_ENTRIES)
+        : job.log;
+      return { ...job, ...changes, log };
+    }));
+  };
+
+  // Suscribirse a los eventos en vivo del trabajo hasta que termine (done) o falle (failed)
+  const subscribeToJob = (jobId, fileName) => {
+    const source = new EventSource(`/api/jobs/${jobId}/events`);
+    eventSources.current[jobId] = source;
+    let lastStage = null;
+
+    const close = () => {
+      source.close();
+      delete eventSources.current[jobId];
+    };
+
+    source.addEventListener('progress', (event) => {
+      const data = JSON.parse(event.data);
+      console.log('[FRONTEND] Progreso del trabajo:', jobId, data.stage, `${data.progress}%`);
+
+      const message = data.stage === 'transforming' && data.rowsProcessed > 0
+        ? `${data.rowsProcessed.toLocaleString()} filas procesadas (${formatBytes(data.bytesProcessed)} de ${formatBytes(data.totalBytes)})`
+        : `Etapa: ${JOB_STAGE_LABELS[data.stage] || data.stage}`;
+      updateJob(jobId, {
+        stage: data.stage,
+        progress: data.progress,
+        rowsProcessed: data.rowsProcessed,
+        bytesProcessed: data.bytesProcessed,
+        totalBytes: data.totalBytes
+      }, data.stage !== lastStage || data.stage === 'transforming' ? { level: 'info', message } : null);
+      lastStage = data.stage;
+    });
+
+    source.addEventListener('warning', (event) => {
+      const data = JSON.parse(event.data);
+      updateJob(jobId, {}, { level: 'warning', message: data.message });
+    });
+
+    source.addEventListener('done', (event) => {
+      const data = JSON.parse(event.data);
+      close();
+      updateJob(jobId, { stage: 'done', progress: 100, finished: true },
+        { level: 'success', message: `Procesamiento completado: ${(data.rowCount ?? 0).toLocaleString()} filas` });
+      toast.success(`${fileName} procesado correctamente (${data.rowCount ?? 0} filas)`);
+      loadExistingFiles();
+    });
+
+    source.addEventListener('failed', (event) => {
+      const data = JSON.parse(event.data);
+      const errorMessage = data.errorInfo?.error || 'error desconocido';
+      close();
+      updateJob(jobId, { stage: 'failed', finished: true }, { level: 'error', message: errorMessage });
+      toast.error(`Error procesando ${fileName}: ${errorMessage}`);
+      loadExistingFiles();
+    });
+
+    // EventSource reintenta la conexión automáticamente
+    source.onerror = () => {
+      console.warn('[FRONTEND] Conexión de eventos interrumpida, reintentando:', jobId);
+    };
+  };
+
+  const dismissJob = (jobId) => {
+    setJobs(prev => prev.filter(job => job.jobId !== jobId));
+  };
+
   const loadExistingFiles = async () => {
     try {
       console.log('[FRONTEND] Iniciando carga de archivos existentes...');
@@ -86,58 +539,58 @@ function Ingestor() {
       lastModified: file.lastModified
     });
     
-    if (!file.name.toLowerCase().endsWith('.csv')) {
-      console.error('[FRONTEND] Archivo no es CSV:', file.name);
-      toast.error('Solo se permiten archivos CSV');
+    const zip = isZipFile(file.name);
+    if (!zip && !isDataFile(file.name)) {
+      console.error('[FRONTEND] Archivo no es CSV, Excel, JSON, Parquet, Avro ni un comprimido de ellos:', file.name);
+      toast.error('Solo se permiten archivos CSV, Excel (.xlsx, .xls), JSON (.json, .ndjson, .jsonl), Parquet o Avro, ' +
+        'sin comprimir, con gzip (.gz) o bzip2 (.bz2), o agrupados en un zip');
       return;
     }
 
     setCurrentFile(file);
     setIsAnalyzing(true);
 
+    // Sugerir nombre de tabla basado en el nombre del archivo
+    const suggestedName = getBaseName(file.name).replace(/[^a-zA-Z0-9]/g, '_');
+
     try {
-      console.log('[FRONTEND] Leyendo contenido del archivo...');
-      // Leer y analizar el archivo CSV
-      const text = await file.text();
-      console.log('[FRONTEND] Archivo leído, tamaño del texto:', text.length, 'caracteres');
-      
-      console.log('[FRONTEND] Iniciando parsing con Papa Parse...');
-      const result = Papa.parse(text, {
-        header: true,
-        preview: 100, // Solo las primeras 100 filas para análisis
-        skipEmptyLines: true
-      });
+      if (zip) {
+        // Cada entrada de datos puede cargarse como su propia tabla o unirse con las demás
+        console.log('[FRONTEND] Leyendo entradas del zip...');
+        const archive = unzipSync(new Uint8Array(await file.arrayBuffer()), {
+          filter: entry => isZipDataEntry(entry.name)
+        });
+        const entryNames = Object.keys(archive);
+        if (entryNames.length === 0) {
+          toast.error('El zip no contiene archivos de datos (CSV, Excel, JSON, Parquet o Avro)');
+          return;
+        }
 
-      console.log('[FRONTEND] Resultado del parsing:', {
-        dataRows: result.data.length,
-        errors: result.errors.length,
-        meta: result.meta
-      });
+        const tables = {};
+        for (const entryName of entryNames) {
+          tables[entryName] = {
+            include: true,
+            tableName: `${suggestedName}_${cleanColumnName(getBaseName(entryName))}`,
+            schema: null,
+            partitionSpec: []
+          };
+        }
+        console.log('[FRONTEND] Entradas del zip:', entryNames);
 
-      if (result.errors.length > 0) {
-        console.error('[FRONTEND] Errores en el parsing:', result.errors);
-        toast.error('Error al parsear el archivo CSV');
+        setZipArchive({
+          archive,
+          entryNames,
+          activeEntry: entryNames[0],
+          tablePerEntry: false,
+          unionTableName: suggestedName,
+          tables
+        });
+        await analyzeFile(await getZipEntryFile(archive, entryNames[0]), suggestedName);
         return;
       }
 
-      console.log('[FRONTEND] Generando esquema automático...');
-      // Generar esquema automático
-      const autoSchema = generateSchema(result.data);
-      console.log('[FRONTEND] Esquema generado:', autoSchema);
-      setSchema(autoSchema);
-
-      // Sugerir nombre de tabla basado en el nombre del archivo
-      const suggestedName = file.name.replace('.csv', '').replace(/[^a-zA-Z0-9]/g, '_');
-      console.log('[FRONTEND] Nombre de tabla sugerido:', suggestedName);
-      
-      setUploadConfig(prev => ({
-        ...prev,
-        tableName: suggestedName,
-        directory: 'datasets'
-      }));
-
-      console.log('[FRONTEND] Análisis de archivo completado exitosamente');
-      toast.success('Archivo analizado correctamente');
+      setZipArchive(null);
+      await analyzeFile(await decompressFile(file), suggestedName);
     } catch (error) {
       console.error('[FRONTEND] Error al analizar archivo:', error);
       console.error('[FRONTEND] Detalles del error:', {
@@ -152,6 +605,195 @@ function Ingestor() {
     }
   };
 
+  // Archivo de una entrada del zip, descomprimido si la propia entrada es un gzip o bzip2
+  const getZipEntryFile = (archive, entryName) => decompressFile(new File([archive[entryName]], entryName.split('/').pop()));
+
+  // Analiza un archivo ya descomprimido con el lector de su formato y propone su esquema
+  const analyzeFile = async (file, suggestedName) => {
+    const excel = isExcelFile(file.name);
+    const json = isJsonFile(file.name);
+    const embedded = isEmbeddedSchemaFile(file.name);
+
+    if (embedded) {
+      // El esquema viene en los metadatos del archivo: se traduce en el backend a tipos del catálogo
+      console.log('[FRONTEND] Leyendo esquema embebido...');
+      const formData = new FormData();
+      formData.append('file', file);
+      let inspection;
+      try {
+        inspection = (await axios.post('/api/inspect', formData, {
+          headers: { 'Content-Type': 'multipart/form-data' }
+        })).data;
+      } catch (inspectError) {
+        console.error('[FRONTEND] Error leyendo esquema embebido:', inspectError);
+        toast.error(`No se pudo leer el esquema: ${inspectError.response?.data?.error || inspectError.message}`);
+        return;
+      }
+
+      const embeddedSchema = buildEmbeddedSchema(inspection.schema);
+      console.log('[FRONTEND] Esquema embebido:', embeddedSchema);
+      setExcelBook(null);
+      setJsonPreview(null);
+      setCsvPreview(null);
+      setEmbeddedFile({ format: inspection.format, rowCount: inspection.rowCount });
+      setSchema(embeddedSchema);
+      setUploadConfig(prev => ({
+        ...prev,
+        tableName: suggestedName,
+        directory: 'datasets',
+        partitionSpec: [],
+        explodeArrays: []
+      }));
+
+      toast.success(`Esquema ${inspection.format === 'avro' ? 'Avro' : 'Parquet'} leído: ${embeddedSchema.length} columnas`);
+      return;
+    }
+
+    setEmbeddedFile(null);
+
+    if (json) {
+      console.log('[FRONTEND] Leyendo dataset JSON...');
+      let records;
+      try {
+        records = parseJsonRecords(await file.text());
+      } catch (parseError) {
+        console.error('[FRONTEND] JSON inválido:', parseError);
+        toast.error(`JSON inválido: ${parseError.message}`);
+        return;
+      }
+
+      if (records.some(record => !isPlainObject(record))) {
+        toast.error('Cada registro JSON debe ser un objeto');
+        return;
+      }
+
+      const { schema: jsonSchema, arrayPaths } = analyzeJson(records, []);
+      console.log('[FRONTEND] Esquema JSON generado:', jsonSchema, 'arrays:', arrayPaths);
+      setExcelBook(null);
+      setCsvPreview(null);
+      setJsonPreview({ records, arrayPaths });
+      setSchema(jsonSchema);
+      setUploadConfig(prev => ({
+        ...prev,
+        tableName: suggestedName,
+        directory: 'datasets',
+        partitionSpec: [],
+        explodeArrays: []
+      }));
+
+      toast.success(`Archivo JSON analizado: ${records.length} registros de muestra`);
+      return;
+    }
+
+    setJsonPreview(null);
+    setCsvPreview(null);
+    setUploadConfig(prev => ({ ...prev, explodeArrays: [] }));
+
+    if (excel) {
+      console.log('[FRONTEND] Leyendo libro Excel...');
+      const workbook = XLSX.read(await file.arrayBuffer(), { cellDates: true });
+
+      // Cada hoja se analiza por separado: puede cargarse como su propia tabla
+      const tables = {};
+      for (const sheetName of workbook.SheetNames) {
+        const { headerRow, schema: sheetSchema } = analyzeSheet(workbook, sheetName);
+        tables[sheetName] = {
+          include: sheetSchema.length > 0,
+          tableName: `${suggestedName}_${cleanColumnName(sheetName)}`,
+          headerRow,
+          schema: sheetSchema,
+          partitionSpec: []
+        };
+      }
+      console.log('[FRONTEND] Hojas analizadas:', tables);
+
+      const activeSheet = workbook.SheetNames.find(sheetName => tables[sheetName].include) || workbook.SheetNames[0];
+      setExcelBook({
+        workbook,
+        sheetNames: workbook.SheetNames,
+        activeSheet,
+        tablePerSheet: false,
+        tables
+      });
+      setSchema(tables[activeSheet].schema);
+      setUploadConfig(prev => ({
+        ...prev,
+        tableName: tables[activeSheet].tableName,
+        directory: 'datasets',
+        partitionSpec: []
+      }));
+
+      toast.success(`Libro analizado: ${workbook.SheetNames.length} hoja(s)`);
+      return;
+    }
+
+    setExcelBook(null);
+
+    // Detectar separador, comillas, escape, codificación, fin de línea y cabecera con el inicio del archivo
+    console.log('[FRONTEND] Detectando dialecto CSV...');
+    let dialect;
+    try {
+      const formData = new FormData();
+      formData.append('file', file.slice(0, DIALECT_SAMPLE_BYTES), file.name);
+      dialect = (await axios.post('/api/inspect', formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      })).data.dialect;
+    } catch (inspectError) {
+      console.error('[FRONTEND] Error detectando dialecto:', inspectError);
+      toast.warning('No se pudo detectar el formato del CSV; se usan coma, comillas dobles y UTF-8');
+      dialect = DEFAULT_DIALECT;
+    }
+    console.log('[FRONTEND] Dialecto detectado:', dialect);
+
+    console.log('[FRONTEND] Leyendo contenido del archivo...');
+    // Leer y analizar el archivo CSV con su codificación (TextDecoder quita el BOM)
+    const text = new TextDecoder(dialect.encoding).decode(await file.arrayBuffer());
+    console.log('[FRONTEND] Archivo leído, tamaño del texto:', text.length, 'caracteres');
+    
+    console.log('[FRONTEND] Iniciando parsing con Papa Parse...');
+    // Un archivo nuevo empieza sin filas de preámbulo ni de pie; se ajustan después en la configuración
+    const { rows, errors } = parseCsvSample(text, { ...dialect, skipRows: 0, footerRows: 0 });
+
+    console.log('[FRONTEND] Resultado del parsing:', {
+      dataRows: rows.length,
+      errors: errors.length
+    });
+
+    if (errors.length > 0) {
+      console.error('[FRONTEND] Errores en el parsing:', errors);
+      toast.error('Error al parsear el archivo CSV');
+      return;
+    }
+
+    console.log('[FRONTEND] Generando esquema automático...');
+    // Generar esquema automático
+    const autoSchema = generateSchema(rows);
+    console.log('[FRONTEND] Esquema generado:', autoSchema);
+    setSchema(autoSchema);
+    setCsvPreview({ text });
+
+    console.log('[FRONTEND] Nombre de tabla sugerido:', suggestedName);
+    
+    setUploadConfig(prev => ({
+      ...prev,
+      tableName: suggestedName,
+      directory: 'datasets',
+      // El selector de separador guarda el tabulador escrito como \t
+      separator: dialect.separator === '\t' ? '\\t' : dialect.separator,
+      quote: dialect.quote,
+      escape: dialect.escape,
+      encoding: dialect.encoding,
+      lineEnding: dialect.lineEnding,
+      hasHeader: dialect.hasHeader,
+      skipRows: 0,
+      footerRows: 0
+    }));
+
+    console.log('[FRONTEND] Análisis de archivo completado exitosamente');
+    toast.success(`Archivo analizado correctamente (${dialect.encoding.toUpperCase()}${dialect.bom ? ' con BOM' : ''}, ` +
+      `${dialect.hasHeader ? 'con' : 'sin'} cabecera)`);
+  };
+
   const cleanColumnName = (columnName) => {
     if (!columnName) return '';
     
@@ -178,11 +820,14 @@ function Ingestor() {
   const generateSchema = (data) => {
     if (data.length === 0) return [];
 
-    const sampleRow = data[0];
+    // Los registros JSON pueden tener columnas distintas: se usan todas, en orden de aparición
+    const keys = [...new Set(data.flatMap(row => Object.keys(row)))];
     const schema = [];
     const usedNames = new Set();
 
-    for (const [key, value] of Object.entries(sampleRow)) {
+    for (const key of keys) {
+      const sampleRow = data.find(row => key in row);
+      const value = sampleRow[key];
       const type = inferDataType(value, data.map(row => row[key]));
       let cleanName = cleanColumnName(key);
       
@@ -207,8 +852,38 @@ function Ingestor() {
     return schema;
   };
 
+  // Esquema del editor a partir del esquema embebido de un Parquet o Avro
+  // Los campos anidados llegan como `padre.hijo`, que se conserva como nombre original
+  const buildEmbeddedSchema = (fields) => {
+    const usedNames = new Set();
+
+    return fields.map(field => {
+      const cleanName = cleanColumnName(field.name);
+      let finalName = cleanName;
+      let counter = 1;
+      while (usedNames.has(finalName)) {
+        finalName = `${cleanName}_${counter}`;
+        counter++;
+      }
+      usedNames.add(finalName);
+
+      return {
+        name: finalName,
+        originalName: field.name,
+        type: field.type,
+        nullable: field.nullable,
+        description: field.description
+      };
+    });
+  };
+
   const inferDataType = (value, allValues) => {
-    if (!value) return 'string';
+    if (isEmptyCell(value)) return 'string';
+
+    // Las celdas de Excel llegan ya tipadas
+    if (typeof value === 'boolean') return 'boolean';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'float';
+    if (value instanceof Date) return 'date';
 
     // Intentar detectar el tipo basado en el valor
     if (!isNaN(value) && value !== '') {
@@ -233,15 +908,225 @@ function Ingestor() {
     return 'string';
   };
 
+  // Analiza una hoja: fila de cabecera (detectada si no se indica), filas de muestra y esquema inferido de ellas
+  const analyzeSheet = (workbook, sheetName, headerRow = null) => {
+    const rows = getSheetRows(workbook, sheetName);
+    const header = headerRow || detectHeaderRow(rows);
+    const headers = (rows[header - 1] || []).map((value, index) => (
+      isEmptyCell(value) ? `columna_${index + 1}` : String(value).trim()
+    ));
+    const data = rows.slice(header)
+      .filter(row => row.some(value => !isEmptyCell(value)))
+      .slice(0, SAMPLE_ROWS)
+      .map(row => Object.fromEntries(headers.map((name, index) => [name, row[index] ?? null])));
+
+    return { headerRow: header, rows: data, schema: generateSchema(data) };
+  };
+
+  // Aplana los registros JSON de muestra e infiere el esquema de las columnas resultantes
+  const analyzeJson = (records, explodeArrays) => {
+    const arrayPaths = new Set(explodeArrays);
+    const rows = records
+      .flatMap(record => flattenJsonRecord(record, explodeArrays, arrayPaths))
+      .slice(0, SAMPLE_ROWS);
+    return { schema: generateSchema(rows), arrayPaths: [...arrayPaths] };
+  };
+
+  const setArrayExploded = (path, exploded) => {
+    // Los arrays contenedores se expanden antes que los anidados dentro de sus elementos
+    const explodeArrays = (exploded
+      ? [...uploadConfig.explodeArrays, path]
+      : uploadConfig.explodeArrays.filter(current => current !== path && !current.startsWith(`${path}.`))
+    ).sort((a, b) => a.split('.').length - b.split('.').length);
+
+    // Expandir un array cambia las columnas: se vuelve a inferir el esquema
+    const { schema: jsonSchema, arrayPaths } = analyzeJson(jsonPreview.records, explodeArrays);
+    setJsonPreview(prev => ({ ...prev, arrayPaths }));
+    setSchema(jsonSchema);
+    setUploadConfig(prev => ({ ...prev, explodeArrays, partitionSpec: [] }));
+  };
+
+  const changeCsvRows = (changes) => {
+    // La cabecera y las filas omitidas cambian las columnas: se vuelve a inferir el esquema
+    const { rows, errors } = parseCsvSample(csvPreview.text, { ...uploadConfig, ...changes });
+    if (errors.length > 0) {
+      console.error('[FRONTEND] Errores en el parsing:', errors);
+      toast.error('Error al parsear el archivo CSV');
+    }
+    setSchema(generateSchema(rows));
+    setUploadConfig(prev => ({ ...prev, ...changes, partitionSpec: [] }));
+  };
+
+  // Tablas del libro con la hoja activa actualizada (nombre, esquema y particiones en edición)
+  const getSheetTables = () => ({
+    ...excelBook.tables,
+    [excelBook.activeSheet]: {
+      ...excelBook.tables[excelBook.activeSheet],
+      tableName: uploadConfig.tableName,
+      schema,
+      partitionSpec: uploadConfig.partitionSpec
+    }
+  });
+
+  const selectSheet = (sheetName) => {
+    const tables = getSheetTables();
+    const table = tables[sheetName];
+    setExcelBook(prev => ({ ...prev, activeSheet: sheetName, tables }));
+    setSchema(table.schema);
+    setUploadConfig(prev => ({ ...prev, tableName: table.tableName, partitionSpec: table.partitionSpec }));
+  };
+
+  const changeHeaderRow = (value) => {
+    const headerRow = parseInt(value, 10);
+    if (!headerRow || headerRow < 1) return;
+
+    // Cambiar la cabecera cambia las columnas: se vuelve a inferir el esquema de la hoja
+    const { schema: sheetSchema } = analyzeSheet(excelBook.workbook, excelBook.activeSheet, headerRow);
+    setExcelBook(prev => ({
+      ...prev,
+      tables: {
+        ...prev.tables,
+        [prev.activeSheet]: { ...prev.tables[prev.activeSheet], headerRow }
+      }
+    }));
+    setSchema(sheetSchema);
+    setUploadConfig(prev => ({ ...prev, partitionSpec: [] }));
+  };
+
+  const toggleSheet = (sheetName, include) => {
+    setExcelBook(prev => ({
+      ...prev,
+      tables: {
+        ...prev.tables,
+        [sheetName]: { ...prev.tables[sheetName], include }
+      }
+    }));
+  };
+
+  // Tablas del zip con la entrada activa actualizada; el nombre solo es suyo si cada entrada es una tabla
+  const getEntryTables = () => ({
+    ...zipArchive.tables,
+    [zipArchive.activeEntry]: {
+      ...zipArchive.tables[zipArchive.activeEntry],
+      ...(zipArchive.tablePerEntry ? { tableName: uploadConfig.tableName } : {}),
+      schema,
+      partitionSpec: uploadConfig.partitionSpec
+    }
+  });
+
+  const selectEntry = async (entryName) => {
+    const tables = getEntryTables();
+    const table = tables[entryName];
+    setZipArchive(prev => ({ ...prev, activeEntry: entryName, tables }));
+    setIsAnalyzing(true);
+
+    try {
+      // La entrada se analiza con el lector de su formato; si ya se editó se conserva su esquema
+      await analyzeFile(await getZipEntryFile(zipArchive.archive, entryName), table.tableName);
+      if (table.schema) {
+        setSchema(table.schema);
+      }
+      setUploadConfig(prev => ({ ...prev, partitionSpec: table.partitionSpec }));
+    } catch (error) {
+      console.error('[FRONTEND] Error al analizar la entrada del zip:', entryName, error);
+      toast.error(`Error al analizar la entrada ${entryName}`);
+    } finally {
+      setIsAnalyzing(false);
+    }
+  };
+
+  const changeTablePerEntry = (tablePerEntry) => {
+    // La tabla de la unión y las de cada entrada conservan sus propios nombres
+    const tables = getEntryTables();
+    setZipArchive(prev => ({
+      ...prev,
+      tablePerEntry,
+      tables,
+      unionTableName: tablePerEntry ? uploadConfig.tableName : prev.unionTableName
+    }));
+    setUploadConfig(prev => ({
+      ...prev,
+      tableName: tablePerEntry ? tables[zipArchive.activeEntry].tableName : zipArchive.unionTableName
+    }));
+  };
+
+  const toggleEntry = (entryName, include) => {
+    setZipArchive(prev => ({
+      ...prev,
+      tables: {
+        ...prev.tables,
+        [entryName]: { ...prev.tables[entryName], include }
+      }
+    }));
+  };
+
   const updateSchemaField = (index, field, value) => {
     const newSchema = [...schema];
     newSchema[index] = { ...newSchema[index], [field]: value };
+    // Las columnas de la clave primaria no admiten valores nulos
+    if (field === 'primaryKey' && value) {
+      newSchema[index].nullable = false;
+    }
     setSchema(newSchema);
   };
 
   const removeSchemaField = (index) => {
     const newSchema = schema.filter((_, i) => i !== index);
     setSchema(newSchema);
+    setRulesField(null);
+    setTransformsField(null);
+  };
+
+  const addFieldTransform = (index, type) => {
+    const transforms = [...(schema[index].transforms || []), { type, ...COLUMN_TRANSFORM_DEFAULTS[type] }];
+    updateSchemaField(index, 'transforms', transforms);
+  };
+
+  const updateFieldTransform = (index, position, changes) => {
+    const transforms = schema[index].transforms.map((transform, i) => (
+      i === position ? { ...transform, ...changes } : transform
+    ));
+    updateSchemaField(index, 'transforms', transforms);
+  };
+
+  const removeFieldTransform = (index, position) => {
+    const transforms = schema[index].transforms.filter((_, i) => i !== position);
+    updateSchemaField(index, 'transforms', transforms.length > 0 ? transforms : undefined);
+  };
+
+  // Filas de muestra del archivo (o de la hoja o entrada activa) tal como las lee el ETL
+  const getSampleRows = () => {
+    if (csvPreview) {
+      return parseCsvSample(csvPreview.text, uploadConfig).rows;
+    }
+    if (jsonPreview) {
+      const arrayPaths = new Set();
+      return jsonPreview.records
+        .flatMap(record => flattenJsonRecord(record, uploadConfig.explodeArrays, arrayPaths))
+        .slice(0, SAMPLE_ROWS);
+    }
+    if (excelBook) {
+      const { headerRow } = excelBook.tables[excelBook.activeSheet];
+      return analyzeSheet(excelBook.workbook, excelBook.activeSheet, headerRow).rows;
+    }
+    return [];
+  };
+
+  // Aplica en el backend las transformaciones del esquema a las primeras filas del archivo
+  const previewTransforms = async () => {
+    const rows = getSampleRows().slice(0, TRANSFORM_PREVIEW_ROWS);
+    if (rows.length === 0) {
+      toast.error('No hay filas de muestra para este archivo');
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/transforms/preview', { schema, rows });
+      setTransformPreview(response.data.rows);
+    } catch (error) {
+      console.error('[FRONTEND] Error al previsualizar las transformaciones:', error);
+      toast.error(error.response?.data?.error || 'Error al previsualizar las transformaciones');
+    }
   };
 
   const addSchemaField = () => {
@@ -253,6 +1138,82 @@ function Ingestor() {
     }]);
   };
 
+  // Columna que la Lambda calcula en cada fila con una expresión sobre las columnas del archivo
+  const addDerivedField = () => {
+    setSchema([...schema, {
+      name: '',
+      type: 'float',
+      nullable: true,
+      description: '',
+      expression: ''
+    }]);
+  };
+
+  // Transformaciones de partición (las de periodo solo para columnas de fecha)
+  const partitionTransforms = [
+    { value: 'identity', label: 'Valor', dateOnly: false },
+    { value: 'year', label: 'Año', dateOnly: true },
+    { value: 'month', label: 'Mes', dateOnly: true },
+    { value: 'day', label: 'Día', dateOnly: true }
+  ];
+
+  const getSchemaFieldType = (column) => {
+    const field = schema.find(f => f.name === column);
+    return field ? field.type : null;
+  };
+
+  // Guarda en el catálogo las reglas de calidad de la tabla destino
+  const saveQualityRules = async () => {
+    const tableName = uploadConfig.tableName.trim();
+    let rules;
+    try {
+      rules = JSON.parse(qualityRules.text);
+    } catch (parseError) {
+      toast.error(`Las reglas de calidad no son un JSON válido: ${parseError.message}`);
+      return;
+    }
+
+    try {
+      const response = await axios.put(`/api/tables/${encodeURIComponent(tableName)}/rules`, { rules });
+      setQualityRules({ tableName, text: JSON.stringify(response.data.rules, null, 2) });
+      toast.success(`Reglas de calidad de ${tableName} guardadas`);
+    } catch (error) {
+      console.error('[FRONTEND] Error al guardar las reglas de calidad:', error);
+      toast.error(error.response?.data?.error || 'Error al guardar las reglas de calidad');
+    }
+  };
+
+  const addPartition = () => {
+    const dateField = schema.find(f => f.type === 'date');
+    const field = dateField || schema[0];
+    setUploadConfig(prev => ({
+      ...prev,
+      partitionSpec: [...prev.partitionSpec, {
+        column: field.name,
+        transform: dateField ? 'month' : 'identity'
+      }]
+    }));
+  };
+
+  const updatePartition = (index, key, value) => {
+    setUploadConfig(prev => {
+      const partitionSpec = [...prev.partitionSpec];
+      partitionSpec[index] = { ...partitionSpec[index], [key]: value };
+      // Al cambiar a una columna que no es fecha solo queda la partición por valor
+      if (key === 'column' && getSchemaFieldType(value) !== 'date') {
+        partitionSpec[index].transform = 'identity';
+      }
+      return { ...prev, partitionSpec };
+    });
+  };
+
+  const removePartition = (index) => {
+    setUploadConfig(prev => ({
+      ...prev,
+      partitionSpec: prev.partitionSpec.filter((_, i) => i !== index)
+    }));
+  };
+
   const handleUpload = async () => {
     console.log('[FRONTEND] Iniciando proceso de upload...');
     
@@ -262,45 +1223,148 @@ function Ingestor() {
       return;
     }
 
-    if (!uploadConfig.tableName || !uploadConfig.directory) {
-      console.error('[FRONTEND] Configuración incompleta:', uploadConfig);
-      toast.error('Completa el nombre de la tabla y directorio');
+    // Con un zip se unen las entradas seleccionadas o se carga cada una como su propia tabla
+    const entryTables = zipArchive ? getEntryTables() : null;
+    const zipEntries = zipArchive ? zipArchive.entryNames.filter(entryName => entryTables[entryName].include) : null;
+    const entries = zipArchive && zipArchive.tablePerEntry
+      ? zipEntries.map(entryName => ({
+        entryName,
+        tableName: entryTables[entryName].tableName,
+        schema: entryTables[entryName].schema,
+        partitionSpec: entryTables[entryName].partitionSpec
+      }))
+      : null;
+
+    if (zipEntries && zipEntries.length === 0) {
+      console.error('[FRONTEND] Ninguna entrada del zip seleccionada');
+      toast.error('Selecciona al menos una entrada del zip');
       return;
     }
 
-    if (schema.length === 0) {
-      console.error('[FRONTEND] Esquema vacío');
-      toast.error('Define al menos un campo en el esquema');
-      return;
+    // Con un libro Excel se puede cargar cada hoja seleccionada como su propia tabla
+    const sheetTables = excelBook ? getSheetTables() : null;
+    const sheets = !zipArchive && excelBook && excelBook.tablePerSheet
+      ? excelBook.sheetNames
+        .filter(sheetName => sheetTables[sheetName].include)
+        .map(sheetName => ({
+          sheetName,
+          tableName: sheetTables[sheetName].tableName,
+          headerRow: sheetTables[sheetName].headerRow,
+          schema: sheetTables[sheetName].schema,
+          partitionSpec: sheetTables[sheetName].partitionSpec
+        }))
+      : null;
+
+    if (sheets) {
+      if (!uploadConfig.directory || sheets.length === 0) {
+        console.error('[FRONTEND] Configuración incompleta:', uploadConfig, sheets);
+        toast.error('Completa el directorio y selecciona al menos una hoja');
+        return;
+      }
+
+      const incompleteSheet = sheets.find(sheet => !sheet.tableName || sheet.schema.length === 0);
+      if (incompleteSheet) {
+        console.error('[FRONTEND] Hoja incompleta:', incompleteSheet);
+        toast.error(`La hoja "${incompleteSheet.sheetName}" necesita nombre de tabla y al menos un campo`);
+        return;
+      }
+    } else if (entries) {
+      if (!uploadConfig.directory) {
+        console.error('[FRONTEND] Configuración incompleta:', uploadConfig, entries);
+        toast.error('Completa el directorio de destino');
+        return;
+      }
+
+      const incompleteEntry = entries.find(entry => !entry.tableName || !entry.schema || entry.schema.length === 0);
+      if (incompleteEntry) {
+        console.error('[FRONTEND] Entrada incompleta:', incompleteEntry);
+        toast.error(`La entrada "${incompleteEntry.entryName}" necesita nombre de tabla y al menos un campo; selecciónala para analizar su esquema`);
+        return;
+      }
+    } else {
+      if (!uploadConfig.tableName || !uploadConfig.directory) {
+        console.error('[FRONTEND] Configuración incompleta:', uploadConfig);
+        toast.error('Completa el nombre de la tabla y directorio');
+        return;
+      }
+
+      if (schema.length === 0) {
+        console.error('[FRONTEND] Esquema vacío');
+        toast.error('Define al menos un campo en el esquema');
+        return;
+      }
+
+      const invalidPartition = uploadConfig.partitionSpec.find(partition => !getSchemaFieldType(partition.column));
+      if (invalidPartition) {
+        console.error('[FRONTEND] Partición sobre columna inexistente:', invalidPartition);
+        toast.error(`La columna de partición "${invalidPartition.column}" no está en el esquema`);
+        return;
+      }
+
+      if (uploadConfig.writeMode === 'upsert' && !schema.some(field => field.primaryKey)) {
+        console.error('[FRONTEND] Upsert sin clave primaria en el esquema');
+        toast.error('El modo upsert necesita marcar al menos una columna como clave primaria (PK)');
+        return;
+      }
+
+      if (schemaCheck && !schemaCheck.compatible && !uploadConfig.newSchemaVersion) {
+        console.error('[FRONTEND] Esquema incompatible con la tabla:', schemaCheck.changes);
+        toast.error(`El esquema no es compatible con la versión ${schemaCheck.currentVersion} de ${schemaCheck.tableName}; ` +
+          'revisa los cambios o crea una nueva versión del esquema');
+        return;
+      }
     }
 
     console.log('[FRONTEND] Validaciones pasadas, preparando upload:', {
       fileName: currentFile.name,
       fileSize: currentFile.size,
       config: uploadConfig,
-      schemaFields: schema.length
+      schemaFields: schema.length,
+      sheets: sheets ? sheets.map(sheet => sheet.sheetName) : null,
+      zipEntries
     });
 
     setIsUploading(true);
+    setUploadProgress(0);
 
     try {
       // Crear FormData con el archivo y metadatos
       console.log('[FRONTEND] Creando FormData...');
       const formData = new FormData();
       formData.append('file', currentFile);
-      formData.append('config', JSON.stringify(uploadConfig));
-      formData.append('schema', JSON.stringify(schema));
+      const fileConfig = excelBook ? {
+        ...uploadConfig,
+        sheetName: excelBook.activeSheet,
+        headerRow: sheetTables[excelBook.activeSheet].headerRow
+      } : uploadConfig;
+      formData.append('config', JSON.stringify(zipArchive && !zipArchive.tablePerEntry
+        ? { ...fileConfig, entries: zipEntries }
+        : fileConfig));
+      if (sheets) {
+        formData.append('sheets', JSON.stringify(sheets));
+      } else if (entries) {
+        formData.append('entries', JSON.stringify(entries));
+      } else {
+        formData.append('schema', JSON.stringify(schema));
+      }
       
       console.log('[FRONTEND] FormData creado:', {
         hasFile: formData.has('file'),
         hasConfig: formData.has('config'),
-        hasSchema: formData.has('schema')
+        hasSchema: formData.has('schema'),
+        hasSheets: formData.has('sheets'),
+        hasEntries: formData.has('entries')
       });
 
       console.log('[FRONTEND] Enviando petición POST a /api/upload...');
       const response = await axios.post('/api/upload', formData, {
         headers: {
           'Content-Type': 'multipart/form-data'
+        },
+        onUploadProgress: (event) => {
+          if (event.total) {
+            setUploadProgress(Math.round((event.loaded / event.total) * 100));
+          }
         }
       });
 
@@ -310,18 +1374,62 @@ function Ingestor() {
         data: response.data
       });
 
-      toast.success('Archivo subido correctamente');
+      // El procesamiento ETL continúa en segundo plano (un trabajo por tabla); su avance llega por eventos
+      const { jobs: queuedJobs, stage, progress } = response.data;
+      setJobs(prev => [...queuedJobs.map(job => ({
+        jobId: job.jobId,
+        fileName: job.sheetName || (job.entries && job.entries.length === 1)
+          ? `${currentFile.name} (${job.sheetName || job.entries[0]})`
+          : currentFile.name,
+        tableName: job.tableName,
+        stage,
+        progress,
+        rowsProcessed: 0,
+        bytesProcessed: 0,
+        totalBytes: currentFile.size,
+        finished: false,
+        log: [{
+          time: new Date().toLocaleTimeString(),
+          level: 'info',
+          message: `Archivo subido (${formatBytes(currentFile.size)}); procesamiento en cola`
+        }]
+      })), ...prev]);
+      toast.info(queuedJobs.length > 1
+        ? `Archivo subido; procesando ${queuedJobs.length} tablas en segundo plano`
+        : 'Archivo subido; procesando en segundo plano');
+      queuedJobs.forEach(job => subscribeToJob(job.jobId, currentFile.name));
       
       // Limpiar formulario
       console.log('[FRONTEND] Limpiando formulario...');
       setCurrentFile(null);
       setSchema([]);
-      setUploadConfig({
+      setExcelBook(null);
+      setJsonPreview(null);
+      setCsvPreview(null);
+      setEmbeddedFile(null);
+      setZipArchive(null);
+      // El autor de las versiones del esquema se mantiene entre subidas
+      setUploadConfig(prev => ({
         separator: ',',
+        quote: '"',
+        escape: '"',
+        encoding: 'utf-8',
+        lineEnding: 'lf',
+        hasHeader: true,
+        skipRows: 0,
+        footerRows: 0,
         directory: '',
         tableName: '',
-        description: ''
-      });
+        description: '',
+        partitionSpec: [],
+        explodeArrays: [],
+        writeMode: 'append',
+        duplicatePolicy: 'reject',
+        errorThreshold: null,
+        newSchemaVersion: false,
+        author: prev.author,
+        schemaDescription: ''
+      }));
 
       // Recargar archivos
       console.log('[FRONTEND] Recargando lista de archivos...');
@@ -367,7 +1475,16 @@ function Ingestor() {
   const { getRootProps, getInputProps, isDragActive } = useDropzone({
     onDrop,
     accept: {
-      'text/csv': ['.csv']
+      'text/csv': ['.csv'],
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+      'application/vnd.ms-excel': ['.xls'],
+      'application/json': ['.json'],
+      'application/x-ndjson': ['.ndjson', '.jsonl'],
+      'application/vnd.apache.parquet': ['.parquet'],
+      'application/avro': ['.avro'],
+      'application/gzip': ['.gz'],
+      'application/x-bzip2': ['.bz2'],
+      'application/zip': ['.zip']
     },
     multiple: false
   });
@@ -382,7 +1499,7 @@ function Ingestor() {
             Carga de Datos
           </h1>
           <p className="ingestor-subtitle">
-            Sube, configura y procesa tus archivos CSV de manera inteligente
+            Sube, configura y procesa tus archivos CSV, Excel y JSON de manera inteligente
           </p>
         </div>
         
@@ -446,12 +1563,60 @@ function Ingestor() {
                   <div className="file-details">
                     <div className="detail-item">
                       <span className="detail-label">Tabla:</span>
-                      <span className="detail-value">{file.tableName}</span>
+                      <span className="detail-value">{file.tableName} · esquema v{file.schemaVersion}</span>
                     </div>
                     <div className="detail-item">
                       <span className="detail-label">Directorio:</span>
                       <span className="detail-value">{file.directory}</span>
                     </div>
+                    <div className="detail-item">
+                      <span className="detail-label">Escritura:</span>
+                      <span className="detail-value">
+                        {WRITE_MODE_LABELS[file.writeMode] || file.writeMode}
+                        {file.live === false && ' · reemplazado por un overwrite'}
+                      </span>
+                    </div>
+                    {file.validation && file.validation.rejectedRows > 0 && (
+                      <div className="detail-item">
+                        <span className="detail-label">Rechazadas:</span>
+                        <span className="detail-value">
+                          {file.validation.rejectedRows} de {file.validation.totalRows} filas no cumplen el esquema
+                        </span>
+                      </div>
+                    )}
+                    {file.duplicates && file.duplicates.duplicateCount > 0 && (
+                      <div className="detail-item">
+                        <span className="detail-label">Duplicados:</span>
+                        <span className="detail-value">
+                          {file.duplicates.duplicateCount} filas ({DUPLICATE_POLICY_LABELS[file.duplicates.policy] || file.duplicates.policy})
+                          {file.quarantine && ` · en ${file.quarantine.key}`}
+                        </span>
+                      </div>
+                    )}
+                    {file.quality && (
+                      <div className="detail-item">
+                        <span className="detail-label">Calidad:</span>
+                        <span className={`detail-value ${file.quality.passed ? 'quality-passed' : 'quality-failed'}`}>
+                          {file.quality.rulesPassed} de {file.quality.rules.length} reglas cumplidas
+                        </span>
+                      </div>
+                    )}
+                    {file.quality && file.quality.rulesFailed > 0 && (
+                      <details className="quality-report">
+                        <summary>Reglas incumplidas</summary>
+                        {file.quality.rules.filter(rule => !rule.passed).map(rule => (
+                          <div key={rule.name} className={`quality-rule quality-${rule.severity}`}>
+                            <strong>{rule.name}</strong> ({rule.severity}) · {rule.description}
+                            {rule.message && <div>{rule.message}</div>}
+                            {rule.samples.map(sample => (
+                              <code key={sample.rowNumber} className="quality-sample">
+                                Fila {sample.rowNumber}: {JSON.stringify(sample.row)}
+                              </code>
+                            ))}
+                          </div>
+                        ))}
+                      </details>
+                    )}
                   </div>
                 </div>
                 
@@ -469,6 +1634,49 @@ function Ingestor() {
         )}
       </div>
 
+      {/* Trabajos de ingesta en curso con progreso y log en vivo */}
+      {jobs.length > 0 && (
+        <div className="jobs-section">
+          <div className="section-header">
+            <h3 className="section-title">
+              <FaCogs className="section-icon" />
+              Procesamiento en curso
+            </h3>
+          </div>
+
+          {jobs.map(job => (
+            <div key={job.jobId} className={`job-card job-${job.stage}`}>
+              <div className="job-header">
+                <div>
+                  <h4 className="file-name">{job.fileName}</h4>
+                  <small className="job-meta">
+                    {job.tableName} · {JOB_STAGE_LABELS[job.stage] || job.stage} · {job.rowsProcessed.toLocaleString()} filas
+                  </small>
+                </div>
+                {job.finished && (
+                  <button className="remove-field-btn" onClick={() => dismissJob(job.jobId)} title="Ocultar">
+                    <FaTrash />
+                  </button>
+                )}
+              </div>
+
+              <div className="job-progress">
+                <div className="job-progress-bar" style={{ width: `${job.progress}%` }}></div>
+              </div>
+              <div className="job-progress-label">{job.progress}%</div>
+
+              <ul className="job-log">
+                {job.log.map((entry, index) => (
+                  <li key={index} className={`job-log-${entry.level}`}>
+                    <span className="job-log-time">{entry.time}</span> {entry.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Zona de subida - Modernizada */}
       <div className="upload-section">
         <div className="section-header">
@@ -506,8 +1714,8 @@ function Ingestor() {
                 <FaCloudUploadAlt />
               </div>
               <div className="upload-content">
-                <h4>Arrastra tu archivo CSV aquí</h4>
-                <p>o haz clic para seleccionar desde tu dispositivo</p>
+                <h4>Arrastra tu archivo CSV, Excel, JSON, Parquet o Avro aquí</h4>
+                <p>o haz clic para seleccionar desde tu dispositivo; también comprimido (.gz, .bz2) o en un .zip</p>
                 <div className="upload-features">
                   <span className="feature">✨ Detección automática de esquema</span>
                   <span className="feature">🔍 Validación en tiempo real</span>
@@ -527,22 +1735,224 @@ function Ingestor() {
             </h4>
             
             <div className="config-grid">
-              <div className="config-field">
-                <label className="config-label">
-                  <FaEdit className="label-icon" />
-                  Separador CSV
-                </label>
-                <select 
-                  className="config-input"
-                  value={uploadConfig.separator}
-                  onChange={(e) => setUploadConfig(prev => ({ ...prev, separator: e.target.value }))}
-                >
-                  <option value=",">Coma (,)</option>
-                  <option value=";">Punto y coma (;)</option>
-                  <option value="\t">Tab (\t)</option>
-                  <option value="|">Pipe (|)</option>
-                </select>
-              </div>
+              {zipArchive && (
+                <div className="config-field">
+                  <label className="config-label">
+                    <FaDatabase className="label-icon" />
+                    Entradas del zip
+                  </label>
+                  <select
+                    className="config-input"
+                    value={zipArchive.tablePerEntry ? 'entries' : 'union'}
+                    onChange={(e) => changeTablePerEntry(e.target.value === 'entries')}
+                  >
+                    <option value="union">Unir en una sola tabla</option>
+                    <option value="entries">Una tabla por entrada</option>
+                  </select>
+                </div>
+              )}
+
+              {excelBook ? (
+                <>
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaTable className="label-icon" />
+                      Hoja
+                    </label>
+                    <select
+                      className="config-input"
+                      value={excelBook.activeSheet}
+                      onChange={(e) => selectSheet(e.target.value)}
+                    >
+                      {excelBook.sheetNames.map(sheetName => (
+                        <option key={sheetName} value={sheetName}>{sheetName}</option>
+                      ))}
+                    </select>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaEdit className="label-icon" />
+                      Fila de cabecera
+                    </label>
+                    <input
+                      type="number"
+                      min="1"
+                      className="config-input"
+                      value={excelBook.tables[excelBook.activeSheet].headerRow}
+                      onChange={(e) => changeHeaderRow(e.target.value)}
+                    />
+                  </div>
+
+                  {!zipArchive && (
+                    <div className="config-field">
+                      <label className="config-label">
+                        <FaDatabase className="label-icon" />
+                        Tablas a crear
+                      </label>
+                      <select
+                        className="config-input"
+                        value={excelBook.tablePerSheet ? 'sheets' : 'single'}
+                        onChange={(e) => setExcelBook(prev => ({ ...prev, tablePerSheet: e.target.value === 'sheets' }))}
+                      >
+                        <option value="single">Solo la hoja seleccionada</option>
+                        <option value="sheets">Una tabla por hoja</option>
+                      </select>
+                    </div>
+                  )}
+                </>
+              ) : embeddedFile ? (
+                <div className="config-field">
+                  <label className="config-label">
+                    <FaTable className="label-icon" />
+                    Formato
+                  </label>
+                  <input
+                    type="text"
+                    className="config-input"
+                    value={`${embeddedFile.format === 'avro' ? 'Avro' : 'Parquet'}${
+                      embeddedFile.rowCount !== undefined ? ` (${embeddedFile.rowCount} filas)` : ''} · esquema del archivo`}
+                    readOnly
+                  />
+                </div>
+              ) : !jsonPreview && (
+                <>
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaEdit className="label-icon" />
+                      Separador CSV
+                    </label>
+                    <select 
+                      className="config-input"
+                      value={uploadConfig.separator}
+                      onChange={(e) => setUploadConfig(prev => ({ ...prev, separator: e.target.value }))}
+                    >
+                      <option value=",">Coma (,)</option>
+                      <option value=";">Punto y coma (;)</option>
+                      <option value="\t">Tab (\t)</option>
+                      <option value="|">Pipe (|)</option>
+                    </select>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaEdit className="label-icon" />
+                      Carácter de comillas
+                    </label>
+                    <select 
+                      className="config-input"
+                      value={uploadConfig.quote}
+                      onChange={(e) => setUploadConfig(prev => ({
+                        ...prev,
+                        quote: e.target.value,
+                        escape: prev.escape === prev.quote ? e.target.value : prev.escape
+                      }))}
+                    >
+                      <option value={'"'}>Comillas dobles (")</option>
+                      <option value="'">Comillas simples (')</option>
+                    </select>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaEdit className="label-icon" />
+                      Escape de comillas
+                    </label>
+                    <select
+                      className="config-input"
+                      value={uploadConfig.escape === '\\' ? 'backslash' : 'quote'}
+                      onChange={(e) => setUploadConfig(prev => ({
+                        ...prev,
+                        escape: e.target.value === 'backslash' ? '\\' : prev.quote
+                      }))}
+                    >
+                      <option value="quote">Comilla duplicada ("")</option>
+                      <option value="backslash">Barra invertida (\")</option>
+                    </select>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaFileAlt className="label-icon" />
+                      Codificación
+                    </label>
+                    <select 
+                      className="config-input"
+                      value={uploadConfig.encoding}
+                      onChange={(e) => setUploadConfig(prev => ({ ...prev, encoding: e.target.value }))}
+                    >
+                      <option value="utf-8">UTF-8</option>
+                      <option value="latin1">Latin-1 (ISO-8859-1)</option>
+                      <option value="windows-1252">Windows-1252</option>
+                      <option value="utf-16le">UTF-16 LE</option>
+                      <option value="utf-16be">UTF-16 BE</option>
+                    </select>
+                  </div>
+
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaFileAlt className="label-icon" />
+                      Fin de línea
+                    </label>
+                    <select
+                      className="config-input"
+                      value={uploadConfig.lineEnding}
+                      onChange={(e) => setUploadConfig(prev => ({ ...prev, lineEnding: e.target.value }))}
+                    >
+                      <option value="lf">LF (Unix)</option>
+                      <option value="crlf">CRLF (Windows)</option>
+                      <option value="cr">CR (Mac clásico)</option>
+                    </select>
+                  </div>
+
+                  {csvPreview && (
+                    <>
+                      <div className="config-field">
+                        <label className="config-label">
+                          <FaTable className="label-icon" />
+                          Primera fila
+                        </label>
+                        <select
+                          className="config-input"
+                          value={uploadConfig.hasHeader ? 'header' : 'data'}
+                          onChange={(e) => changeCsvRows({ hasHeader: e.target.value === 'header' })}
+                        >
+                          <option value="header">Cabecera con los nombres de columna</option>
+                          <option value="data">Datos (columnas col_1, col_2...)</option>
+                        </select>
+                      </div>
+
+                      <div className="config-field">
+                        <label className="config-label">
+                          <FaEdit className="label-icon" />
+                          Filas a omitir al inicio
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          className="config-input"
+                          value={uploadConfig.skipRows}
+                          onChange={(e) => changeCsvRows({ skipRows: Math.max(parseInt(e.target.value, 10) || 0, 0) })}
+                        />
+                      </div>
+
+                      <div className="config-field">
+                        <label className="config-label">
+                          <FaEdit className="label-icon" />
+                          Filas a omitir al final
+                        </label>
+                        <input
+                          type="number"
+                          min="0"
+                          className="config-input"
+                          value={uploadConfig.footerRows}
+                          onChange={(e) => changeCsvRows({ footerRows: Math.max(parseInt(e.target.value, 10) || 0, 0) })}
+                        />
+                      </div>
+                    </>
+                  )}
+                </>
+              )}
               
               <div className="config-field">
                 <label className="config-label">
@@ -585,7 +1995,140 @@ function Ingestor() {
                   onChange={(e) => setUploadConfig(prev => ({ ...prev, description: e.target.value }))}
                 />
               </div>
+
+              <div className="config-field">
+                <label className="config-label">
+                  <FaDatabase className="label-icon" />
+                  Modo de escritura
+                </label>
+                <select
+                  className="config-input"
+                  value={uploadConfig.writeMode}
+                  onChange={(e) => setUploadConfig(prev => ({ ...prev, writeMode: e.target.value }))}
+                >
+                  <option value="append">{WRITE_MODE_LABELS.append}: se suma a los archivos de la tabla</option>
+                  <option value="overwrite">{WRITE_MODE_LABELS.overwrite}: sustituye todos los archivos de la tabla</option>
+                  <option value="upsert">{WRITE_MODE_LABELS.upsert}: actualiza o inserta filas</option>
+                </select>
+              </div>
+
+              {schema.some(field => field.primaryKey || field.unique) && (
+                <div className="config-field">
+                  <label className="config-label">
+                    <FaTable className="label-icon" />
+                    Claves duplicadas
+                  </label>
+                  <select
+                    className="config-input"
+                    value={uploadConfig.duplicatePolicy}
+                    onChange={(e) => setUploadConfig(prev => ({ ...prev, duplicatePolicy: e.target.value }))}
+                  >
+                    {Object.entries(DUPLICATE_POLICY_LABELS).map(([policy, label]) => (
+                      <option key={policy} value={policy}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="config-field">
+                <label className="config-label">
+                  <FaCheckCircle className="label-icon" />
+                  Umbral de errores (%)
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  max="100"
+                  className="config-input"
+                  placeholder="Sin umbral: las filas inválidas van a cuarentena"
+                  value={uploadConfig.errorThreshold ?? ''}
+                  onChange={(e) => setUploadConfig(prev => ({
+                    ...prev,
+                    errorThreshold: e.target.value === '' ? null : Math.min(Math.max(Number(e.target.value), 0), 100)
+                  }))}
+                />
+              </div>
             </div>
+
+            {/* Entradas del zip: se unen en una tabla o cada una se carga como su propia tabla */}
+            {zipArchive && (
+              <div className="sheet-tables">
+                <small className="sheet-tables-hint">
+                  {zipArchive.tablePerEntry
+                    ? 'Selecciona una entrada para editar su nombre de tabla, esquema y particionado'
+                    : `Las entradas seleccionadas se unen con el esquema de ${zipArchive.activeEntry}`}
+                </small>
+                {zipArchive.entryNames.map(entryName => {
+                  const active = entryName === zipArchive.activeEntry;
+                  const table = active
+                    ? { ...zipArchive.tables[entryName], tableName: uploadConfig.tableName, schema }
+                    : zipArchive.tables[entryName];
+                  return (
+                    <div key={entryName} className={`sheet-table ${active && zipArchive.tablePerEntry ? 'active' : ''}`}>
+                      <label className="checkbox-container" title="Cargar esta entrada">
+                        <input
+                          type="checkbox"
+                          checked={table.include}
+                          onChange={(e) => toggleEntry(entryName, e.target.checked)}
+                        />
+                        <span className="checkmark"></span>
+                      </label>
+                      <button
+                        type="button"
+                        className="sheet-table-name"
+                        onClick={() => selectEntry(entryName)}
+                        disabled={active || !zipArchive.tablePerEntry}
+                      >
+                        {entryName}
+                      </button>
+                      <span className="sheet-table-info">
+                        {zipArchive.tablePerEntry
+                          ? `${table.tableName || 'sin nombre'} · ${table.schema ? `${table.schema.length} columnas` : 'esquema sin analizar'}`
+                          : formatBytes(zipArchive.archive[entryName].length)}
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+
+            {/* Hojas del libro cuando cada una se carga como su propia tabla */}
+            {excelBook && excelBook.tablePerSheet && (
+              <div className="sheet-tables">
+                <small className="sheet-tables-hint">
+                  Selecciona una hoja para editar su nombre de tabla, cabecera, esquema y particionado
+                </small>
+                {excelBook.sheetNames.map(sheetName => {
+                  const active = sheetName === excelBook.activeSheet;
+                  const table = active
+                    ? { ...excelBook.tables[sheetName], tableName: uploadConfig.tableName, schema }
+                    : excelBook.tables[sheetName];
+                  return (
+                    <div key={sheetName} className={`sheet-table ${active ? 'active' : ''}`}>
+                      <label className="checkbox-container" title="Cargar esta hoja">
+                        <input
+                          type="checkbox"
+                          checked={table.include}
+                          onChange={(e) => toggleSheet(sheetName, e.target.checked)}
+                        />
+                        <span className="checkmark"></span>
+                      </label>
+                      <button
+                        type="button"
+                        className="sheet-table-name"
+                        onClick={() => selectSheet(sheetName)}
+                        disabled={active}
+                      >
+                        {sheetName}
+                      </button>
+                      <span className="sheet-table-info">
+                        {table.tableName || 'sin nombre'} · fila {table.headerRow} · {table.schema.length} columnas
+                      </span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
           </div>
         )}
       </div>
@@ -598,18 +2141,45 @@ function Ingestor() {
               <FaTable className="section-icon" />
               Esquema de Datos
             </h3>
-            <button className="add-field-btn" onClick={addSchemaField}>
-              <FaEdit className="btn-icon" />
-              Agregar Campo
-            </button>
+            <div className="schema-actions">
+              <button className="add-field-btn" onClick={addDerivedField}>
+                <FaCalculator className="btn-icon" />
+                Agregar Columna Calculada
+              </button>
+              <button className="add-field-btn" onClick={addSchemaField}>
+                <FaEdit className="btn-icon" />
+                Agregar Campo
+              </button>
+            </div>
           </div>
           
+          {/* Arrays de los registros JSON: se guardan como texto JSON o se expanden en filas */}
+          {jsonPreview && jsonPreview.arrayPaths.length > 0 && (
+            <div className="json-arrays">
+              {jsonPreview.arrayPaths.map(path => (
+                <div key={path} className="json-array">
+                  <code className="json-array-path">{path}</code>
+                  <select
+                    className="field-select"
+                    value={uploadConfig.explodeArrays.includes(path) ? 'explode' : 'json'}
+                    onChange={(e) => setArrayExploded(path, e.target.value === 'explode')}
+                  >
+                    <option value="json">Columna JSON</option>
+                    <option value="explode">Una fila por elemento</option>
+                  </select>
+                </div>
+              ))}
+            </div>
+          )}
+
           <div className="schema-container">
             <div className="schema-header">
               <div className="header-col">Campo</div>
               <div className="header-col">Tipo</div>
               <div className="header-col">Descripción</div>
               <div className="header-col">Nullable</div>
+              <div className="header-col" title="Clave primaria">PK</div>
+              <div className="header-col">Único</div>
               <div className="header-col">Acción</div>
             </div>
             
@@ -630,6 +2200,9 @@ function Ingestor() {
                         Original: "{field.originalName}"
                       </small>
                     )}
+                    {field.expression !== undefined && (
+                      <small className="original-name-hint">Calculada</small>
+                    )}
                   </div>
                   
                   <div className="field-col">
@@ -661,13 +2234,52 @@ function Ingestor() {
                       <input
                         type="checkbox"
                         checked={field.nullable}
+                        disabled={!!field.primaryKey}
                         onChange={(e) => updateSchemaField(index, 'nullable', e.target.checked)}
                       />
                       <span className="checkmark"></span>
                     </label>
                   </div>
-                  
+
+                  <div className="field-col">
+                    <label className="checkbox-container" title="Clave primaria">
+                      <input
+                        type="checkbox"
+                        checked={!!field.primaryKey}
+                        onChange={(e) => updateSchemaField(index, 'primaryKey', e.target.checked)}
+                      />
+                      <span className="checkmark"></span>
+                    </label>
+                  </div>
+
                   <div className="field-col">
+                    <label className="checkbox-container" title="Valores únicos">
+                      <input
+                        type="checkbox"
+                        checked={!!field.unique}
+                        onChange={(e) => updateSchemaField(index, 'unique', e.target.checked)}
+                      />
+                      <span className="checkmark"></span>
+                    </label>
+                  </div>
+                  
+                  <div className="field-col field-actions">
+                    <button
+                      className={`rules-field-btn ${rulesField === index ? 'active' : ''}`}
+                      onClick={() => setRulesField(rulesField === index ? null : index)}
+                      title="Reglas de validación"
+                    >
+                      <FaEdit />
+                    </button>
+                    {field.expression === undefined && (
+                      <button
+                        className={`transforms-field-btn ${transformsField === index ? 'active' : ''}`}
+                        onClick={() => setTransformsField(transformsField === index ? null : index)}
+                        title="Transformaciones"
+                      >
+                        <FaMagic />
+                      </button>
+                    )}
                     <button
                       className="remove-field-btn"
                       onClick={() => removeSchemaField(index)}
@@ -676,10 +2288,389 @@ function Ingestor() {
                       <FaTrash />
                     </button>
                   </div>
+
+                  {/* Expresión de la columna calculada, con la sintaxis del motor de consultas */}
+                  {field.expression !== undefined && (
+                    <div className="field-expression">
+                      <input
+                        type="text"
+                        className="field-input"
+                        placeholder="Expresión, p. ej. price * quantity, YEAR(order_date) o CONCAT(first, ' ', last)"
+                        value={field.expression}
+                        onChange={(e) => updateSchemaField(index, 'expression', e.target.value)}
+                      />
+                    </div>
+                  )}
+
+                  {/* Reglas que la Lambda comprueba en cada fila; las que no cumplen van a cuarentena */}
+                  {rulesField === index && (
+                    <div className="field-rules">
+                      <input
+                        type="text"
+                        className="field-input"
+                        placeholder="Patrón (expresión regular)"
+                        value={field.pattern || ''}
+                        onChange={(e) => updateSchemaField(index, 'pattern', e.target.value || undefined)}
+                      />
+                      {RANGE_TYPES.includes(field.type) && ['min', 'max'].map(limit => (
+                        <input
+                          key={limit}
+                          type={field.type === 'date' ? 'date' : 'number'}
+                          className="field-input"
+                          placeholder={limit === 'min' ? 'Mínimo' : 'Máximo'}
+                          value={field[limit] ?? ''}
+                          onChange={(e) => updateSchemaField(index, limit, e.target.value === ''
+                            ? undefined
+                            : (field.type === 'date' ? e.target.value : Number(e.target.value)))}
+                        />
+                      ))}
+                      <input
+                        key={`${field.name}-${field.type}`}
+                        type="text"
+                        className="field-input"
+                        placeholder="Valores permitidos, separados por comas"
+                        defaultValue={(field.allowedValues || []).join(', ')}
+                        onBlur={(e) => updateSchemaField(index, 'allowedValues', parseAllowedValues(e.target.value, field.type))}
+                      />
+                    </div>
+                  )}
+
+                  {/* Transformaciones que la Lambda aplica en orden a cada valor antes de validarlo */}
+                  {transformsField === index && (
+                    <div className="field-transforms">
+                      {(field.transforms || []).map((transform, position) => (
+                        <div key={position} className="field-transform">
+                          <span className="field-transform-type">
+                            {COLUMN_TRANSFORM_OPTIONS.find(option => option.value === transform.type)?.label || transform.type}
+                          </span>
+                          {transform.type === 'regex_replace' && (
+                            <>
+                              <input
+                                type="text"
+                                className="field-input"
+                                placeholder="Patrón (expresión regular)"
+                                value={transform.pattern}
+                                onChange={(e) => updateFieldTransform(index, position, { pattern: e.target.value })}
+                              />
+                              <input
+                                type="text"
+                                className="field-input"
+                                placeholder="Reemplazo"
+                                value={transform.replacement}
+                                onChange={(e) => updateFieldTransform(index, position, { replacement: e.target.value })}
+                              />
+                            </>
+                          )}
+                          {transform.type === 'default' && (
+                            <input
+                              type="text"
+                              className="field-input"
+                              placeholder="Valor para las celdas vacías"
+                              value={transform.value}
+                              onChange={(e) => updateFieldTransform(index, position, { value: e.target.value })}
+                            />
+                          )}
+                          {transform.type === 'date_format' && (
+                            <input
+                              type="text"
+                              className="field-input"
+                              placeholder="Formato, p. ej. DD/MM/YYYY HH:mm"
+                              value={transform.format}
+                              onChange={(e) => updateFieldTransform(index, position, { format: e.target.value })}
+                            />
+                          )}
+                          {transform.type === 'multiply' && (
+                            <input
+                              type="number"
+                              className="field-input"
+                              placeholder="Factor"
+                              value={transform.factor}
+                              onChange={(e) => updateFieldTransform(index, position, { factor: Number(e.target.value) })}
+                            />
+                          )}
+                          {transform.type === 'map' && (
+                            <input
+                              type="text"
+                              className="field-input"
+                              placeholder="origen=destino, separados por comas"
+                              defaultValue={formatMapValues(transform.values)}
+                              onBlur={(e) => updateFieldTransform(index, position, { values: parseMapValues(e.target.value) })}
+                            />
+                          )}
+                          <button
+                            className="remove-field-btn"
+                            onClick={() => removeFieldTransform(index, position)}
+                            title="Quitar transformación"
+                          >
+                            <FaTrash />
+                          </button>
+                        </div>
+                      ))}
+                      <select
+                        className="field-select"
+                        value=""
+                        onChange={(e) => e.target.value && addFieldTransform(index, e.target.value)}
+                      >
+                        <option value="">Añadir transformación...</option>
+                        {COLUMN_TRANSFORM_OPTIONS.map(option => (
+                          <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                      </select>
+                    </div>
+                  )}
                 </div>
               ))}
             </div>
           </div>
+
+          {/* Filas de muestra con las transformaciones de columna aplicadas y las columnas calculadas, antes de subir el archivo */}
+          {schema.some(field => (field.transforms && field.transforms.length > 0) || field.expression !== undefined) && (
+            <div className="transform-preview-section">
+              <div className="section-header">
+                <h4 className="config-title">
+                  <FaMagic className="me-2" />
+                  Transformaciones y columnas calculadas
+                </h4>
+                <button className="add-field-btn" onClick={previewTransforms}>
+                  <FaEye className="btn-icon" />
+                  Previsualizar filas
+                </button>
+              </div>
+
+              {transformPreview && (
+                <div className="data-table-container">
+                  <div className="data-table-scroll">
+                    <table className="data-table">
+                      <thead>
+                        <tr>
+                          {schema.map(field => (
+                            <th
+                              key={field.name}
+                              className={`data-header ${field.expression !== undefined ? 'derived-column' : ''}`}
+                            >
+                              {field.name}
+                            </th>
+                          ))}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {transformPreview.map((preview, rowIndex) => (
+                          <tr
+                            key={rowIndex}
+                            className={`data-row ${preview.errors.length > 0 ? 'transform-rejected' : ''}`}
+                            title={preview.errors.map(error => `${error.column}: ${error.message}`).join('\n')}
+                          >
+                            {schema.map(field => (
+                              <td
+                                key={field.name}
+                                className={`data-cell ${preview.errors.some(error => error.column === field.name) ? 'transform-error' : ''}`}
+                              >
+                                {preview.row[field.name] === null ? 'NULL' : String(preview.row[field.name])}
+                              </td>
+                            ))}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <p className="partition-hint">
+                    {transformPreview.filter(preview => preview.errors.length > 0).length} de {transformPreview.length} filas
+                    de muestra irían a cuarentena.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Diff con el esquema actual de la tabla destino */}
+          {schemaCheck && (
+            <div className="schema-diff-section">
+              <div className="section-header">
+                <h4 className="config-title">
+                  <FaTable className="me-2" />
+                  {schemaCheck.exists
+                    ? `Esquema actual de ${schemaCheck.tableName} (versión ${schemaCheck.currentVersion})`
+                    : `Nueva tabla ${schemaCheck.tableName}`}
+                </h4>
+              </div>
+
+              {!schemaCheck.exists ? (
+                <p className="partition-hint">
+                  El archivo registra la versión 1 del esquema de la tabla.
+                </p>
+              ) : schemaCheck.changes.length === 0 ? (
+                <p className="partition-hint">
+                  Sin cambios: el archivo se ingesta con la versión {schemaCheck.currentVersion} del esquema.
+                </p>
+              ) : (
+                <>
+                  <div className="schema-diff">
+                    {getSchemaDiffRows(schemaCheck).map(row => (
+                      <div
+                        key={row.column}
+                        className={`schema-diff-row schema-diff-${row.change} ${row.compatible ? '' : 'incompatible'}`}
+                        title={row.message}
+                      >
+                        <code>{row.column}</code>
+                        <span>{row.from || '—'}</span>
+                        <span>{row.to || '—'}</span>
+                        <span>{SCHEMA_CHANGE_LABELS[row.change]}</span>
+                      </div>
+                    ))}
+                  </div>
+
+                  {schemaCheck.compatible ? (
+                    <p className="partition-hint">
+                      Cambios compatibles: el archivo crea la versión {schemaCheck.schemaVersion} del esquema.
+                    </p>
+                  ) : (
+                    <div className="schema-version-confirm">
+                      <label className="checkbox-container">
+                        <input
+                          type="checkbox"
+                          checked={!!uploadConfig.newSchemaVersion}
+                          onChange={(e) => setUploadConfig(prev => ({ ...prev, newSchemaVersion: e.target.checked }))}
+                        />
+                        <span className="checkmark"></span>
+                      </label>
+                      <span>
+                        Los cambios marcados no son compatibles con los datos ya cargados. Crear la versión {schemaCheck.schemaVersion} del
+                        esquema para cargar el archivo
+                      </span>
+                    </div>
+                  )}
+                </>
+              )}
+
+              {/* Autor y descripción de la versión del esquema que registra la subida */}
+              {schemaCheck.schemaVersion !== schemaCheck.currentVersion && (
+                <div className="config-grid schema-version-info">
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaEdit className="label-icon" />
+                      Autor de la versión
+                    </label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder="Tu nombre"
+                      value={uploadConfig.author}
+                      onChange={(e) => setUploadConfig(prev => ({ ...prev, author: e.target.value }))}
+                    />
+                  </div>
+                  <div className="config-field">
+                    <label className="config-label">
+                      <FaEdit className="label-icon" />
+                      Descripción del cambio
+                    </label>
+                    <input
+                      type="text"
+                      className="config-input"
+                      placeholder={schemaCheck.exists ? 'Por defecto, la lista de cambios' : 'Esquema inicial'}
+                      value={uploadConfig.schemaDescription}
+                      onChange={(e) => setUploadConfig(prev => ({ ...prev, schemaDescription: e.target.value }))}
+                    />
+                  </div>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Particionado de la salida curated */}
+          <div className="partition-section">
+            <div className="section-header">
+              <h4 className="config-title">
+                <FaDatabase className="me-2" />
+                Particionado de salida
+              </h4>
+              <button className="add-field-btn" onClick={addPartition}>
+                <FaEdit className="btn-icon" />
+                Agregar Partición
+              </button>
+            </div>
+
+            {uploadConfig.partitionSpec.length === 0 ? (
+              <p className="partition-hint">
+                Sin particiones: los datos se guardan en un único prefijo. Particiona por una fecha
+                (año, mes o día) o por una categoría con pocos valores para que las consultas filtradas
+                lean solo las particiones necesarias.
+              </p>
+            ) : (
+              <div className="schema-fields">
+                {uploadConfig.partitionSpec.map((partition, index) => (
+                  <div key={index} className="partition-field">
+                    <div className="field-col">
+                      <select
+                        className="field-select"
+                        value={partition.column}
+                        onChange={(e) => updatePartition(index, 'column', e.target.value)}
+                      >
+                        {schema.filter(field => field.name).map(field => (
+                          <option key={field.name} value={field.name}>{field.name}</option>
+                        ))}
+                      </select>
+                    </div>
+
+                    <div className="field-col">
+                      <select
+                        className="field-select"
+                        value={partition.transform}
+                        onChange={(e) => updatePartition(index, 'transform', e.target.value)}
+                      >
+                        {partitionTransforms
+                          .filter(transform => !transform.dateOnly || getSchemaFieldType(partition.column) === 'date')
+                          .map(transform => (
+                            <option key={transform.value} value={transform.value}>{transform.label}</option>
+                          ))}
+                      </select>
+                    </div>
+
+                    <div className="field-col">
+                      <code className="partition-preview">
+                        {partition.transform === 'identity' ? partition.column : `${partition.column}_${partition.transform}`}=…/
+                      </code>
+                    </div>
+
+                    <div className="field-col">
+                      <button
+                        className="remove-field-btn"
+                        onClick={() => removePartition(index)}
+                        title="Eliminar partición"
+                      >
+                        <FaTrash />
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
+          {/* Reglas de calidad de la tabla, evaluadas por el ETL en cada carga */}
+          {uploadConfig.tableName.trim() && (
+            <div className="quality-section">
+              <div className="section-header">
+                <h4 className="config-title">
+                  <FaCheckCircle className="me-2" />
+                  Reglas de calidad de {uploadConfig.tableName.trim()}
+                </h4>
+                <button className="add-field-btn" onClick={saveQualityRules}>
+                  <FaSave className="btn-icon" />
+                  Guardar reglas
+                </button>
+              </div>
+              <p className="partition-hint">
+                Tipos condition, pattern, in_list y row_count. Una regla error incumplida hace fallar la carga;
+                una warning solo queda en el informe. Ejemplo: <code>{QUALITY_RULES_EXAMPLE}</code>
+              </p>
+              <textarea
+                className="config-input quality-rules-input"
+                rows={6}
+                value={qualityRules.text}
+                onChange={(e) => setQualityRules(prev => ({ ...prev, text: e.target.value }))}
+              />
+            </div>
+          )}
         </div>
       )}
 
@@ -710,6 +2701,14 @@ function Ingestor() {
                 <p>{uploadConfig.tableName || 'Sin definir'}</p>
               </div>
             </div>
+
+            <div className="info-card">
+              <FaCogs className="info-icon" />
+              <div className="info-content">
+                <h5>Modo de escritura</h5>
+                <p>{WRITE_MODE_LABELS[uploadConfig.writeMode]}</p>
+              </div>
+            </div>
           </div>
           
           <button
@@ -721,8 +2720,8 @@ function Ingestor() {
               <div className="processing-content">
                 <div className="processing-spinner"></div>
                 <span className="processing-text">
-                  <strong>Procesando...</strong>
-                  <small>Analizando y almacenando datos</small>
+                  <strong>Subiendo... {uploadProgress}%</strong>
+                  <small>Enviando el archivo y encolando el procesamiento</small>
                 </span>
               </div>
             ) : (
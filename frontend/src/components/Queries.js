@@ -11,6 +11,7 @@ function Queries() {
   const [isLoading, setIsLoading] = useState(false);
   const [isLoadingTables, setIsLoadingTables] = useState(true);
   const [showSchemaModal, setShowSchemaModal] = useState(false);
+  const [sortConfig, setSortConfig] = useState(null);
 
   // Cargar tablas al montar el componente
   useEffect(() => {
@@ -125,15 +126,11 @@ function Queries() {
       return;
     }
 
-    if (!selectedTable?.name) {
-      console.error('[FRONTEND-QUERIES] No hay tabla seleccionada');
-      toast.error('Por favor selecciona una tabla primero');
-      return;
-    }
-
+    // La tabla seleccionada solo se envía como referencia: el backend resuelve
+    // las tablas nombradas en FROM/JOIN
     console.log('[FRONTEND-QUERIES] Validaciones pasadas, ejecutando consulta:', {
       query: query.trim(),
-      tableName: selectedTable.name
+      tableName: selectedTable?.name
     });
 
     setIsLoading(true);
@@ -141,7 +138,7 @@ function Queries() {
       console.log('[FRONTEND-QUERIES] Enviando petición POST a /api/query...');
       const response = await axios.post('/api/query', {
         query: query.trim(),
-        tableName: selectedTable.name
+        tableName: selectedTable?.name
       });
 
       console.log('[FRONTEND-QUERIES] Respuesta de consulta recibida:', {
@@ -151,8 +148,9 @@ function Queries() {
         resultsLength: response.data.data ? response.data.data.length : 0
       });
       
-      // El backend ahora devuelve directamente: { success: true, data: [array], executionTime: number, rowCount: number }
+      // El backend devuelve: { success: true, data: [array], columns: [{ name, type }], executionTime: number, rowCount: number }
       setResults(response.data);
+      setSortConfig(null);
       toast.success('Consulta ejecutada correctamente');
     } catch (error) {
       console.error('[FRONTEND-QUERIES] Error ejecutando consulta:', error);
@@ -162,7 +160,7 @@ function Queries() {
         statusText: error.response?.statusText,
         data: error.response?.data,
         query: query.trim(),
-        tableName: selectedTable.name
+        tableName: selectedTable?.name
       });
       
       const errorMessage = error.response?.data?.error || 'Error al ejecutar la consulta';
@@ -184,6 +182,80 @@ function Queries() {
     return typeMap[type] || type.toUpperCase();
   };
 
+  // Columnas del resultado: las tipadas del backend o, si no vienen, las claves de la primera fila
+  const getResultColumns = () => {
+    if (Array.isArray(results?.columns) && results.columns.length > 0) {
+      return results.columns;
+    }
+    return Object.keys(results.data[0]).map(name => ({ name, type: null }));
+  };
+
+  // Compara dos valores según el tipo de la columna; los NULL quedan siempre al final
+  const compareByType = (a, b, type) => {
+    if (a === null || a === undefined) return b === null || b === undefined ? 0 : 1;
+    if (b === null || b === undefined) return -1;
+
+    switch (type) {
+      case 'integer':
+      case 'float':
+        return Number(a) - Number(b);
+      case 'date':
+        return new Date(a).getTime() - new Date(b).getTime();
+      case 'boolean':
+        return (a === b) ? 0 : (a ? 1 : -1);
+      default:
+        return String(a).localeCompare(String(b), undefined, { numeric: true });
+    }
+  };
+
+  const handleSort = (columnName) => {
+    setSortConfig(prev => ({
+      column: columnName,
+      direction: prev?.column === columnName && prev.direction === 'asc' ? 'desc' : 'asc'
+    }));
+  };
+
+  const getSortedRows = (columns) => {
+    if (!sortConfig) return results.data;
+
+    const column = columns.find(c => c.name === sortConfig.column);
+    const sign = sortConfig.direction === 'asc' ? 1 : -1;
+    return [...results.data].sort((rowA, rowB) => {
+      const valueA = rowA[sortConfig.column];
+      const valueB = rowB[sortConfig.column];
+      // Los NULL se mantienen al final en ambos sentidos
+      if (valueA === null || valueA === undefined || valueB === null || valueB === undefined) {
+        return compareByType(valueA, valueB, column?.type);
+      }
+      return sign * compareByType(valueA, valueB, column?.type);
+    });
+  };
+
+  const formatCellValue = (value, type) => {
+    if (value === null || value === undefined) {
+      return <span className="null-value">NULL</span>;
+    }
+    if (typeof value === 'number') {
+      return <span className="number-value">{value.toLocaleString()}</span>;
+    }
+    if (typeof value === 'boolean') {
+      return (
+        <span className={`boolean-value ${value ? 'true' : 'false'}`}>
+          {value ? 'TRUE' : 'FALSE'}
+        </span>
+      );
+    }
+    if (type === 'date' && !isNaN(new Date(value).getTime())) {
+      // Las fechas llegan a medianoche UTC: se muestran en UTC para no pasar al día anterior al oeste de Greenwich
+      const date = new Date(value);
+      const formatted = date.getTime() % 86400000 === 0
+        ? date.toLocaleDateString(undefined, { timeZone: 'UTC' })
+        : date.toLocaleString(undefined, { timeZone: 'UTC' });
+      return <span className="text-value">{formatted}</span>;
+    }
+    return <span className="text-value">{String(value)}</span>;
+  };
+
   return (
     <div className="queries-container-modern animate-fadeIn">
       {/* Header del Query Engine */}
@@ -320,7 +392,7 @@ function Queries() {
                   <button
                     className={`execute-btn ${isLoading ? 'loading' : ''}`}
                     onClick={executeQuery}
-                    disabled={isLoading || !query.trim() || !selectedTable}
+                    disabled={isLoading || !query.trim()}
                   >
                     {isLoading ? (
                       <div className="executing-content">
@@ -356,12 +428,12 @@ function Queries() {
                   rows="10"
                   placeholder={selectedTable 
                     ? `-- Consulta SQL para ${selectedTable.name}\nSELECT * FROM "${selectedTable.name}" LIMIT 10;`
-                    : "-- Selecciona una tabla primero\n-- Luego escribe tu consulta SQL aquí...\n-- Ejemplo: SELECT * FROM tabla LIMIT 10;"
+                    : "-- Escribe tu consulta SQL aquí...\n-- Ejemplo: SELECT * FROM clientes c JOIN pedidos p ON c.id = p.cliente_id LIMIT 10;"
                   }
                   value={query}
                   onChange={(e) => setQuery(e.target.value)}
                   onKeyDown={(e) => {
-                    if ((e.metaKey || e.ctrlKey) && e.key === 'Enter' && !isLoading && query.trim() && selectedTable) {
+                    if ((e.metaKey || e.ctrlKey) && e.key === 'Enter' && !isLoading && query.trim()) {
                       executeQuery();
                     }
                   }}
@@ -412,13 +484,22 @@ function Queries() {
                             <table className="data-table">
                               <thead>
                                 <tr>
-                                  {Object.keys(results.data[0]).map((column, index) => (
-                                    <th key={index} className="data-header">
+                                  {getResultColumns().map((column, index) => (
+                                    <th
+                                      key={index}
+                                      className="data-header"
+                                      onClick={() => handleSort(column.name)}
+                                      style={{ cursor: 'pointer' }}
+                                    >
                                       <div className="header-content">
-                                        <span className="header-name">{column}</span>
+                                        <span className="header-name">
+                                          {column.name}
+                                          {sortConfig?.column === column.name && (sortConfig.direction === 'asc' ? ' ▲' : ' ▼')}
+                                        </span>
                                         <span className="header-type">
-                                          {typeof results.data[0][column] === 'number' ? 'NUM' : 
-                                           typeof results.data[0][column] === 'boolean' ? 'BOOL' : 'TEXT'}
+                                          {column.type ? formatColumnType(column.type) :
+                                           typeof results.data[0][column.name] === 'number' ? 'NUM' :
+                                           typeof results.data[0][column.name] === 'boolean' ? 'BOOL' : 'TEXT'}
                                         </span>
                                       </div>
                                     </th>
@@ -426,21 +507,11 @@ function Queries() {
                                 </tr>
                               </thead>
                               <tbody>
-                                {results.data.map((row, rowIndex) => (
+                                {getSortedRows(getResultColumns()).map((row, rowIndex) => (
                                   <tr key={rowIndex} className="data-row">
-                                    {Object.values(row).map((value, colIndex) => (
+                                    {getResultColumns().map((column, colIndex) => (
                                       <td key={colIndex} className="data-cell">
-                                        {value === null || value === undefined ? (
-                                          <span className="null-value">NULL</span>
-                                        ) : typeof value === 'number' ? (
-                                          <span className="number-value">{value.toLocaleString()}</span>
-                                        ) : typeof value === 'boolean' ? (
-                                          <span className={`boolean-value ${value ? 'true' : 'false'}`}>
-                                            {value ? 'TRUE' : 'FALSE'}
-                                          </span>
-                                        ) : (
-                                          <span className="text-value">{String(value)}</span>
-                                        )}
+                                        {formatCellValue(row[column.name], column.type)}
                                       </td>
                                     ))}
                                   </tr>
@@ -465,7 +536,7 @@ function Queries() {
                     <p>Selecciona una tabla y escribe tu consulta SQL para comenzar</p>
                     {!selectedTable && (
                       <div className="query-tip">
-                        <strong>Tip:</strong> Primero selecciona una tabla de la lista
+                        <strong>Tip:</strong> Selecciona una tabla para ver su esquema o combina varias con JOIN
                       </div>
                     )}
                   </div>
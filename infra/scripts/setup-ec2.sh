@@ -152,6 +152,17 @@ else
     exit 1
 fi
 
+# Instalar dependencias del código compartido (lector CSV usado por el backend)
+log_message "Instalando dependencias de shared..."
+cd "$REPO_DIR/shared"
+
+if npm install --omit=dev >> "$LOG_FILE" 2>&1; then
+    log_message "✅ Dependencias de shared instaladas"
+else
+    log_message "❌ Error al instalar dependencias de shared"
+    exit 1
+fi
+
 # Configurar el backend API
 log_message "Configurando backend API..."
 cd "$REPO_DIR/backend-api"
@@ -175,6 +186,7 @@ log_message "Creando servicio systemd para el backend..."
 # Obtener variables de entorno (pasadas desde CloudFormation UserData)
 CF_AWS_REGION="${AWS_REGION:-us-east-1}"
 CF_S3_BUCKET_RAW="${S3_BUCKET_RAW:-data-pipeline-raw-unknown}"
+CF_S3_BUCKET_CURATED="${S3_BUCKET_CURATED:-data-pipeline-curated-unknown}"
 CF_S3_BUCKET_LOGS="${S3_BUCKET_LOGS:-data-pipeline-logs-unknown}"
 CF_DDB_TABLE_NAME="${DDB_TABLE_NAME:-datasets-catalog}"
 CF_LAMBDA_ETL_FUNCTION_NAME="${LAMBDA_ETL_FUNCTION_NAME:-data-pipeline-etl-function}"
@@ -182,6 +194,7 @@ CF_LAMBDA_ETL_FUNCTION_NAME="${LAMBDA_ETL_FUNCTION_NAME:-data-pipeline-etl-funct
 log_message "Configurando backend con variables de CloudFormation:"
 log_message "  AWS_REGION: $CF_AWS_REGION"
 log_message "  S3_BUCKET_RAW: $CF_S3_BUCKET_RAW"
+log_message "  S3_BUCKET_CURATED: $CF_S3_BUCKET_CURATED"
 log_message "  DDB_TABLE_NAME: $CF_DDB_TABLE_NAME"
 log_message "  LAMBDA_ETL_FUNCTION_NAME: $CF_LAMBDA_ETL_FUNCTION_NAME"
 
@@ -201,6 +214,7 @@ Environment=NODE_ENV=production
 Environment=PORT=8080
 Environment=AWS_REGION=$CF_AWS_REGION
 Environment=S3_BUCKET_RAW=$CF_S3_BUCKET_RAW
+Environment=S3_BUCKET_CURATED=$CF_S3_BUCKET_CURATED
 Environment=S3_BUCKET_LOGS=$CF_S3_BUCKET_LOGS
 Environment=DDB_TABLE_NAME=$CF_DDB_TABLE_NAME
 Environment=LAMBDA_ETL_FUNCTION_NAME=$CF_LAMBDA_ETL_FUNCTION_NAME
@@ -5,9 +5,17 @@
 
 const { logger, logError, logPerformance } = require('../../../shared/utils/logger');
 const { createError } = require('../../../shared/constants/errorCodes');
-const { isAllowedMimeType, isValidFileSize } = require('../../../shared/constants/fileTypes');
+const { isAllowedMimeType, isValidFileSize, getFileFormat } = require('../../../shared/constants/fileTypes');
+const { normalizePartitionSpec } = require('../../../shared/utils/partitioning');
+const { JOB_STAGES, getTransformingProgress } = require('../../../shared/constants/jobStages');
+const { WRITE_MODES, getWriteMode } = require('../../../shared/constants/writeModes');
+const { formatRowErrors, isErrorThresholdExceeded } = require('../../../shared/utils/rowValidator');
 const CsvProcessor = require('../services/csvProcessor');
 const CatalogService = require('../services/catalogService');
+const ParquetService = require('../services/parquetService');
+const ConstraintService = require('../services/constraintService');
+const QuarantineService = require('../services/quarantineService');
+const QualityService = require('../services/qualityService');
 const S3Utils = require('../utils/s3Utils');
 const FileUtils = require('../utils/fileUtils');
 
@@ -181,6 +189,13 @@ const processFileForETL = async (params, context) => {
     directory
   });
 
+  // Etapa actual del trabajo, que se informa en errorInfo si el procesamiento falla
+  let currentStage = JOB_STAGES.UPLOADED;
+  const enterStage = async (stage, progress) => {
+    currentStage = stage;
+    await CatalogService.updateJobStage(fileId, stage, progress);
+  };
+
   try {
     console.log('Validando bucket...');
     // 1. Validar que el bucket sea el correcto
@@ -195,8 +210,8 @@ const processFileForETL = async (params, context) => {
     }
 
     console.log('Verificando tipo de archivo...');
-    // 2. Solo procesar archivos CSV, no esquemas JSON
-    if (objectKey.endsWith('.json')) {
+    // 2. Solo procesar archivos de datos (CSV, Excel o JSON), no el schema.json que los acompaña
+    if (objectKey.endsWith('/schema.json')) {
       console.log('Ignorando archivo JSON (esquema):', objectKey);
       logger.info('Ignorando archivo JSON (esquema)', {
         requestId,
@@ -209,6 +224,8 @@ const processFileForETL = async (params, context) => {
       };
     }
 
+    await enterStage(JOB_STAGES.VALIDATING);
+
     console.log('Obteniendo metadatos del objeto S3...');
     // 3. Obtener metadatos del objeto S3
     const objectMetadata = await S3Utils.getObjectMetadata(bucketName, objectKey);
@@ -226,7 +243,9 @@ const processFileForETL = async (params, context) => {
     const metaTableName = objectMetadata.Metadata['table-name'] || tableName;
     const metaDirectory = objectMetadata.Metadata['directory'] || directory;
     const metaFileId = objectMetadata.Metadata['file-id'] || fileId;
-    const separator = objectMetadata.Metadata['separator'] || ',';
+    // Sin separador en los metadatos se usa el de la configuración o el detectado en el archivo
+    const separator = objectMetadata.Metadata['separator'];
+    const format = getFileFormat(objectKey);
 
     if (!metaTableName || !metaDirectory || !metaFileId) {
       throw createError('VALIDATION_ERROR', 
@@ -244,17 +263,18 @@ const processFileForETL = async (params, context) => {
         `Tamaño de archivo excede el límite: ${objectMetadata.ContentLength} bytes`);
     }
 
-    // 6. Descargar archivo CSV temporalmente
+    // 6. Descargar archivo de datos temporalmente
     const tempCsvPath = await S3Utils.downloadObject(bucketName, objectKey);
     
-    logger.info('Archivo CSV descargado temporalmente', {
+    logger.info('Archivo de datos descargado temporalmente', {
       requestId,
       tempCsvPath,
+      format,
       fileSize: objectMetadata.ContentLength
     });
 
     // 7. Descargar esquema JSON correspondiente
-    const schemaKey = objectKey.replace(/\/[^\/]+\.csv$/, '/schema.json');
+    const schemaKey = objectKey.replace(/\/[^\/]+$/, '/schema.json');
     let schema;
     
     try {
@@ -277,37 +297,169 @@ const processFileForETL = async (params, context) => {
         error: schemaError.message
       });
       
+      await CatalogService.addJobWarning(metaFileId,
+        'No se encontró schema.json; el esquema se infirió automáticamente del archivo');
+
       // Generar esquema automáticamente si no existe
-      const csvProcessingResult = await CsvProcessor.processCsvFile(tempCsvPath, objectKey);
+      const csvProcessingResult = await CsvProcessor.processCsvFile(tempCsvPath, objectKey, { separator, format });
       schema = {
         tableName: metaTableName,
         directory: metaDirectory,
         schema: csvProcessingResult.schema,
+        config: { ...csvProcessingResult.dialect },
         fileId: metaFileId
       };
     }
 
+    // Escritor de las partes Parquet; si el archivo falla antes de catalogarse se descartan
+    let curatedWriter = null;
+    // Cuarentena sin cerrar si el archivo falla a mitad de lectura (p. ej. duplicados con reject)
+    let quarantine = null;
       try {
+      await enterStage(JOB_STAGES.TRANSFORMING);
       console.log('[ETL] Iniciando procesamiento CSV con esquema...');
-      // 8. Procesar archivo CSV con el esquema
+      // 8. Procesar archivo CSV con el esquema en streaming y
+      // 9. escribir cada chunk como partes Parquet del bucket curated, particionadas
+      // según la especificación guardada junto al esquema
+      const partitionSpec = normalizePartitionSpec(schema.partitionSpec, schema.schema);
+      curatedWriter = ParquetService.createCuratedWriter({
+        schema: schema.schema,
+        partitionSpec,
+        tableName: metaTableName,
+        directory: metaDirectory,
+        fileId: metaFileId
+      });
+
+      // Opciones guardadas con el archivo: dialecto en CSV (lo que falte se detecta),
+      // hoja y fila de cabecera en Excel, arrays a expandir en JSON y entradas a leer de un zip
+      const csvOptions = { ...(schema.config || {}), ...(separator ? { separator } : {}), format };
+
+      // Las filas que no cumplen el esquema y, con la política quarantine, las que duplican
+      // una clave primaria o única se guardan aparte en raw con el motivo
+      quarantine = QuarantineService.createQuarantineWriter({
+        bucket: bucketName,
+        directory: metaDirectory,
+        fileId: metaFileId
+      });
+      const duplicateChecker = await ConstraintService.createDuplicateChecker({
+        tableName: metaTableName,
+        fileId: metaFileId,
+        schema: schema.schema,
+        config: schema.config,
+        source: { filePath: tempCsvPath, objectKey, schema: schema.schema, csvOptions },
+        quarantine
+      });
+
+      // Reglas de calidad de la tabla, evaluadas sobre las filas que se cargan
+      const qualityChecker = await QualityService.createTableQualityChecker(metaTableName, schema.schema);
+
+      const rejectedByColumn = {};
       const csvProcessingResult = await CsvProcessor.processCsvFileWithSchema(
         tempCsvPath, 
         objectKey, 
         schema.schema,
-        separator
+        csvOptions,
+        async (rows, chunkIndex, position) => {
+          const accepted = duplicateChecker
+            ? await duplicateChecker.filterChunk(rows, position)
+            : { rows, rowNumbers: position.rowNumbers };
+          if (qualityChecker) {
+            qualityChecker.checkRows(accepted.rows, accepted.rowNumbers);
+          }
+          await curatedWriter.writeChunk(accepted.rows);
+          const fraction = position.totalBytes > 0 ? position.bytesRead / position.totalBytes : 1;
+          await CatalogService.updateJobStage(metaFileId, JOB_STAGES.TRANSFORMING, getTransformingProgress(fraction), {
+            rowsProcessed: position.rowCount,
+            bytesProcessed: position.bytesRead,
+            totalBytes: position.totalBytes
+          });
+        },
+        (message) => CatalogService.addJobWarning(metaFileId, message),
+        async (row, rowNumber, errors) => {
+          errors.forEach(error => {
+            rejectedByColumn[error.column] = (rejectedByColumn[error.column] || 0) + 1;
+          });
+          await quarantine.add(row, rowNumber, formatRowErrors(errors));
+        }
       );
+      const parquetResult = curatedWriter.finish();
+      const quarantineResult = await quarantine.close();
+      quarantine = null;
+
+      // Filas aceptadas y rechazadas por la validación; por encima del umbral falla el archivo
+      const validation = {
+        totalRows: csvProcessingResult.rowCount,
+        acceptedRows: csvProcessingResult.rowCount - csvProcessingResult.rejectedRowCount,
+        rejectedRows: csvProcessingResult.rejectedRowCount,
+        rejectedByColumn,
+        errorThreshold: schema.config && schema.config.errorThreshold !== undefined ? schema.config.errorThreshold : null
+      };
+      if (isErrorThresholdExceeded(validation.rejectedRows, validation.totalRows, validation.errorThreshold)) {
+        throw createError('VALIDATION_ERROR',
+          `${validation.rejectedRows} de ${validation.totalRows} filas no cumplen el esquema, más del ${validation.errorThreshold}% permitido (errorThreshold)`,
+          { validation, quarantine: quarantineResult });
+      }
+      if (validation.rejectedRows > 0) {
+        await CatalogService.addJobWarning(metaFileId,
+          `${validation.rejectedRows} filas no cumplen el esquema y se apartaron en cuarentena`);
+      }
+      const duplicates = duplicateChecker ? duplicateChecker.getSummary() : null;
+
+      if (duplicates && duplicates.duplicateCount > 0) {
+        await CatalogService.addJobWarning(metaFileId,
+          `${duplicates.duplicateCount} filas con claves duplicadas no se cargaron (política ${duplicates.policy})`);
+      }
+      if (duplicates && duplicates.skippedFiles.length > 0) {
+        await CatalogService.addJobWarning(metaFileId,
+          `No se comprobaron duplicados contra ${duplicates.skippedFiles.length} archivos de la tabla sin Parquet en curated`);
+      }
+
+      // Informe de calidad junto al archivo raw; una regla error incumplida hace fallar el archivo
+      let quality = null;
+      if (qualityChecker) {
+        const report = qualityChecker.buildReport({
+          rowCount: parquetResult.rowCount,
+          previousRowCount: await QualityService.getPreviousRowCount(metaTableName, metaFileId)
+        });
+        quality = {
+          ...report,
+          location: await QualityService.saveQualityReport({
+            bucket: bucketName,
+            directory: metaDirectory,
+            fileId: metaFileId,
+            report
+          })
+        };
+
+        const failedRules = quality.rules.filter(rule => !rule.passed);
+        // El informe se conserva en raw para explicar el fallo; las partes Parquet ya escritas
+        // se descartan al capturar el error, como con el umbral de errores
+        if (quality.blocking) {
+          throw createError('VALIDATION_ERROR',
+            `El archivo no cumple las reglas de calidad: ${failedRules.filter(rule => rule.severity === 'error').map(rule => rule.name).join(', ')}`,
+            { quality });
+        }
+        if (failedRules.length > 0) {
+          await CatalogService.addJobWarning(metaFileId,
+            `Reglas de calidad no cumplidas: ${failedRules.map(rule => rule.name).join(', ')}`);
+        }
+      }
       console.log('[ETL] Procesamiento CSV completado:', {
         rowCount: csvProcessingResult.rowCount,
-        columnCount: csvProcessingResult.columnCount
+        columnCount: csvProcessingResult.columnCount,
+        chunkCount: csvProcessingResult.chunkCount
       });
       
       logger.info('Archivo CSV procesado con esquema', {
         requestId,
         rowCount: csvProcessingResult.rowCount,
         columnCount: csvProcessingResult.columnCount,
+        chunkCount: csvProcessingResult.chunkCount,
         schema: csvProcessingResult.schema
       });
+      console.log('[ETL] Parquet generado:', parquetResult.curatedKeys);
 
+      await enterStage(JOB_STAGES.CATALOGUING);
       console.log('[ETL] Iniciando actualización de catálogo en DynamoDB...');
       const catalogEntry = await CatalogService.updateCatalogEntry({
         fileId: metaFileId,
@@ -316,22 +468,50 @@ const processFileForETL = async (params, context) => {
         originalFileName: objectMetadata.Metadata['original-name'],
         originalFileSize: objectMetadata.ContentLength,
         schema: schema.schema,
-        rowCount: csvProcessingResult.rowCount,
+        rowCount: parquetResult.rowCount,
         columnCount: csvProcessingResult.columnCount,
         s3Location: {
           rawBucket: bucketName,
-          rawKey: objectKey
+          rawKey: objectKey,
+          curatedBucket: parquetResult.curatedBucket,
+          curatedKeys: parquetResult.curatedKeys,
+          format: 'parquet'
         },
+        partitionSpec,
+        dialect: csvProcessingResult.dialect,
+        writeMode: getWriteMode(schema.config),
+        validation,
+        duplicates,
+        quarantine: quarantineResult,
+        quality,
         processingMetadata: {
           processingTime: Date.now() - startTime,
           requestId,
           lambdaMemorySize: context.memoryLimitInMB,
           lambdaTimeout: context.getRemainingTimeInMillis(),
-          separator: separator
+          separator: csvProcessingResult.dialect ? csvProcessingResult.dialect.separator : null,
+          chunkCount: csvProcessingResult.chunkCount
         }
       });
       
-      console.log('[ETL] Catálogo actualizado exitosamente en DynamoDB');      logger.info('Dataset actualizado en DynamoDB', {
+      console.log('[ETL] Catálogo actualizado exitosamente en DynamoDB');
+      // Las partes ya pertenecen al catálogo: un fallo posterior no debe borrarlas
+      curatedWriter = null;
+
+      // Las consultas ya ven solo el overwrite desde que está procesado; si falla la marca
+      // de los archivos anteriores la tabla sigue siendo correcta, así que no se falla el trabajo
+      if (catalogEntry.writeMode === WRITE_MODES.OVERWRITE) {
+        try {
+          await CatalogService.supersedeTableFiles(catalogEntry);
+        } catch (supersedeError) {
+          logError(supersedeError, {
+            requestId,
+            fileId: metaFileId,
+            tableName: metaTableName
+          }, 'etl-http-processing');
+        }
+      }
+      logger.info('Dataset actualizado en DynamoDB', {
         requestId,
         fileId: metaFileId,
         tableName: metaTableName,
@@ -356,21 +536,24 @@ const processFileForETL = async (params, context) => {
         tableName: metaTableName,
         processingTime: totalProcessingTime,
         originalSize: objectMetadata.ContentLength,
-        rowCount: csvProcessingResult.rowCount,
+        parquetSize: parquetResult.fileSize,
+        curatedKeys: parquetResult.curatedKeys,
+        rowCount: parquetResult.rowCount,
         columnCount: csvProcessingResult.columnCount,
         status: 'processed'
       };
 
     } catch (processingError) {
-      // Limpiar archivos temporales en caso de error
+      // Limpiar archivos temporales y las partes Parquet del archivo fallido (p. ej. por superar
+      // el umbral de errores, incumplir una regla de calidad error o rechazar claves duplicadas a
+      // mitad de lectura), que no llegó a registrarse en el catálogo
       await FileUtils.cleanupTempFiles([tempCsvPath]);
-      
-      // Actualizar estado en DynamoDB como error
-      await CatalogService.updateProcessingStatus(metaFileId, 'error', {
-        error: processingError.message,
-        requestId,
-        processingTime: Date.now() - startTime
-      });
+      if (quarantine) {
+        await quarantine.discard();
+      }
+      if (curatedWriter) {
+        await curatedWriter.discard();
+      }
       
       throw processingError;
     }
@@ -386,6 +569,40 @@ const processFileForETL = async (params, context) => {
       processingTime
     }, 'etl-http-processing');
 
+    // Marcar el trabajo como fallido para que GET /api/jobs/:id informe el error
+    let failedEntry = null;
+    try {
+      failedEntry = await CatalogService.updateProcessingStatus(fileId, 'error', {
+        error: error.message,
+        code: error.code || 'INTERNAL_ERROR',
+        stage: currentStage,
+        // Contadores de validación o duplicados que explican el fallo
+        details: error.details || null,
+        requestId,
+        processingTime
+      });
+    } catch (statusError) {
+      logger.warn('No se pudo registrar el fallo del trabajo', {
+        requestId,
+        fileId,
+        error: statusError.message
+      });
+    }
+
+    // La versión nueva del esquema que registró la subida no pasa a ser la actual de la tabla
+    // si ningún archivo llegó a cargarse con ella
+    if (failedEntry && failedEntry.tableName && failedEntry.schemaVersion) {
+      try {
+        await CatalogService.rollbackSchemaVersion(failedEntry);
+      } catch (rollbackError) {
+        logger.warn('No se pudo deshacer la versión del esquema del trabajo fallido', {
+          requestId,
+          fileId,
+          error: rollbackError.message
+        });
+      }
+    }
+
     // Re-lanzar el error para que el manejador principal lo capture
     throw error;
   }
@@ -404,6 +621,7 @@ exports.handleHealthCheck = async (event, context) => {
     // Verificar variables de entorno requeridas
     const requiredEnvVars = [
       'S3_BUCKET_RAW',
+      'S3_BUCKET_CURATED',
       'DDB_TABLE_NAME'
     ];
 
@@ -416,7 +634,8 @@ exports.handleHealthCheck = async (event, context) => {
       environment: {
         missingVars: missingVars.length > 0 ? missingVars : undefined,
         buckets: {
-          raw: process.env.S3_BUCKET_RAW
+          raw: process.env.S3_BUCKET_RAW,
+          curated: process.env.S3_BUCKET_CURATED
         },
         dynamodb: process.env.DDB_TABLE_NAME
       }
@@ -0,0 +1,64 @@
+jest.mock('../../utils/s3Utils');
+jest.mock('../../../../shared/utils/parquet', () => ({
+  PARQUET_COMPRESSION: 'SNAPPY',
+  writeParquetFile: jest.fn()
+}));
+
+const S3Utils = require('../../utils/s3Utils');
+const { writeParquetFile } = require('../../../../shared/utils/parquet');
+const ParquetService = require('../parquetService');
+
+const schema = [
+  { name: 'id', type: 'integer' },
+  { name: 'country', type: 'string' }
+];
+
+const createWriter = () => ParquetService.createCuratedWriter({
+  schema,
+  partitionSpec: [{ column: 'country', transform: 'identity', name: 'country' }],
+  tableName: 't',
+  directory: 'd',
+  fileId: 'f1'
+});
+
+beforeEach(() => {
+  process.env.S3_BUCKET_CURATED = 'curated';
+  jest.resetAllMocks();
+  S3Utils.uploadObject.mockResolvedValue({});
+  S3Utils.deleteObject.mockResolvedValue({});
+  writeParquetFile.mockImplementation(async (filePath, fileSchema, rows) => rows.length);
+});
+
+describe('createCuratedWriter', () => {
+  test('escribe una parte por partición y chunk', async () => {
+    const writer = createWriter();
+    await writer.writeChunk([{ id: 1, country: 'AR' }, { id: 2, country: 'ES' }]);
+    await writer.writeChunk([{ id: 3, country: 'AR' }]);
+
+    const result = writer.finish();
+    expect(result.rowCount).toBe(3);
+    expect(result.curatedKeys).toEqual([
+      'd/t/country=AR/f1/part-00000.snappy.parquet',
+      'd/t/country=ES/f1/part-00001.snappy.parquet',
+      'd/t/country=AR/f1/part-00002.snappy.parquet'
+    ]);
+  });
+
+  test('discard borra todas las partes subidas', async () => {
+    const writer = createWriter();
+    await writer.writeChunk([{ id: 1, country: 'AR' }, { id: 2, country: 'ES' }]);
+    const { curatedKeys } = writer.finish();
+
+    await writer.discard();
+    expect(S3Utils.deleteObject.mock.calls).toEqual(curatedKeys.map(key => ['curated', key]));
+  });
+
+  test('discard no falla si no se puede borrar alguna parte', async () => {
+    S3Utils.deleteObject.mockRejectedValueOnce(new Error('AccessDenied'));
+    const writer = createWriter();
+    await writer.writeChunk([{ id: 1, country: 'AR' }, { id: 2, country: 'ES' }]);
+
+    await expect(writer.discard()).resolves.toBeUndefined();
+    expect(S3Utils.deleteObject).toHaveBeenCalledTimes(2);
+  });
+});
@@ -6,14 +6,20 @@
 const AWS = require('aws-sdk');
 const { logger, logError } = require('../../../shared/utils/logger');
 const { createError } = require('../../../shared/constants/errorCodes');
+const { JOB_STAGES, STAGE_PROGRESS } = require('../../../shared/constants/jobStages');
+const { DEFAULT_WRITE_MODE, getCommitTime } = require('../../../shared/constants/writeModes');
+const { getTableRecordId, isTableRecord } = require('../../../shared/constants/catalogRecords');
+const { getSchemaRollback } = require('../../../shared/utils/schemaCompatibility');
 
 // Configurar DynamoDB
 const dynamodb = new AWS.DynamoDB.DocumentClient();
 const TABLE_NAME = process.env.DDB_TABLE_NAME || 'datasets-catalog';
 
 /**
- * Actualiza una entrada existente en el catálogo
- * @param {Object} catalogData - Datos del catálogo
+ * Actualiza una entrada existente en el catálogo y la marca como vigente en su tabla
+ * @param {Object} catalogData - Datos del catálogo (writeMode: append, overwrite o upsert;
+ *   validation: filas aceptadas y rechazadas por el esquema; duplicates: resumen de claves duplicadas;
+ *   quarantine: objeto S3 con las filas apartadas; quality: informe de las reglas de calidad)
  * @returns {Object} - Entrada actualizada
  */
 const updateCatalogEntry = async (catalogData) => {
@@ -27,6 +33,13 @@ const updateCatalogEntry = async (catalogData) => {
     rowCount,
     columnCount,
     s3Location,
+    partitionSpec = [],
+    dialect = null,
+    writeMode = DEFAULT_WRITE_MODE,
+    validation = null,
+    duplicates = null,
+    quarantine = null,
+    quality = null,
     processingMetadata
   } = catalogData;
 
@@ -48,6 +61,16 @@ const updateCatalogEntry = async (catalogData) => {
           #rowCount = :rowCount,
           #columnCount = :columnCount,
           #s3Location = :s3Location,
+          #partitionSpec = :partitionSpec,
+          #dialect = :dialect,
+          #writeMode = :writeMode,
+          #live = :live,
+          #validation = :validation,
+          #duplicates = :duplicates,
+          #quarantine = :quarantine,
+          #quality = :quality,
+          #stage = :stage,
+          #progress = :progress,
           #processingMetadata = :processingMetadata,
           #processedAt = :processedAt,
           #updatedAt = :updatedAt
@@ -57,6 +80,16 @@ const updateCatalogEntry = async (catalogData) => {
         '#rowCount': 'rowCount',
         '#columnCount': 'columnCount',
         '#s3Location': 's3Location',
+        '#partitionSpec': 'partitionSpec',
+        '#dialect': 'dialect',
+        '#writeMode': 'writeMode',
+        '#live': 'live',
+        '#validation': 'validation',
+        '#duplicates': 'duplicates',
+        '#quarantine': 'quarantine',
+        '#quality': 'quality',
+        '#stage': 'stage',
+        '#progress': 'progress',
         '#processingMetadata': 'processingMetadata',
         '#processedAt': 'processedAt',
         '#updatedAt': 'updatedAt'
@@ -66,6 +99,16 @@ const updateCatalogEntry = async (catalogData) => {
         ':rowCount': rowCount,
         ':columnCount': columnCount,
         ':s3Location': s3Location,
+        ':partitionSpec': partitionSpec,
+        ':dialect': dialect,
+        ':writeMode': writeMode,
+        ':live': true,
+        ':validation': validation,
+        ':duplicates': duplicates,
+        ':quarantine': quarantine,
+        ':quality': quality,
+        ':stage': JOB_STAGES.DONE,
+        ':progress': STAGE_PROGRESS[JOB_STAGES.DONE],
         ':processingMetadata': processingMetadata,
         ':processedAt': new Date().toISOString(),
         ':updatedAt': new Date().toISOString()
@@ -94,8 +137,217 @@ const updateCatalogEntry = async (catalogData) => {
   }
 };
 
+/**
+ * Marca como reemplazados los archivos de una tabla confirmados antes de un overwrite
+ * La tabla ya cambia al confirmarse el overwrite; esta marca deja constancia en el catálogo
+ * de qué archivos dejaron de estar vigentes y por qué archivo
+ * @param {Object} entry - Entrada del catálogo del archivo overwrite ya procesado
+ * @returns {Array} - fileId de los archivos reemplazados
+ */
+const supersedeTableFiles = async (entry) => {
+  const { fileId, tableName } = entry;
+  const committedAt = new Date(getCommitTime(entry));
+
+  try {
+    const entries = await getCatalogEntriesByTable(tableName);
+    const superseded = entries.filter(file => file.fileId !== fileId &&
+      file.status === 'processed' &&
+      file.live !== false &&
+      new Date(getCommitTime(file)) <= committedAt);
+
+    for (const file of superseded) {
+      await dynamodb.update({
+        TableName: TABLE_NAME,
+        Key: {
+          fileId: file.fileId
+        },
+        UpdateExpression: 'SET #live = :live, #supersededBy = :supersededBy, #updatedAt = :updatedAt',
+        ExpressionAttributeNames: {
+          '#live': 'live',
+          '#supersededBy': 'supersededBy',
+          '#updatedAt': 'updatedAt'
+        },
+        ExpressionAttributeValues: {
+          ':live': false,
+          ':supersededBy': fileId,
+          ':updatedAt': new Date().toISOString()
+        }
+      }).promise();
+    }
+
+    logger.info('Archivos reemplazados por overwrite', {
+      fileId,
+      tableName,
+      superseded: superseded.map(file => file.fileId)
+    });
+
+    return superseded.map(file => file.fileId);
+  } catch (error) {
+    logError(error, {
+      fileId,
+      tableName,
+      operation: 'supersedeTableFiles'
+    }, 'catalog-service');
+
+    throw createError('DYNAMODB_ERROR',
+      `Error marcando los archivos reemplazados: ${error.message}`);
+  }
+};
+
+/**
+ * Deshace la versión del esquema con la que se registró un archivo cuya ingesta falló, si es la
+ * actual de su tabla y ningún otro archivo la usa: el backend la registra al subir el archivo
+ * @param {Object} entry - Entrada del catálogo del archivo fallido
+ * @returns {boolean} - True si se deshizo la versión
+ */
+const rollbackSchemaVersion = async (entry) => {
+  const { fileId, tableName, schemaVersion } = entry;
+
+  try {
+    const rollback = getSchemaRollback(await getTableRecord(tableName), schemaVersion,
+      await getCatalogEntriesByTable(tableName));
+    if (!rollback) {
+      return false;
+    }
+
+    const expressionAttributeValues = {
+      ':version': schemaVersion,
+      ':count': rollback.count,
+      ':updatedAt': new Date().toISOString()
+    };
+    // Sin versión anterior la tabla era nueva y vuelve a no tener registro de versiones
+    let updateExpression = 'SET #updatedAt = :updatedAt REMOVE #schemas, #schemaVersion';
+    if (rollback.previousVersion !== null) {
+      updateExpression = `SET #schemaVersion = :previousVersion, #updatedAt = :updatedAt REMOVE #schemas[${rollback.index}]`;
+      expressionAttributeValues[':previousVersion'] = rollback.previousVersion;
+    }
+
+    await dynamodb.update({
+      TableName: TABLE_NAME,
+      Key: {
+        fileId: getTableRecordId(tableName)
+      },
+      UpdateExpression: updateExpression,
+      // Otra subida pudo registrar una versión entretanto: entonces se conserva
+      ConditionExpression: '#schemaVersion = :version AND size(#schemas) = :count',
+      ExpressionAttributeNames: {
+        '#schemas': 'schemas',
+        '#schemaVersion': 'schemaVersion',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: expressionAttributeValues
+    }).promise();
+
+    logger.info('Versión del esquema deshecha', {
+      fileId,
+      tableName,
+      schemaVersion,
+      currentVersion: rollback.previousVersion
+    });
+
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    logError(error, {
+      fileId,
+      tableName,
+      operation: 'rollbackSchemaVersion'
+    }, 'catalog-service');
+
+    throw createError('DYNAMODB_ERROR',
+      `Error deshaciendo la versión del esquema: ${error.message}`);
+  }
+};
+
+/**
+ * Actualiza la etapa y el avance del trabajo de ingesta de una entrada
+ * @param {string} fileId - ID del archivo (también ID del trabajo)
+ * @param {string} stage - Etapa de JOB_STAGES
+ * @param {number} [progress] - Porcentaje de avance (por defecto el inicio de la etapa)
+ * @param {Object} [details] - Contadores del trabajo { rowsProcessed, bytesProcessed, totalBytes }
+ * @returns {Object} - Entrada actualizada
+ */
+const updateJobStage = async (fileId, stage, progress = STAGE_PROGRESS[stage], details = {}) => {
+  try {
+    logger.info('Actualizando etapa del trabajo', {
+      fileId,
+      stage,
+      progress,
+      ...details
+    });
+
+    const values = { stage, progress, ...details, updatedAt: new Date().toISOString() };
+    const names = Object.keys(values);
+
+    const updateParams = {
+      TableName: TABLE_NAME,
+      Key: {
+        fileId: fileId
+      },
+      UpdateExpression: `SET ${names.map(name => `#${name} = :${name}`).join(', ')}`,
+      ExpressionAttributeNames: Object.fromEntries(names.map(name => [`#${name}`, name])),
+      ExpressionAttributeValues: Object.fromEntries(names.map(name => [`:${name}`, values[name]])),
+      ReturnValues: 'ALL_NEW'
+    };
+
+    const result = await dynamodb.update(updateParams).promise();
+    return result.Attributes;
+  } catch (error) {
+    logError(error, {
+      fileId,
+      stage,
+      operation: 'updateJobStage'
+    }, 'catalog-service');
+
+    throw createError('DYNAMODB_ERROR', 
+      `Error actualizando etapa del trabajo: ${error.message}`);
+  }
+};
+
+/**
+ * Añade un aviso de validación al trabajo de ingesta de una entrada
+ * @param {string} fileId - ID del archivo (también ID del trabajo)
+ * @param {string} message - Texto del aviso
+ * @returns {Object} - Entrada actualizada
+ */
+const addJobWarning = async (fileId, message) => {
+  try {
+    const updateParams = {
+      TableName: TABLE_NAME,
+      Key: {
+        fileId: fileId
+      },
+      UpdateExpression: 'SET #warnings = list_append(if_not_exists(#warnings, :empty), :warning), #updatedAt = :updatedAt',
+      ExpressionAttributeNames: {
+        '#warnings': 'warnings',
+        '#updatedAt': 'updatedAt'
+      },
+      ExpressionAttributeValues: {
+        ':empty': [],
+        ':warning': [{ message, createdAt: new Date().toISOString() }],
+        ':updatedAt': new Date().toISOString()
+      },
+      ReturnValues: 'ALL_NEW'
+    };
+
+    const result = await dynamodb.update(updateParams).promise();
+    return result.Attributes;
+  } catch (error) {
+    logError(error, {
+      fileId,
+      operation: 'addJobWarning'
+    }, 'catalog-service');
+
+    throw createError('DYNAMODB_ERROR', 
+      `Error registrando aviso del trabajo: ${error.message}`);
+  }
+};
+
 /**
  * Actualiza el estado de procesamiento de una entrada
+ * Con estado 'error' el trabajo pasa a la etapa failed
  * @param {string} fileId - ID del archivo
  * @param {string} status - Nuevo estado
  * @param {Object} errorInfo - Información del error (opcional)
@@ -108,7 +360,7 @@ const updateProcessingStatus = async (fileId, status, errorInfo = null) => {
       status
     });
 
-    const updateExpression = `
+    let updateExpression = `
       SET 
         #status = :status,
         #updatedAt = :updatedAt
@@ -124,6 +376,12 @@ const updateProcessingStatus = async (fileId, status, errorInfo = null) => {
       ':updatedAt': new Date().toISOString()
     };
 
+    if (status === 'error') {
+      updateExpression += ', #stage = :stage';
+      expressionAttributeNames['#stage'] = 'stage';
+      expressionAttributeValues[':stage'] = JOB_STAGES.FAILED;
+    }
+
     // Si hay información de error, agregarla
     if (errorInfo) {
       updateExpression += ', #errorInfo = :errorInfo';
@@ -193,6 +451,32 @@ const getCatalogEntry = async (fileId) => {
   }
 };
 
+/**
+ * Obtiene el registro de una tabla del catálogo, con la configuración común a sus archivos
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {Object|null} - Registro de la tabla (qualityRules...) o null si no tiene
+ */
+const getTableRecord = async (tableName) => {
+  try {
+    const result = await dynamodb.get({
+      TableName: TABLE_NAME,
+      Key: {
+        fileId: getTableRecordId(tableName)
+      }
+    }).promise();
+
+    return result.Item || null;
+  } catch (error) {
+    logError(error, {
+      tableName,
+      operation: 'getTableRecord'
+    }, 'catalog-service');
+
+    throw createError('DYNAMODB_ERROR',
+      `Error obteniendo el registro de la tabla: ${error.message}`);
+  }
+};
+
 /**
  * Obtiene todas las entradas de una tabla específica
  * @param {string} tableName - Nombre de la tabla
@@ -208,9 +492,16 @@ const getCatalogEntriesByTable = async (tableName) => {
       }
     };
 
-    const result = await dynamodb.scan(params).promise();
-    
-    return result.Items || [];
+    // El scan se pagina: cada página lee como máximo 1 MB de la tabla
+    const items = [];
+    let result;
+    do {
+      result = await dynamodb.scan(params).promise();
+      items.push(...(result.Items || []));
+      params.ExclusiveStartKey = result.LastEvaluatedKey;
+    } while (result.LastEvaluatedKey);
+
+    return items;
   } catch (error) {
     logError(error, {
       tableName,
@@ -223,7 +514,7 @@ const getCatalogEntriesByTable = async (tableName) => {
 };
 
 /**
- * Obtiene todas las entradas del catálogo
+ * Obtiene todas las entradas de archivo del catálogo, sin los registros de tabla
  * @returns {Array} - Lista de todas las entradas
  */
 const getAllCatalogEntries = async () => {
@@ -234,7 +525,7 @@ const getAllCatalogEntries = async () => {
 
     const result = await dynamodb.scan(params).promise();
     
-    return result.Items || [];
+    return (result.Items || []).filter(item => !isTableRecord(item));
   } catch (error) {
     logError(error, {
       operation: 'getAllCatalogEntries'
@@ -279,8 +570,13 @@ const deleteCatalogEntry = async (fileId) => {
 
 module.exports = {
   updateCatalogEntry,
+  supersedeTableFiles,
+  rollbackSchemaVersion,
+  updateJobStage,
+  addJobWarning,
   updateProcessingStatus,
   getCatalogEntry,
+  getTableRecord,
   getCatalogEntriesByTable,
   getAllCatalogEntries,
   deleteCatalogEntry
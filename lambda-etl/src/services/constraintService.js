@@ -0,0 +1,223 @@
+/**
+ * Servicio de restricciones: detecta claves primarias y únicas duplicadas dentro del archivo
+ * y frente a los datos vigentes de la tabla, y aplica la política de duplicados del esquema
+ * @module lambda-etl/services/constraintService
+ */
+
+const { logger } = require('../../../shared/utils/logger');
+const { createError } = require('../../../shared/constants/errorCodes');
+const { WRITE_MODES, getWriteMode, getLiveFiles } = require('../../../shared/constants/writeModes');
+const { DUPLICATE_POLICIES, getKeyConstraints, getPrimaryKey, getDuplicatePolicy, getKeyValue } = require('../../../shared/utils/constraints');
+const { readParquet } = require('../../../shared/utils/parquet');
+const CatalogService = require('./catalogService');
+const CsvProcessor = require('./csvProcessor');
+const S3Utils = require('../utils/s3Utils');
+const FileUtils = require('../utils/fileUtils');
+
+// Detalles de duplicados que se incluyen en el error de una política reject
+const MAX_REPORTED_DUPLICATES = 10;
+
+/**
+ * Lee las claves de los archivos vigentes de la tabla desde sus partes Parquet del bucket curated
+ * @param {string} tableName - Nombre de la tabla
+ * @param {string} fileId - ID del archivo en proceso, que no se compara consigo mismo
+ * @param {Array} constraints - Restricciones [{ name, columns }]
+ * @param {Array} primaryKey - Columnas de la clave primaria
+ * @returns {Object} - { keys, skippedFiles }: por restricción, un Map de valor de clave a valor
+ *   de clave primaria de la fila existente, y los archivos sin partes curated que no se leyeron
+ */
+const loadExistingKeys = async (tableName, fileId, constraints, primaryKey) => {
+  const files = getLiveFiles(await CatalogService.getCatalogEntriesByTable(tableName))
+    .filter(file => file.fileId !== fileId);
+  const keys = constraints.map(() => new Map());
+  const skippedFiles = [];
+
+  for (const file of files) {
+    const location = file.s3Location || {};
+    if (!location.curatedKeys || location.curatedKeys.length === 0) {
+      skippedFiles.push(file.fileId);
+      continue;
+    }
+
+    for (const curatedKey of location.curatedKeys) {
+      const tempPath = await S3Utils.downloadObject(location.curatedBucket || process.env.S3_BUCKET_CURATED, curatedKey);
+      try {
+        await readParquet(tempPath, (row) => {
+          const primaryValue = primaryKey.length > 0 ? getKeyValue(row, primaryKey) : null;
+          constraints.forEach((constraint, index) => {
+            const value = getKeyValue(row, constraint.columns);
+            if (value !== null) {
+              keys[index].set(value, primaryValue);
+            }
+          });
+        });
+      } finally {
+        await FileUtils.cleanupTempFiles([tempPath]);
+      }
+    }
+  }
+
+  logger.info('Claves existentes de la tabla cargadas', {
+    tableName,
+    files: files.length,
+    skippedFiles: skippedFiles.length,
+    keys: keys.map(map => map.size)
+  });
+
+  return { keys, skippedFiles };
+};
+
+/**
+ * Recorre el archivo una vez para saber en qué fila aparece por última vez cada clave
+ * @param {Object} source - { filePath, objectKey, schema, csvOptions } del archivo en proceso
+ * @param {Array} constraints - Restricciones [{ name, columns }]
+ * @returns {Array} - Por restricción, un Map de valor de clave a número de fila
+ */
+const findLastOccurrences = async ({ filePath, objectKey, schema, csvOptions }, constraints) => {
+  const lastRows = constraints.map(() => new Map());
+
+  await CsvProcessor.processCsvFileWithSchema(filePath, objectKey, schema, csvOptions, async (rows, chunkIndex, position) => {
+    rows.forEach((row, offset) => {
+      constraints.forEach((constraint, index) => {
+        const value = getKeyValue(row, constraint.columns);
+        if (value !== null) {
+          lastRows[index].set(value, position.rowNumbers[offset]);
+        }
+      });
+    });
+  });
+
+  return lastRows;
+};
+
+/**
+ * Describe el valor de una clave para los motivos y errores
+ * @param {Object} constraint - Restricción { name, columns }
+ * @param {Object} row - Fila transformada
+ * @returns {string} - Texto `name (col=valor, ...)`
+ */
+const describeKey = (constraint, row) =>
+  `${constraint.name} (${constraint.columns.map(column => `${column}=${row[column]}`).join(', ')})`;
+
+/**
+ * Crea el comprobador de duplicados de un archivo según las restricciones de su esquema
+ * En overwrite el archivo sustituye a la tabla, así que solo se comprueba contra sí mismo;
+ * en upsert una fila con la clave primaria de una fila existente la actualiza en lugar de duplicarla
+ * @param {Object} params - { tableName, fileId, schema, config, source, quarantine }
+ *   source: { filePath, objectKey, schema, csvOptions } para la pasada previa de keep_last;
+ *   quarantine: escritor de quarantineService para la política quarantine
+ * @returns {Object|null} - { filterChunk(rows, position), getSummary() } o null si no hay restricciones
+ */
+const createDuplicateChecker = async ({ tableName, fileId, schema, config, source, quarantine }) => {
+  const constraints = getKeyConstraints(schema, config);
+  if (constraints.length === 0) {
+    return null;
+  }
+
+  const policy = getDuplicatePolicy(config);
+  const writeMode = getWriteMode(config);
+  const primaryKey = getPrimaryKey(schema, config);
+
+  const existing = writeMode === WRITE_MODES.OVERWRITE
+    ? { keys: constraints.map(() => new Map()), skippedFiles: [] }
+    : await loadExistingKeys(tableName, fileId, constraints, primaryKey);
+  const lastRows = policy === DUPLICATE_POLICIES.KEEP_LAST ? await findLastOccurrences(source, constraints) : null;
+  const seen = constraints.map(() => new Set());
+
+  const summary = {
+    policy,
+    constraints: constraints.map(constraint => constraint.name),
+    duplicateCount: 0,
+    replacesExisting: 0,
+    skippedFiles: existing.skippedFiles
+  };
+  const rejected = [];
+
+  /**
+   * Busca el primer conflicto de una fila con las filas ya vistas o con los datos de la tabla
+   * @returns {Object|null} - { reason, existing } o null si la fila no duplica ninguna clave
+   */
+  const findConflict = (row, rowNumber, values) => {
+    const primaryValue = primaryKey.length > 0 ? getKeyValue(row, primaryKey) : null;
+
+    for (let index = 0; index < constraints.length; index++) {
+      const value = values[index];
+      if (value === null) {
+        continue;
+      }
+
+      const inFile = lastRows ? lastRows[index].get(value) !== rowNumber : seen[index].has(value);
+      if (inFile) {
+        return { reason: `${describeKey(constraints[index], row)} duplicada en el archivo`, existing: false };
+      }
+
+      const existingKeys = existing.keys[index];
+      const updatesRow = writeMode === WRITE_MODES.UPSERT && primaryValue !== null &&
+        existingKeys.get(value) === primaryValue;
+      if (existingKeys.has(value) && !updatesRow) {
+        return { reason: `${describeKey(constraints[index], row)} ya existe en la tabla`, existing: true };
+      }
+    }
+    return null;
+  };
+
+  return {
+    /**
+     * Aplica la política de duplicados a un chunk
+     * @param {Array} rows - Filas transformadas del chunk
+     * @param {Object} position - Posición de lectura { rowNumbers } del chunk
+     * @returns {Object} - { rows, rowNumbers } de las filas que se escriben en la tabla
+     */
+    filterChunk: async (rows, position) => {
+      const accepted = [];
+      const acceptedRowNumbers = [];
+
+      for (let offset = 0; offset < rows.length; offset++) {
+        const row = rows[offset];
+        const rowNumber = position.rowNumbers[offset];
+        const values = constraints.map(constraint => getKeyValue(row, constraint.columns));
+        const conflict = findConflict(row, rowNumber, values);
+
+        if (conflict && conflict.existing && policy === DUPLICATE_POLICIES.KEEP_LAST) {
+          // La última aparición sustituye a la fila existente al consultar la tabla
+          summary.replacesExisting++;
+        } else if (conflict) {
+          summary.duplicateCount++;
+          if (policy === DUPLICATE_POLICIES.REJECT && rejected.length < MAX_REPORTED_DUPLICATES) {
+            rejected.push({ rowNumber, reason: conflict.reason });
+          } else if (policy === DUPLICATE_POLICIES.QUARANTINE) {
+            await quarantine.add(row, rowNumber, conflict.reason);
+          }
+          continue;
+        }
+
+        values.forEach((value, index) => {
+          if (value !== null) {
+            seen[index].add(value);
+          }
+        });
+        accepted.push(row);
+        acceptedRowNumbers.push(rowNumber);
+      }
+
+      // Se rechaza al terminar el chunk para informar de varios duplicados a la vez
+      if (rejected.length > 0) {
+        throw createError('VALIDATION_ERROR',
+          `Claves duplicadas en el archivo (política reject): ${rejected.map(duplicate => `fila ${duplicate.rowNumber}: ${duplicate.reason}`).join('; ')}`,
+          { duplicates: rejected });
+      }
+      return { rows: accepted, rowNumbers: acceptedRowNumbers };
+    },
+
+    /**
+     * Resumen de los duplicados encontrados, que se guarda en el catálogo
+     * @returns {Object} - { policy, constraints, duplicateCount, replacesExisting, skippedFiles }
+     */
+    getSummary: () => summary
+  };
+};
+
+module.exports = {
+  createDuplicateChecker,
+  loadExistingKeys
+};
@@ -1,96 +1,168 @@
 /**
- * Servicio de procesamiento de archivos CSV
+ * Servicio de procesamiento de archivos tabulares (CSV, Excel, JSON, NDJSON, Parquet y Avro),
+ * también comprimidos con gzip o bzip2 o agrupados en un zip
  * @module lambda-etl/services/csvProcessor
  */
 
 const fs = require('fs-extra');
-const csv = require('csv-parser');
 const { logger, logError } = require('../../../shared/utils/logger');
 const { createError } = require('../../../shared/constants/errorCodes');
-const { isValidFileSize } = require('../../../shared/constants/fileTypes');
+const {
+  isValidFileSize,
+  CHUNK_CONFIG,
+  FILE_FORMATS,
+  ALLOWED_MIME_TYPES,
+  getFileCompression
+} = require('../../../shared/constants/fileTypes');
+const { transformValue } = require('../../../shared/utils/valueTransformer');
+const { createRowValidator } = require('../../../shared/utils/rowValidator');
+const { createColumnTransformer } = require('../../../shared/utils/columnTransforms');
+const { isDerivedField, createDerivedColumns } = require('../../../shared/utils/derivedColumns');
+const { inspectParquet } = require('../../../shared/utils/parquet');
+const { inspectAvro } = require('../../../shared/utils/avroReader');
+const { fileSource, createInputReader } = require('../../../shared/utils/inputReader');
+const { DIALECT_SAMPLE_BYTES, sniffDialect, resolveDialect } = require('../../../shared/utils/dialectSniffer');
+
+// Cada cuántas filas se comprueba el uso de memoria
+const MEMORY_CHECK_INTERVAL = 1000;
+
+// Tipo MIME con el que se valida el tamaño de cada formato
+const FORMAT_MIME_TYPES = {
+  [FILE_FORMATS.CSV]: ALLOWED_MIME_TYPES.CSV,
+  [FILE_FORMATS.EXCEL]: ALLOWED_MIME_TYPES.EXCEL,
+  [FILE_FORMATS.JSON]: ALLOWED_MIME_TYPES.JSON,
+  [FILE_FORMATS.NDJSON]: ALLOWED_MIME_TYPES.NDJSON,
+  [FILE_FORMATS.PARQUET]: ALLOWED_MIME_TYPES.PARQUET,
+  [FILE_FORMATS.AVRO]: ALLOWED_MIME_TYPES.AVRO
+};
+
+/**
+ * Comprueba que el archivo existe y no supera el tamaño máximo de su formato
+ * @param {string} filePath - Ruta al archivo
+ * @param {string} [format] - Formato del archivo (csv, excel, json, ndjson, parquet, avro)
+ * @returns {Promise<Object>} - Estadísticas del archivo
+ */
+const checkInputFile = async (filePath, format) => {
+  // Verificar que el archivo existe
+  if (!await fs.pathExists(filePath)) {
+    throw createError('FILE_NOT_FOUND', `Archivo no encontrado: ${filePath}`);
+  }
+
+  // Obtener estadísticas del archivo
+  const stats = await fs.stat(filePath);
+  const mimeType = FORMAT_MIME_TYPES[format] || ALLOWED_MIME_TYPES.CSV;
+
+  if (!isValidFileSize(stats.size, mimeType)) {
+    throw createError('INVALID_FILE_SIZE',
+      `Archivo demasiado grande: ${stats.size} bytes`);
+  }
+
+  return stats;
+};
 
 /**
- * Procesa un archivo CSV y extrae su esquema automáticamente
- * @param {string} filePath - Ruta al archivo CSV
+ * Obtiene el esquema embebido en los formatos que lo incluyen (Parquet y Avro)
+ * Si el archivo está comprimido el esquema se infiere de las filas como en el resto de formatos
+ * @param {string} filePath - Ruta al archivo
  * @param {string} objectKey - Clave del objeto S3
- * @returns {Object} - Resultado del procesamiento
+ * @param {string} format - Formato del archivo
+ * @returns {Promise<Array|null>} - Esquema del catálogo o null si el formato no lo incluye
  */
-const processCsvFile = async (filePath, objectKey) => {
+const readEmbeddedSchema = async (filePath, objectKey, format) => {
+  if (getFileCompression(objectKey)) {
+    return null;
+  }
+  if (format === FILE_FORMATS.PARQUET) {
+    return (await inspectParquet(filePath)).schema;
+  }
+  if (format === FILE_FORMATS.AVRO) {
+    return (await inspectAvro(fs.createReadStream(filePath))).schema;
+  }
+  return null;
+};
+
+/**
+ * Detecta el dialecto CSV (separador, comillas, escape, codificación, fin de línea y cabecera)
+ * en el inicio del archivo; la configuración guardada con el archivo tiene prioridad
+ * @param {Object} source - Origen del archivo
+ * @param {Object} csvOptions - Opciones del archivo
+ * @returns {Promise<Object|null>} - Dialecto a usar o null si el archivo no contiene CSV
+ */
+const detectCsvDialect = async (source, csvOptions) => {
+  const sample = await createInputReader(source, csvOptions).readSample(DIALECT_SAMPLE_BYTES);
+  if (!sample) {
+    return null;
+  }
+
+  const dialect = resolveDialect(csvOptions, sniffDialect(sample, csvOptions));
+  logger.info('Dialecto CSV detectado', { objectKey: source.name, dialect });
+  return dialect;
+};
+
+/**
+ * Procesa un archivo CSV, Excel, JSON, Parquet o Avro y extrae su esquema automáticamente
+ * En Parquet y Avro se usa el esquema embebido en el archivo en lugar de inferirlo
+ * @param {string} filePath - Ruta al archivo
+ * @param {string} objectKey - Clave del objeto S3
+ * @param {Object} [csvOptions] - Opciones del archivo: format y opciones CSV (separator, quote, escape, encoding,
+ *   lineEnding, hasHeader; las que falten se detectan; skipRows, footerRows), de Excel (sheetName, headerRow),
+ *   de JSON (explodeArrays) o de zip (entries)
+ * @returns {Object} - Resultado del procesamiento, con el dialecto CSV usado
+ */
+const processCsvFile = async (filePath, objectKey, csvOptions = {}) => {
   try {
     logger.info('Iniciando procesamiento de archivo CSV', {
       filePath,
       objectKey
     });
 
-    // Verificar que el archivo existe
-    if (!await fs.pathExists(filePath)) {
-      throw createError('FILE_NOT_FOUND', `Archivo no encontrado: ${filePath}`);
-    }
-
-    // Obtener estadísticas del archivo
-    const stats = await fs.stat(filePath);
-    
-    if (!isValidFileSize(stats.size, 'text/csv')) {
-      throw createError('INVALID_FILE_SIZE', 
-        `Archivo demasiado grande: ${stats.size} bytes`);
-    }
+    const stats = await checkInputFile(filePath, csvOptions.format);
 
     const results = [];
     const schema = new Map();
     let rowCount = 0;
     let columnCount = 0;
 
-    // Leer y analizar el archivo CSV
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv())
-        .on('data', (row) => {
-          results.push(row);
-          rowCount++;
-
-          // Analizar esquema en las primeras filas
-          if (rowCount <= 100) {
-            for (const [key, value] of Object.entries(row)) {
-              if (!schema.has(key)) {
-                schema.set(key, {
-                  name: key,
-                  type: inferDataType(value),
-                  nullable: value === '' || value === null || value === undefined,
-                  sampleValues: [value]
-                });
-              } else {
-                const field = schema.get(key);
-                field.type = inferDataType(value, field.type);
-                field.nullable = field.nullable || (value === '' || value === null || value === undefined);
-                if (field.sampleValues.length < 5) {
-                  field.sampleValues.push(value);
-                }
-              }
+    const source = fileSource(filePath, objectKey, stats.size);
+    const dialect = await detectCsvDialect(source, csvOptions);
+
+    // Leer y analizar el archivo
+    await createInputReader(source, { ...csvOptions, ...dialect }).read((row) => {
+      results.push(row);
+      rowCount++;
+
+      // Analizar esquema en las primeras filas
+      if (rowCount <= 100) {
+        for (const [key, value] of Object.entries(row)) {
+          if (!schema.has(key)) {
+            schema.set(key, {
+              name: key,
+              type: inferDataType(value),
+              nullable: value === '' || value === null || value === undefined,
+              sampleValues: [value]
+            });
+          } else {
+            const field = schema.get(key);
+            field.type = inferDataType(value, field.type);
+            field.nullable = field.nullable || (value === '' || value === null || value === undefined);
+            if (field.sampleValues.length < 5) {
+              field.sampleValues.push(value);
             }
           }
+        }
+      }
 
-          // Limitar el número de filas para análisis
-          if (rowCount > 1000) {
-            this.destroy();
-            resolve();
-          }
-        })
-        .on('end', () => {
-          columnCount = schema.size;
-          resolve();
-        })
-        .on('error', (error) => {
-          reject(createError('FILE_PROCESSING_FAILED', 
-            `Error procesando CSV: ${error.message}`));
-        });
+      // Limitar el número de filas para análisis
+      return rowCount <= 1000;
     });
-
-    const schemaArray = Array.from(schema.values()).map(field => ({
+    const embeddedSchema = await readEmbeddedSchema(filePath, objectKey, csvOptions.format);
+    const schemaArray = embeddedSchema || Array.from(schema.values()).map(field => ({
       name: field.name,
       type: field.type,
       nullable: field.nullable,
       description: `Campo ${field.name} de tipo ${field.type}`
     }));
+    columnCount = schemaArray.length;
 
     logger.info('Procesamiento CSV completado', {
       filePath,
@@ -104,6 +176,7 @@ const processCsvFile = async (filePath, objectKey) => {
       schema: schemaArray,
       rowCount,
       columnCount,
+      dialect,
       fileSize: stats.size
     };
 
@@ -119,86 +192,163 @@ const processCsvFile = async (filePath, objectKey) => {
 };
 
 /**
- * Procesa un archivo CSV con un esquema predefinido
- * @param {string} filePath - Ruta al archivo CSV
+ * Indica si el heap del proceso supera el límite de memoria para chunks
+ * @returns {boolean} - True si se debe vaciar el chunk actual
+ */
+const isMemoryLimitExceeded = () => {
+  const heapUsedMb = process.memoryUsage().heapUsed / (1024 * 1024);
+  return heapUsedMb >= CHUNK_CONFIG.MAX_MEMORY_USAGE_MB;
+};
+
+/**
+ * Procesa un archivo CSV, Excel, JSON, Parquet o Avro con un esquema predefinido en streaming
+ * Las filas transformadas se entregan en chunks de como máximo
+ * CHUNK_CONFIG.MAX_ROWS_PER_CHUNK filas, o menos si el heap alcanza
+ * CHUNK_CONFIG.MAX_MEMORY_USAGE_MB, de modo que nunca se retiene el archivo completo
+ * Cada fila pasa por las transformaciones de columna del esquema (transforms) y se valida contra
+ * el esquema (tipo, nulabilidad, pattern, min, max y allowedValues); las columnas calculadas
+ * (expression) se añaden después a partir de los valores ya convertidos. Las inválidas no entran
+ * en los chunks y se entregan a onReject
+ * @param {string} filePath - Ruta al archivo
  * @param {string} objectKey - Clave del objeto S3
  * @param {Array} schema - Esquema predefinido
- * @param {string} separator - Separador de campos
- * @returns {Object} - Resultado del procesamiento
+ * @param {Object} csvOptions - Opciones del archivo: format y opciones CSV (separator, quote, escape, encoding,
+ *   lineEnding, hasHeader; las que falten se detectan; skipRows, footerRows), de Excel (sheetName, headerRow),
+ *   de JSON (explodeArrays) o de zip (entries)
+ * @param {Function} onChunk - Función asíncrona (rows, chunkIndex, position) que recibe cada chunk
+ *   junto con la posición de lectura { rowCount, rowNumbers, bytesRead, totalBytes }: rowCount cuenta
+ *   las filas leídas y rowNumbers es el número de fila de datos (desde 1) de cada fila del chunk
+ * @param {Function} [onWarning] - Función asíncrona (message) para avisos de validación
+ * @param {Function} [onReject] - Función asíncrona (row, rowNumber, errors) para cada fila inválida,
+ *   con los valores leídos y los errores [{ column, message }]
+ * @returns {Object} - Resultado del procesamiento, con el dialecto CSV usado y las filas rechazadas
  */
-const processCsvFileWithSchema = async (filePath, objectKey, schema, separator = ',') => {
+const processCsvFileWithSchema = async (filePath, objectKey, schema, csvOptions, onChunk, onWarning = null, onReject = null) => {
   try {
     logger.info('Iniciando procesamiento CSV con esquema', {
       filePath,
       objectKey,
       schemaFields: schema.length,
-      separator
+      csvOptions,
+      maxRowsPerChunk: CHUNK_CONFIG.MAX_ROWS_PER_CHUNK
     });
 
-    // Verificar que el archivo existe
-    if (!await fs.pathExists(filePath)) {
-      throw createError('FILE_NOT_FOUND', `Archivo no encontrado: ${filePath}`);
-    }
-
-    // Obtener estadísticas del archivo
-    const stats = await fs.stat(filePath);
-    
-    if (!isValidFileSize(stats.size, 'text/csv')) {
-      throw createError('INVALID_FILE_SIZE', 
-        `Archivo demasiado grande: ${stats.size} bytes`);
-    }
+    const stats = await checkInputFile(filePath, csvOptions.format);
 
-    const results = [];
+    let chunk = [];
+    let chunkRowNumbers = [];
+    let chunkCount = 0;
     let rowCount = 0;
+    let rejectedRowCount = 0;
     const columnCount = schema.length;
+    const warnings = [];
+    // Las columnas calculadas no se leen del archivo
+    const sourceSchema = schema.filter(field => !isDerivedField(field));
+    const transformRow = createColumnTransformer(sourceSchema);
+    const validateRow = createRowValidator(sourceSchema);
+    const computeDerived = createDerivedColumns(schema);
+
+    const warn = async (message) => {
+      warnings.push(message);
+      logger.warn(message, { filePath, objectKey });
+      if (onWarning) {
+        await onWarning(message);
+      }
+    };
 
-    // Crear mapa de esquema para validación rápida
-    const schemaMap = new Map(schema.map(field => [field.name, field]));
-
-    // Leer y procesar el archivo CSV
-    await new Promise((resolve, reject) => {
-      fs.createReadStream(filePath)
-        .pipe(csv({ separator }))
-        .on('data', (row) => {
-          // Validar y transformar datos según el esquema
-          const processedRow = {};
-          
-          for (const field of schema) {
-            const value = row[field.name];
-            
-            // Aplicar transformaciones según el tipo
-            processedRow[field.name] = transformValue(value, field.type);
-          }
+    // Las cabeceras del archivo pueden venir con el nombre original del campo
+    const mapHeader = (header) => {
+      const field = schema.find(f => f.originalName === header) || schema.find(f => f.name === header);
+      return field ? field.name : header;
+    };
 
-          results.push(processedRow);
-          rowCount++;
+    const source = fileSource(filePath, objectKey, stats.size);
+    const dialect = await detectCsvDialect(source, csvOptions);
+    const reader = createInputReader(source, { ...csvOptions, ...dialect });
+
+    const flushChunk = async () => {
+      if (chunk.length === 0) return;
+      const rows = chunk;
+      const rowNumbers = chunkRowNumbers;
+      chunk = [];
+      chunkRowNumbers = [];
+      await onChunk(rows, chunkCount, {
+        rowCount,
+        rowNumbers,
+        bytesRead: reader.bytesRead(),
+        totalBytes: stats.size
+      });
+      chunkCount++;
+    };
 
-          // Limitar el número de filas para procesamiento
-          if (rowCount > 10000) {
-            this.destroy();
-            resolve();
+    // Leer y procesar el archivo
+    await reader.read(async (row) => {
+      // Comparar las cabeceras del archivo con el esquema en la primera fila
+      if (rowCount === 0) {
+        const headers = Object.keys(row);
+        for (const field of sourceSchema) {
+          if (!headers.includes(field.name)) {
+            await warn(`La columna ${field.name} del esquema no está en el archivo; se cargará como NULL`);
           }
-        })
-        .on('end', () => {
-          resolve();
-        })
-        .on('error', (error) => {
-          reject(createError('FILE_PROCESSING_FAILED', 
-            `Error procesando CSV: ${error.message}`));
-        });
-    });
+        }
+        for (const header of headers) {
+          const field = schema.find(f => f.name === header);
+          if (!field) {
+            await warn(`La columna ${header} del archivo no está en el esquema y se ignora`);
+          } else if (isDerivedField(field)) {
+            await warn(`La columna ${header} del archivo se sustituye por la columna calculada ${field.name}`);
+          }
+        }
+      }
+
+      // Transformar, validar y convertir los datos según el esquema
+      rowCount++;
+      const { row: transformedRow, errors: transformErrors } = transformRow(row);
+      const { row: validatedRow, errors: validationErrors } = validateRow(transformedRow);
+      // Una columna que no se pudo transformar no se valida: su error ya es el de la transformación
+      let errors = transformErrors.concat(validationErrors.filter(error =>
+        !transformErrors.some(transformError => transformError.column === error.column)));
+      let processedRow = validatedRow;
+      if (errors.length === 0) {
+        ({ row: processedRow, errors } = computeDerived(validatedRow));
+      }
+      if (errors.length > 0) {
+        rejectedRowCount++;
+        if (onReject) {
+          await onReject(row, rowCount, errors);
+        }
+        return;
+      }
+
+      chunk.push(processedRow);
+      chunkRowNumbers.push(rowCount);
+
+      // Vaciar el chunk al llegar al máximo de filas o al límite de memoria
+      if (chunk.length >= CHUNK_CONFIG.MAX_ROWS_PER_CHUNK ||
+          (rowCount % MEMORY_CHECK_INTERVAL === 0 && isMemoryLimitExceeded())) {
+        await flushChunk();
+      }
+    }, mapHeader);
+
+    await flushChunk();
 
     logger.info('Procesamiento CSV con esquema completado', {
       filePath,
       rowCount,
-      columnCount
+      rejectedRowCount,
+      columnCount,
+      chunkCount,
+      warnings: warnings.length
     });
 
     return {
-      data: results,
       schema: schema,
       rowCount,
+      rejectedRowCount,
       columnCount,
+      chunkCount,
+      warnings,
+      dialect,
       fileSize: stats.size
     };
 
@@ -207,7 +357,7 @@ const processCsvFileWithSchema = async (filePath, objectKey, schema, separator =
       filePath,
       objectKey,
       schema,
-      separator,
+      csvOptions,
       operation: 'processCsvFileWithSchema'
     }, 'csv-processor');
 
@@ -222,7 +372,7 @@ const processCsvFileWithSchema = async (filePath, objectKey, schema, separator =
  * @returns {string} - Tipo de datos inferido
  */
 const inferDataType = (value, currentType = 'string') => {
-  if (!value || value === '') {
+  if (value === null || value === undefined || value === '') {
     return currentType;
   }
 
@@ -231,6 +381,14 @@ const inferDataType = (value, currentType = 'string') => {
     return currentType;
   }
 
+  // Las celdas de Excel llegan ya tipadas
+  if (typeof value === 'boolean') {
+    return 'boolean';
+  }
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'float';
+  }
+
   // Verificar si es número
   if (!isNaN(value) && value !== '') {
     if (value.includes('.')) {
@@ -254,39 +412,6 @@ const inferDataType = (value, currentType = 'string') => {
   return 'string';
 };
 
-/**
- * Transforma un valor según el tipo de datos especificado
- * @param {*} value - Valor a transformar
- * @param {string} type - Tipo de datos objetivo
- * @returns {*} - Valor transformado
- */
-const transformValue = (value, type) => {
-  if (value === null || value === undefined || value === '') {
-    return null;
-  }
-
-  switch (type) {
-    case 'integer':
-      const intValue = parseInt(value, 10);
-      return isNaN(intValue) ? null : intValue;
-    
-    case 'float':
-      const floatValue = parseFloat(value);
-      return isNaN(floatValue) ? null : floatValue;
-    
-    case 'boolean':
-      return value.toLowerCase() === 'true' || value === '1';
-    
-    case 'date':
-      // Intentar parsear diferentes formatos de fecha
-      const dateValue = new Date(value);
-      return isNaN(dateValue.getTime()) ? value : dateValue.toISOString();
-    
-    default:
-      return value;
-  }
-};
-
 /**
  * Valida un esquema CSV
  * @param {Array} schema - Esquema a validar
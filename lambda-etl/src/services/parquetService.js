@@ -0,0 +1,194 @@
+/**
+ * Servicio de conversión de datos procesados a Parquet en el bucket curated
+ * @module lambda-etl/services/parquetService
+ */
+
+const { logger, logError } = require('../../../shared/utils/logger');
+const { createError } = require('../../../shared/constants/errorCodes');
+const { writeParquetFile, PARQUET_COMPRESSION } = require('../../../shared/utils/parquet');
+const { buildPartitionPath } = require('../../../shared/utils/partitioning');
+const S3Utils = require('../utils/s3Utils');
+const FileUtils = require('../utils/fileUtils');
+
+/**
+ * Construye la clave S3 de una parte Parquet dentro del bucket curated
+ * @param {string} directory - Directorio de destino
+ * @param {string} tableName - Nombre de la tabla
+ * @param {string} fileId - ID del archivo
+ * @param {number} partNumber - Número de parte
+ * @param {string} [partitionPath] - Prefijo Hive `columna=valor/...` de la partición
+ * @returns {string} - Clave del objeto
+ */
+const buildCuratedKey = (directory, tableName, fileId, partNumber = 0, partitionPath = '') => {
+  const part = String(partNumber).padStart(5, '0');
+  const prefix = partitionPath ? `${directory}/${tableName}/${partitionPath}` : `${directory}/${tableName}`;
+  return `${prefix}/${fileId}/part-${part}.${PARQUET_COMPRESSION.toLowerCase()}.parquet`;
+};
+
+/**
+ * Escribe un chunk de filas como una parte Parquet y la sube al bucket curated
+ * @param {Object} params - Parámetros de la parte
+ * @param {Array} params.rows - Filas ya transformadas según el esquema
+ * @param {Array} params.schema - Esquema del catálogo
+ * @param {string} params.curatedBucket - Bucket curated
+ * @param {string} params.curatedKey - Clave de la parte
+ * @param {Object} params.metadata - Metadatos del objeto S3
+ * @returns {Object} - { rowCount, fileSize }
+ */
+const writeParquetPart = async ({ rows, schema, curatedBucket, curatedKey, metadata }) => {
+  let tempParquetPath;
+
+  try {
+    tempParquetPath = await FileUtils.createTempFile(`parquet_${metadata['file-id']}`, '.parquet');
+    const rowCount = await writeParquetFile(tempParquetPath, schema, rows);
+    const stats = await FileUtils.getFileStats(tempParquetPath);
+
+    await S3Utils.uploadObject(curatedBucket, curatedKey, tempParquetPath, {
+      ...metadata,
+      'row-count': String(rowCount)
+    });
+
+    return { rowCount, fileSize: stats.size };
+  } finally {
+    if (tempParquetPath) {
+      await FileUtils.cleanupTempFiles([tempParquetPath]);
+    }
+  }
+};
+
+/**
+ * Agrupa las filas de un chunk por su prefijo de partición
+ * @param {Array} rows - Filas ya transformadas
+ * @param {Array} partitionSpec - Particiones normalizadas
+ * @returns {Map} - Filas indexadas por prefijo ('' sin particionado)
+ */
+const groupByPartition = (rows, partitionSpec) => {
+  const groups = new Map();
+  for (const row of rows) {
+    const partitionPath = buildPartitionPath(row, partitionSpec);
+    if (!groups.has(partitionPath)) {
+      groups.set(partitionPath, []);
+    }
+    groups.get(partitionPath).push(row);
+  }
+  return groups;
+};
+
+/**
+ * Crea un escritor que convierte cada chunk de filas en partes Parquet del bucket curated,
+ * una por cada partición presente en el chunk
+ * Solo se mantiene en memoria el chunk que se está escribiendo
+ * @param {Object} params - Parámetros de conversión
+ * @param {Array} params.schema - Esquema del catálogo
+ * @param {Array} [params.partitionSpec] - Particiones normalizadas [{ column, transform, name }]
+ * @param {string} params.tableName - Nombre de la tabla
+ * @param {string} params.directory - Directorio de destino
+ * @param {string} params.fileId - ID del archivo
+ * @returns {Object} - Escritor { writeChunk(rows), finish(), discard() }
+ */
+const createCuratedWriter = ({ schema, partitionSpec = [], tableName, directory, fileId }) => {
+  const curatedBucket = process.env.S3_BUCKET_CURATED;
+  if (!curatedBucket) {
+    throw createError('MISSING_ENVIRONMENT_VARIABLE', 'La variable S3_BUCKET_CURATED no está configurada');
+  }
+
+  const curatedKeys = [];
+  let rowCount = 0;
+  let fileSize = 0;
+
+  logger.info('Iniciando conversión a Parquet', {
+    fileId,
+    tableName,
+    curatedBucket,
+    partitions: partitionSpec.map(partition => partition.name)
+  });
+
+  return {
+    writeChunk: async (rows) => {
+      for (const [partitionPath, partitionRows] of groupByPartition(rows, partitionSpec)) {
+        const curatedKey = buildCuratedKey(directory, tableName, fileId, curatedKeys.length, partitionPath);
+
+        try {
+          const part = await writeParquetPart({
+            rows: partitionRows,
+            schema,
+            curatedBucket,
+            curatedKey,
+            metadata: {
+              'table-name': tableName,
+              'file-id': fileId
+            }
+          });
+
+          curatedKeys.push(curatedKey);
+          rowCount += part.rowCount;
+          fileSize += part.fileSize;
+
+          logger.info('Parte Parquet generada en bucket curated', {
+            fileId,
+            curatedKey,
+            rowCount: part.rowCount,
+            fileSize: part.fileSize
+          });
+        } catch (error) {
+          logError(error, {
+            fileId,
+            tableName,
+            curatedKey,
+            operation: 'writeChunk'
+          }, 'parquet-service');
+
+          if (error.code && error.statusCode) throw error;
+          throw createError('ETL_PROCESSING_ERROR', `Error generando Parquet: ${error.message}`);
+        }
+      }
+    },
+
+    finish: () => {
+      logger.info('Conversión a Parquet completada', {
+        fileId,
+        parts: curatedKeys.length,
+        rowCount,
+        fileSize
+      });
+
+      return {
+        curatedBucket,
+        curatedKeys: [...curatedKeys],
+        rowCount,
+        fileSize
+      };
+    },
+
+    // Borra las partes ya subidas cuando el archivo falla antes de registrarse en el catálogo,
+    // para no dejar Parquet huérfanos en curated; un borrado fallido se registra y no se relanza
+    discard: async () => {
+      const failedKeys = [];
+      for (const curatedKey of curatedKeys) {
+        try {
+          await S3Utils.deleteObject(curatedBucket, curatedKey);
+        } catch (error) {
+          failedKeys.push(curatedKey);
+        }
+      }
+
+      if (failedKeys.length > 0) {
+        logger.warn('No se pudieron borrar partes Parquet del archivo fallido', {
+          fileId,
+          curatedBucket,
+          failedKeys
+        });
+      }
+      logger.info('Partes Parquet del archivo fallido descartadas', {
+        fileId,
+        parts: curatedKeys.length - failedKeys.length
+      });
+      curatedKeys.length = 0;
+    }
+  };
+};
+
+module.exports = {
+  buildCuratedKey,
+  createCuratedWriter
+};
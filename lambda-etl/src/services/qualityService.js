@@ -0,0 +1,79 @@
+/**
+ * Servicio de calidad de datos: evalúa las reglas de calidad de la tabla sobre las filas cargadas
+ * y guarda el informe junto al archivo raw
+ * @module lambda-etl/services/qualityService
+ */
+
+const { logger } = require('../../../shared/utils/logger');
+const { createQualityChecker } = require('../../../shared/utils/qualityRules');
+const { getCommitTime } = require('../../../shared/constants/writeModes');
+const CatalogService = require('./catalogService');
+const S3Utils = require('../utils/s3Utils');
+const FileUtils = require('../utils/fileUtils');
+
+/**
+ * Crea el evaluador de las reglas de calidad guardadas en el registro de la tabla
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array} schema - Esquema del archivo
+ * @returns {Object|null} - Evaluador de shared/utils/qualityRules o null si la tabla no tiene reglas
+ */
+const createTableQualityChecker = async (tableName, schema) => {
+  const record = await CatalogService.getTableRecord(tableName);
+  const rules = (record && record.qualityRules) || [];
+  if (rules.length === 0) {
+    return null;
+  }
+
+  logger.info('Reglas de calidad de la tabla cargadas', {
+    tableName,
+    rules: rules.map(rule => rule.name)
+  });
+  return createQualityChecker(rules, schema);
+};
+
+/**
+ * Obtiene las filas cargadas por el último archivo procesado de la tabla antes que este,
+ * con las que se compara la variación de filas (row_count con maxChangePercent)
+ * @param {string} tableName - Nombre de la tabla
+ * @param {string} fileId - ID del archivo en proceso
+ * @returns {number|null} - Filas de la carga anterior o null si es la primera
+ */
+const getPreviousRowCount = async (tableName, fileId) => {
+  const previous = (await CatalogService.getCatalogEntriesByTable(tableName))
+    .filter(file => file.fileId !== fileId && file.status === 'processed')
+    .sort((a, b) => new Date(getCommitTime(b)) - new Date(getCommitTime(a)))[0];
+
+  return previous && typeof previous.rowCount === 'number' ? previous.rowCount : null;
+};
+
+/**
+ * Guarda el informe de calidad en el bucket raw, en `${directory}/${fileId}/quality.json`
+ * @param {Object} params - { bucket, directory, fileId, report }
+ * @returns {Object} - Ubicación { bucket, key } del informe
+ */
+const saveQualityReport = async ({ bucket, directory, fileId, report }) => {
+  const key = `${directory}/${fileId}/quality.json`;
+  const tempPath = await FileUtils.createTempFile(`quality_${fileId}`, '.json');
+  try {
+    await FileUtils.writeFile(tempPath, JSON.stringify(report, null, 2));
+    await S3Utils.uploadObject(bucket, key, tempPath, { 'file-id': fileId });
+  } finally {
+    await FileUtils.cleanupTempFiles([tempPath]);
+  }
+
+  logger.info('Informe de calidad guardado en S3', {
+    fileId,
+    bucket,
+    key,
+    passed: report.passed,
+    rulesFailed: report.rulesFailed
+  });
+
+  return { bucket, key };
+};
+
+module.exports = {
+  createTableQualityChecker,
+  getPreviousRowCount,
+  saveQualityReport
+};
@@ -0,0 +1,103 @@
+/**
+ * Servicio de cuarentena: guarda en S3, junto al archivo raw, las filas apartadas de la carga
+ * @module lambda-etl/services/quarantineService
+ */
+
+const fs = require('fs-extra');
+const { logger } = require('../../../shared/utils/logger');
+const S3Utils = require('../utils/s3Utils');
+const FileUtils = require('../utils/fileUtils');
+
+// Filas que se acumulan en memoria antes de escribirlas en el archivo temporal
+const FLUSH_ROWS = 1000;
+
+/**
+ * Construye la clave S3 del objeto de cuarentena de un archivo
+ * @param {string} directory - Directorio del archivo raw
+ * @param {string} fileId - ID del archivo
+ * @returns {string} - Clave `${directory}/${fileId}/quarantine.ndjson`
+ */
+const buildQuarantineKey = (directory, fileId) => `${directory}/${fileId}/quarantine.ndjson`;
+
+/**
+ * Crea el escritor de cuarentena de un archivo
+ * Cada fila se guarda como una línea NDJSON { rowNumber, reason, row } y el objeto
+ * solo se sube a S3 si se apartó alguna fila
+ * @param {Object} params - { bucket, directory, fileId }
+ * @returns {Object} - { add(row, rowNumber, reason), close(), discard() }
+ */
+const createQuarantineWriter = ({ bucket, directory, fileId }) => {
+  let tempPath = null;
+  let pending = [];
+  let rowCount = 0;
+
+  const flush = async () => {
+    if (pending.length === 0) {
+      return;
+    }
+    if (!tempPath) {
+      tempPath = await FileUtils.createTempFile(`quarantine_${fileId}`, '.ndjson');
+    }
+    await fs.appendFile(tempPath, pending.join(''));
+    pending = [];
+  };
+
+  return {
+    /**
+     * Aparta una fila
+     * @param {Object} row - Fila transformada
+     * @param {number} rowNumber - Número de la fila de datos en el archivo (desde 1)
+     * @param {string} reason - Motivo por el que se aparta
+     */
+    add: async (row, rowNumber, reason) => {
+      pending.push(`${JSON.stringify({ rowNumber, reason, row })}\n`);
+      rowCount++;
+      if (pending.length >= FLUSH_ROWS) {
+        await flush();
+      }
+    },
+
+    /**
+     * Sube las filas apartadas y limpia el archivo temporal
+     * @returns {Object|null} - { bucket, key, rowCount } o null si no se apartó ninguna fila
+     */
+    close: async () => {
+      await flush();
+      if (!tempPath) {
+        return null;
+      }
+
+      const key = buildQuarantineKey(directory, fileId);
+      try {
+        await S3Utils.uploadObject(bucket, key, tempPath, { 'file-id': fileId });
+      } finally {
+        await FileUtils.cleanupTempFiles([tempPath]);
+      }
+
+      logger.info('Filas en cuarentena subidas a S3', {
+        fileId,
+        bucket,
+        key,
+        rowCount
+      });
+
+      return { bucket, key, rowCount };
+    },
+
+    /**
+     * Limpia el archivo temporal sin subirlo, cuando el archivo falla antes de cerrar la cuarentena
+     */
+    discard: async () => {
+      pending = [];
+      if (tempPath) {
+        await FileUtils.cleanupTempFiles([tempPath]);
+        tempPath = null;
+      }
+    }
+  };
+};
+
+module.exports = {
+  buildQuarantineKey,
+  createQuarantineWriter
+};
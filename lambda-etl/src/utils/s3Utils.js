@@ -131,13 +131,13 @@ const uploadObject = async (bucketName, objectKey, filePath, metadata = {}) => {
       throw createError('FILE_NOT_FOUND', `Archivo no encontrado: ${filePath}`);
     }
 
-    const fileContent = await fs.readFile(filePath);
     const stats = await fs.stat(filePath);
 
+    // Subir en streaming para no cargar el archivo completo en memoria
     const params = {
       Bucket: bucketName,
       Key: objectKey,
-      Body: fileContent,
+      Body: fs.createReadStream(filePath),
       ContentType: getContentType(objectKey),
       Metadata: {
         ...metadata,
@@ -307,7 +307,9 @@ const getContentType = (objectKey) => {
   
   const mimeTypes = {
     '.csv': 'text/csv',
+    '.parquet': 'application/vnd.apache.parquet',
     '.json': 'application/json',
+    '.ndjson': 'application/x-ndjson',
     '.txt': 'text/plain',
     '.log': 'text/plain'
   };
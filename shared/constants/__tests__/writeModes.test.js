@@ -0,0 +1,57 @@
+const { getWriteMode, getLiveFiles } = require('../writeModes');
+
+const file = (fileId, writeMode, processedAt, extra = {}) => ({
+  fileId,
+  writeMode,
+  status: 'processed',
+  processedAt,
+  ...extra
+});
+
+const ids = (files) => files.map(current => current.fileId);
+
+describe('getWriteMode', () => {
+  test('las entradas sin modo se añadían a la tabla', () => {
+    expect(getWriteMode({})).toBe('append');
+    expect(getWriteMode(null)).toBe('append');
+    expect(getWriteMode({ writeMode: 'upsert' })).toBe('upsert');
+  });
+});
+
+describe('getLiveFiles', () => {
+  test('devuelve los archivos procesados en orden de confirmación', () => {
+    const files = [
+      file('b', 'append', '2024-01-02T00:00:00Z'),
+      file('a', 'append', '2024-01-01T00:00:00Z'),
+      file('c', 'upsert', '2024-01-03T00:00:00Z'),
+      file('d', 'append', '2024-01-04T00:00:00Z', { status: 'error' }),
+      file('e', 'append', null, { status: 'processing', createdAt: '2024-01-05T00:00:00Z' })
+    ];
+    expect(ids(getLiveFiles(files))).toEqual(['a', 'b', 'c']);
+  });
+
+  test('un overwrite sustituye a los archivos confirmados antes que él', () => {
+    const files = [
+      file('a', 'append', '2024-01-01T00:00:00Z'),
+      file('b', 'overwrite', '2024-01-02T00:00:00Z'),
+      file('c', 'append', '2024-01-03T00:00:00Z')
+    ];
+    expect(ids(getLiveFiles(files))).toEqual(['b', 'c']);
+  });
+
+  test('excluye los archivos marcados como reemplazados', () => {
+    const files = [
+      file('a', 'append', '2024-01-01T00:00:00Z', { live: false }),
+      file('b', 'append', '2024-01-02T00:00:00Z')
+    ];
+    expect(ids(getLiveFiles(files))).toEqual(['b']);
+  });
+
+  test('los archivos sin fecha de procesamiento se ordenan por su creación', () => {
+    const files = [
+      file('b', 'append', undefined, { createdAt: '2024-01-02T00:00:00Z' }),
+      file('a', 'overwrite', undefined, { createdAt: '2024-01-01T00:00:00Z' })
+    ];
+    expect(ids(getLiveFiles(files))).toEqual(['a', 'b']);
+  });
+});
@@ -0,0 +1,28 @@
+/**
+ * Registros de tabla del catálogo: configuración de cada tabla guardada junto a las entradas de archivo
+ * @module constants/catalogRecords
+ */
+
+// Los registros de tabla no tienen el atributo tableName, así que no aparecen en TableNameIndex
+// ni en los scans filtrados por tabla; se guardan con el nombre en el atributo table
+const TABLE_RECORD_TYPE = 'table';
+
+/**
+ * Clave del registro de una tabla en el catálogo
+ * @param {string} tableName - Nombre de la tabla
+ * @returns {string} - fileId del registro
+ */
+const getTableRecordId = (tableName) => `${TABLE_RECORD_TYPE}#${tableName}`;
+
+/**
+ * Indica si un elemento del catálogo es un registro de tabla y no la entrada de un archivo
+ * @param {Object} item - Elemento del catálogo
+ * @returns {boolean} - True si es un registro de tabla
+ */
+const isTableRecord = (item) => item.recordType === TABLE_RECORD_TYPE;
+
+module.exports = {
+  TABLE_RECORD_TYPE,
+  getTableRecordId,
+  isTableRecord
+};
@@ -29,6 +29,7 @@ const ERROR_CODES = {
   INVALID_FILE_TYPE: 'INVALID_FILE_TYPE',
   INVALID_FILE_SIZE: 'INVALID_FILE_SIZE',
   INVALID_SCHEMA: 'INVALID_SCHEMA',
+  SCHEMA_VERSION_CONFLICT: 'SCHEMA_VERSION_CONFLICT',
   INVALID_SQL_QUERY: 'INVALID_SQL_QUERY',
   
   // Errores de archivo
@@ -77,6 +78,7 @@ const ERROR_MESSAGES = {
   [ERROR_CODES.INVALID_FILE_TYPE]: 'Tipo de archivo no permitido',
   [ERROR_CODES.INVALID_FILE_SIZE]: 'Tamaño de archivo excede el límite permitido',
   [ERROR_CODES.INVALID_SCHEMA]: 'Esquema de archivo inválido o no compatible',
+  [ERROR_CODES.SCHEMA_VERSION_CONFLICT]: 'La versión del esquema de la tabla cambió durante la operación',
   [ERROR_CODES.INVALID_SQL_QUERY]: 'Consulta SQL inválida o no permitida',
   
   [ERROR_CODES.FILE_UPLOAD_FAILED]: 'Error al cargar el archivo al servidor',
@@ -119,6 +121,7 @@ const ERROR_TO_HTTP_MAPPING = {
   [ERROR_CODES.INVALID_FILE_TYPE]: HTTP_STATUS_CODES.BAD_REQUEST,
   [ERROR_CODES.INVALID_FILE_SIZE]: HTTP_STATUS_CODES.BAD_REQUEST,
   [ERROR_CODES.INVALID_SCHEMA]: HTTP_STATUS_CODES.UNPROCESSABLE_ENTITY,
+  [ERROR_CODES.SCHEMA_VERSION_CONFLICT]: HTTP_STATUS_CODES.CONFLICT,
   [ERROR_CODES.INVALID_SQL_QUERY]: HTTP_STATUS_CODES.BAD_REQUEST,
   
   [ERROR_CODES.FILE_UPLOAD_FAILED]: HTTP_STATUS_CODES.INTERNAL_SERVER_ERROR,
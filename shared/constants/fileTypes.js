@@ -7,14 +7,47 @@
 const ALLOWED_MIME_TYPES = {
   CSV: 'text/csv',
   EXCEL: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
-  EXCEL_LEGACY: 'application/vnd.ms-excel'
+  EXCEL_LEGACY: 'application/vnd.ms-excel',
+  JSON: 'application/json',
+  NDJSON: 'application/x-ndjson',
+  JSONL: 'application/x-ndjson',
+  PARQUET: 'application/vnd.apache.parquet',
+  AVRO: 'application/avro',
+  GZIP: 'application/gzip',
+  BZIP2: 'application/x-bzip2',
+  ZIP: 'application/zip'
 };
 
 // Extensiones de archivo permitidas
 const ALLOWED_EXTENSIONS = {
   CSV: '.csv',
   EXCEL: '.xlsx',
-  EXCEL_LEGACY: '.xls'
+  EXCEL_LEGACY: '.xls',
+  JSON: '.json',
+  NDJSON: '.ndjson',
+  JSONL: '.jsonl',
+  PARQUET: '.parquet',
+  AVRO: '.avro',
+  GZIP: '.gz',
+  BZIP2: '.bz2',
+  ZIP: '.zip'
+};
+
+// Formatos de lectura de los archivos de entrada
+const FILE_FORMATS = {
+  CSV: 'csv',
+  EXCEL: 'excel',
+  JSON: 'json',
+  NDJSON: 'ndjson',
+  PARQUET: 'parquet',
+  AVRO: 'avro'
+};
+
+// Compresiones admitidas: gzip y bzip2 envuelven un único archivo; zip puede contener varios
+const FILE_COMPRESSIONS = {
+  GZIP: 'gzip',
+  BZIP2: 'bzip2',
+  ZIP: 'zip'
 };
 
 // Tamaños máximos de archivo (en bytes)
@@ -60,11 +93,93 @@ const getExtensionFromMimeType = (mimeType) => {
   const mimeToExt = {
     [ALLOWED_MIME_TYPES.CSV]: ALLOWED_EXTENSIONS.CSV,
     [ALLOWED_MIME_TYPES.EXCEL]: ALLOWED_EXTENSIONS.EXCEL,
-    [ALLOWED_MIME_TYPES.EXCEL_LEGACY]: ALLOWED_EXTENSIONS.EXCEL_LEGACY
+    [ALLOWED_MIME_TYPES.EXCEL_LEGACY]: ALLOWED_EXTENSIONS.EXCEL_LEGACY,
+    [ALLOWED_MIME_TYPES.JSON]: ALLOWED_EXTENSIONS.JSON,
+    [ALLOWED_MIME_TYPES.NDJSON]: ALLOWED_EXTENSIONS.NDJSON,
+    [ALLOWED_MIME_TYPES.PARQUET]: ALLOWED_EXTENSIONS.PARQUET,
+    [ALLOWED_MIME_TYPES.AVRO]: ALLOWED_EXTENSIONS.AVRO,
+    [ALLOWED_MIME_TYPES.GZIP]: ALLOWED_EXTENSIONS.GZIP,
+    [ALLOWED_MIME_TYPES.BZIP2]: ALLOWED_EXTENSIONS.BZIP2,
+    [ALLOWED_MIME_TYPES.ZIP]: ALLOWED_EXTENSIONS.ZIP
   };
   return mimeToExt[mimeType] || null;
 };
 
+/**
+ * Obtiene el tipo MIME de un archivo a partir de su extensión
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string|null} - Tipo MIME correspondiente o null si la extensión no está permitida
+ */
+const getMimeTypeFromFileName = (fileName) => {
+  const extension = String(fileName || '').toLowerCase().match(/\.[^.]+$/);
+  const key = extension && Object.keys(ALLOWED_EXTENSIONS).find(k => ALLOWED_EXTENSIONS[k] === extension[0]);
+  return key ? ALLOWED_MIME_TYPES[key] : null;
+};
+
+/**
+ * Obtiene la compresión de un archivo a partir de su extensión
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string|null} - Compresión (gzip, bzip2, zip) o null si no está comprimido
+ */
+const getFileCompression = (fileName) => {
+  const mimeType = getMimeTypeFromFileName(fileName);
+  if (mimeType === ALLOWED_MIME_TYPES.GZIP) {
+    return FILE_COMPRESSIONS.GZIP;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.BZIP2) {
+    return FILE_COMPRESSIONS.BZIP2;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.ZIP) {
+    return FILE_COMPRESSIONS.ZIP;
+  }
+  return null;
+};
+
+/**
+ * Quita la extensión de compresión gzip o bzip2 del nombre de un archivo
+ * @param {string} fileName - Nombre del archivo (por ejemplo ventas.csv.gz)
+ * @returns {string} - Nombre del archivo descomprimido (ventas.csv)
+ */
+const stripCompressionExtension = (fileName) => String(fileName || '').replace(/\.(gz|bz2)$/i, '');
+
+/**
+ * Obtiene el formato de lectura de un archivo a partir de su nombre
+ * En archivos gzip o bzip2 es el formato del archivo que contienen; un zip no tiene formato propio
+ * @param {string} fileName - Nombre del archivo
+ * @returns {string|null} - Formato (csv, excel, json, ndjson, parquet, avro) o null si no está permitido
+ */
+const getFileFormat = (fileName) => {
+  const mimeType = getMimeTypeFromFileName(stripCompressionExtension(fileName));
+  if (mimeType === ALLOWED_MIME_TYPES.CSV) {
+    return FILE_FORMATS.CSV;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.EXCEL || mimeType === ALLOWED_MIME_TYPES.EXCEL_LEGACY) {
+    return FILE_FORMATS.EXCEL;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.JSON) {
+    return FILE_FORMATS.JSON;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.NDJSON) {
+    return FILE_FORMATS.NDJSON;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.PARQUET) {
+    return FILE_FORMATS.PARQUET;
+  }
+  if (mimeType === ALLOWED_MIME_TYPES.AVRO) {
+    return FILE_FORMATS.AVRO;
+  }
+  return null;
+};
+
+/**
+ * Indica si se admite la carga de un archivo por su nombre
+ * @param {string} fileName - Nombre del archivo
+ * @returns {boolean} - True si tiene un formato de datos conocido o es un zip
+ */
+const isAllowedFileName = (fileName) => {
+  return Boolean(getFileFormat(fileName)) || getFileCompression(fileName) === FILE_COMPRESSIONS.ZIP;
+};
+
 /**
  * Obtiene el tamaño máximo permitido para un tipo de archivo
  * @param {string} mimeType - Tipo MIME
@@ -94,11 +209,18 @@ const isValidFileSize = (fileSize, mimeType) => {
 module.exports = {
   ALLOWED_MIME_TYPES,
   ALLOWED_EXTENSIONS,
+  FILE_FORMATS,
+  FILE_COMPRESSIONS,
   MAX_FILE_SIZES,
   CHUNK_CONFIG,
   DOWNLOAD_HEADERS,
   isAllowedMimeType,
   getExtensionFromMimeType,
+  getMimeTypeFromFileName,
+  getFileFormat,
+  getFileCompression,
+  stripCompressionExtension,
+  isAllowedFileName,
   getMaxFileSize,
   isValidFileSize
 }; 
\ No newline at end of file
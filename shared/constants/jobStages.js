@@ -0,0 +1,63 @@
+/**
+ * Etapas de los trabajos de ingesta asíncronos
+ * @module constants/jobStages
+ */
+
+// Etapas por las que pasa un archivo desde la subida hasta el catálogo
+const JOB_STAGES = {
+  UPLOADED: 'uploaded',
+  VALIDATING: 'validating',
+  TRANSFORMING: 'transforming',
+  CATALOGUING: 'cataloguing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+// Porcentaje de avance al entrar en cada etapa
+const STAGE_PROGRESS = {
+  [JOB_STAGES.UPLOADED]: 5,
+  [JOB_STAGES.VALIDATING]: 10,
+  [JOB_STAGES.TRANSFORMING]: 15,
+  [JOB_STAGES.CATALOGUING]: 95,
+  [JOB_STAGES.DONE]: 100
+};
+
+/**
+ * Calcula el avance del trabajo durante la transformación
+ * @param {number} fraction - Fracción del archivo ya leída (0 a 1)
+ * @returns {number} - Porcentaje entre el inicio de transforming y el de cataloguing
+ */
+const getTransformingProgress = (fraction) => {
+  const start = STAGE_PROGRESS[JOB_STAGES.TRANSFORMING];
+  const end = STAGE_PROGRESS[JOB_STAGES.CATALOGUING];
+  const bounded = Math.min(Math.max(fraction || 0, 0), 1);
+  return Math.min(start + Math.floor(bounded * (end - start)), end - 1);
+};
+
+/**
+ * Deduce la etapa de entradas del catálogo anteriores a los trabajos asíncronos
+ * @param {string} status - Estado de la entrada (pending, processed, error)
+ * @returns {string} - Etapa equivalente
+ */
+const getStageFromStatus = (status) => {
+  switch (status) {
+    case 'processed': return JOB_STAGES.DONE;
+    case 'error': return JOB_STAGES.FAILED;
+    default: return JOB_STAGES.UPLOADED;
+  }
+};
+
+/**
+ * Indica si un trabajo ya no va a cambiar de etapa
+ * @param {string} stage - Etapa del trabajo
+ * @returns {boolean} - True si terminó (done o failed)
+ */
+const isFinalStage = (stage) => stage === JOB_STAGES.DONE || stage === JOB_STAGES.FAILED;
+
+module.exports = {
+  JOB_STAGES,
+  STAGE_PROGRESS,
+  getTransformingProgress,
+  getStageFromStatus,
+  isFinalStage
+};
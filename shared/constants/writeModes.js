@@ -0,0 +1,52 @@
+/**
+ * Modos de escritura de los archivos de una tabla y estado vigente de la tabla
+ * @module constants/writeModes
+ */
+
+// Cómo se combina un archivo nuevo con los archivos ya cargados en su tabla
+const WRITE_MODES = {
+  APPEND: 'append',
+  OVERWRITE: 'overwrite',
+  UPSERT: 'upsert'
+};
+
+const DEFAULT_WRITE_MODE = WRITE_MODES.APPEND;
+
+/**
+ * Obtiene el modo de escritura de una configuración o entrada del catálogo
+ * Las entradas anteriores a los modos de escritura se añadían a la tabla
+ * @param {Object} config - Configuración del archivo o entrada del catálogo
+ * @returns {string} - append, overwrite o upsert
+ */
+const getWriteMode = (config) => (config && config.writeMode) || DEFAULT_WRITE_MODE;
+
+/**
+ * Momento en que un archivo pasó a formar parte de su tabla (fin de su ETL)
+ * @param {Object} file - Entrada del catálogo
+ * @returns {string} - Fecha ISO de procesamiento, o de creación en entradas sin ella
+ */
+const getCommitTime = (file) => file.processedAt || file.createdAt;
+
+/**
+ * Obtiene los archivos vigentes de una tabla en el orden en que se confirmaron
+ * Un overwrite sustituye a todos los archivos confirmados antes que él, aunque el catálogo
+ * todavía no los haya marcado como reemplazados: basta con que el overwrite esté procesado
+ * @param {Array} files - Entradas del catálogo de la tabla
+ * @returns {Array} - Archivos procesados vigentes, del más antiguo al más reciente
+ */
+const getLiveFiles = (files) => {
+  const committed = files
+    .filter(file => file.status === 'processed' && file.live !== false)
+    .sort((a, b) => new Date(getCommitTime(a)) - new Date(getCommitTime(b)));
+
+  const lastOverwrite = committed.map(getWriteMode).lastIndexOf(WRITE_MODES.OVERWRITE);
+  return lastOverwrite === -1 ? committed : committed.slice(lastOverwrite);
+};
+
+module.exports = {
+  WRITE_MODES,
+  DEFAULT_WRITE_MODE,
+  getWriteMode,
+  getCommitTime,
+  getLiveFiles
+};
@@ -0,0 +1,173 @@
+const { parseQuery, executeQuery } = require('..');
+
+const tables = {
+  orders: {
+    columns: [
+      { name: 'id', type: 'integer' },
+      { name: 'customer_id', type: 'integer' },
+      { name: 'kind', type: 'string' },
+      { name: 'amount', type: 'float' }
+    ],
+    rows: [
+      { id: 1, customer_id: 10, kind: 'a', amount: 5.5 },
+      { id: 2, customer_id: 10, kind: 'b', amount: 20 },
+      { id: 3, customer_id: 20, kind: 'a', amount: 100 },
+      { id: 4, customer_id: 30, kind: 'b', amount: null },
+      { id: 5, customer_id: 99, kind: 'a', amount: 9 }
+    ]
+  },
+  customers: {
+    columns: [
+      { name: 'id', type: 'integer' },
+      { name: 'name', type: 'string' }
+    ],
+    rows: [
+      { id: 10, name: 'Ana' },
+      { id: 20, name: 'Bo' },
+      { id: 30, name: 'Cy' }
+    ]
+  }
+};
+
+const run = (sql) => executeQuery(parseQuery(sql), tables);
+const ids = (result) => result.rows.map(row => row.id);
+
+describe('executeQuery', () => {
+  describe('WHERE', () => {
+    test('filtra con comparaciones, AND y OR', () => {
+      expect(ids(run("SELECT id FROM orders WHERE kind = 'a' AND amount > 6"))).toEqual([3, 5]);
+      expect(ids(run('SELECT id FROM orders WHERE id = 1 OR id = 4'))).toEqual([1, 4]);
+    });
+
+    test('descarta las filas cuya condición es NULL', () => {
+      expect(ids(run('SELECT id FROM orders WHERE amount < 10'))).toEqual([1, 5]);
+      expect(ids(run('SELECT id FROM orders WHERE amount IS NULL'))).toEqual([4]);
+    });
+
+    test('filtra con IN, BETWEEN y LIKE', () => {
+      expect(ids(run('SELECT id FROM orders WHERE customer_id IN (20, 30)'))).toEqual([3, 4]);
+      expect(ids(run('SELECT id FROM orders WHERE amount BETWEEN 5.5 AND 20'))).toEqual([1, 2, 5]);
+      expect(ids(run("SELECT id FROM customers WHERE name LIKE 'A%'"))).toEqual([10]);
+    });
+
+    test('compara números leídos como texto por su valor', () => {
+      const result = executeQuery(parseQuery("SELECT v FROM t WHERE v > '9'"), {
+        t: { columns: [{ name: 'v', type: 'string' }], rows: [{ v: '10' }, { v: '8' }] }
+      });
+      expect(result.rows).toEqual([{ v: '10' }]);
+    });
+  });
+
+  describe('ORDER BY, LIMIT y OFFSET', () => {
+    test('ordena por varias claves y dirección', () => {
+      expect(ids(run('SELECT id FROM orders ORDER BY kind DESC, id'))).toEqual([2, 4, 1, 3, 5]);
+    });
+
+    test('ordena por alias de la proyección', () => {
+      const result = run('SELECT id, amount * 2 AS doubled FROM orders WHERE amount IS NOT NULL ORDER BY doubled DESC');
+      expect(result.rows.map(row => row.doubled)).toEqual([200, 40, 18, 11]);
+    });
+
+    test('pagina con LIMIT y OFFSET', () => {
+      expect(ids(run('SELECT id FROM orders ORDER BY id LIMIT 2 OFFSET 1'))).toEqual([2, 3]);
+      expect(ids(run('SELECT id FROM orders ORDER BY id LIMIT 10 OFFSET 4'))).toEqual([5]);
+    });
+  });
+
+  describe('GROUP BY y HAVING', () => {
+    test('agrega por grupo', () => {
+      const result = run('SELECT kind, COUNT(*) AS c, SUM(amount) AS total, MAX(amount) AS top FROM orders GROUP BY kind ORDER BY kind');
+      expect(result.rows).toEqual([
+        { kind: 'a', c: 3, total: 114.5, top: 100 },
+        { kind: 'b', c: 2, total: 20, top: 20 }
+      ]);
+    });
+
+    test('filtra los grupos con HAVING', () => {
+      const result = run('SELECT customer_id, COUNT(*) AS c FROM orders GROUP BY customer_id HAVING COUNT(*) > 1');
+      expect(result.rows).toEqual([{ customer_id: 10, c: 2 }]);
+    });
+
+    test('tipa el resultado de los agregados', () => {
+      const result = run('SELECT COUNT(*) AS c, AVG(amount) AS avg FROM orders');
+      expect(result.columns).toEqual([{ name: 'c', type: 'integer' }, { name: 'avg', type: 'float' }]);
+    });
+
+    test('rechaza agregados en WHERE', () => {
+      expect(() => run('SELECT id FROM orders WHERE COUNT(*) > 1'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+    });
+  });
+
+  describe('JOIN', () => {
+    test('INNER JOIN solo conserva las filas con pareja', () => {
+      const result = run('SELECT o.id, c.name FROM orders o JOIN customers c ON o.customer_id = c.id ORDER BY o.id');
+      expect(result.rows.map(row => [row.id, row.name])).toEqual([[1, 'Ana'], [2, 'Ana'], [3, 'Bo'], [4, 'Cy']]);
+    });
+
+    test('LEFT JOIN completa con NULL las filas sin pareja', () => {
+      const result = run('SELECT o.id, c.name FROM orders o LEFT JOIN customers c ON o.customer_id = c.id WHERE o.id = 5');
+      expect(result.rows).toEqual([{ id: 5, name: null }]);
+    });
+
+    test('rechaza las columnas ambiguas', () => {
+      expect(() => run('SELECT id FROM orders o JOIN customers c ON o.customer_id = c.id'))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+    });
+  });
+
+  describe('fechas', () => {
+    // Las columnas date se guardan como texto ISO 8601
+    const events = {
+      events: {
+        columns: [{ name: 'id', type: 'integer' }, { name: 'd', type: 'date' }],
+        rows: [
+          { id: 1, d: '2024-01-31T00:00:00.000Z' },
+          { id: 2, d: '2024-02-01T00:00:00.000Z' },
+          { id: 3, d: '2024-02-01T10:30:00.000Z' },
+          { id: 4, d: '2024-02-02T00:00:00.000Z' },
+          { id: 5, d: null }
+        ]
+      }
+    };
+    const runEvents = (where) => ids(executeQuery(parseQuery(`SELECT id FROM events WHERE ${where}`), events));
+
+    test('= compara con el literal como fecha', () => {
+      expect(runEvents("d = '2024-02-01'")).toEqual([2]);
+      expect(runEvents("d = '2024-02-01 10:30'")).toEqual([3]);
+      expect(runEvents("d <> '2024-02-01'")).toEqual([1, 3, 4]);
+    });
+
+    test('<= y > incluyen los límites del día', () => {
+      expect(runEvents("d <= '2024-02-01'")).toEqual([1, 2]);
+      expect(runEvents("d < '2024-02-02'")).toEqual([1, 2, 3]);
+      expect(runEvents("d > '2023-01-01'")).toEqual([1, 2, 3, 4]);
+    });
+
+    test('BETWEEN con el mismo día en los dos extremos', () => {
+      expect(runEvents("d BETWEEN '2024-02-01' AND '2024-02-01'")).toEqual([2]);
+      expect(runEvents("d BETWEEN '2024-01-31' AND '2024-02-01T23:59:59Z'")).toEqual([1, 2, 3]);
+    });
+
+    test('IN compara cada elemento como fecha', () => {
+      expect(runEvents("d IN ('2024-01-31', '2024-02-02')")).toEqual([1, 4]);
+      expect(runEvents("d NOT IN ('2024-01-31', '2024-02-02')")).toEqual([2, 3]);
+    });
+
+    test('los agregados de fechas se comparan con literales', () => {
+      const result = executeQuery(parseQuery("SELECT MAX(d) AS last FROM events HAVING MAX(d) > '2024-02-01'"), events);
+      expect(result.rows).toHaveLength(1);
+      expect(new Date(result.rows[0].last).toISOString()).toBe('2024-02-02T00:00:00.000Z');
+    });
+
+    test('ordena por instante', () => {
+      expect(ids(executeQuery(parseQuery('SELECT id FROM events WHERE d IS NOT NULL ORDER BY d DESC'), events)))
+        .toEqual([4, 3, 2, 1]);
+    });
+  });
+
+  test('rechaza tablas y columnas desconocidas', () => {
+    expect(() => run('SELECT * FROM missing')).toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+    expect(() => run('SELECT nope FROM orders')).toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+  });
+});
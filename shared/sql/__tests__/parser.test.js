@@ -0,0 +1,51 @@
+const { parseQuery, parseExpression } = require('..');
+
+describe('parseQuery', () => {
+  test('lee columnas, alias, joins, WHERE, ORDER BY y paginación', () => {
+    const ast = parseQuery('SELECT a.id, b.name AS n FROM t a LEFT JOIN u b ON a.id = b.tid WHERE a.x > 1 ORDER BY n DESC LIMIT 2 OFFSET 1');
+
+    expect(ast.columns).toHaveLength(2);
+    expect(ast.columns[1].alias).toBe('n');
+    expect(ast.from).toMatchObject({ name: 't', alias: 'a' });
+    expect(ast.joins).toHaveLength(1);
+    expect(ast.joins[0]).toMatchObject({ kind: 'LEFT', table: { name: 'u', alias: 'b' } });
+    expect(ast.where).toMatchObject({ type: 'binary', operator: '>', right: { type: 'literal', value: 1 } });
+    expect(ast.orderBy[0]).toMatchObject({ direction: 'DESC', expr: { name: 'n' } });
+    expect(ast.limit).toBe(2);
+    expect(ast.offset).toBe(1);
+  });
+
+  test('lee GROUP BY y HAVING', () => {
+    const ast = parseQuery('SELECT kind, COUNT(*) AS c FROM t GROUP BY kind HAVING COUNT(*) > 1');
+
+    expect(ast.groupBy).toHaveLength(1);
+    expect(ast.having).toMatchObject({ type: 'binary', operator: '>' });
+  });
+
+  test('rechaza las sentencias que no son SELECT', () => {
+    expect(() => parseQuery('DELETE FROM t')).toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+  });
+
+  test('rechaza las consultas mal formadas', () => {
+    expect(() => parseQuery('SELECT FROM t')).toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+    expect(() => parseQuery('SELECT * FROM t WHERE')).toThrow(expect.objectContaining({ code: 'INVALID_SQL_QUERY' }));
+  });
+});
+
+describe('parseExpression', () => {
+  test('respeta la precedencia de los operadores', () => {
+    const expr = parseExpression('price + tax * 2');
+
+    expect(expr).toMatchObject({
+      type: 'binary',
+      operator: '+',
+      right: { type: 'binary', operator: '*' }
+    });
+  });
+
+  test('lee IN, BETWEEN y funciones', () => {
+    expect(parseExpression("kind IN ('a', 'b')")).toMatchObject({ type: 'in', list: [{ value: 'a' }, { value: 'b' }] });
+    expect(parseExpression('x BETWEEN 1 AND 5')).toMatchObject({ type: 'between', low: { value: 1 }, high: { value: 5 } });
+    expect(parseExpression("CONCAT(first, ' ', last)")).toMatchObject({ type: 'function', name: 'CONCAT' });
+  });
+});
@@ -0,0 +1,73 @@
+const { parseQuery, getPartitionFilters, isPartitionPruned } = require('..');
+
+const columnTypes = { id: 'integer', country: 'string', d: 'date' };
+
+// Indica si la consulta descarta la parte con esos valores de partición
+const pruned = (sql, partitionValues) => {
+  const filters = getPartitionFilters(parseQuery(sql), 'events', Object.keys(columnTypes));
+  return isPartitionPruned(filters, partitionValues, columnTypes);
+};
+
+const country = (value) => [{ column: 'country', transform: 'identity', value }];
+const day = (value) => [{ column: 'd', transform: 'day', value }];
+const month = (value) => [{ column: 'd', transform: 'month', value }];
+
+describe('getPartitionFilters', () => {
+  test('extrae los filtros sobre columnas de la tabla de la conjunción del WHERE', () => {
+    const filters = getPartitionFilters(
+      parseQuery("SELECT * FROM events e WHERE e.country = 'AR' AND 5 < id AND (id = 1 OR id = 2)"),
+      'events',
+      Object.keys(columnTypes)
+    );
+    expect(filters).toEqual([
+      { column: 'country', operator: '=', values: ['AR'] },
+      { column: 'id', operator: '>', values: [5] }
+    ]);
+  });
+});
+
+describe('isPartitionPruned', () => {
+  test('descarta las particiones por valor que no cumplen el filtro', () => {
+    expect(pruned("SELECT * FROM events WHERE country = 'AR'", country('AR'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE country = 'AR'", country('ES'))).toBe(true);
+    expect(pruned("SELECT * FROM events WHERE country IN ('AR', 'UY')", country('UY'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE id > 5", [{ column: 'id', transform: 'identity', value: '10' }])).toBe(false);
+  });
+
+  test('la partición por defecto solo tiene NULL', () => {
+    expect(pruned("SELECT * FROM events WHERE country = 'AR'", country(null))).toBe(true);
+    expect(pruned('SELECT * FROM events WHERE d IS NOT NULL', day(null))).toBe(true);
+    expect(pruned('SELECT * FROM events', country(null))).toBe(false);
+  });
+
+  test('compara los rangos de fecha con literales ISO completos', () => {
+    expect(pruned("SELECT * FROM events WHERE d = '2024-02-01T10:00:00.000Z'", day('2024-02-01'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE d >= '2024-02-02T00:00:00.000Z'", day('2024-02-01'))).toBe(true);
+    expect(pruned("SELECT * FROM events WHERE d < '2024-02-01T00:00:00.000Z'", day('2024-02-01'))).toBe(true);
+    expect(pruned("SELECT * FROM events WHERE d < '2024-03-01T00:00:00.000Z'", month('2024-02'))).toBe(false);
+  });
+
+  test('conserva la partición del día que coincide con el literal', () => {
+    expect(pruned("SELECT * FROM events WHERE d = '2024-02-01'", day('2024-02-01'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE d <= '2024-02-01'", day('2024-02-01'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE d BETWEEN '2024-01-15' AND '2024-02-01'", day('2024-02-01'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE d IN ('2024-01-01', '2024-02-01')", day('2024-02-01'))).toBe(false);
+  });
+
+  test('descarta las particiones fuera del rango del literal', () => {
+    expect(pruned("SELECT * FROM events WHERE d = '2024-02-01'", day('2024-01-31'))).toBe(true);
+    expect(pruned("SELECT * FROM events WHERE d = '2024-02-01'", day('2024-02-02'))).toBe(true);
+    expect(pruned("SELECT * FROM events WHERE d < '2024-02-01'", day('2024-02-01'))).toBe(true);
+    expect(pruned("SELECT * FROM events WHERE d >= '2024-02-02'", day('2024-02-01'))).toBe(true);
+  });
+
+  test('compara por mes con literales de fecha y hora', () => {
+    expect(pruned("SELECT * FROM events WHERE d = '2024-02-29T10:00:00Z'", month('2024-02'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE d > '2024-02-29T23:00:00Z'", month('2024-02'))).toBe(false);
+    expect(pruned("SELECT * FROM events WHERE d >= '2024-03-01'", month('2024-02'))).toBe(true);
+  });
+
+  test('no poda con literales que no son fechas', () => {
+    expect(pruned("SELECT * FROM events WHERE d = 'ayer'", day('2024-02-01'))).toBe(false);
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * Funciones de agregación del motor de consultas
+ * @module sql/aggregates
+ */
+
+const { createError } = require('../constants/errorCodes');
+const { compareValues, toNumber } = require('./evaluator');
+const { COLUMN_TYPES, NUMERIC_TYPES, coerceValue } = require('./types');
+
+/**
+ * Clave usada para detectar valores repetidos en agregados DISTINCT
+ * @param {*} value - Valor ya convertido a su tipo
+ * @returns {string} - Clave comparable
+ */
+const distinctKey = (value) => {
+  if (value instanceof Date) return `d:${value.getTime()}`;
+  return `${typeof value}:${String(value)}`;
+};
+
+// Acumuladores por función. Cada uno recibe valores no nulos ya convertidos.
+const AGGREGATE_FUNCTIONS = {
+  COUNT: {
+    create: () => {
+      let count = 0;
+      return {
+        add: () => { count++; },
+        result: () => count
+      };
+    }
+  },
+
+  SUM: {
+    numeric: true,
+    create: () => {
+      let sum = null;
+      return {
+        add: (value) => {
+          const number = toNumber(value);
+          if (number !== null) sum = (sum === null ? 0 : sum) + number;
+        },
+        result: () => sum
+      };
+    }
+  },
+
+  AVG: {
+    numeric: true,
+    create: () => {
+      let sum = 0;
+      let count = 0;
+      return {
+        add: (value) => {
+          const number = toNumber(value);
+          if (number !== null) {
+            sum += number;
+            count++;
+          }
+        },
+        result: () => (count === 0 ? null : sum / count)
+      };
+    }
+  },
+
+  MIN: {
+    create: () => {
+      let min = null;
+      return {
+        add: (value) => {
+          if (min === null || compareValues(value, min) < 0) min = value;
+        },
+        result: () => min
+      };
+    }
+  },
+
+  MAX: {
+    create: () => {
+      let max = null;
+      return {
+        add: (value) => {
+          if (max === null || compareValues(value, max) > 0) max = value;
+        },
+        result: () => max
+      };
+    }
+  }
+};
+
+/**
+ * Indica si un nodo es una llamada a función de agregación
+ * @param {Object} expr - Nodo de expresión
+ * @returns {boolean} - True si es un agregado
+ */
+const isAggregateCall = (expr) => {
+  return expr.type === 'function' && Object.prototype.hasOwnProperty.call(AGGREGATE_FUNCTIONS, expr.name);
+};
+
+/**
+ * Indica si una expresión contiene algún agregado
+ * @param {Object} expr - Nodo de expresión
+ * @returns {boolean} - True si contiene agregados
+ */
+const containsAggregate = (expr) => {
+  if (!expr || typeof expr !== 'object') return false;
+  if (isAggregateCall(expr)) return true;
+
+  return Object.keys(expr).some(key => {
+    const child = expr[key];
+    if (Array.isArray(child)) {
+      return child.some(item => containsAggregate(item) ||
+        (item && (containsAggregate(item.when) || containsAggregate(item.then))));
+    }
+    return child && typeof child === 'object' && child.type && containsAggregate(child);
+  });
+};
+
+/**
+ * Prepara un agregado para su evaluación sobre los grupos
+ * @param {Object} expr - Nodo de la función de agregación
+ * @param {Function|null} argument - Accesor del argumento sobre una fila (null para COUNT(*))
+ * @param {string|null} argumentType - Tipo del argumento según el catálogo
+ * @returns {Object} - Agregado con método compute(rows)
+ */
+const createAggregate = (expr, argument, argumentType) => {
+  const definition = AGGREGATE_FUNCTIONS[expr.name];
+
+  if (expr.args.length !== 1) {
+    throw createError('INVALID_SQL_QUERY', `${expr.name} requiere exactamente un argumento`);
+  }
+
+  if (!argument && expr.name !== 'COUNT') {
+    throw createError('INVALID_SQL_QUERY', `${expr.name}(*) no está permitido`);
+  }
+
+  if (!argument && expr.distinct) {
+    throw createError('INVALID_SQL_QUERY', 'COUNT(DISTINCT *) no está permitido');
+  }
+
+  if (definition.numeric && argumentType && !NUMERIC_TYPES.includes(argumentType)) {
+    throw createError('INVALID_SQL_QUERY',
+      `${expr.name} requiere una expresión numérica y ${expr.args[0].text} es de tipo ${argumentType}`);
+  }
+
+  // Los valores se convierten al tipo del catálogo antes de agregarse,
+  // de modo que fechas y números no se comparen como texto
+  const readValue = (row) => {
+    const value = argument(row);
+    if (value === null || value === undefined) return null;
+    return argumentType ? coerceValue(value, argumentType) : value;
+  };
+
+  const compute = (rows) => {
+    const accumulator = definition.create();
+    const seen = expr.distinct ? new Set() : null;
+
+    for (const row of rows) {
+      if (!argument) {
+        accumulator.add(1);
+        continue;
+      }
+
+      const value = readValue(row);
+      if (value === null) continue;
+
+      if (seen) {
+        const key = distinctKey(value);
+        if (seen.has(key)) continue;
+        seen.add(key);
+      }
+
+      accumulator.add(value);
+    }
+
+    const result = accumulator.result();
+    if (expr.name === 'SUM' && argumentType === COLUMN_TYPES.INTEGER && result !== null) {
+      return Math.trunc(result);
+    }
+    return result;
+  };
+
+  return { compute };
+};
+
+module.exports = {
+  AGGREGATE_FUNCTIONS,
+  isAggregateCall,
+  containsAggregate,
+  createAggregate
+};
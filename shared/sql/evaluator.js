@@ -0,0 +1,452 @@
+/**
+ * Compilación y evaluación de expresiones SQL sobre filas de datos
+ * @module sql/evaluator
+ */
+
+const { createError } = require('../constants/errorCodes');
+
+/**
+ * Convierte un valor a número siguiendo las reglas de SQL
+ * @param {*} value - Valor a convertir
+ * @returns {number|null} - Número o null si no es convertible
+ */
+const toNumber = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return Number.isNaN(value) ? null : value;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && value.trim() !== '') {
+    const number = Number(value);
+    return Number.isNaN(number) ? null : number;
+  }
+  return null;
+};
+
+/**
+ * Interpreta un valor como booleano (lógica de tres valores)
+ * @param {*} value - Valor a interpretar
+ * @returns {boolean|null} - true, false o null si es desconocido
+ */
+const toBoolean = (value) => {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  if (typeof value === 'string') {
+    const normalized = value.trim().toLowerCase();
+    if (['true', 't', '1', 'yes', 'si', 'sí'].includes(normalized)) return true;
+    if (['false', 'f', '0', 'no'].includes(normalized)) return false;
+  }
+  return null;
+};
+
+const isNumericString = (value) => typeof value === 'string' && toNumber(value) !== null;
+
+// Texto con el que se guardan los valores de las columnas date (toISOString)
+const ISO_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+// Texto que se lee como fecha al compararlo con una: '2024-02-01', '2024-02-01 10:30'...
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}/;
+
+const isDateValue = (value) => value instanceof Date ||
+  (typeof value === 'string' && ISO_TIMESTAMP_PATTERN.test(value));
+
+/**
+ * Instante de un operando de una comparación con una fecha
+ * @param {*} value - Fecha o texto con una fecha, p. ej. el literal '2024-02-01'
+ * @returns {number|null} - Milisegundos, o null si el valor no es una fecha
+ */
+const toTimestamp = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value !== 'string' || !ISO_DATE_PATTERN.test(value.trim())) return null;
+  const time = new Date(value.trim()).getTime();
+  return Number.isNaN(time) ? null : time;
+};
+
+/**
+ * Compara dos valores no nulos
+ * Los números se comparan numéricamente aunque lleguen como texto, y una fecha (Date o
+ * valor ISO 8601 de una columna date) se compara por instante con el texto del otro lado
+ * @param {*} a - Primer valor
+ * @param {*} b - Segundo valor
+ * @returns {number} - Negativo, cero o positivo
+ */
+const compareValues = (a, b) => {
+  if (isDateValue(a) || isDateValue(b)) {
+    const timeA = toTimestamp(a);
+    const timeB = toTimestamp(b);
+    if (timeA !== null && timeB !== null) {
+      return timeA - timeB;
+    }
+  }
+
+  if (a instanceof Date) a = a.getTime();
+  if (b instanceof Date) b = b.getTime();
+
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+
+  const numericA = typeof a === 'number' || isNumericString(a);
+  const numericB = typeof b === 'number' || isNumericString(b);
+  if (numericA && numericB) {
+    return toNumber(a) - toNumber(b);
+  }
+
+  if (typeof a === 'boolean' && typeof b === 'boolean') {
+    return Number(a) - Number(b);
+  }
+
+  if (typeof a === 'boolean' || typeof b === 'boolean') {
+    const boolA = toBoolean(a);
+    const boolB = toBoolean(b);
+    if (boolA !== null && boolB !== null) {
+      return Number(boolA) - Number(boolB);
+    }
+  }
+
+  const textA = String(a);
+  const textB = String(b);
+  if (textA < textB) return -1;
+  if (textA > textB) return 1;
+  return 0;
+};
+
+const isNull = (value) => value === null || value === undefined;
+
+// Cache de expresiones regulares generadas a partir de patrones LIKE
+const likeCache = new Map();
+
+/**
+ * Convierte un patrón LIKE en una expresión regular
+ * @param {string} pattern - Patrón con comodines % y _
+ * @param {boolean} caseInsensitive - Si la comparación ignora mayúsculas
+ * @param {string|null} escape - Carácter de escape
+ * @returns {RegExp} - Expresión regular equivalente
+ */
+const likeToRegExp = (pattern, caseInsensitive, escape) => {
+  const cacheKey = `${caseInsensitive ? 'i' : 's'}:${escape || ''}:${pattern}`;
+  if (likeCache.has(cacheKey)) {
+    return likeCache.get(cacheKey);
+  }
+
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (escape && char === escape && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '[\\s\\S]*';
+    } else if (char === '_') {
+      source += '[\\s\\S]';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  const regex = new RegExp(`^${source}$`, caseInsensitive ? 'i' : '');
+  if (likeCache.size > 500) likeCache.clear();
+  likeCache.set(cacheKey, regex);
+  return regex;
+};
+
+const toText = (value) => {
+  if (isNull(value)) return null;
+  if (value instanceof Date) return value.toISOString();
+  return String(value);
+};
+
+// Fecha de un valor: las columnas date llegan como Date o como texto ISO 8601
+const toDate = (value) => {
+  if (isNull(value)) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// Extrae una parte de una fecha en UTC, como la guardan la Lambda ETL y el catálogo
+const datePart = (getPart) => ({
+  minArgs: 1,
+  maxArgs: 1,
+  fn: (value) => {
+    const date = toDate(value);
+    return date === null ? null : getPart(date);
+  }
+});
+
+// Funciones escalares disponibles en las consultas
+const SCALAR_FUNCTIONS = {
+  LOWER: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(value) ? null : toText(value).toLowerCase() },
+  UPPER: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(value) ? null : toText(value).toUpperCase() },
+  LENGTH: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(value) ? null : toText(value).length },
+  TRIM: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(value) ? null : toText(value).trim() },
+  LTRIM: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(value) ? null : toText(value).trimStart() },
+  RTRIM: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(value) ? null : toText(value).trimEnd() },
+  SUBSTRING: {
+    minArgs: 2,
+    maxArgs: 3,
+    fn: (value, start, length) => {
+      if (isNull(value) || isNull(start)) return null;
+      const from = Math.max(toNumber(start) - 1, 0);
+      const text = toText(value);
+      return length === undefined ? text.substring(from) : text.substr(from, Math.max(toNumber(length), 0));
+    }
+  },
+  REPLACE: {
+    minArgs: 3,
+    maxArgs: 3,
+    fn: (value, search, replacement) => {
+      if (isNull(value) || isNull(search) || isNull(replacement)) return null;
+      return toText(value).split(toText(search)).join(toText(replacement));
+    }
+  },
+  CONCAT: {
+    minArgs: 1,
+    maxArgs: Infinity,
+    fn: (...values) => values.filter(value => !isNull(value)).map(toText).join('')
+  },
+  COALESCE: {
+    minArgs: 1,
+    maxArgs: Infinity,
+    fn: (...values) => {
+      const found = values.find(value => !isNull(value));
+      return found === undefined ? null : found;
+    }
+  },
+  NULLIF: {
+    minArgs: 2,
+    maxArgs: 2,
+    fn: (a, b) => (!isNull(a) && !isNull(b) && compareValues(a, b) === 0) ? null : a
+  },
+  ABS: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(toNumber(value)) ? null : Math.abs(toNumber(value)) },
+  FLOOR: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(toNumber(value)) ? null : Math.floor(toNumber(value)) },
+  CEIL: { minArgs: 1, maxArgs: 1, fn: (value) => isNull(toNumber(value)) ? null : Math.ceil(toNumber(value)) },
+  ROUND: {
+    minArgs: 1,
+    maxArgs: 2,
+    fn: (value, digits = 0) => {
+      const number = toNumber(value);
+      if (isNull(number)) return null;
+      const factor = Math.pow(10, toNumber(digits) || 0);
+      return Math.round(number * factor) / factor;
+    }
+  },
+  YEAR: datePart(date => date.getUTCFullYear()),
+  MONTH: datePart(date => date.getUTCMonth() + 1),
+  DAY: datePart(date => date.getUTCDate())
+};
+
+SCALAR_FUNCTIONS.SUBSTR = SCALAR_FUNCTIONS.SUBSTRING;
+SCALAR_FUNCTIONS.CEILING = SCALAR_FUNCTIONS.CEIL;
+
+const arithmetic = (operator, left, right) => {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (a === null || b === null) return null;
+
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return a * b;
+    case '/': return b === 0 ? null : a / b;
+    case '%': return b === 0 ? null : a % b;
+    default: return null;
+  }
+};
+
+/**
+ * Compila una expresión del AST en una función evaluable sobre una fila
+ * @param {Object} expr - Nodo de expresión
+ * @param {Object} scope - Ámbito de compilación
+ * @param {Function} scope.resolveColumn - Devuelve un accesor para un nodo de columna
+ * @param {Function} [scope.intercept] - Permite al ámbito compilar un nodo por su cuenta
+ * @returns {Function} - Función (row) => valor
+ */
+const compileExpression = (expr, scope) => {
+  const compile = (node) => compileExpression(node, scope);
+
+  if (scope.intercept) {
+    const intercepted = scope.intercept(expr);
+    if (intercepted) return intercepted;
+  }
+
+  switch (expr.type) {
+    case 'literal': {
+      const value = expr.value;
+      return () => value;
+    }
+
+    case 'column':
+      return scope.resolveColumn(expr);
+
+    case 'unary': {
+      const operand = compile(expr.operand);
+      if (expr.operator === 'NOT') {
+        return (row) => {
+          const value = toBoolean(operand(row));
+          return value === null ? null : !value;
+        };
+      }
+      return (row) => {
+        const value = toNumber(operand(row));
+        return value === null ? null : -value;
+      };
+    }
+
+    case 'binary': {
+      const left = compile(expr.left);
+      const right = compile(expr.right);
+
+      switch (expr.operator) {
+        case 'AND':
+          return (row) => {
+            const a = toBoolean(left(row));
+            if (a === false) return false;
+            const b = toBoolean(right(row));
+            if (b === false) return false;
+            return a === null || b === null ? null : true;
+          };
+
+        case 'OR':
+          return (row) => {
+            const a = toBoolean(left(row));
+            if (a === true) return true;
+            const b = toBoolean(right(row));
+            if (b === true) return true;
+            return a === null || b === null ? null : false;
+          };
+
+        case '=':
+        case '<>':
+        case '<':
+        case '<=':
+        case '>':
+        case '>=':
+          return (row) => {
+            const a = left(row);
+            const b = right(row);
+            if (isNull(a) || isNull(b)) return null;
+            const result = compareValues(a, b);
+            switch (expr.operator) {
+              case '=': return result === 0;
+              case '<>': return result !== 0;
+              case '<': return result < 0;
+              case '<=': return result <= 0;
+              case '>': return result > 0;
+              default: return result >= 0;
+            }
+          };
+
+        case '||':
+          return (row) => {
+            const a = left(row);
+            const b = right(row);
+            return isNull(a) || isNull(b) ? null : toText(a) + toText(b);
+          };
+
+        default:
+          return (row) => arithmetic(expr.operator, left(row), right(row));
+      }
+    }
+
+    case 'isNull': {
+      const operand = compile(expr.expr);
+      return (row) => isNull(operand(row)) !== expr.not;
+    }
+
+    case 'in': {
+      const operand = compile(expr.expr);
+      const list = expr.list.map(compile);
+      return (row) => {
+        const value = operand(row);
+        if (isNull(value)) return null;
+        let sawNull = false;
+        for (const item of list) {
+          const candidate = item(row);
+          if (isNull(candidate)) {
+            sawNull = true;
+          } else if (compareValues(value, candidate) === 0) {
+            return !expr.not;
+          }
+        }
+        return sawNull ? null : expr.not;
+      };
+    }
+
+    case 'between': {
+      const operand = compile(expr.expr);
+      const low = compile(expr.low);
+      const high = compile(expr.high);
+      return (row) => {
+        const value = operand(row);
+        const from = low(row);
+        const to = high(row);
+        if (isNull(value) || isNull(from) || isNull(to)) return null;
+        const inside = compareValues(value, from) >= 0 && compareValues(value, to) <= 0;
+        return inside !== expr.not;
+      };
+    }
+
+    case 'like': {
+      const operand = compile(expr.expr);
+      const pattern = compile(expr.pattern);
+      const escape = expr.escape ? compile(expr.escape) : () => null;
+      return (row) => {
+        const value = operand(row);
+        const likePattern = pattern(row);
+        if (isNull(value) || isNull(likePattern)) return null;
+        const regex = likeToRegExp(toText(likePattern), expr.caseInsensitive, toText(escape(row)));
+        return regex.test(toText(value)) !== expr.not;
+      };
+    }
+
+    case 'case': {
+      const operand = expr.operand ? compile(expr.operand) : null;
+      const branches = expr.branches.map(branch => ({
+        when: compile(branch.when),
+        then: compile(branch.then)
+      }));
+      const otherwise = expr.otherwise ? compile(expr.otherwise) : () => null;
+      return (row) => {
+        const subject = operand ? operand(row) : undefined;
+        for (const branch of branches) {
+          const candidate = branch.when(row);
+          const matches = operand
+            ? !isNull(subject) && !isNull(candidate) && compareValues(subject, candidate) === 0
+            : toBoolean(candidate) === true;
+          if (matches) return branch.then(row);
+        }
+        return otherwise(row);
+      };
+    }
+
+    case 'function': {
+      const definition = SCALAR_FUNCTIONS[expr.name];
+      if (!definition) {
+        throw createError('INVALID_SQL_QUERY', `Función desconocida: ${expr.name}`);
+      }
+      if (expr.args.length < definition.minArgs || expr.args.length > definition.maxArgs) {
+        throw createError('INVALID_SQL_QUERY', `Número de argumentos inválido para ${expr.name}`);
+      }
+      if (expr.distinct || expr.args.some(arg => arg.type === 'star')) {
+        throw createError('INVALID_SQL_QUERY', `Uso inválido de la función ${expr.name}`);
+      }
+
+      const args = expr.args.map(compile);
+      return (row) => definition.fn(...args.map(arg => arg(row)));
+    }
+
+    case 'star':
+      throw createError('INVALID_SQL_QUERY', 'El comodín * solo se permite en la lista de columnas');
+
+    default:
+      throw createError('INVALID_SQL_QUERY', `Expresión no soportada: ${expr.type}`);
+  }
+};
+
+module.exports = {
+  SCALAR_FUNCTIONS,
+  toNumber,
+  toBoolean,
+  compareValues,
+  toTimestamp,
+  likeToRegExp,
+  compileExpression
+};
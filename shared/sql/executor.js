@@ -0,0 +1,645 @@
+/**
+ * Ejecutor de consultas SELECT sobre tablas en memoria
+ * @module sql/executor
+ */
+
+const { createError } = require('../constants/errorCodes');
+const { compileExpression, compareValues, toBoolean, toNumber } = require('./evaluator');
+const { isAggregateCall, containsAggregate, createAggregate } = require('./aggregates');
+const { getExpressionType } = require('./types');
+
+/**
+ * Busca un nombre dentro de una lista, primero exacto y luego sin distinguir mayúsculas
+ * @param {Array<string>} names - Nombres disponibles
+ * @param {string} name - Nombre buscado
+ * @returns {Array<string>} - Coincidencias encontradas
+ */
+const matchName = (names, name) => {
+  if (names.includes(name)) {
+    return [name];
+  }
+  const lower = name.toLowerCase();
+  return names.filter(candidate => candidate.toLowerCase() === lower);
+};
+
+/**
+ * Obtiene una tabla del conjunto de tablas cargadas
+ * @param {Object} tables - Tablas indexadas por nombre
+ * @param {string} name - Nombre de la tabla
+ * @returns {Object} - Tabla con columnas y filas
+ */
+const resolveTable = (tables, name) => {
+  const [match] = matchName(Object.keys(tables), name);
+  if (!match) {
+    throw createError('INVALID_SQL_QUERY', `Tabla desconocida: ${name}`);
+  }
+  return tables[match];
+};
+
+/**
+ * Devuelve los nombres de las tablas referenciadas en la consulta
+ * @param {Object} ast - AST de la consulta
+ * @returns {Array<string>} - Nombres de tabla
+ */
+const getReferencedTables = (ast) => {
+  if (!ast.from) return [];
+
+  const names = [];
+  for (const reference of [ast.from, ...ast.joins.map(join => join.table)]) {
+    if (matchName(names, reference.name).length === 0) {
+      names.push(reference.name);
+    }
+  }
+  return names;
+};
+
+/**
+ * Construye el ámbito de resolución de columnas para las fuentes de la consulta
+ * @param {Array} sources - Fuentes con alias, nombres y tipos de columna
+ * @returns {Object} - Ámbito para compileExpression
+ */
+const createSourceScope = (sources) => {
+  // Localiza la fuente y la columna real a la que apunta una referencia
+  const lookupColumn = (node) => {
+    let candidates = sources;
+
+    if (node.table) {
+      candidates = sources.filter(source => matchName([source.alias], node.table).length > 0);
+      if (candidates.length === 0) {
+        throw createError('INVALID_SQL_QUERY', `Tabla o alias desconocido: ${node.table}`);
+      }
+    }
+
+    const matches = [];
+    for (const source of candidates) {
+      for (const column of matchName(source.columnNames, node.name)) {
+        matches.push({ source, column });
+      }
+    }
+
+    if (matches.length === 0) {
+      throw createError('INVALID_SQL_QUERY', `Columna desconocida: ${node.text || node.name}`);
+    }
+    if (matches.length > 1) {
+      throw createError('INVALID_SQL_QUERY', `Referencia de columna ambigua: ${node.text || node.name}`);
+    }
+
+    return matches[0];
+  };
+
+  const resolveColumn = (node) => {
+    const { source, column } = lookupColumn(node);
+    const alias = source.alias;
+    return (row) => {
+      const value = row[alias][column];
+      return value === undefined ? null : value;
+    };
+  };
+
+  const getColumnType = (node) => {
+    const { source, column } = lookupColumn(node);
+    return source.columnTypes[column] || null;
+  };
+
+  // Identidad estructural de una expresión, con las columnas ya resueltas
+  const expressionKey = (expr) => {
+    return JSON.stringify(expr, (key, value) => {
+      if (key === 'text') return undefined;
+      if (value && value.type === 'column') {
+        const { source, column } = lookupColumn(value);
+        return { type: 'column', ref: `${source.alias}.${column}` };
+      }
+      return value;
+    });
+  };
+
+  return { resolveColumn, getColumnType, expressionKey };
+};
+
+/**
+ * Crea la fuente de datos de una referencia de tabla del FROM o de un JOIN
+ * @param {Object} tables - Tablas indexadas por nombre
+ * @param {Object} reference - Referencia de tabla { name, alias }
+ * @returns {Object} - Fuente con alias, nombres, tipos y filas
+ */
+const createSource = (tables, reference) => {
+  const table = resolveTable(tables, reference.name);
+  return {
+    alias: reference.alias,
+    columnNames: table.columns.map(column => column.name),
+    columnTypes: Object.fromEntries(table.columns.map(column => [column.name, column.type])),
+    rows: table.rows
+  };
+};
+
+/**
+ * Separa una condición en sus términos unidos por AND
+ * @param {Object} expr - Expresión de la condición
+ * @returns {Array} - Términos de la conjunción
+ */
+const splitConjunction = (expr) => {
+  if (expr.type === 'binary' && expr.operator === 'AND') {
+    return [...splitConjunction(expr.left), ...splitConjunction(expr.right)];
+  }
+  return [expr];
+};
+
+/**
+ * Extrae las igualdades entre columnas de ambos lados de un JOIN
+ * Se usan para emparejar filas por hash; el resto de la condición se evalúa después
+ * @param {Object} on - Condición del JOIN
+ * @param {Object} leftScope - Ámbito de las fuentes ya unidas
+ * @param {Object} rightScope - Ámbito de la tabla que se une
+ * @returns {Array} - Pares { left, right } de expresiones de columna
+ */
+const extractEquiKeys = (on, leftScope, rightScope) => {
+  const resolves = (scope, node) => {
+    try {
+      scope.getColumnType(node);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  };
+
+  const keys = [];
+  for (const term of splitConjunction(on)) {
+    if (term.type !== 'binary' || term.operator !== '=' ||
+        term.left.type !== 'column' || term.right.type !== 'column') {
+      continue;
+    }
+    if (resolves(leftScope, term.left) && resolves(rightScope, term.right)) {
+      keys.push({ left: term.left, right: term.right });
+    } else if (resolves(leftScope, term.right) && resolves(rightScope, term.left)) {
+      keys.push({ left: term.right, right: term.left });
+    }
+  }
+  return keys;
+};
+
+/**
+ * Clave de hash de un valor de unión, coherente con la igualdad de compareValues
+ * @param {*} value - Valor de la columna
+ * @returns {string|null} - Clave o null si el valor no puede emparejar
+ */
+const joinValueKey = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return `n:${value.getTime()}`;
+  const number = typeof value === 'boolean' ? null : toNumber(value);
+  if (number !== null) return `n:${number}`;
+  return `${typeof value}:${String(value)}`;
+};
+
+/**
+ * Une las filas acumuladas con una nueva tabla según el tipo de JOIN
+ * @param {Array} rows - Filas ya unidas, indexadas por alias
+ * @param {Array} leftSources - Fuentes que forman las filas acumuladas
+ * @param {Object} right - Fuente de la tabla que se une
+ * @param {Object} join - Nodo JOIN con tipo y condición
+ * @returns {Array} - Filas resultantes
+ */
+const joinRows = (rows, leftSources, right, join) => {
+  const leftScope = createSourceScope(leftSources);
+  const rightScope = createSourceScope([right]);
+  const combinedScope = createSourceScope([...leftSources, right]);
+
+  if (containsAggregate(join.on)) {
+    throw createError('INVALID_SQL_QUERY', 'No se permiten agregados en la condición ON');
+  }
+  const condition = compileExpression(join.on, combinedScope);
+
+  const equiKeys = extractEquiKeys(join.on, leftScope, rightScope);
+  const leftKeys = equiKeys.map(key => compileExpression(key.left, leftScope));
+  const rightKeys = equiKeys.map(key => compileExpression(key.right, rightScope));
+
+  const rowKey = (row, keyFunctions) => {
+    const parts = [];
+    for (const fn of keyFunctions) {
+      const part = joinValueKey(fn(row));
+      if (part === null) return null;
+      parts.push(part);
+    }
+    return JSON.stringify(parts);
+  };
+
+  // Índice de la tabla derecha por las columnas de igualdad; sin ellas todas las
+  // filas son candidatas y se evalúa la condición completa
+  const rightRows = right.rows.map(row => ({ [right.alias]: row }));
+  const buckets = new Map();
+  if (equiKeys.length > 0) {
+    rightRows.forEach((row, index) => {
+      const key = rowKey(row, rightKeys);
+      if (key === null) return;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+  }
+  const allIndexes = rightRows.map((row, index) => index);
+
+  const keepLeft = join.kind === 'LEFT' || join.kind === 'FULL';
+  const keepRight = join.kind === 'RIGHT' || join.kind === 'FULL';
+  const matchedRight = new Set();
+  const emptyRight = { [right.alias]: {} };
+  const result = [];
+
+  for (const row of rows) {
+    let candidates = allIndexes;
+    if (equiKeys.length > 0) {
+      const key = rowKey(row, leftKeys);
+      candidates = key === null ? [] : (buckets.get(key) || []);
+    }
+
+    let matched = false;
+    for (const index of candidates) {
+      const combined = { ...row, ...rightRows[index] };
+      if (toBoolean(condition(combined)) === true) {
+        result.push(combined);
+        matchedRight.add(index);
+        matched = true;
+      }
+    }
+
+    if (!matched && keepLeft) {
+      result.push({ ...row, ...emptyRight });
+    }
+  }
+
+  if (keepRight) {
+    const emptyLeft = Object.fromEntries(leftSources.map(source => [source.alias, {}]));
+    rightRows.forEach((row, index) => {
+      if (!matchedRight.has(index)) {
+        result.push({ ...emptyLeft, ...row });
+      }
+    });
+  }
+
+  return result;
+};
+
+/**
+ * Construye el ámbito de evaluación sobre grupos para consultas con agregados
+ * Las expresiones del GROUP BY se leen de la clave del grupo y los agregados
+ * se calculan sobre las filas del grupo
+ * @param {Object} sourceScope - Ámbito de las fuentes
+ * @param {Array} groupBy - Expresiones del GROUP BY
+ * @returns {Object} - Ámbito para compileExpression con la lista de agregados
+ */
+const createGroupScope = (sourceScope, groupBy) => {
+  const groupKeys = groupBy.map(expr => sourceScope.expressionKey(expr));
+  const aggregates = [];
+
+  const intercept = (expr) => {
+    if (expr.type === 'literal') return null;
+
+    const keyIndex = groupKeys.indexOf(sourceScope.expressionKey(expr));
+    if (keyIndex !== -1) {
+      return (group) => group.keys[keyIndex];
+    }
+
+    if (isAggregateCall(expr)) {
+      const [arg] = expr.args;
+      if (arg && arg.type !== 'star' && containsAggregate(arg)) {
+        throw createError('INVALID_SQL_QUERY', `No se permiten agregados anidados: ${expr.text}`);
+      }
+
+      const isStar = !arg || arg.type === 'star';
+      const argument = isStar ? null : compileExpression(arg, sourceScope);
+      const argumentType = isStar ? null : getExpressionType(arg, sourceScope.getColumnType);
+      const index = aggregates.length;
+      aggregates.push(createAggregate(expr, argument, argumentType));
+      return (group) => group.aggregates[index];
+    }
+
+    return null;
+  };
+
+  const resolveColumn = (node) => {
+    throw createError('INVALID_SQL_QUERY',
+      `La columna ${node.text || node.name} debe aparecer en GROUP BY o usarse en una función de agregación`);
+  };
+
+  return { intercept, resolveColumn, aggregates };
+};
+
+/**
+ * Expande la lista de columnas del SELECT en proyecciones con nombre
+ * @param {Object} ast - AST de la consulta
+ * @param {Array} sources - Fuentes de datos
+ * @param {Object} scope - Ámbito de compilación
+ * @param {Object} sourceScope - Ámbito de las fuentes, usado para deducir el tipo de cada columna
+ * @returns {Array} - Proyecciones { name, type, evaluate }
+ */
+const buildProjections = (ast, sources, scope, sourceScope) => {
+  const projections = [];
+  const usedNames = new Set();
+
+  const uniqueName = (name) => {
+    let finalName = name;
+    let counter = 1;
+    while (usedNames.has(finalName)) {
+      finalName = `${name}_${counter}`;
+      counter++;
+    }
+    usedNames.add(finalName);
+    return finalName;
+  };
+
+  for (const item of ast.columns) {
+    if (item.type === 'star') {
+      const starSources = item.table
+        ? sources.filter(source => matchName([source.alias], item.table).length > 0)
+        : sources;
+
+      if (starSources.length === 0) {
+        throw createError('INVALID_SQL_QUERY', `Tabla o alias desconocido: ${item.table}`);
+      }
+
+      // Si varias tablas aportan la misma columna, el nombre se califica con el alias
+      const repeated = (column) => starSources.filter(source =>
+        source.columnNames.some(name => name.toLowerCase() === column.toLowerCase())).length > 1;
+
+      for (const source of starSources) {
+        for (const column of source.columnNames) {
+          projections.push({
+            name: uniqueName(repeated(column) ? `${source.alias}.${column}` : column),
+            type: source.columnTypes[column] || null,
+            evaluate: scope.resolveColumn({ type: 'column', table: source.alias, name: column })
+          });
+        }
+      }
+      continue;
+    }
+
+    const defaultName = item.expr.type === 'column' ? item.expr.name : item.expr.text;
+    const evaluate = compileExpression(item.expr, scope);
+    projections.push({
+      name: uniqueName(item.alias || defaultName),
+      type: getExpressionType(item.expr, sourceScope.getColumnType),
+      expr: item.expr,
+      evaluate
+    });
+  }
+
+  return projections;
+};
+
+/**
+ * Compila las claves de ordenamiento del ORDER BY
+ * Un número indica la posición de la columna y un nombre puede referirse a un alias de salida
+ * @param {Object} ast - AST de la consulta
+ * @param {Array} projections - Proyecciones del SELECT
+ * @param {Object} scope - Ámbito de compilación
+ * @returns {Array} - Claves { evaluate(record), direction, nulls }
+ */
+const buildOrderKeys = (ast, projections, scope) => {
+  const outputNames = projections.map(projection => projection.name);
+
+  return ast.orderBy.map(item => {
+    const { expr } = item;
+    let evaluate;
+
+    if (expr.type === 'literal' && typeof expr.value === 'number') {
+      const position = expr.value;
+      if (!Number.isInteger(position) || position < 1 || position > projections.length) {
+        throw createError('INVALID_SQL_QUERY', `Posición de ORDER BY fuera de rango: ${position}`);
+      }
+      evaluate = (record) => record.values[position - 1];
+    } else if (expr.type === 'column' && !expr.table && matchName(outputNames, expr.name).length === 1) {
+      const position = outputNames.indexOf(matchName(outputNames, expr.name)[0]);
+      evaluate = (record) => record.values[position];
+    } else {
+      const compiled = compileExpression(expr, scope);
+      evaluate = (record) => compiled(record.row);
+    }
+
+    return { evaluate, direction: item.direction, nulls: item.nulls };
+  });
+};
+
+/**
+ * Resuelve las expresiones del GROUP BY
+ * Un número indica la posición de la columna y un nombre que no sea columna de
+ * las fuentes puede referirse a un alias del SELECT
+ * @param {Object} ast - AST de la consulta
+ * @param {Object} sourceScope - Ámbito de las fuentes
+ * @returns {Array} - Expresiones de agrupación
+ */
+const resolveGroupBy = (ast, sourceScope) => {
+  const selectItems = ast.columns.filter(item => item.type === 'expression');
+
+  return ast.groupBy.map(expr => {
+    if (expr.type === 'literal' && typeof expr.value === 'number') {
+      const item = ast.columns[expr.value - 1];
+      if (!item || item.type !== 'expression') {
+        throw createError('INVALID_SQL_QUERY', `Posición de GROUP BY fuera de rango: ${expr.value}`);
+      }
+      return item.expr;
+    }
+
+    if (expr.type === 'column' && !expr.table) {
+      try {
+        sourceScope.getColumnType(expr);
+      } catch (error) {
+        const aliases = selectItems.filter(item => item.alias).map(item => item.alias);
+        const [alias] = matchName(aliases, expr.name);
+        if (!alias) throw error;
+        return selectItems.find(item => item.alias === alias).expr;
+      }
+    }
+
+    if (containsAggregate(expr)) {
+      throw createError('INVALID_SQL_QUERY', `No se permiten agregados en GROUP BY: ${expr.text}`);
+    }
+
+    return expr;
+  });
+};
+
+/**
+ * Agrupa las filas por las expresiones del GROUP BY y calcula los agregados
+ * @param {Array} rows - Filas filtradas
+ * @param {Array} groupBy - Expresiones de agrupación
+ * @param {Object} sourceScope - Ámbito de las fuentes
+ * @param {Array} aggregates - Agregados registrados en el ámbito de grupo
+ * @returns {Array} - Grupos { keys, aggregates }
+ */
+const groupRows = (rows, groupBy, sourceScope, aggregates) => {
+  const keyFunctions = groupBy.map(expr => compileExpression(expr, sourceScope));
+  const groups = new Map();
+
+  // Sin GROUP BY toda la tabla forma un único grupo, aunque esté vacía
+  if (keyFunctions.length === 0) {
+    groups.set('', { keys: [], rows });
+  } else {
+    for (const row of rows) {
+      const keys = keyFunctions.map(fn => fn(row));
+      const hash = JSON.stringify(keys);
+      if (!groups.has(hash)) {
+        groups.set(hash, { keys, rows: [] });
+      }
+      groups.get(hash).rows.push(row);
+    }
+  }
+
+  return Array.from(groups.values()).map(group => ({
+    keys: group.keys,
+    aggregates: aggregates.map(aggregate => aggregate.compute(group.rows))
+  }));
+};
+
+/**
+ * Ordena los registros según las claves del ORDER BY
+ * @param {Array} records - Registros con fila y valores proyectados
+ * @param {Array} orderKeys - Claves de ordenamiento
+ * @returns {Array} - Registros ordenados
+ */
+const sortRecords = (records, orderKeys) => {
+  const keyed = records.map(record => ({
+    record,
+    keys: orderKeys.map(key => key.evaluate(record))
+  }));
+
+  keyed.sort((a, b) => {
+    for (let i = 0; i < orderKeys.length; i++) {
+      const { direction, nulls } = orderKeys[i];
+      const valueA = a.keys[i];
+      const valueB = b.keys[i];
+      const nullA = valueA === null || valueA === undefined;
+      const nullB = valueB === null || valueB === undefined;
+
+      if (nullA || nullB) {
+        if (nullA && nullB) continue;
+        const nullFirst = nulls === 'FIRST' ? -1 : 1;
+        return nullA ? nullFirst : -nullFirst;
+      }
+
+      const result = compareValues(valueA, valueB);
+      if (result !== 0) {
+        return direction === 'DESC' ? -result : result;
+      }
+    }
+    return 0;
+  });
+
+  return keyed.map(entry => entry.record);
+};
+
+/**
+ * Ejecuta una consulta SELECT ya parseada
+ * @param {Object} ast - AST de la consulta
+ * @param {Object} tables - Tablas indexadas por nombre: { columns: [{ name, type }], rows: [] }
+ * @returns {Object} - Resultado { columns: [{ name, type }], rows }
+ */
+const executeQuery = (ast, tables) => {
+  const sources = [];
+  let rows = [{}];
+
+  if (ast.from) {
+    const source = createSource(tables, ast.from);
+    sources.push(source);
+    rows = source.rows.map(row => ({ [source.alias]: row }));
+
+    for (const join of ast.joins) {
+      const right = createSource(tables, join.table);
+      if (sources.some(existing => existing.alias.toLowerCase() === right.alias.toLowerCase())) {
+        throw createError('INVALID_SQL_QUERY',
+          `El alias ${right.alias} está repetido, use un alias distinto para cada tabla`);
+      }
+      rows = joinRows(rows, sources, right, join);
+      sources.push(right);
+    }
+  }
+
+  const sourceScope = createSourceScope(sources);
+
+  if (ast.where) {
+    if (containsAggregate(ast.where)) {
+      throw createError('INVALID_SQL_QUERY', 'No se permiten agregados en WHERE, use HAVING');
+    }
+    const predicate = compileExpression(ast.where, sourceScope);
+    rows = rows.filter(row => toBoolean(predicate(row)) === true);
+  }
+
+  const isAggregateQuery = ast.groupBy.length > 0 || ast.having !== null ||
+    ast.columns.some(item => item.type === 'expression' && containsAggregate(item.expr)) ||
+    ast.orderBy.some(item => containsAggregate(item.expr));
+
+  let scope = sourceScope;
+
+  if (isAggregateQuery) {
+    if (ast.columns.some(item => item.type === 'star')) {
+      throw createError('INVALID_SQL_QUERY', 'SELECT * no se puede combinar con GROUP BY ni agregados');
+    }
+
+    const groupBy = resolveGroupBy(ast, sourceScope);
+    scope = createGroupScope(sourceScope, groupBy);
+
+    // Se compilan las expresiones antes de agrupar para registrar todos los agregados
+    const projections = buildProjections(ast, sources, scope, sourceScope);
+    const having = ast.having ? compileExpression(ast.having, scope) : null;
+    const orderKeys = buildOrderKeys(ast, projections, scope);
+
+    let groups = groupRows(rows, groupBy, sourceScope, scope.aggregates);
+    if (having) {
+      groups = groups.filter(group => toBoolean(having(group)) === true);
+    }
+
+    return finalizeResult(ast, projections, orderKeys, groups);
+  }
+
+  const projections = buildProjections(ast, sources, scope, sourceScope);
+  const orderKeys = buildOrderKeys(ast, projections, scope);
+
+  return finalizeResult(ast, projections, orderKeys, rows);
+};
+
+/**
+ * Proyecta, elimina duplicados, ordena y pagina las filas o grupos resultantes
+ * @param {Object} ast - AST de la consulta
+ * @param {Array} projections - Proyecciones del SELECT
+ * @param {Array} orderKeys - Claves de ordenamiento
+ * @param {Array} rows - Filas o grupos sobre los que se evalúan las proyecciones
+ * @returns {Object} - Resultado { columns, rows }
+ */
+const finalizeResult = (ast, projections, orderKeys, rows) => {
+  let records = rows.map(row => ({
+    row,
+    values: projections.map(projection => projection.evaluate(row))
+  }));
+
+  if (ast.distinct) {
+    const seen = new Set();
+    records = records.filter(record => {
+      const key = JSON.stringify(record.values);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  if (orderKeys.length > 0) {
+    records = sortRecords(records, orderKeys);
+  }
+
+  const offset = ast.offset || 0;
+  const end = ast.limit === null ? undefined : offset + ast.limit;
+  records = records.slice(offset, end);
+
+  return {
+    columns: projections.map(projection => ({ name: projection.name, type: projection.type })),
+    rows: records.map(record => {
+      const output = {};
+      projections.forEach((projection, index) => {
+        output[projection.name] = record.values[index];
+      });
+      return output;
+    })
+  };
+};
+
+module.exports = {
+  getReferencedTables,
+  resolveTable,
+  splitConjunction,
+  executeQuery
+};
@@ -0,0 +1,19 @@
+/**
+ * Motor de consultas SQL: parser, evaluador de expresiones y ejecutor
+ * @module sql
+ */
+
+const { parseQuery, parseExpression } = require('./parser');
+const { compileExpression } = require('./evaluator');
+const { executeQuery, getReferencedTables } = require('./executor');
+const { getPartitionFilters, isPartitionPruned } = require('./pruner');
+
+module.exports = {
+  parseQuery,
+  parseExpression,
+  compileExpression,
+  executeQuery,
+  getReferencedTables,
+  getPartitionFilters,
+  isPartitionPruned
+};
@@ -0,0 +1,161 @@
+/**
+ * Analizador léxico para el dialecto SQL del motor de consultas
+ * @module sql/lexer
+ */
+
+const { createError } = require('../constants/errorCodes');
+
+// Palabras reservadas reconocidas por el parser.
+// FIRST, LAST y ESCAPE se tratan como identificadores para no bloquear
+// columnas con esos nombres; el parser las reconoce por contexto.
+const KEYWORDS = new Set([
+  'SELECT', 'DISTINCT', 'ALL', 'FROM', 'WHERE', 'AS', 'AND', 'OR', 'NOT',
+  'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'ON',
+  'IN', 'BETWEEN', 'LIKE', 'ILIKE', 'IS', 'NULL', 'TRUE', 'FALSE',
+  'GROUP', 'HAVING', 'ORDER', 'BY', 'ASC', 'DESC', 'NULLS', 'LIMIT', 'OFFSET',
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END'
+]);
+
+// Operadores de uno y dos caracteres
+const TWO_CHAR_OPERATORS = ['<=', '>=', '<>', '!=', '||'];
+const ONE_CHAR_OPERATORS = ['=', '<', '>', '+', '-', '*', '/', '%'];
+const PUNCTUATION = ['(', ')', ',', '.', ';'];
+
+/**
+ * Convierte el texto de una consulta en una lista de tokens
+ * @param {string} sql - Texto de la consulta
+ * @returns {Array} - Tokens con tipo, valor y posición
+ */
+const tokenize = (sql) => {
+  const tokens = [];
+  let pos = 0;
+
+  const isIdentifierStart = (char) => /[A-Za-z_À-ɏ]/.test(char);
+  const isIdentifierPart = (char) => /[A-Za-z0-9_$À-ɏ]/.test(char);
+
+  while (pos < sql.length) {
+    const char = sql[pos];
+
+    // Espacios en blanco
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    // Comentarios de línea
+    if (char === '-' && sql[pos + 1] === '-') {
+      while (pos < sql.length && sql[pos] !== '\n') pos++;
+      continue;
+    }
+
+    // Comentarios de bloque
+    if (char === '/' && sql[pos + 1] === '*') {
+      const end = sql.indexOf('*/', pos + 2);
+      if (end === -1) {
+        throw createError('INVALID_SQL_QUERY', 'Comentario sin cerrar en la consulta');
+      }
+      pos = end + 2;
+      continue;
+    }
+
+    const start = pos;
+
+    // Literales de texto con comillas simples ('' escapa una comilla)
+    if (char === '\'') {
+      let value = '';
+      pos++;
+      while (true) {
+        if (pos >= sql.length) {
+          throw createError('INVALID_SQL_QUERY', `Texto sin cerrar en la posición ${start}`);
+        }
+        if (sql[pos] === '\'') {
+          if (sql[pos + 1] === '\'') {
+            value += '\'';
+            pos += 2;
+            continue;
+          }
+          pos++;
+          break;
+        }
+        value += sql[pos++];
+      }
+      tokens.push({ type: 'string', value, start, end: pos });
+      continue;
+    }
+
+    // Identificadores entre comillas dobles o backticks
+    if (char === '"' || char === '`') {
+      const quote = char;
+      let value = '';
+      pos++;
+      while (true) {
+        if (pos >= sql.length) {
+          throw createError('INVALID_SQL_QUERY', `Identificador sin cerrar en la posición ${start}`);
+        }
+        if (sql[pos] === quote) {
+          if (sql[pos + 1] === quote) {
+            value += quote;
+            pos += 2;
+            continue;
+          }
+          pos++;
+          break;
+        }
+        value += sql[pos++];
+      }
+      tokens.push({ type: 'identifier', value, quoted: true, start, end: pos });
+      continue;
+    }
+
+    // Números (enteros, decimales y notación científica)
+    if (/[0-9]/.test(char) || (char === '.' && /[0-9]/.test(sql[pos + 1] || ''))) {
+      const match = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(sql.slice(pos));
+      pos += match[0].length;
+      tokens.push({ type: 'number', value: Number(match[0]), start, end: pos });
+      continue;
+    }
+
+    // Identificadores y palabras reservadas
+    if (isIdentifierStart(char)) {
+      while (pos < sql.length && isIdentifierPart(sql[pos])) pos++;
+      const word = sql.slice(start, pos);
+      const upper = word.toUpperCase();
+      if (KEYWORDS.has(upper)) {
+        tokens.push({ type: 'keyword', value: upper, start, end: pos });
+      } else {
+        tokens.push({ type: 'identifier', value: word, quoted: false, start, end: pos });
+      }
+      continue;
+    }
+
+    // Operadores
+    const twoChars = sql.slice(pos, pos + 2);
+    if (TWO_CHAR_OPERATORS.includes(twoChars)) {
+      pos += 2;
+      tokens.push({ type: 'operator', value: twoChars === '!=' ? '<>' : twoChars, start, end: pos });
+      continue;
+    }
+
+    if (ONE_CHAR_OPERATORS.includes(char)) {
+      pos++;
+      tokens.push({ type: 'operator', value: char, start, end: pos });
+      continue;
+    }
+
+    if (PUNCTUATION.includes(char)) {
+      pos++;
+      tokens.push({ type: 'punctuation', value: char, start, end: pos });
+      continue;
+    }
+
+    throw createError('INVALID_SQL_QUERY', `Carácter inesperado '${char}' en la posición ${pos}`);
+  }
+
+  tokens.push({ type: 'eof', value: null, start: sql.length, end: sql.length });
+  return tokens;
+};
+
+module.exports = {
+  KEYWORDS,
+  tokenize
+};
@@ -0,0 +1,519 @@
+/**
+ * Parser SQL que construye el AST de una consulta SELECT
+ * @module sql/parser
+ */
+
+const { createError } = require('../constants/errorCodes');
+const { tokenize } = require('./lexer');
+
+// Operadores de comparación soportados
+const COMPARISON_OPERATORS = ['=', '<>', '<', '<=', '>', '>='];
+
+/**
+ * Crea un parser sobre el texto de una consulta
+ * @param {string} sql - Texto de la consulta
+ * @returns {Object} - Funciones de parsing sobre la lista de tokens
+ */
+const createParser = (sql) => {
+  const tokens = tokenize(sql);
+  let index = 0;
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const advance = () => tokens[index++];
+
+  const describe = (token) => {
+    if (token.type === 'eof') return 'fin de la consulta';
+    return `'${sql.slice(token.start, token.end)}'`;
+  };
+
+  const fail = (message, token = peek()) => {
+    throw createError('INVALID_SQL_QUERY', `${message} (posición ${token.start})`);
+  };
+
+  const isKeyword = (value, offset = 0) => {
+    const token = peek(offset);
+    return token.type === 'keyword' && token.value === value;
+  };
+
+  // Palabras no reservadas que solo tienen significado en cierto contexto
+  const isContextualWord = (value, offset = 0) => {
+    const token = peek(offset);
+    return token.type === 'identifier' && !token.quoted && token.value.toUpperCase() === value;
+  };
+
+  const isPunctuation = (value, offset = 0) => {
+    const token = peek(offset);
+    return token.type === 'punctuation' && token.value === value;
+  };
+
+  const isOperator = (value, offset = 0) => {
+    const token = peek(offset);
+    return token.type === 'operator' && token.value === value;
+  };
+
+  const acceptKeyword = (value) => {
+    if (isKeyword(value)) {
+      advance();
+      return true;
+    }
+    return false;
+  };
+
+  const expectKeyword = (value) => {
+    if (!acceptKeyword(value)) {
+      fail(`Se esperaba ${value} y se encontró ${describe(peek())}`);
+    }
+  };
+
+  const acceptPunctuation = (value) => {
+    if (isPunctuation(value)) {
+      advance();
+      return true;
+    }
+    return false;
+  };
+
+  const expectPunctuation = (value) => {
+    if (!acceptPunctuation(value)) {
+      fail(`Se esperaba '${value}' y se encontró ${describe(peek())}`);
+    }
+  };
+
+  const expectIdentifier = (what) => {
+    const token = peek();
+    if (token.type !== 'identifier') {
+      fail(`Se esperaba ${what} y se encontró ${describe(token)}`);
+    }
+    advance();
+    return token.value;
+  };
+
+  // Anota el texto original de la expresión para nombrar columnas de salida
+  const withText = (node, startToken) => {
+    const endToken = tokens[index - 1];
+    node.text = sql.slice(startToken.start, endToken.end);
+    return node;
+  };
+
+  const parseExpression = () => parseOr();
+
+  const parseOr = () => {
+    const start = peek();
+    let left = parseAnd();
+    while (acceptKeyword('OR')) {
+      left = withText({ type: 'binary', operator: 'OR', left, right: parseAnd() }, start);
+    }
+    return left;
+  };
+
+  const parseAnd = () => {
+    const start = peek();
+    let left = parseNot();
+    while (acceptKeyword('AND')) {
+      left = withText({ type: 'binary', operator: 'AND', left, right: parseNot() }, start);
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    const start = peek();
+    if (acceptKeyword('NOT')) {
+      return withText({ type: 'unary', operator: 'NOT', operand: parseNot() }, start);
+    }
+    return parsePredicate();
+  };
+
+  const parsePredicate = () => {
+    const start = peek();
+    const left = parseConcat();
+
+    const token = peek();
+    if (token.type === 'operator' && COMPARISON_OPERATORS.includes(token.value)) {
+      advance();
+      return withText({ type: 'binary', operator: token.value, left, right: parseConcat() }, start);
+    }
+
+    if (acceptKeyword('IS')) {
+      const not = acceptKeyword('NOT');
+      expectKeyword('NULL');
+      return withText({ type: 'isNull', expr: left, not }, start);
+    }
+
+    const not = isKeyword('NOT') && (isKeyword('IN', 1) || isKeyword('BETWEEN', 1) ||
+      isKeyword('LIKE', 1) || isKeyword('ILIKE', 1));
+    if (not) advance();
+
+    if (acceptKeyword('IN')) {
+      expectPunctuation('(');
+      const list = [parseExpression()];
+      while (acceptPunctuation(',')) {
+        list.push(parseExpression());
+      }
+      expectPunctuation(')');
+      return withText({ type: 'in', expr: left, list, not }, start);
+    }
+
+    if (acceptKeyword('BETWEEN')) {
+      const low = parseConcat();
+      expectKeyword('AND');
+      const high = parseConcat();
+      return withText({ type: 'between', expr: left, low, high, not }, start);
+    }
+
+    if (isKeyword('LIKE') || isKeyword('ILIKE')) {
+      const caseInsensitive = advance().value === 'ILIKE';
+      const pattern = parseConcat();
+      let escape = null;
+      if (isContextualWord('ESCAPE')) {
+        advance();
+        escape = parseConcat();
+      }
+      return withText({ type: 'like', expr: left, pattern, escape, not, caseInsensitive }, start);
+    }
+
+    if (not) {
+      fail('Se esperaba IN, BETWEEN o LIKE después de NOT');
+    }
+
+    return left;
+  };
+
+  const parseConcat = () => {
+    const start = peek();
+    let left = parseAdditive();
+    while (isOperator('||')) {
+      advance();
+      left = withText({ type: 'binary', operator: '||', left, right: parseAdditive() }, start);
+    }
+    return left;
+  };
+
+  const parseAdditive = () => {
+    const start = peek();
+    let left = parseMultiplicative();
+    while (isOperator('+') || isOperator('-')) {
+      const operator = advance().value;
+      left = withText({ type: 'binary', operator, left, right: parseMultiplicative() }, start);
+    }
+    return left;
+  };
+
+  const parseMultiplicative = () => {
+    const start = peek();
+    let left = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const operator = advance().value;
+      left = withText({ type: 'binary', operator, left, right: parseUnary() }, start);
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    const start = peek();
+    if (isOperator('-') || isOperator('+')) {
+      const operator = advance().value;
+      const operand = parseUnary();
+      if (operator === '+') return operand;
+      if (operand.type === 'literal' && typeof operand.value === 'number') {
+        return withText({ type: 'literal', value: -operand.value }, start);
+      }
+      return withText({ type: 'unary', operator: '-', operand }, start);
+    }
+    return parsePrimary();
+  };
+
+  const parseCase = (start) => {
+    let operand = null;
+    if (!isKeyword('WHEN')) {
+      operand = parseExpression();
+    }
+
+    const branches = [];
+    while (acceptKeyword('WHEN')) {
+      const when = parseExpression();
+      expectKeyword('THEN');
+      branches.push({ when, then: parseExpression() });
+    }
+
+    if (branches.length === 0) {
+      fail('CASE requiere al menos una cláusula WHEN');
+    }
+
+    const otherwise = acceptKeyword('ELSE') ? parseExpression() : null;
+    expectKeyword('END');
+
+    return withText({ type: 'case', operand, branches, otherwise }, start);
+  };
+
+  const parseFunctionCall = (name, start) => {
+    expectPunctuation('(');
+    const node = { type: 'function', name: name.toUpperCase(), args: [], distinct: false };
+
+    if (isOperator('*')) {
+      advance();
+      node.args.push({ type: 'star', table: null });
+    } else if (!isPunctuation(')')) {
+      node.distinct = acceptKeyword('DISTINCT');
+      node.args.push(parseExpression());
+      while (acceptPunctuation(',')) {
+        node.args.push(parseExpression());
+      }
+    }
+
+    expectPunctuation(')');
+    return withText(node, start);
+  };
+
+  const parsePrimary = () => {
+    const start = peek();
+    const token = advance();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+        return withText({ type: 'literal', value: token.value }, start);
+
+      case 'keyword':
+        if (token.value === 'NULL') return withText({ type: 'literal', value: null }, start);
+        if (token.value === 'TRUE') return withText({ type: 'literal', value: true }, start);
+        if (token.value === 'FALSE') return withText({ type: 'literal', value: false }, start);
+        if (token.value === 'CASE') return parseCase(start);
+        break;
+
+      case 'punctuation':
+        if (token.value === '(') {
+          const inner = parseExpression();
+          expectPunctuation(')');
+          return inner;
+        }
+        break;
+
+      case 'identifier':
+        if (!token.quoted && isPunctuation('(')) {
+          return parseFunctionCall(token.value, start);
+        }
+        if (acceptPunctuation('.')) {
+          const name = expectIdentifier('un nombre de columna');
+          return withText({ type: 'column', table: token.value, name }, start);
+        }
+        return withText({ type: 'column', table: null, name: token.value }, start);
+
+      default:
+        break;
+    }
+
+    return fail(`Expresión inesperada: ${describe(token)}`, token);
+  };
+
+  // Alias opcional, con o sin AS
+  const parseAlias = () => {
+    if (acceptKeyword('AS')) {
+      return expectIdentifier('un alias');
+    }
+    if (peek().type === 'identifier') {
+      return advance().value;
+    }
+    return null;
+  };
+
+  const parseSelectItem = () => {
+    if (isOperator('*')) {
+      advance();
+      return { type: 'star', table: null };
+    }
+
+    if (peek().type === 'identifier' && isPunctuation('.', 1) && isOperator('*', 2)) {
+      const table = advance().value;
+      advance();
+      advance();
+      return { type: 'star', table };
+    }
+
+    const expr = parseExpression();
+    return { type: 'expression', expr, alias: parseAlias() };
+  };
+
+  const parseTableReference = () => {
+    const name = expectIdentifier('un nombre de tabla');
+    const alias = parseAlias();
+    return { type: 'table', name, alias: alias || name };
+  };
+
+  const parseJoin = () => {
+    let kind = 'INNER';
+    if (acceptKeyword('LEFT')) {
+      kind = 'LEFT';
+      acceptKeyword('OUTER');
+    } else if (acceptKeyword('RIGHT')) {
+      kind = 'RIGHT';
+      acceptKeyword('OUTER');
+    } else if (acceptKeyword('FULL')) {
+      kind = 'FULL';
+      acceptKeyword('OUTER');
+    } else {
+      acceptKeyword('INNER');
+    }
+
+    expectKeyword('JOIN');
+    const table = parseTableReference();
+    expectKeyword('ON');
+    return { type: 'join', kind, table, on: parseExpression() };
+  };
+
+  const isJoinStart = () => ['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL'].some(value => isKeyword(value));
+
+  const parseOrderItem = () => {
+    const expr = parseExpression();
+    let direction = 'ASC';
+    if (acceptKeyword('DESC')) {
+      direction = 'DESC';
+    } else {
+      acceptKeyword('ASC');
+    }
+
+    // Por defecto los NULL van al final en ASC y al principio en DESC
+    let nulls = direction === 'ASC' ? 'LAST' : 'FIRST';
+    if (acceptKeyword('NULLS')) {
+      if (isContextualWord('FIRST')) {
+        nulls = 'FIRST';
+      } else if (isContextualWord('LAST')) {
+        nulls = 'LAST';
+      } else {
+        fail('Se esperaba FIRST o LAST después de NULLS');
+      }
+      advance();
+    }
+
+    return { expr, direction, nulls };
+  };
+
+  const parseCount = (clause) => {
+    const token = peek();
+    if (token.type !== 'number' || !Number.isInteger(token.value) || token.value < 0) {
+      fail(`${clause} requiere un número entero no negativo`);
+    }
+    advance();
+    return token.value;
+  };
+
+  const parseSelect = () => {
+    expectKeyword('SELECT');
+
+    const query = {
+      type: 'select',
+      distinct: false,
+      columns: [],
+      from: null,
+      joins: [],
+      where: null,
+      groupBy: [],
+      having: null,
+      orderBy: [],
+      limit: null,
+      offset: null
+    };
+
+    if (acceptKeyword('DISTINCT')) {
+      query.distinct = true;
+    } else {
+      acceptKeyword('ALL');
+    }
+
+    query.columns.push(parseSelectItem());
+    while (acceptPunctuation(',')) {
+      query.columns.push(parseSelectItem());
+    }
+
+    if (acceptKeyword('FROM')) {
+      query.from = parseTableReference();
+      while (isJoinStart()) {
+        query.joins.push(parseJoin());
+      }
+    }
+
+    if (acceptKeyword('WHERE')) {
+      query.where = parseExpression();
+    }
+
+    if (acceptKeyword('GROUP')) {
+      expectKeyword('BY');
+      query.groupBy.push(parseExpression());
+      while (acceptPunctuation(',')) {
+        query.groupBy.push(parseExpression());
+      }
+    }
+
+    if (acceptKeyword('HAVING')) {
+      query.having = parseExpression();
+    }
+
+    if (acceptKeyword('ORDER')) {
+      expectKeyword('BY');
+      query.orderBy.push(parseOrderItem());
+      while (acceptPunctuation(',')) {
+        query.orderBy.push(parseOrderItem());
+      }
+    }
+
+    if (acceptKeyword('LIMIT')) {
+      query.limit = parseCount('LIMIT');
+    }
+
+    if (acceptKeyword('OFFSET')) {
+      query.offset = parseCount('OFFSET');
+    }
+
+    return query;
+  };
+
+  const expectEnd = () => {
+    while (acceptPunctuation(';'));
+    if (peek().type !== 'eof') {
+      fail(`Contenido inesperado ${describe(peek())}`);
+    }
+  };
+
+  return {
+    parseSelect,
+    parseExpression,
+    expectEnd
+  };
+};
+
+/**
+ * Parsea una consulta SELECT completa
+ * @param {string} sql - Texto de la consulta
+ * @returns {Object} - AST de la consulta
+ */
+const parseQuery = (sql) => {
+  if (!sql || !sql.trim()) {
+    throw createError('INVALID_SQL_QUERY', 'La consulta está vacía');
+  }
+
+  const parser = createParser(sql);
+  const ast = parser.parseSelect();
+  parser.expectEnd();
+  return ast;
+};
+
+/**
+ * Parsea una expresión escalar aislada
+ * @param {string} text - Texto de la expresión
+ * @returns {Object} - AST de la expresión
+ */
+const parseExpression = (text) => {
+  if (!text || !text.trim()) {
+    throw createError('INVALID_SQL_QUERY', 'La expresión está vacía');
+  }
+
+  const parser = createParser(text);
+  const expr = parser.parseExpression();
+  parser.expectEnd();
+  return expr;
+};
+
+module.exports = {
+  COMPARISON_OPERATORS,
+  parseQuery,
+  parseExpression
+};
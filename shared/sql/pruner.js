@@ -0,0 +1,158 @@
+/**
+ * Poda de particiones a partir de los predicados del WHERE
+ * Solo descarta particiones cuando ninguna de sus filas puede cumplir la consulta
+ * @module sql/pruner
+ */
+
+const { compareValues, toTimestamp } = require('./evaluator');
+const { splitConjunction } = require('./executor');
+const { transformValue } = require('../utils/valueTransformer');
+const { getPartitionRange } = require('../utils/partitioning');
+
+// Operador equivalente al intercambiar los lados de una comparación
+const FLIPPED_OPERATORS = {
+  '=': '=',
+  '<>': '<>',
+  '<': '>',
+  '<=': '>=',
+  '>': '<',
+  '>=': '<='
+};
+
+const isLiteral = (expr) => expr.type === 'literal' && expr.value !== null;
+
+/**
+ * Extrae los filtros sobre columnas de una tabla que se pueden usar para podar particiones
+ * Solo se consideran los términos del WHERE unidos por AND que descartan los NULL
+ * (comparaciones, IN, BETWEEN e IS NOT NULL con literales), por lo que también son
+ * válidos cuando la tabla está en el lado opcional de un OUTER JOIN
+ * @param {Object} ast - AST de la consulta
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Array<string>} columnNames - Columnas de la tabla
+ * @returns {Array} - Filtros [{ column, operator, values }]
+ */
+const getPartitionFilters = (ast, tableName, columnNames) => {
+  if (!ast.where || !ast.from) return [];
+
+  // Una tabla referenciada varias veces (self join) comparte filas entre alias
+  const references = [ast.from, ...ast.joins.map(join => join.table)]
+    .filter(reference => reference.name.toLowerCase() === tableName.toLowerCase());
+  if (references.length !== 1) return [];
+  const alias = references[0].alias.toLowerCase();
+
+  const resolveColumn = (expr) => {
+    if (expr.type !== 'column') return null;
+    if (expr.table && expr.table.toLowerCase() !== alias) return null;
+    return columnNames.find(name => name === expr.name) ||
+      columnNames.find(name => name.toLowerCase() === expr.name.toLowerCase()) || null;
+  };
+
+  const filters = [];
+  for (const term of splitConjunction(ast.where)) {
+    if (term.type === 'binary' && FLIPPED_OPERATORS[term.operator]) {
+      const leftColumn = resolveColumn(term.left);
+      const rightColumn = resolveColumn(term.right);
+      if (leftColumn && isLiteral(term.right)) {
+        filters.push({ column: leftColumn, operator: term.operator, values: [term.right.value] });
+      } else if (rightColumn && isLiteral(term.left)) {
+        filters.push({ column: rightColumn, operator: FLIPPED_OPERATORS[term.operator], values: [term.left.value] });
+      }
+    } else if (term.type === 'in' && !term.not && Array.isArray(term.list) && term.list.every(isLiteral)) {
+      const column = resolveColumn(term.expr);
+      if (column) {
+        filters.push({ column, operator: 'IN', values: term.list.map(item => item.value) });
+      }
+    } else if (term.type === 'between' && !term.not && isLiteral(term.low) && isLiteral(term.high)) {
+      const column = resolveColumn(term.expr);
+      if (column) {
+        filters.push({ column, operator: '>=', values: [term.low.value] });
+        filters.push({ column, operator: '<=', values: [term.high.value] });
+      }
+    } else if (term.type === 'isNull' && term.not) {
+      const column = resolveColumn(term.expr);
+      if (column) {
+        filters.push({ column, operator: 'IS NOT NULL', values: [] });
+      }
+    }
+  }
+
+  return filters;
+};
+
+/**
+ * Comprueba si un valor concreto de partición puede cumplir un filtro
+ * @param {*} value - Valor de la columna en toda la partición
+ * @param {Object} filter - Filtro { operator, values }
+ * @returns {boolean} - True si la partición puede tener filas que lo cumplan
+ */
+const valueMayMatch = (value, filter) => {
+  if (filter.operator === 'IS NOT NULL') return true;
+  if (filter.operator === 'IN') {
+    return filter.values.some(candidate => compareValues(value, candidate) === 0);
+  }
+
+  const result = compareValues(value, filter.values[0]);
+  switch (filter.operator) {
+    case '=': return result === 0;
+    case '<>': return result !== 0;
+    case '<': return result < 0;
+    case '<=': return result <= 0;
+    case '>': return result > 0;
+    default: return result >= 0;
+  }
+};
+
+/**
+ * Comprueba si un rango de fechas [from, to) de partición puede cumplir un filtro
+ * Los literales se comparan por instante, igual que el motor de consultas compara las fechas
+ * @param {Object} range - Rango { from, to } como texto ISO
+ * @param {Object} filter - Filtro { operator, values }
+ * @returns {boolean} - True si la partición puede tener filas que lo cumplan
+ */
+const rangeMayMatch = (range, filter) => {
+  // Solo se poda con literales que son fechas; cualquier otro caso se conserva
+  const times = filter.values.map(toTimestamp);
+  if (times.length === 0 || times.some(time => time === null)) return true;
+
+  const from = toTimestamp(range.from);
+  const to = toTimestamp(range.to);
+  const inRange = (time) => from <= time && time < to;
+  switch (filter.operator) {
+    case '=': return inRange(times[0]);
+    case 'IN': return times.some(inRange);
+    case '<': return from < times[0];
+    case '<=': return from <= times[0];
+    case '>':
+    case '>=': return times[0] < to;
+    default: return true;
+  }
+};
+
+/**
+ * Indica si una parte Parquet se puede descartar por sus valores de partición
+ * @param {Array} filters - Filtros de getPartitionFilters
+ * @param {Array} partitionValues - Valores [{ column, transform, value }] de parsePartitionPath
+ * @param {Object} columnTypes - Tipo de cada columna de la tabla
+ * @returns {boolean} - True si ninguna fila de la parte puede cumplir los filtros
+ */
+const isPartitionPruned = (filters, partitionValues, columnTypes) => {
+  for (const partition of partitionValues) {
+    for (const filter of filters) {
+      if (filter.column !== partition.column) continue;
+
+      // La partición por defecto solo tiene NULL, que ningún filtro acepta
+      if (partition.value === null) return true;
+
+      const mayMatch = partition.transform === 'identity'
+        ? valueMayMatch(transformValue(partition.value, columnTypes[partition.column]), filter)
+        : rangeMayMatch(getPartitionRange(partition.value, partition.transform), filter);
+      if (!mayMatch) return true;
+    }
+  }
+  return false;
+};
+
+module.exports = {
+  getPartitionFilters,
+  isPartitionPruned
+};
@@ -0,0 +1,143 @@
+/**
+ * Tipos de columna del catálogo aplicados al motor de consultas
+ * @module sql/types
+ */
+
+const { toNumber, toBoolean } = require('./evaluator');
+
+// Tipos de columna del catálogo
+const COLUMN_TYPES = {
+  STRING: 'string',
+  INTEGER: 'integer',
+  FLOAT: 'float',
+  BOOLEAN: 'boolean',
+  DATE: 'date'
+};
+
+const NUMERIC_TYPES = [COLUMN_TYPES.INTEGER, COLUMN_TYPES.FLOAT];
+
+/**
+ * Convierte un valor al tipo de columna declarado en el esquema
+ * @param {*} value - Valor leído de la tabla
+ * @param {string} type - Tipo de la columna
+ * @returns {*} - Valor convertido o null si no es convertible
+ */
+const coerceValue = (value, type) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case COLUMN_TYPES.INTEGER: {
+      const number = toNumber(value);
+      return number === null ? null : Math.trunc(number);
+    }
+
+    case COLUMN_TYPES.FLOAT:
+      return toNumber(value);
+
+    case COLUMN_TYPES.BOOLEAN:
+      return toBoolean(value);
+
+    case COLUMN_TYPES.DATE: {
+      const date = value instanceof Date ? value : new Date(value);
+      return Number.isNaN(date.getTime()) ? null : date;
+    }
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Determina el tipo del resultado de una expresión cuando se conoce
+ * @param {Object} expr - Nodo de expresión
+ * @param {Function} getColumnType - Devuelve el tipo de un nodo de columna
+ * @returns {string|null} - Tipo del catálogo o null si no se puede determinar
+ */
+const getExpressionType = (expr, getColumnType) => {
+  switch (expr.type) {
+    case 'column':
+      return getColumnType(expr);
+
+    case 'literal':
+      if (typeof expr.value === 'number') {
+        return Number.isInteger(expr.value) ? COLUMN_TYPES.INTEGER : COLUMN_TYPES.FLOAT;
+      }
+      if (typeof expr.value === 'boolean') return COLUMN_TYPES.BOOLEAN;
+      if (typeof expr.value === 'string') return COLUMN_TYPES.STRING;
+      return null;
+
+    case 'unary':
+      return expr.operator === 'NOT' ? COLUMN_TYPES.BOOLEAN : getExpressionType(expr.operand, getColumnType);
+
+    case 'binary': {
+      if (['AND', 'OR', '=', '<>', '<', '<=', '>', '>='].includes(expr.operator)) {
+        return COLUMN_TYPES.BOOLEAN;
+      }
+      if (expr.operator === '||') return COLUMN_TYPES.STRING;
+      if (expr.operator === '/') return COLUMN_TYPES.FLOAT;
+      const left = getExpressionType(expr.left, getColumnType);
+      const right = getExpressionType(expr.right, getColumnType);
+      if (left === COLUMN_TYPES.INTEGER && right === COLUMN_TYPES.INTEGER) return COLUMN_TYPES.INTEGER;
+      return COLUMN_TYPES.FLOAT;
+    }
+
+    case 'case': {
+      const [first] = expr.branches;
+      return first ? getExpressionType(first.then, getColumnType) : null;
+    }
+
+    case 'isNull':
+    case 'in':
+    case 'between':
+    case 'like':
+      return COLUMN_TYPES.BOOLEAN;
+
+    case 'function':
+      switch (expr.name) {
+        case 'COUNT':
+        case 'LENGTH':
+        case 'FLOOR':
+        case 'CEIL':
+        case 'CEILING':
+        case 'YEAR':
+        case 'MONTH':
+        case 'DAY':
+          return COLUMN_TYPES.INTEGER;
+        case 'AVG':
+          return COLUMN_TYPES.FLOAT;
+        case 'SUM':
+        case 'MIN':
+        case 'MAX':
+        case 'ABS':
+        case 'COALESCE':
+        case 'NULLIF':
+          return expr.args[0] ? getExpressionType(expr.args[0], getColumnType) : null;
+        case 'ROUND':
+          return expr.args.length > 1 ? COLUMN_TYPES.FLOAT : COLUMN_TYPES.INTEGER;
+        case 'LOWER':
+        case 'UPPER':
+        case 'TRIM':
+        case 'LTRIM':
+        case 'RTRIM':
+        case 'SUBSTRING':
+        case 'SUBSTR':
+        case 'REPLACE':
+        case 'CONCAT':
+          return COLUMN_TYPES.STRING;
+        default:
+          return null;
+      }
+
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  COLUMN_TYPES,
+  NUMERIC_TYPES,
+  coerceValue,
+  getExpressionType
+};
@@ -0,0 +1,52 @@
+const { validateColumnTransforms, createColumnTransformer } = require('../columnTransforms');
+
+const transform = (transforms, value) => createColumnTransformer([{ name: 'c', type: 'string', transforms }])({ c: value });
+
+describe('createColumnTransformer', () => {
+  test('aplica las transformaciones en orden', () => {
+    expect(transform([{ type: 'trim' }, { type: 'upper' }], '  ab ').row.c).toBe('AB');
+    expect(transform([{ type: 'regex_replace', pattern: '[^0-9]', replacement: '' }], '11-22').row.c).toBe('1122');
+    expect(transform([{ type: 'default', value: 'n/a' }], '').row.c).toBe('n/a');
+    expect(transform([{ type: 'map', values: { Y: 'yes' } }], 'Y').row.c).toBe('yes');
+    expect(transform([{ type: 'map', values: { Y: 'yes' } }], 'N').row.c).toBe('N');
+  });
+
+  test('multiply no arrastra errores de coma flotante', () => {
+    expect(transform([{ type: 'multiply', factor: 0.1 }], '3').row.c).toBe(0.3);
+    expect(transform([{ type: 'multiply', factor: 2 }], 'x').errors).toEqual([
+      expect.objectContaining({ column: 'c' })
+    ]);
+  });
+
+  test('date_format lee la fecha en UTC y rechaza las fechas imposibles', () => {
+    expect(transform([{ type: 'date_format', format: 'DD/MM/YYYY' }], '15/03/2024').row.c).toBe('2024-03-15T00:00:00.000Z');
+    expect(transform([{ type: 'date_format', format: 'DD/MM/YYYY HH:mm' }], '01/02/2024 10:30').row.c).toBe('2024-02-01T10:30:00.000Z');
+    expect(transform([{ type: 'date_format', format: 'DD/MM/YYYY' }], '31/02/2024').errors).toHaveLength(1);
+    expect(transform([{ type: 'date_format', format: 'DD/MM/YYYY' }], '2024-03-15').errors).toHaveLength(1);
+  });
+
+  test('los valores ya tipados no cambian con las transformaciones de texto', () => {
+    expect(transform([{ type: 'upper' }], 5).row.c).toBe(5);
+  });
+});
+
+describe('validateColumnTransforms', () => {
+  test('rechaza transformaciones incompletas o desconocidas', () => {
+    const invalid = [
+      { type: 'regex_replace' },
+      { type: 'regex_replace', pattern: '(' },
+      { type: 'default' },
+      { type: 'date_format', format: 'MM/YYYY' },
+      { type: 'multiply', factor: '2' },
+      { type: 'map', values: {} },
+      { type: 'nope' }
+    ];
+    for (const invalidTransform of invalid) {
+      expect(() => validateColumnTransforms([{ name: 'c', type: 'string', transforms: [invalidTransform] }]))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    }
+    expect(() => validateColumnTransforms([{ name: 'c', type: 'string', transforms: 'trim' }]))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(() => validateColumnTransforms([{ name: 'c', type: 'string', transforms: [{ type: 'trim' }] }])).not.toThrow();
+  });
+});
@@ -0,0 +1,182 @@
+// El comprobador de duplicados de la Lambda lee el catálogo y las partes Parquet curated de la tabla
+jest.mock('../parquet', () => ({
+  readParquet: jest.fn()
+}));
+jest.mock('../../../lambda-etl/src/services/catalogService', () => ({
+  getCatalogEntriesByTable: jest.fn()
+}));
+jest.mock('../../../lambda-etl/src/services/csvProcessor', () => ({
+  processCsvFileWithSchema: jest.fn()
+}));
+jest.mock('../../../lambda-etl/src/utils/s3Utils', () => ({
+  downloadObject: jest.fn()
+}));
+jest.mock('../../../lambda-etl/src/utils/fileUtils', () => ({
+  cleanupTempFiles: jest.fn()
+}));
+
+const { readParquet } = require('../parquet');
+const CatalogService = require('../../../lambda-etl/src/services/catalogService');
+const CsvProcessor = require('../../../lambda-etl/src/services/csvProcessor');
+const S3Utils = require('../../../lambda-etl/src/utils/s3Utils');
+const { createDuplicateChecker } = require('../../../lambda-etl/src/services/constraintService');
+const { getKeyConstraints, getKeyValue, validateConstraints } = require('../constraints');
+
+const schema = [
+  { name: 'id', type: 'integer', primaryKey: true },
+  { name: 'email', type: 'string', unique: true }
+];
+
+// Dos chunks del archivo; el id 2 se repite en el segundo chunk
+const chunks = [
+  [{ id: 1, email: 'a' }, { id: 2, email: 'b' }],
+  [{ id: 3, email: 'c' }, { id: 2, email: 'b2' }]
+];
+
+const positionOf = (chunkIndex) => ({ rowNumbers: chunks[chunkIndex].map((_row, offset) => chunkIndex * 2 + offset + 1) });
+
+const createChecker = (config, quarantine) => createDuplicateChecker({
+  tableName: 't',
+  fileId: 'nuevo',
+  schema,
+  config,
+  source: { filePath: '/tmp/archivo.csv', objectKey: 'raw/archivo.csv', schema, csvOptions: {} },
+  quarantine
+});
+
+// Aplica el comprobador a los chunks en orden y devuelve los ids aceptados
+const filterAll = async (checker) => {
+  const ids = [];
+  for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+    const { rows } = await checker.filterChunk(chunks[chunkIndex], positionOf(chunkIndex));
+    ids.push(...rows.map(row => `${row.id}:${row.email}`));
+  }
+  return ids;
+};
+
+// Archivo vigente de la tabla con una parte curated que contiene las filas indicadas
+const givenExistingRows = (rows) => {
+  CatalogService.getCatalogEntriesByTable.mockResolvedValue([
+    { fileId: 'anterior', status: 'processed', processedAt: '2024-01-01T00:00:00Z', s3Location: { curatedBucket: 'curated', curatedKeys: ['parte-0.parquet'] } }
+  ]);
+  S3Utils.downloadObject.mockResolvedValue('/tmp/parte-0.parquet');
+  readParquet.mockImplementation(async (_path, onRow) => {
+    rows.forEach(row => onRow(row));
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  CatalogService.getCatalogEntriesByTable.mockResolvedValue([]);
+  CsvProcessor.processCsvFileWithSchema.mockImplementation(async (_filePath, _objectKey, _schema, _options, onChunk) => {
+    for (let chunkIndex = 0; chunkIndex < chunks.length; chunkIndex++) {
+      await onChunk(chunks[chunkIndex], chunkIndex, positionOf(chunkIndex));
+    }
+  });
+});
+
+describe('restricciones del esquema', () => {
+  test('la clave primaria y cada columna unique son restricciones', () => {
+    expect(getKeyConstraints(schema)).toEqual([
+      { name: 'clave primaria', columns: ['id'] },
+      { name: 'unique(email)', columns: ['email'] }
+    ]);
+    expect(getKeyConstraints([{ name: 'id', primaryKey: true, unique: true }])).toHaveLength(1);
+  });
+
+  test('una clave con algún NULL no entra en conflicto', () => {
+    expect(getKeyValue({ a: 1, b: null }, ['a', 'b'])).toBeNull();
+    expect(getKeyValue({ a: 1, b: 'x' }, ['a', 'b'])).toBe('[1,"x"]');
+  });
+
+  test('rechaza políticas desconocidas y claves fuera del esquema', () => {
+    expect(() => validateConstraints(schema, { duplicatePolicy: 'keep_any' }))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(() => validateConstraints(schema, { primaryKey: ['otro'] }))
+      .not.toThrow();
+    expect(() => validateConstraints([{ name: 'id' }], { primaryKey: ['otro'] }))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+});
+
+describe('createDuplicateChecker', () => {
+  test('sin restricciones no hay comprobador', async () => {
+    expect(await createDuplicateChecker({ tableName: 't', fileId: 'nuevo', schema: [{ name: 'id' }], config: {} })).toBeNull();
+  });
+
+  test('reject falla en el chunk que repite una clave de otro chunk', async () => {
+    const checker = await createChecker({ duplicatePolicy: 'reject' });
+
+    await checker.filterChunk(chunks[0], positionOf(0));
+    await expect(checker.filterChunk(chunks[1], positionOf(1))).rejects.toEqual(expect.objectContaining({
+      code: 'VALIDATION_ERROR',
+      details: { duplicates: [{ rowNumber: 4, reason: 'clave primaria (id=2) duplicada en el archivo' }] }
+    }));
+  });
+
+  test('keep_first conserva la primera aparición de una clave repetida entre chunks', async () => {
+    const checker = await createChecker({ duplicatePolicy: 'keep_first' });
+
+    expect(await filterAll(checker)).toEqual(['1:a', '2:b', '3:c']);
+    expect(checker.getSummary()).toEqual(expect.objectContaining({ policy: 'keep_first', duplicateCount: 1 }));
+    expect(CsvProcessor.processCsvFileWithSchema).not.toHaveBeenCalled();
+  });
+
+  test('keep_last recorre antes el archivo y conserva la última aparición', async () => {
+    const checker = await createChecker({ duplicatePolicy: 'keep_last' });
+
+    expect(CsvProcessor.processCsvFileWithSchema).toHaveBeenCalledTimes(1);
+    expect(await filterAll(checker)).toEqual(['1:a', '3:c', '2:b2']);
+    expect(checker.getSummary().duplicateCount).toBe(1);
+  });
+
+  test('quarantine envía la fila repetida a cuarentena con el motivo', async () => {
+    const quarantine = { add: jest.fn() };
+    const checker = await createChecker({ duplicatePolicy: 'quarantine' }, quarantine);
+
+    expect(await filterAll(checker)).toEqual(['1:a', '2:b', '3:c']);
+    expect(quarantine.add).toHaveBeenCalledWith({ id: 2, email: 'b2' }, 4, 'clave primaria (id=2) duplicada en el archivo');
+  });
+
+  test('una clave que ya está en los Parquet curated de la tabla es duplicada en append', async () => {
+    givenExistingRows([{ id: 3, email: 'z' }]);
+    const quarantine = { add: jest.fn() };
+    const checker = await createChecker({ duplicatePolicy: 'quarantine' }, quarantine);
+
+    expect(S3Utils.downloadObject).toHaveBeenCalledWith('curated', 'parte-0.parquet');
+    expect(await filterAll(checker)).toEqual(['1:a', '2:b']);
+    expect(quarantine.add).toHaveBeenCalledWith({ id: 3, email: 'c' }, 3, 'clave primaria (id=3) ya existe en la tabla');
+  });
+
+  test('en upsert la fila con la clave primaria existente la actualiza', async () => {
+    givenExistingRows([{ id: 3, email: 'c' }]);
+    const checker = await createChecker({ duplicatePolicy: 'keep_first', writeMode: 'upsert' });
+
+    expect(await filterAll(checker)).toEqual(['1:a', '2:b', '3:c']);
+  });
+
+  test('keep_last cuenta las filas que sustituyen a filas existentes', async () => {
+    givenExistingRows([{ id: 1, email: 'viejo' }]);
+    const checker = await createChecker({ duplicatePolicy: 'keep_last' });
+
+    expect(await filterAll(checker)).toEqual(['1:a', '3:c', '2:b2']);
+    expect(checker.getSummary().replacesExisting).toBe(1);
+  });
+
+  test('overwrite no compara con los datos de la tabla', async () => {
+    givenExistingRows([{ id: 3, email: 'c' }]);
+    const checker = await createChecker({ duplicatePolicy: 'keep_first', writeMode: 'overwrite' });
+
+    expect(CatalogService.getCatalogEntriesByTable).not.toHaveBeenCalled();
+    expect(await filterAll(checker)).toEqual(['1:a', '2:b', '3:c']);
+  });
+
+  test('los archivos sin partes curated se omiten y quedan en el resumen', async () => {
+    CatalogService.getCatalogEntriesByTable.mockResolvedValue([
+      { fileId: 'antiguo', status: 'processed', processedAt: '2024-01-01T00:00:00Z', s3Location: {} }
+    ]);
+    const checker = await createChecker({ duplicatePolicy: 'keep_first' });
+
+    expect(checker.getSummary().skippedFiles).toEqual(['antiguo']);
+  });
+});
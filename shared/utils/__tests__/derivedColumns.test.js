@@ -0,0 +1,63 @@
+const { validateDerivedColumns, createDerivedColumns } = require('../derivedColumns');
+
+const schema = [
+  { name: 'price', type: 'float' },
+  { name: 'quantity', type: 'integer' },
+  { name: 'first', type: 'string' },
+  { name: 'last', type: 'string' },
+  { name: 'total', type: 'float', expression: 'price * quantity' },
+  { name: 'full_name', type: 'string', expression: "CONCAT(first, ' ', last)" }
+];
+
+describe('validateDerivedColumns', () => {
+  test('acepta expresiones sobre las columnas del archivo', () => {
+    expect(() => validateDerivedColumns(schema)).not.toThrow();
+  });
+
+  test('rechaza columnas desconocidas, columnas calculadas y expresiones vacías', () => {
+    for (const expression of ['price * missing', 'total * 2', ' ', 'price *']) {
+      expect(() => validateDerivedColumns([...schema, { name: 'x', type: 'float', expression }]))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    }
+  });
+
+  test('rechaza transformaciones en una columna calculada', () => {
+    expect(() => validateDerivedColumns([
+      { name: 'price', type: 'float' },
+      { name: 'x', type: 'float', expression: 'price', transforms: [{ type: 'trim' }] }
+    ])).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+});
+
+describe('createDerivedColumns', () => {
+  test('calcula las columnas con el tipo de las columnas del archivo', () => {
+    const compute = createDerivedColumns(schema);
+    const { row, errors } = compute({ price: '2.5', quantity: '4', first: 'Ana', last: 'Gil' });
+
+    expect(errors).toEqual([]);
+    expect(row).toEqual(expect.objectContaining({ total: 10, full_name: 'Ana Gil' }));
+  });
+
+  test('valida el resultado con las reglas de su columna', () => {
+    const compute = createDerivedColumns([
+      { name: 'price', type: 'float' },
+      { name: 'double', type: 'float', expression: 'price * 2', nullable: false, max: 10 }
+    ]);
+
+    expect(compute({ price: 3 }).errors).toEqual([]);
+    expect(compute({ price: 30 }).errors).toEqual([expect.objectContaining({ column: 'double' })]);
+    expect(compute({ price: null }).errors).toEqual([expect.objectContaining({ column: 'double' })]);
+  });
+
+  test('compara las columnas date por instante con literales de fecha', () => {
+    const compute = createDerivedColumns([
+      { name: 'd', type: 'date' },
+      { name: 'late', type: 'boolean', expression: "d > '2024-01-15'" }
+    ]);
+
+    expect(compute({ d: '2024-02-01T00:00:00.000Z' }).row.late).toBe(true);
+    expect(compute({ d: '2024-01-15T00:00:00.000Z' }).row.late).toBe(false);
+    // Un texto que no es una fecha se evalúa como NULL, no como texto
+    expect(compute({ d: 'garbage' }).row.late).toBeNull();
+  });
+});
@@ -0,0 +1,40 @@
+const { sniffDialect, resolveDialect } = require('../dialectSniffer');
+
+describe('sniffDialect', () => {
+  test('detecta separador, fin de línea y cabecera', () => {
+    expect(sniffDialect(Buffer.from('id;name;amount\r\n1;"A;B";3,5\r\n2;c;4\r\n'))).toEqual({
+      separator: ';',
+      quote: '"',
+      escape: '"',
+      encoding: 'utf-8',
+      bom: false,
+      lineEnding: 'crlf',
+      hasHeader: true
+    });
+  });
+
+  test('reconoce un archivo sin cabecera', () => {
+    expect(sniffDialect(Buffer.from('1|a|2\n2|b|3\n3|c|4\n'))).toEqual(expect.objectContaining({
+      separator: '|',
+      hasHeader: false
+    }));
+  });
+
+  test('detecta la codificación por el BOM o por los bytes', () => {
+    const utf16 = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('id\tname\r\n7\tx\r\n', 'utf16le')]);
+    expect(sniffDialect(utf16)).toEqual(expect.objectContaining({ encoding: 'utf-16le', bom: true, separator: '\t' }));
+    expect(sniffDialect(Buffer.from('id,name\nJos\xe9,1\n', 'latin1')).encoding).toBe('latin1');
+  });
+
+  test('salta el preámbulo anterior a la cabecera', () => {
+    const sample = Buffer.from('informe;ventas\ngenerado hoy\nid,name\n1,a\n2,b\n');
+    expect(sniffDialect(sample, { skipRows: 2 })).toEqual(expect.objectContaining({ separator: ',', hasHeader: true }));
+  });
+});
+
+describe('resolveDialect', () => {
+  test('la configuración tiene prioridad sobre lo detectado', () => {
+    expect(resolveDialect({ separator: '|', quote: '' }, { separator: ',', quote: '"' }))
+      .toEqual({ separator: '|', quote: '"' });
+  });
+});
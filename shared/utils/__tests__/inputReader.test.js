@@ -0,0 +1,99 @@
+// Los lectores Parquet no intervienen en estas pruebas
+jest.mock('../parquet', () => ({
+  readParquetInput: jest.fn()
+}));
+
+const zlib = require('zlib');
+const { CFB } = require('xlsx');
+const { bufferSource, listZipEntries, decompressSource, createInputReader } = require('../inputReader');
+
+const CSV = 'id,name\n1,a\n2,b\n';
+
+// Zip en memoria con el escritor de CFB que incluye xlsx
+const createZip = (files) => {
+  const zip = CFB.utils.cfb_new();
+  for (const [name, content] of Object.entries(files)) {
+    CFB.utils.cfb_add(zip, name, Buffer.from(content));
+  }
+  return Buffer.from(CFB.write(zip, { fileType: 'zip', type: 'buffer', compression: true }));
+};
+
+const readRows = async (source, options) => {
+  const rows = [];
+  const result = await createInputReader(source, options).read((row) => {
+    rows.push(row);
+  });
+  return { ...result, rows };
+};
+
+describe('createInputReader', () => {
+  test('descomprime un gzip y lo lee con el lector de su formato', async () => {
+    const { headers, rowCount, rows } = await readRows(bufferSource(zlib.gzipSync(CSV), 'ventas.csv.gz'));
+    expect(headers).toEqual(['id', 'name']);
+    expect(rowCount).toBe(2);
+    expect(rows).toEqual([{ id: '1', name: 'a' }, { id: '2', name: 'b' }]);
+  });
+
+  test('une las filas de las entradas de un zip', async () => {
+    const zip = createZip({ 'a.csv': CSV, 'b.csv': 'id,name\n3,c\n' });
+    const { rowCount, entries, rows } = await readRows(bufferSource(zip, 'ventas.zip'));
+    expect(entries).toEqual(['a.csv', 'b.csv']);
+    expect(rowCount).toBe(3);
+    expect(rows[2]).toEqual({ id: '3', name: 'c' });
+  });
+
+  test('lee solo las entradas seleccionadas del zip', async () => {
+    const zip = createZip({ 'a.csv': CSV, 'b.csv': 'id,name\n3,c\n' });
+    const { entries, rows } = await readRows(bufferSource(zip, 'ventas.zip'), { entries: ['b.csv'] });
+    expect(entries).toEqual(['b.csv']);
+    expect(rows).toEqual([{ id: '3', name: 'c' }]);
+  });
+
+  test('un gzip corrupto es FILE_CORRUPTED', async () => {
+    const corrupted = zlib.gzipSync(CSV).subarray(0, 12);
+    await expect(readRows(bufferSource(corrupted, 'ventas.csv.gz')))
+      .rejects.toEqual(expect.objectContaining({ code: 'FILE_CORRUPTED' }));
+  });
+
+  test('readSample devuelve el inicio descomprimido', async () => {
+    const sample = await createInputReader(bufferSource(zlib.gzipSync(CSV), 'ventas.csv.gz')).readSample(7);
+    expect(sample.toString()).toBe('id,name');
+  });
+});
+
+describe('listZipEntries', () => {
+  test('lista los archivos de datos con su tamaño descomprimido', async () => {
+    const zip = createZip({ 'a.csv': CSV, 'b.csv': 'id,name\n3,c\n', 'notas.txt': 'x' });
+    expect(await listZipEntries(bufferSource(zip, 'ventas.zip'))).toEqual([
+      { name: 'a.csv', format: 'csv', size: CSV.length },
+      { name: 'b.csv', format: 'csv', size: 12 }
+    ]);
+  });
+
+  test('un zip inválido es FILE_CORRUPTED', async () => {
+    await expect(listZipEntries(bufferSource(Buffer.from('no es un zip'), 'ventas.zip')))
+      .rejects.toEqual(expect.objectContaining({ code: 'FILE_CORRUPTED' }));
+  });
+});
+
+describe('decompressSource', () => {
+  // CSV de prueba comprimido con bzip2
+  const BZIP2_CSV = 'QlpoOTFBWSZTWaAwe34AAAbZAAAQAAQwADYjIAAxANNNBAMQIEFFl0b17fi7kinChIUBg9vw';
+
+  test('descomprime un bzip2 o un gzip completo', async () => {
+    const bzip2 = await decompressSource(bufferSource(Buffer.from(BZIP2_CSV, 'base64'), 'ventas.csv.bz2'));
+    expect(bzip2.toString()).toBe(CSV);
+    const gzip = await decompressSource(bufferSource(zlib.gzipSync(CSV), 'ventas.csv.gz'));
+    expect(gzip.toString()).toBe(CSV);
+  });
+
+  test('un bzip2 corrupto es FILE_CORRUPTED', async () => {
+    await expect(decompressSource(bufferSource(Buffer.from(CSV), 'ventas.csv.bz2')))
+      .rejects.toEqual(expect.objectContaining({ code: 'FILE_CORRUPTED' }));
+  });
+
+  test('rechaza un archivo sin gzip ni bzip2', async () => {
+    await expect(decompressSource(bufferSource(Buffer.from(CSV), 'ventas.csv')))
+      .rejects.toEqual(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+});
@@ -0,0 +1,65 @@
+const { Readable } = require('stream');
+const { flattenRecord, readJson } = require('../jsonReader');
+
+const readRows = async (text, options = {}) => {
+  const rows = [];
+  const result = await readJson(Readable.from([Buffer.from(text)]), options, (row) => {
+    rows.push(row);
+  });
+  return { ...result, rows };
+};
+
+describe('flattenRecord', () => {
+  test('aplana los objetos anidados y guarda los arrays como JSON', () => {
+    expect(flattenRecord({ id: 1, customer: { name: 'a', address: { city: 'b' } }, tags: ['x', 'y'] })).toEqual([
+      { id: 1, 'customer.name': 'a', 'customer.address.city': 'b', tags: '["x","y"]' }
+    ]);
+  });
+
+  test('expande un array en una fila por elemento', () => {
+    const record = { id: 1, items: [{ sku: 'A', q: 2 }, { sku: 'B', q: 1 }] };
+    expect(flattenRecord(record, ['items'])).toEqual([
+      { id: 1, 'items.sku': 'A', 'items.q': 2 },
+      { id: 1, 'items.sku': 'B', 'items.q': 1 }
+    ]);
+  });
+
+  test('expande un array anidado dentro de un objeto', () => {
+    expect(flattenRecord({ id: 1, order: { lines: [{ sku: 'A' }, { sku: 'B' }] } }, ['order.lines'])).toEqual([
+      { id: 1, 'order.lines.sku': 'A' },
+      { id: 1, 'order.lines.sku': 'B' }
+    ]);
+  });
+
+  test('un array vacío o ausente deja una fila sin la columna del array', () => {
+    expect(flattenRecord({ id: 1, items: [] }, ['items'])).toEqual([{ id: 1 }]);
+    expect(flattenRecord({ id: 2 }, ['items'])).toEqual([{ id: 2 }]);
+  });
+});
+
+describe('readJson', () => {
+  test('lee un array JSON y NDJSON', async () => {
+    const array = await readRows('[{"id":1,"a":{"b":2}},{"id":2,"a":{"b":3}}]');
+    expect(array.headers).toEqual(['id', 'a.b']);
+    expect(array.rows).toEqual([{ id: 1, 'a.b': 2 }, { id: 2, 'a.b': 3 }]);
+
+    const ndjson = await readRows('{"id":1}\n{"id":2}\n');
+    expect(ndjson.rowCount).toBe(2);
+  });
+
+  test('las cabeceras de un array expandido no incluyen el nombre del array', async () => {
+    const text = [
+      '{"id":1,"items":[{"sku":"A","q":2}]}',
+      '{"id":2,"items":[]}',
+      '{"id":3}'
+    ].join('\n');
+    const { headers, rows } = await readRows(text, { explodeArrays: ['items'] });
+    expect(headers).toEqual(['id', 'items.sku', 'items.q']);
+    expect(rows).toEqual([{ id: 1, 'items.sku': 'A', 'items.q': 2 }, { id: 2 }, { id: 3 }]);
+  });
+
+  test('un registro inválido es FILE_CORRUPTED', async () => {
+    await expect(readRows('{"id":1}\n{"id":}\n'))
+      .rejects.toEqual(expect.objectContaining({ code: 'FILE_CORRUPTED' }));
+  });
+});
@@ -0,0 +1,65 @@
+const {
+  DEFAULT_PARTITION,
+  normalizePartitionSpec,
+  getPartitionValue,
+  buildPartitionPath,
+  parsePartitionPath,
+  getPartitionRange
+} = require('../partitioning');
+
+const schema = [
+  { name: 'country', type: 'string' },
+  { name: 'd', type: 'date' }
+];
+
+describe('normalizePartitionSpec', () => {
+  test('completa la transformación y el nombre de cada partición', () => {
+    expect(normalizePartitionSpec([{ column: 'country' }, { column: 'd', transform: 'month' }], schema)).toEqual([
+      { column: 'country', transform: 'identity', name: 'country' },
+      { column: 'd', transform: 'month', name: 'd_month' }
+    ]);
+    expect(normalizePartitionSpec(undefined, schema)).toEqual([]);
+  });
+
+  test('rechaza columnas desconocidas, transformaciones de fecha sobre otros tipos y particiones repetidas', () => {
+    for (const spec of [
+      [{ column: 'missing' }],
+      [{ column: 'country', transform: 'day' }],
+      [{ column: 'd', transform: 'week' }],
+      [{ column: 'd', transform: 'day' }, { column: 'd', transform: 'day' }]
+    ]) {
+      expect(() => normalizePartitionSpec(spec, schema)).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    }
+  });
+});
+
+describe('rutas de partición', () => {
+  const spec = normalizePartitionSpec([{ column: 'country' }, { column: 'd', transform: 'day' }], schema);
+
+  test('construye el prefijo Hive y lo vuelve a leer', () => {
+    const path = buildPartitionPath({ country: 'A/B', d: '2024-02-01T10:30:00.000Z' }, spec);
+    expect(path).toBe('country=A%2FB/d_day=2024-02-01');
+    expect(parsePartitionPath(`tabla/${path}/parte-0.parquet`, spec)).toEqual([
+      { column: 'country', transform: 'identity', value: 'A/B' },
+      { column: 'd', transform: 'day', value: '2024-02-01' }
+    ]);
+  });
+
+  test('los valores nulos o que no son fechas van a la partición por defecto', () => {
+    expect(getPartitionValue('', 'identity')).toBeNull();
+    expect(getPartitionValue('garbage', 'year')).toBeNull();
+    expect(buildPartitionPath({ country: null, d: null }, spec))
+      .toBe(`country=${DEFAULT_PARTITION}/d_day=${DEFAULT_PARTITION}`);
+    expect(parsePartitionPath(`country=${DEFAULT_PARTITION}`, spec)).toEqual([
+      { column: 'country', transform: 'identity', value: null }
+    ]);
+  });
+});
+
+describe('getPartitionRange', () => {
+  test('cubre el año, el mes o el día completo', () => {
+    expect(getPartitionRange('2024', 'year')).toEqual({ from: '2024-01-01T00:00:00.000Z', to: '2025-01-01T00:00:00.000Z' });
+    expect(getPartitionRange('2024-12', 'month')).toEqual({ from: '2024-12-01T00:00:00.000Z', to: '2025-01-01T00:00:00.000Z' });
+    expect(getPartitionRange('2024-02-29', 'day')).toEqual({ from: '2024-02-29T00:00:00.000Z', to: '2024-03-01T00:00:00.000Z' });
+  });
+});
@@ -0,0 +1,111 @@
+const { validateQualityRules, createQualityChecker } = require('../qualityRules');
+
+const schema = [
+  { name: 'id', type: 'integer' },
+  { name: 'amount', type: 'float' },
+  { name: 'd', type: 'date' }
+];
+
+// Filas ya transformadas, como las entrega la Lambda: fechas en ISO 8601
+const rows = [
+  { id: 1, amount: 10, d: '2024-01-01T00:00:00.000Z' },
+  { id: 2, amount: -5, d: '2024-01-31T00:00:00.000Z' }
+];
+
+const evaluate = (rules) => {
+  const checker = createQualityChecker(rules, schema);
+  checker.checkRows(rows, [1, 2]);
+  return checker.buildReport({ rowCount: rows.length });
+};
+
+describe('validateQualityRules', () => {
+  test('rechaza condiciones que no se pueden leer y tipos desconocidos', () => {
+    expect(() => validateQualityRules([{ name: 'r', type: 'condition', condition: 'amount >' }]))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(() => validateQualityRules([{ name: 'r', type: 'nope' }]))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+
+  test('rechaza patrones inválidos, listas vacías y row_count sin límites', () => {
+    for (const rule of [
+      { name: 'r', type: 'pattern', column: 'id', pattern: '(' },
+      { name: 'r', type: 'in_list', column: 'id', values: [] },
+      { name: 'r', type: 'row_count' },
+      { name: 'r', type: 'row_count', min: -1 },
+      { name: 'r', type: 'condition', condition: 'amount > 0', severity: 'fatal' }
+    ]) {
+      expect(() => validateQualityRules([rule])).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    }
+    expect(() => validateQualityRules([{ name: 'r', type: 'row_count', min: 1 }, { name: 'r', type: 'row_count', max: 5 }]))
+      .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+  });
+
+  test('rechaza condiciones con agregados o funciones desconocidas', () => {
+    for (const condition of ['SUM(amount) > 0', 'FOO(amount) > 0']) {
+      expect(() => validateQualityRules([{ name: 'r', type: 'condition', condition, severity: 'error' }]))
+        .toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    }
+  });
+
+  test('acepta condiciones con funciones escalares sobre cualquier columna', () => {
+    expect(() => validateQualityRules([{ name: 'r', type: 'condition', condition: "UPPER(country) <> 'XX' AND amount >= 0" }]))
+      .not.toThrow();
+  });
+});
+
+describe('createQualityChecker', () => {
+  test('una condición con fechas acepta las filas del último día del rango', () => {
+    const report = evaluate([
+      { name: 'hasta_enero', type: 'condition', condition: "d <= '2024-01-31'", severity: 'error' },
+      { name: 'en_enero', type: 'condition', condition: "d BETWEEN '2024-01-01' AND '2024-01-31'", severity: 'error' }
+    ]);
+
+    expect(report.passed).toBe(true);
+    expect(report.blocking).toBe(false);
+  });
+
+  test('una condición con fechas rechaza las filas fuera del rango', () => {
+    const report = evaluate([{ name: 'desde_enero_15', type: 'condition', condition: "d >= '2024-01-15'", severity: 'error' }]);
+
+    expect(report.blocking).toBe(true);
+    expect(report.rules[0].failedRows).toBe(1);
+    expect(report.rules[0].samples[0].rowNumber).toBe(1);
+  });
+
+  test('una regla warning incumplida no bloquea el archivo', () => {
+    const report = evaluate([{ name: 'positivo', type: 'condition', condition: 'amount >= 0' }]);
+
+    expect(report.passed).toBe(false);
+    expect(report.blocking).toBe(false);
+    expect(report.rules[0].message).toBe('1 de 2 filas no cumplen la regla');
+  });
+
+  test('una regla sobre una columna que no está en el esquema se informa como incumplida', () => {
+    const report = evaluate([{ name: 'r', type: 'pattern', column: 'missing', pattern: '^a' }]);
+
+    expect(report.rules[0].passed).toBe(false);
+    expect(report.rules[0].message).toBe('Columna desconocida: missing');
+  });
+
+  test('una regla error incumplida bloquea el archivo y guarda filas de ejemplo', () => {
+    const report = evaluate([{ name: 'ids', type: 'in_list', column: 'id', values: [1], severity: 'error' }]);
+
+    expect(report.blocking).toBe(true);
+    expect(report.rulesFailed).toBe(1);
+    expect(report.rules[0].samples).toEqual([{ rowNumber: 2, row: rows[1] }]);
+  });
+
+  test('row_count compara con los límites y con la carga anterior', () => {
+    const checker = createQualityChecker([
+      { name: 'max', type: 'row_count', max: 1 },
+      { name: 'variacion', type: 'row_count', maxChangePercent: 10 }
+    ], schema);
+
+    const report = checker.buildReport({ rowCount: 2, previousRowCount: 4 });
+    expect(report.rules.map(rule => rule.passed)).toEqual([false, false]);
+    expect(report.rules[1].message).toBe('2 filas frente a 4 de la carga anterior (variación 50.0%)');
+
+    const firstLoad = checker.buildReport({ rowCount: 1 });
+    expect(firstLoad.rules.map(rule => rule.passed)).toEqual([true, true]);
+  });
+});
@@ -0,0 +1,55 @@
+const { validateRowRules, createRowValidator, formatRowErrors, isErrorThresholdExceeded } = require('../rowValidator');
+
+const schema = [
+  { name: 'id', type: 'integer', nullable: false },
+  { name: 'age', type: 'integer', min: 0, max: 120 },
+  { name: 'email', type: 'string', pattern: '^[^@]+@[^@]+$' },
+  { name: 'kind', type: 'string', allowedValues: ['A', 'B'] },
+  { name: 'born', type: 'date', min: '2020-01-01' }
+];
+
+describe('createRowValidator', () => {
+  const validate = createRowValidator(schema);
+
+  test('convierte los valores válidos al tipo de su columna', () => {
+    const { row, errors } = validate({ id: '1', age: '30', email: 'a@x.com', kind: 'A', born: '2020-01-02' });
+    expect(errors).toEqual([]);
+    expect(row).toEqual({ id: 1, age: 30, email: 'a@x.com', kind: 'A', born: '2020-01-02T00:00:00.000Z' });
+  });
+
+  test('informa de cada regla incumplida por columna', () => {
+    const { row, errors } = validate({ id: '', age: '200', email: 'bad', kind: 'Z', born: '2019-12-31' });
+    expect(errors.map(error => error.column)).toEqual(['id', 'age', 'email', 'kind', 'born']);
+    expect(row.id).toBeNull();
+  });
+
+  test('rechaza los valores que no son del tipo', () => {
+    const { row, errors } = validate({ id: '1', age: 'abc', born: 'notadate' });
+    expect(formatRowErrors(errors)).toBe('age: "abc" no es un valor integer; born: "notadate" no es un valor date');
+    expect(row.age).toBeNull();
+  });
+});
+
+describe('validateRowRules', () => {
+  test('rechaza reglas mal declaradas', () => {
+    const invalid = [
+      [{ name: 'a', type: 'string', pattern: '(' }],
+      [{ name: 'a', type: 'string', min: 1 }],
+      [{ name: 'a', type: 'integer', min: 10, max: 1 }],
+      [{ name: 'a', type: 'integer', allowedValues: ['x'] }]
+    ];
+    for (const invalidSchema of invalid) {
+      expect(() => validateRowRules(invalidSchema)).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    }
+    expect(() => validateRowRules(schema, { errorThreshold: 150 })).toThrow(expect.objectContaining({ code: 'VALIDATION_ERROR' }));
+    expect(() => validateRowRules(schema, { errorThreshold: 10 })).not.toThrow();
+  });
+});
+
+describe('isErrorThresholdExceeded', () => {
+  test('solo falla por encima del porcentaje', () => {
+    expect(isErrorThresholdExceeded(1, 10, 10)).toBe(false);
+    expect(isErrorThresholdExceeded(2, 10, 10)).toBe(true);
+    expect(isErrorThresholdExceeded(10, 10, undefined)).toBe(false);
+  });
+});
@@ -0,0 +1,135 @@
+const { compareSchemas, getCurrentSchemaVersion, compareWithSchemaRegistry, getSchemaRollback } = require('../schemaCompatibility');
+
+const record = {
+  schemaVersion: 2,
+  schemas: [{ version: 1 }, { version: 2 }]
+};
+
+describe('getSchemaRollback', () => {
+  test('vuelve a la versión anterior si ningún otro archivo usa la actual', () => {
+    const files = [
+      { fileId: 'a', schemaVersion: 1, status: 'processed' },
+      { fileId: 'b', schemaVersion: 2, status: 'error' }
+    ];
+    expect(getSchemaRollback(record, 2, files)).toEqual({ index: 1, count: 2, previousVersion: 1 });
+  });
+
+  test('la primera versión de una tabla nueva no tiene versión anterior', () => {
+    const newTable = { schemaVersion: 1, schemas: [{ version: 1 }] };
+    expect(getSchemaRollback(newTable, 1, [{ fileId: 'a', schemaVersion: 1, status: 'error' }]))
+      .toEqual({ index: 0, count: 1, previousVersion: null });
+  });
+
+  test('conserva la versión que usa otro archivo en curso o cargado', () => {
+    expect(getSchemaRollback(record, 2, [
+      { fileId: 'a', schemaVersion: 2, status: 'error' },
+      { fileId: 'b', schemaVersion: 2, status: 'pending' }
+    ])).toBeNull();
+    // Los archivos anteriores al registro de versiones usan la versión 1
+    expect(getSchemaRollback({ schemaVersion: 1, schemas: [{ version: 1 }] }, 1, [{ fileId: 'a', status: 'processed' }]))
+      .toBeNull();
+  });
+
+  test('no deshace una versión que ya no es la actual', () => {
+    expect(getSchemaRollback(record, 1, [])).toBeNull();
+    expect(getSchemaRollback(null, 1, [])).toBeNull();
+  });
+});
+
+describe('compareWithSchemaRegistry', () => {
+  const registry = {
+    currentVersion: 2,
+    versions: [
+      { version: 1, schema: [{ name: 'id', type: 'integer' }] },
+      { version: 2, schema: [{ name: 'id', type: 'integer' }, { name: 'name', type: 'string' }] }
+    ]
+  };
+
+  test('compara con la versión actual del registro', () => {
+    expect(getCurrentSchemaVersion(registry).version).toBe(2);
+    expect(compareWithSchemaRegistry('t', registry, registry.versions[1].schema)).toEqual(expect.objectContaining({
+      exists: true,
+      currentVersion: 2,
+      schemaVersion: 2,
+      compatible: true,
+      changes: []
+    }));
+  });
+
+  test('cualquier cambio crea una versión nueva, compatible o no', () => {
+    const added = compareWithSchemaRegistry('t', registry, [...registry.versions[1].schema, { name: 'extra', type: 'float' }]);
+    expect(added).toEqual(expect.objectContaining({ schemaVersion: 3, compatible: true }));
+
+    const removed = compareWithSchemaRegistry('t', registry, registry.versions[0].schema);
+    expect(removed).toEqual(expect.objectContaining({ schemaVersion: 3, compatible: false }));
+  });
+
+  test('la primera subida de una tabla es la versión 1', () => {
+    expect(compareWithSchemaRegistry('t', null, [{ name: 'id', type: 'integer' }])).toEqual({
+      tableName: 't',
+      exists: false,
+      currentVersion: null,
+      currentSchema: null,
+      schemaVersion: 1,
+      compatible: true,
+      changes: []
+    });
+  });
+});
+
+describe('compareSchemas', () => {
+  const current = [
+    { name: 'id', type: 'integer', primaryKey: true },
+    { name: 'name', type: 'string', transforms: [{ type: 'trim' }] },
+    { name: 'amount', type: 'float', nullable: false }
+  ];
+
+  test('un esquema igual no tiene cambios aunque varíe la descripción o el orden de las claves', () => {
+    const schema = [
+      { type: 'integer', name: 'id', primaryKey: true, description: 'otra' },
+      { name: 'name', type: 'string', transforms: [{ type: 'trim' }], unique: false },
+      { name: 'amount', type: 'float', nullable: false }
+    ];
+    expect(compareSchemas(current, schema)).toEqual({ compatible: true, changes: [] });
+  });
+
+  test('añadir una columna que admite NULL es compatible', () => {
+    const { compatible, changes } = compareSchemas(current, [...current, { name: 'extra', type: 'float' }]);
+    expect(compatible).toBe(true);
+    expect(changes).toEqual([
+      { column: 'extra', change: 'added', from: null, to: 'float', compatible: true, message: 'se añade la columna extra (float)' }
+    ]);
+  });
+
+  test('hacer obligatoria una columna existente no es compatible', () => {
+    const schema = [current[0], { ...current[1], nullable: false }, current[2]];
+    const { compatible, changes } = compareSchemas(current, schema);
+    expect(compatible).toBe(false);
+    expect(changes).toEqual([expect.objectContaining({ column: 'name', change: 'required', compatible: false })]);
+  });
+
+  test('los demás cambios de definición son compatibles y se registran', () => {
+    const schema = [
+      { name: 'id', type: 'integer' },
+      { name: 'name', type: 'string', transforms: [{ type: 'upper' }], unique: true },
+      { name: 'amount', type: 'float' }
+    ];
+    const { compatible, changes } = compareSchemas(current, schema);
+    expect(compatible).toBe(true);
+    expect(changes.map(change => [change.column, change.change, change.message])).toEqual([
+      ['id', 'modified', 'cambia la definición de la columna id: primaryKey'],
+      ['name', 'modified', 'cambia la definición de la columna name: transforms, unique'],
+      ['amount', 'modified', 'cambia la definición de la columna amount: nullable']
+    ]);
+  });
+
+  test('eliminar, cambiar el tipo o añadir una columna obligatoria no es compatible', () => {
+    const { compatible, changes } = compareSchemas(current, [
+      { name: 'id', type: 'string' },
+      { name: 'amount', type: 'float', nullable: false },
+      { name: 'extra', type: 'string', nullable: false }
+    ]);
+    expect(compatible).toBe(false);
+    expect(changes.map(change => change.change)).toEqual(['type_changed', 'removed', 'added']);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Lector de archivos contenedor Avro compartido por la Lambda ETL y el backend
+ * Traduce el esquema embebido en el archivo al sistema de tipos del catálogo
+ * @module utils/avroReader
+ */
+
+const { pipeline, Readable } = require('stream');
+const avro = require('avsc');
+const { createError } = require('../constants/errorCodes');
+
+// Tipo del catálogo de cada tipo primitivo Avro
+const AVRO_PRIMITIVE_TYPES = {
+  boolean: 'boolean',
+  int: 'integer',
+  long: 'integer',
+  float: 'float',
+  double: 'float',
+  string: 'string',
+  bytes: 'string'
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Conversión a texto ISO de los tipos lógicos de fecha, que Avro guarda como números
+const DATE_LOGICAL_TYPES = {
+  date: value => new Date(value * MS_PER_DAY).toISOString(),
+  'timestamp-millis': value => new Date(value).toISOString(),
+  'timestamp-micros': value => new Date(Math.floor(value / 1000)).toISOString(),
+  'local-timestamp-millis': value => new Date(value).toISOString(),
+  'local-timestamp-micros': value => new Date(Math.floor(value / 1000)).toISOString()
+};
+
+/**
+ * Decodifica un decimal Avro (entero en complemento a dos, big-endian, con escala)
+ * @param {Buffer} buffer - Bytes del valor
+ * @param {number} scale - Dígitos decimales
+ * @returns {number} - Valor decimal
+ */
+const decodeDecimal = (buffer, scale = 0) => {
+  let unscaled = 0n;
+  for (const byte of buffer) {
+    unscaled = (unscaled << 8n) | BigInt(byte);
+  }
+  if (buffer.length > 0 && buffer[0] & 0x80) {
+    unscaled -= 1n << BigInt(buffer.length * 8);
+  }
+  return Number(unscaled) / Math.pow(10, scale);
+};
+
+// Valores compuestos o ambiguos que se guardan como texto JSON
+const toJsonText = value => (typeof value === 'string' ? value : JSON.stringify(value));
+
+/**
+ * Convierte un tipo Avro en las columnas del catálogo que genera
+ * Los registros anidados se aplanan en columnas `padre.hijo`; arrays, mapas y uniones
+ * de varios tipos se guardan como texto JSON
+ * @param {*} schema - Tipo Avro
+ * @param {Array} path - Ruta del campo dentro del registro
+ * @param {boolean} nullable - True si algún tipo contenedor admite null
+ * @param {Map} namedTypes - Tipos con nombre ya declarados
+ * @returns {Array} - Columnas [{ name, path, type, nullable, source, convert }]
+ */
+const buildColumns = (schema, path, nullable, namedTypes) => {
+  const name = path.join('.');
+
+  if (typeof schema === 'string') {
+    if (namedTypes.has(schema)) {
+      return buildColumns(namedTypes.get(schema), path, nullable, namedTypes);
+    }
+    schema = { type: schema };
+  }
+
+  if (Array.isArray(schema)) {
+    const branches = schema.filter(branch => branch !== 'null' && !(branch && branch.type === 'null'));
+    if (branches.length === 1) {
+      return buildColumns(branches[0], path, nullable || branches.length < schema.length, namedTypes);
+    }
+    return [{ name, path, type: 'string', nullable: true, source: 'union', convert: toJsonText }];
+  }
+
+  if (schema.name && ['record', 'enum', 'fixed'].includes(schema.type)) {
+    namedTypes.set(schema.name, schema);
+    if (schema.namespace) namedTypes.set(`${schema.namespace}.${schema.name}`, schema);
+  }
+
+  if (schema.type === 'record') {
+    return schema.fields.flatMap(field => buildColumns(field.type, [...path, field.name], nullable, namedTypes));
+  }
+
+  const column = { name, path, nullable, source: schema.logicalType || schema.type };
+
+  if (DATE_LOGICAL_TYPES[schema.logicalType]) {
+    return [{ ...column, type: 'date', convert: DATE_LOGICAL_TYPES[schema.logicalType] }];
+  }
+  if (schema.logicalType === 'decimal' && (schema.type === 'bytes' || schema.type === 'fixed')) {
+    return [{ ...column, type: 'float', convert: value => decodeDecimal(value, schema.scale) }];
+  }
+  if (schema.type === 'bytes' || schema.type === 'fixed') {
+    return [{ ...column, type: 'string', convert: value => Buffer.from(value).toString('base64') }];
+  }
+  if (schema.type === 'enum') {
+    return [{ ...column, type: 'string', convert: value => value }];
+  }
+  if (AVRO_PRIMITIVE_TYPES[schema.type]) {
+    return [{ ...column, type: AVRO_PRIMITIVE_TYPES[schema.type], convert: value => value }];
+  }
+  return [{ ...column, type: 'string', convert: toJsonText }];
+};
+
+/**
+ * Obtiene las columnas del esquema guardado en la cabecera de un archivo Avro
+ * @param {Object} header - Cabecera decodificada
+ * @returns {Array} - Columnas del registro de nivel superior
+ */
+const getHeaderColumns = (header) => {
+  const schema = JSON.parse(header.meta['avro.schema'].toString('utf8'));
+  if (schema.type !== 'record') {
+    throw createError('VALIDATION_ERROR', 'El esquema Avro debe ser un registro (record)');
+  }
+  return buildColumns(schema, [], false, new Map());
+};
+
+/**
+ * Construye la fila plana de un registro Avro
+ * @param {Object} record - Registro decodificado
+ * @param {Array} columns - Columnas del esquema
+ * @returns {Object} - Fila con las columnas aplanadas
+ */
+const toRow = (record, columns) => {
+  const row = {};
+  for (const column of columns) {
+    let value = record;
+    for (const key of column.path) {
+      value = value === null || value === undefined ? null : value[key];
+    }
+    row[column.name] = value === null || value === undefined ? null : column.convert(value);
+  }
+  return row;
+};
+
+/**
+ * Crea el decodificador de un stream Avro y avisa al leer la cabecera
+ * @param {Readable} input - Stream con el contenido del archivo
+ * @param {Function} onHeader - Función (header) llamada con la cabecera
+ * @returns {Readable} - Stream de registros
+ */
+const createDecoder = (input, onHeader) => {
+  const decoder = new avro.streams.BlockDecoder();
+  decoder.on('metadata', (_type, _codec, header) => {
+    // Un esquema no soportado termina la lectura con el error en lugar de lanzarlo fuera del stream
+    try {
+      onHeader(header);
+    } catch (error) {
+      decoder.destroy(error);
+    }
+  });
+  return pipeline(input, decoder, () => {});
+};
+
+/**
+ * Lee el esquema embebido en un archivo Avro traducido a tipos del catálogo
+ * Solo se lee la cabecera, sin decodificar los bloques de datos
+ * @param {Buffer|Readable} source - Contenido del archivo o stream con él
+ * @returns {Promise<Object>} - { schema } con campos { name, type, nullable, description }
+ */
+const inspectAvro = async (source) => {
+  const input = Buffer.isBuffer(source) ? Readable.from([source]) : source;
+  const header = await new Promise((resolve, reject) => {
+    const records = createDecoder(input, resolve);
+    records.on('error', reject);
+    records.on('end', () => reject(new Error('el archivo no tiene cabecera')));
+    records.resume();
+  }).catch((error) => {
+    throw createError('FILE_CORRUPTED', `Archivo Avro inválido: ${error.message}`);
+  }).finally(() => input.destroy());
+
+  return {
+    schema: getHeaderColumns(header).map(column => ({
+      name: column.name,
+      type: column.type,
+      nullable: column.nullable,
+      description: `Campo ${column.name} (Avro ${column.source})`
+    }))
+  };
+};
+
+/**
+ * Lee un archivo Avro fila a fila desde un stream
+ * Si onRow devuelve false la lectura se detiene
+ * @param {Readable} input - Stream con el contenido del archivo
+ * @param {Function} onRow - Función (row, index) llamada por cada fila; puede ser asíncrona
+ * @param {Function} [mapHeader] - Renombra cada columna antes de construir las filas
+ * @returns {Promise<Object>} - { headers, rowCount }
+ */
+const readAvro = async (input, onRow, mapHeader = null) => {
+  let columns = [];
+  let rowCount = 0;
+
+  const records = createDecoder(input, (header) => {
+    columns = getHeaderColumns(header).map(column => ({
+      ...column,
+      name: mapHeader ? mapHeader(column.name) : column.name
+    }));
+  });
+
+  try {
+    for await (const record of records) {
+      const result = await onRow(toRow(record, columns), rowCount);
+      rowCount++;
+      if (result === false) {
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.code && error.statusCode) throw error;
+    throw createError('FILE_CORRUPTED', `Archivo Avro inválido: ${error.message}`);
+  } finally {
+    input.destroy();
+  }
+
+  return { headers: columns.map(column => column.name), rowCount };
+};
+
+module.exports = {
+  inspectAvro,
+  readAvro
+};
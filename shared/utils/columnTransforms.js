@@ -0,0 +1,256 @@
+/**
+ * Transformaciones por columna declaradas en el esquema (campo transforms) y aplicadas por la
+ * Lambda ETL a cada valor leído, en orden, antes de validarlo y convertirlo al tipo de la columna
+ * El backend las usa para validar el esquema al subir un archivo y para la vista previa del Ingestor
+ * @module utils/columnTransforms
+ */
+
+const { createError } = require('../constants/errorCodes');
+
+const COLUMN_TRANSFORMS = {
+  TRIM: 'trim',
+  UPPER: 'upper',
+  LOWER: 'lower',
+  // { pattern, replacement, flags } sobre el texto; por defecto se sustituyen todas las apariciones
+  REGEX_REPLACE: 'regex_replace',
+  // { value } para los valores vacíos
+  DEFAULT: 'default',
+  // { format } con YYYY, YY, MM, M, DD, D, HH, H, mm y ss, p. ej. DD/MM/YYYY
+  DATE_FORMAT: 'date_format',
+  // { factor } para cambiar de unidad
+  MULTIPLY: 'multiply',
+  // { values } tabla de valor original a valor nuevo; los valores que no están se conservan
+  MAP: 'map'
+};
+
+// Partes de la fecha que reconoce date_format y el texto que admite cada marcador
+const DATE_FORMAT_TOKENS = {
+  YYYY: { part: 'year', pattern: '\\d{4}' },
+  YY: { part: 'year', pattern: '\\d{2}' },
+  MM: { part: 'month', pattern: '\\d{2}' },
+  M: { part: 'month', pattern: '\\d{1,2}' },
+  DD: { part: 'day', pattern: '\\d{2}' },
+  D: { part: 'day', pattern: '\\d{1,2}' },
+  HH: { part: 'hour', pattern: '\\d{2}' },
+  H: { part: 'hour', pattern: '\\d{1,2}' },
+  mm: { part: 'minute', pattern: '\\d{2}' },
+  ss: { part: 'second', pattern: '\\d{2}' }
+};
+const DATE_TOKEN_REGEX = /YYYY|YY|MM|M|DD|D|HH|H|mm|ss/g;
+
+// Dígitos significativos del resultado de multiply, para no arrastrar errores de coma flotante
+const MULTIPLY_PRECISION = 15;
+
+const isEmpty = (value) => value === null || value === undefined || value === '';
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Compila un formato de fecha a una función que lo lee
+ * @param {string} format - Formato, p. ej. DD/MM/YYYY HH:mm
+ * @returns {Function} - (text) => fecha ISO 8601 en UTC, o null si el texto no sigue el formato
+ */
+const compileDateFormat = (format) => {
+  const parts = [];
+  let source = '';
+  let lastIndex = 0;
+  for (const match of format.matchAll(DATE_TOKEN_REGEX)) {
+    source += `${escapeRegex(format.slice(lastIndex, match.index))}(${DATE_FORMAT_TOKENS[match[0]].pattern})`;
+    parts.push(match[0]);
+    lastIndex = match.index + match[0].length;
+  }
+  const regex = new RegExp(`^${source}${escapeRegex(format.slice(lastIndex))}$`);
+
+  return (text) => {
+    const match = regex.exec(text.trim());
+    if (!match) {
+      return null;
+    }
+
+    const values = { year: 1970, month: 1, day: 1, hour: 0, minute: 0, second: 0 };
+    parts.forEach((token, index) => {
+      const value = parseInt(match[index + 1], 10);
+      values[DATE_FORMAT_TOKENS[token].part] = token === 'YY' ? 2000 + value : value;
+    });
+
+    const date = new Date(Date.UTC(values.year, values.month - 1, values.day, values.hour, values.minute, values.second));
+    // Date.UTC desborda las fechas imposibles (31/02 pasa a marzo): se rechazan
+    if (date.getUTCMonth() !== values.month - 1 || date.getUTCDate() !== values.day ||
+        date.getUTCHours() !== values.hour || date.getUTCMinutes() !== values.minute) {
+      return null;
+    }
+    return date.toISOString();
+  };
+};
+
+/**
+ * Valida las transformaciones declaradas en los campos del esquema
+ * @param {Array} schema - Esquema con el campo transforms en las columnas que se transforman
+ * @throws {Object} - VALIDATION_ERROR si alguna transformación no es válida
+ */
+const validateColumnTransforms = (schema) => {
+  for (const field of schema || []) {
+    if (field.transforms === undefined || field.transforms === null) {
+      continue;
+    }
+    if (!Array.isArray(field.transforms)) {
+      throw createError('VALIDATION_ERROR', `Las transformaciones de ${field.name} deben ser una lista`);
+    }
+
+    for (const transform of field.transforms) {
+      const type = transform && transform.type;
+      switch (type) {
+        case COLUMN_TRANSFORMS.TRIM:
+        case COLUMN_TRANSFORMS.UPPER:
+        case COLUMN_TRANSFORMS.LOWER:
+          break;
+
+        case COLUMN_TRANSFORMS.REGEX_REPLACE:
+          if (!transform.pattern) {
+            throw createError('VALIDATION_ERROR', `regex_replace de ${field.name} necesita pattern`);
+          }
+          try {
+            new RegExp(transform.pattern, transform.flags === undefined ? 'g' : transform.flags);
+          } catch (regexError) {
+            throw createError('VALIDATION_ERROR', `El patrón de regex_replace de ${field.name} no es válido: ${regexError.message}`);
+          }
+          break;
+
+        case COLUMN_TRANSFORMS.DEFAULT:
+          if (isEmpty(transform.value)) {
+            throw createError('VALIDATION_ERROR', `default de ${field.name} necesita un valor`);
+          }
+          break;
+
+        case COLUMN_TRANSFORMS.DATE_FORMAT: {
+          const tokens = typeof transform.format === 'string'
+            ? (transform.format.match(DATE_TOKEN_REGEX) || []).map(token => DATE_FORMAT_TOKENS[token].part)
+            : [];
+          if (!['year', 'month', 'day'].every(part => tokens.includes(part))) {
+            throw createError('VALIDATION_ERROR', `El formato de fecha de ${field.name} necesita año, mes y día (p. ej. DD/MM/YYYY)`);
+          }
+          break;
+        }
+
+        case COLUMN_TRANSFORMS.MULTIPLY:
+          if (typeof transform.factor !== 'number' || !Number.isFinite(transform.factor)) {
+            throw createError('VALIDATION_ERROR', `multiply de ${field.name} necesita un factor numérico`);
+          }
+          break;
+
+        case COLUMN_TRANSFORMS.MAP:
+          if (!transform.values || typeof transform.values !== 'object' || Array.isArray(transform.values) ||
+              Object.keys(transform.values).length === 0) {
+            throw createError('VALIDATION_ERROR', `map de ${field.name} necesita una tabla values no vacía`);
+          }
+          break;
+
+        default:
+          throw createError('VALIDATION_ERROR',
+            `Transformación no soportada en ${field.name}: ${type} (${Object.values(COLUMN_TRANSFORMS).join(', ')})`);
+      }
+    }
+  }
+};
+
+/**
+ * Compila una transformación a una función sobre un valor
+ * Las transformaciones de texto solo cambian los valores de texto; los ya tipados (números y
+ * fechas de Excel, JSON, Parquet o Avro) se conservan
+ * @param {Object} transform - Transformación { type, ... }
+ * @returns {Function} - (value) => { value } o { error } si el valor no se puede transformar
+ */
+const compileTransform = (transform) => {
+  switch (transform.type) {
+    case COLUMN_TRANSFORMS.TRIM:
+      return (value) => ({ value: typeof value === 'string' ? value.trim() : value });
+
+    case COLUMN_TRANSFORMS.UPPER:
+      return (value) => ({ value: typeof value === 'string' ? value.toUpperCase() : value });
+
+    case COLUMN_TRANSFORMS.LOWER:
+      return (value) => ({ value: typeof value === 'string' ? value.toLowerCase() : value });
+
+    case COLUMN_TRANSFORMS.REGEX_REPLACE: {
+      const regex = new RegExp(transform.pattern, transform.flags === undefined ? 'g' : transform.flags);
+      const replacement = transform.replacement || '';
+      return (value) => ({ value: typeof value === 'string' ? value.replace(regex, replacement) : value });
+    }
+
+    case COLUMN_TRANSFORMS.DEFAULT:
+      return (value) => ({ value: isEmpty(value) ? transform.value : value });
+
+    case COLUMN_TRANSFORMS.DATE_FORMAT: {
+      const parseDate = compileDateFormat(transform.format);
+      return (value) => {
+        if (typeof value !== 'string' || value === '') {
+          return { value };
+        }
+        const date = parseDate(value);
+        return date ? { value: date } : { error: `"${value}" no sigue el formato de fecha ${transform.format}` };
+      };
+    }
+
+    case COLUMN_TRANSFORMS.MULTIPLY:
+      return (value) => {
+        if (isEmpty(value)) {
+          return { value };
+        }
+        const number = typeof value === 'number' ? value : Number(String(value).trim());
+        if (!Number.isFinite(number)) {
+          return { error: `"${value}" no es un número que multiplicar por ${transform.factor}` };
+        }
+        return { value: Number((number * transform.factor).toPrecision(MULTIPLY_PRECISION)) };
+      };
+
+    case COLUMN_TRANSFORMS.MAP: {
+      const values = new Map(Object.entries(transform.values));
+      return (value) => ({
+        value: !isEmpty(value) && values.has(String(value)) ? values.get(String(value)) : value
+      });
+    }
+
+    default:
+      return (value) => ({ value });
+  }
+};
+
+/**
+ * Crea la función que aplica las transformaciones del esquema a las filas leídas
+ * @param {Array} schema - Esquema de la tabla
+ * @returns {Function} - (row) => { row, errors }: fila con los valores transformados y errores
+ *   [{ column, message }] de los valores que no se pudieron transformar
+ */
+const createColumnTransformer = (schema) => {
+  const fields = schema
+    .filter(field => Array.isArray(field.transforms) && field.transforms.length > 0)
+    .map(field => ({ name: field.name, steps: field.transforms.map(compileTransform) }));
+
+  return (row) => {
+    if (fields.length === 0) {
+      return { row, errors: [] };
+    }
+
+    const transformed = { ...row };
+    const errors = [];
+    for (const field of fields) {
+      let value = transformed[field.name];
+      for (const step of field.steps) {
+        const result = step(value);
+        if (result.error) {
+          errors.push({ column: field.name, message: result.error });
+          break;
+        }
+        value = result.value;
+      }
+      transformed[field.name] = value;
+    }
+    return { row: transformed, errors };
+  };
+};
+
+module.exports = {
+  COLUMN_TRANSFORMS,
+  validateColumnTransforms,
+  createColumnTransformer
+};
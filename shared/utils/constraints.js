@@ -0,0 +1,107 @@
+/**
+ * Restricciones de clave primaria y de unicidad de las tablas, compartidas por el backend,
+ * que las valida en la subida, y la Lambda ETL, que detecta las claves duplicadas
+ * @module utils/constraints
+ */
+
+const { createError } = require('../constants/errorCodes');
+
+// Qué hacer con una fila cuya clave ya apareció en el archivo o en los datos de la tabla
+const DUPLICATE_POLICIES = {
+  REJECT: 'reject',
+  KEEP_FIRST: 'keep_first',
+  KEEP_LAST: 'keep_last',
+  QUARANTINE: 'quarantine'
+};
+
+const DEFAULT_DUPLICATE_POLICY = DUPLICATE_POLICIES.REJECT;
+
+/**
+ * Obtiene las columnas de la clave primaria: los campos del esquema marcados con primaryKey
+ * Las subidas upsert anteriores a las restricciones la indicaban en config.primaryKey
+ * @param {Array} schema - Esquema de la tabla
+ * @param {Object} [config] - Configuración del archivo
+ * @returns {Array} - Nombres de las columnas de la clave (vacío si no tiene)
+ */
+const getPrimaryKey = (schema = [], config = {}) => {
+  const columns = (schema || []).filter(field => field.primaryKey).map(field => field.name);
+  return columns.length > 0 ? columns : ((config && config.primaryKey) || []);
+};
+
+/**
+ * Obtiene las restricciones de unicidad de una tabla: la clave primaria y cada columna unique
+ * @param {Array} schema - Esquema de la tabla
+ * @param {Object} [config] - Configuración del archivo
+ * @returns {Array} - Restricciones [{ name, columns }]
+ */
+const getKeyConstraints = (schema = [], config = {}) => {
+  const primaryKey = getPrimaryKey(schema, config);
+  const constraints = primaryKey.length > 0 ? [{ name: 'clave primaria', columns: primaryKey }] : [];
+
+  for (const field of schema || []) {
+    // Una columna unique que ya es toda la clave primaria no añade nada
+    if (field.unique && !(primaryKey.length === 1 && primaryKey[0] === field.name)) {
+      constraints.push({ name: `unique(${field.name})`, columns: [field.name] });
+    }
+  }
+  return constraints;
+};
+
+/**
+ * Obtiene la política ante claves duplicadas de la configuración de un archivo
+ * @param {Object} config - Configuración del archivo o entrada del catálogo
+ * @returns {string} - reject, keep_first, keep_last o quarantine
+ */
+const getDuplicatePolicy = (config) => (config && config.duplicatePolicy) || DEFAULT_DUPLICATE_POLICY;
+
+/**
+ * Calcula el valor de una clave en una fila
+ * Como en SQL, una clave con algún valor NULL no entra en conflicto con ninguna otra
+ * @param {Object} row - Fila transformada
+ * @param {Array} columns - Columnas de la clave
+ * @returns {string|null} - Valor de la clave o null si está incompleta
+ */
+const getKeyValue = (row, columns) => {
+  const values = columns.map(column => row[column]);
+  if (values.some(value => value === null || value === undefined)) {
+    return null;
+  }
+  return JSON.stringify(values);
+};
+
+/**
+ * Valida las restricciones declaradas en el esquema y la política de duplicados
+ * @param {Array} schema - Esquema de la tabla
+ * @param {Object} config - Configuración del archivo (duplicatePolicy)
+ * @throws {Object} - VALIDATION_ERROR si la política no es válida o una clave no es del esquema
+ */
+const validateConstraints = (schema, config = {}) => {
+  const policy = getDuplicatePolicy(config);
+  if (!Object.values(DUPLICATE_POLICIES).includes(policy)) {
+    throw createError('VALIDATION_ERROR',
+      `Política de duplicados no soportada: ${policy} (reject, keep_first, keep_last o quarantine)`);
+  }
+
+  for (const field of schema || []) {
+    for (const flag of ['primaryKey', 'unique']) {
+      if (field[flag] !== undefined && typeof field[flag] !== 'boolean') {
+        throw createError('VALIDATION_ERROR', `${flag} del campo ${field.name} debe ser true o false`);
+      }
+    }
+  }
+
+  const missing = getPrimaryKey(schema, config).find(column => !(schema || []).some(field => field.name === column));
+  if (missing !== undefined) {
+    throw createError('VALIDATION_ERROR', `La clave primaria ${missing} no es una columna del esquema`);
+  }
+};
+
+module.exports = {
+  DUPLICATE_POLICIES,
+  DEFAULT_DUPLICATE_POLICY,
+  getPrimaryKey,
+  getKeyConstraints,
+  getDuplicatePolicy,
+  getKeyValue,
+  validateConstraints
+};
@@ -0,0 +1,189 @@
+/**
+ * Lector CSV en streaming compartido por la Lambda ETL y el backend
+ * Sigue la RFC 4180: campos entre comillas con separadores, saltos de línea
+ * y comillas escapadas, y finales de línea CRLF
+ * @module utils/csvReader
+ */
+
+const { pipeline, Transform } = require('stream');
+const csv = require('csv-parser');
+const { createError } = require('../constants/errorCodes');
+const { LINE_ENDINGS } = require('./dialectSniffer');
+
+// Opciones por defecto de lectura CSV
+const DEFAULT_CSV_OPTIONS = {
+  separator: ',',
+  quote: '"',
+  escape: '"',
+  encoding: 'utf-8',
+  lineEnding: 'lf',
+  hasHeader: true,
+  skipRows: 0,
+  footerRows: 0
+};
+
+// Prefijo de los nombres de columna generados en archivos sin cabecera (col_1, col_2...)
+const GENERATED_COLUMN_PREFIX = 'col_';
+
+// Separadores que pueden llegar escritos como texto desde la configuración
+const SEPARATOR_ALIASES = {
+  '\\t': '\t',
+  tab: '\t'
+};
+
+/**
+ * Obtiene un número de filas de la configuración, que debe ser un entero no negativo
+ * @param {Object} config - Configuración del archivo
+ * @param {string} name - Opción (skipRows, footerRows)
+ * @returns {number} - Número de filas; 0 si no se indica
+ */
+const getRowCountOption = (config, name) => {
+  const value = config[name];
+  if (value === undefined || value === null || value === '') {
+    return DEFAULT_CSV_OPTIONS[name];
+  }
+  if (!Number.isInteger(Number(value)) || Number(value) < 0) {
+    throw createError('INVALID_CONFIGURATION', `${name} debe ser un entero no negativo: ${value}`);
+  }
+  return Number(value);
+};
+
+/**
+ * Normaliza las opciones CSV guardadas en la configuración de un archivo
+ * @param {Object} config - Configuración del archivo (separator, quote, escape, encoding, lineEnding, hasHeader,
+ *   skipRows, footerRows)
+ * @returns {Object} - Opciones completas de lectura
+ */
+const normalizeCsvOptions = (config = {}) => {
+  const separator = SEPARATOR_ALIASES[config.separator] || config.separator || DEFAULT_CSV_OPTIONS.separator;
+  const quote = config.quote || DEFAULT_CSV_OPTIONS.quote;
+  const escape = config.escape || quote;
+  const encoding = config.encoding || DEFAULT_CSV_OPTIONS.encoding;
+  const lineEnding = config.lineEnding || DEFAULT_CSV_OPTIONS.lineEnding;
+  const hasHeader = config.hasHeader !== false;
+  const skipRows = getRowCountOption(config, 'skipRows');
+  const footerRows = getRowCountOption(config, 'footerRows');
+
+  if (!LINE_ENDINGS[lineEnding]) {
+    throw createError('INVALID_CONFIGURATION', `Fin de línea CSV no soportado: ${lineEnding}`);
+  }
+
+  for (const [name, value] of Object.entries({ separator, quote, escape })) {
+    if (Buffer.byteLength(value) !== 1) {
+      throw createError('INVALID_CONFIGURATION', `El ${name} CSV debe ser un único carácter: ${value}`);
+    }
+  }
+
+  return { separator, quote, escape, encoding, lineEnding, hasHeader, skipRows, footerRows };
+};
+
+/**
+ * Nombre de una columna generada en un archivo sin cabecera
+ * @param {number} index - Posición de la columna (desde 0)
+ * @returns {string} - Nombre col_1, col_2...
+ */
+const getGeneratedColumnName = (index) => `${GENERATED_COLUMN_PREFIX}${index + 1}`;
+
+/**
+ * Crea un stream que decodifica el texto desde la codificación indicada a UTF-8
+ * @param {string} encoding - Codificación del archivo (utf-8, latin1, windows-1252, utf-16le...)
+ * @returns {Transform} - Stream de decodificación
+ */
+const createDecoder = (encoding) => {
+  let decoder;
+  try {
+    // TextDecoder elimina el BOM inicial
+    decoder = new TextDecoder(encoding);
+  } catch (error) {
+    throw createError('INVALID_CONFIGURATION', `Codificación no soportada: ${encoding}`);
+  }
+
+  return new Transform({
+    transform (chunk, _encoding, callback) {
+      callback(null, Buffer.from(decoder.decode(chunk, { stream: true }), 'utf8'));
+    },
+    flush (callback) {
+      callback(null, Buffer.from(decoder.decode(), 'utf8'));
+    }
+  });
+};
+
+/**
+ * Lee un CSV fila a fila desde un stream
+ * Si onRow devuelve false la lectura se detiene. Sin cabecera las columnas se llaman col_1, col_2...
+ * Se omiten las skipRows filas anteriores a la cabecera y las footerRows filas finales del archivo
+ * @param {Readable} input - Stream con el contenido del archivo
+ * @param {Object} config - Opciones CSV (separator, quote, escape, encoding, lineEnding, hasHeader, skipRows,
+ *   footerRows)
+ * @param {Function} onRow - Función (row, index) llamada por cada fila; puede ser asíncrona
+ * @param {Function} [mapHeader] - Renombra cada cabecera antes de construir las filas
+ * @returns {Promise<Object>} - { headers, rowCount }
+ */
+const readCsv = async (input, config, onRow, mapHeader = null) => {
+  const options = normalizeCsvOptions(config);
+  let headers = [];
+  let rowCount = 0;
+
+  const parser = csv({
+    separator: options.separator,
+    quote: options.quote,
+    escape: options.escape,
+    // csv-parser admite CRLF con el salto de línea LF; solo los archivos CR necesitan el suyo
+    newline: options.lineEnding === 'cr' ? LINE_ENDINGS.cr : LINE_ENDINGS.lf,
+    headers: options.hasHeader ? undefined : false,
+    skipLines: options.skipRows,
+    mapHeaders: ({ header }) => {
+      const name = header.trim();
+      return mapHeader ? mapHeader(name) : name;
+    }
+  });
+  parser.on('headers', (parsedHeaders) => {
+    headers = parsedHeaders;
+  });
+
+  // Sin cabecera csv-parser usa la posición de cada valor como clave
+  const toRow = (values) => {
+    const row = {};
+    for (const [position, value] of Object.entries(values)) {
+      const name = getGeneratedColumnName(Number(position));
+      const header = mapHeader ? mapHeader(name) : name;
+      if (!headers.includes(header)) headers.push(header);
+      row[header] = value;
+    }
+    return row;
+  };
+
+  const rows = pipeline(input, createDecoder(options.encoding), parser, () => {});
+
+  // Las filas se retienen hasta saber que no son parte del pie del archivo
+  const pending = [];
+
+  try {
+    for await (const parsedRow of rows) {
+      pending.push(parsedRow);
+      if (pending.length <= options.footerRows) {
+        continue;
+      }
+      const row = pending.shift();
+      const result = await onRow(options.hasHeader ? row : toRow(row), rowCount);
+      rowCount++;
+      if (result === false) {
+        break;
+      }
+    }
+  } catch (error) {
+    if (error.code && error.statusCode) throw error;
+    throw createError('CSV_PROCESSING_ERROR', `Error leyendo CSV: ${error.message}`);
+  } finally {
+    input.destroy();
+  }
+
+  return { headers, rowCount };
+};
+
+module.exports = {
+  DEFAULT_CSV_OPTIONS,
+  normalizeCsvOptions,
+  getGeneratedColumnName,
+  readCsv
+};
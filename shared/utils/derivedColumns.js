@@ -0,0 +1,110 @@
+/**
+ * Columnas calculadas del esquema: campos con una expresión (campo expression) del mismo lenguaje
+ * que el motor de consultas, p. ej. price * quantity, YEAR(order_date) o CONCAT(first, ' ', last)
+ * La Lambda ETL las calcula en cada fila a partir de las columnas del archivo ya convertidas a su
+ * tipo y las guarda como columnas normales del esquema; el backend las valida al subir el archivo
+ * @module utils/derivedColumns
+ */
+
+const { createError } = require('../constants/errorCodes');
+const { parseExpression, compileExpression } = require('../sql');
+const { coerceValue } = require('../sql/types');
+const { transformValue } = require('./valueTransformer');
+const { createRowValidator } = require('./rowValidator');
+
+/**
+ * Indica si un campo del esquema es una columna calculada
+ * @param {Object} field - Campo del esquema
+ * @returns {boolean} - True si el campo tiene expresión
+ */
+const isDerivedField = (field) => field.expression !== undefined && field.expression !== null;
+
+/**
+ * Compila la expresión de una columna calculada sobre las columnas del archivo
+ * @param {Object} field - Columna calculada
+ * @param {Array} sourceFields - Campos del esquema que se leen del archivo
+ * @param {Array} derivedNames - Nombres de las columnas calculadas
+ * @returns {Function} - (row) => valor calculado
+ * @throws {Object} - Si la expresión no es válida o usa columnas que no son del archivo
+ */
+const compileDerivedField = (field, sourceFields, derivedNames) => compileExpression(parseExpression(field.expression), {
+  resolveColumn: (node) => {
+    const name = String(node.name);
+    const source = sourceFields.find(candidate => candidate.name === name) ||
+      sourceFields.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+    if (!source) {
+      throw createError('VALIDATION_ERROR', derivedNames.some(derived => derived.toLowerCase() === name.toLowerCase())
+        ? `no puede usar la columna calculada ${name}`
+        : `Columna desconocida: ${name}`);
+    }
+    // Las columnas del archivo se evalúan con su tipo, igual que en las consultas; las fechas
+    // como Date (NULL si el texto no es una fecha) para compararlas por instante
+    return source.type === 'date'
+      ? (row) => coerceValue(row[source.name], source.type)
+      : (row) => transformValue(row[source.name], source.type);
+  }
+});
+
+/**
+ * Valida las expresiones de las columnas calculadas del esquema
+ * @param {Array} schema - Esquema con el campo expression en las columnas calculadas
+ * @throws {Object} - VALIDATION_ERROR si alguna expresión no es válida
+ */
+const validateDerivedColumns = (schema) => {
+  const fields = schema || [];
+  const sourceFields = fields.filter(field => !isDerivedField(field));
+  const derivedNames = fields.filter(isDerivedField).map(field => field.name);
+
+  for (const field of fields.filter(isDerivedField)) {
+    if (typeof field.expression !== 'string' || !field.expression.trim()) {
+      throw createError('VALIDATION_ERROR', `La columna calculada ${field.name} necesita una expresión`);
+    }
+    if (Array.isArray(field.transforms) && field.transforms.length > 0) {
+      throw createError('VALIDATION_ERROR', `La columna calculada ${field.name} no admite transformaciones`);
+    }
+    try {
+      compileDerivedField(field, sourceFields, derivedNames);
+    } catch (expressionError) {
+      throw createError('VALIDATION_ERROR', `La expresión de ${field.name} no es válida: ${expressionError.message}`);
+    }
+  }
+};
+
+/**
+ * Crea la función que añade a cada fila las columnas calculadas del esquema
+ * Los resultados se convierten al tipo de su columna y se validan con sus reglas (nulabilidad,
+ * pattern, min, max y allowedValues), como las columnas leídas del archivo
+ * @param {Array} schema - Esquema de la tabla
+ * @returns {Function} - (row) => { row, errors }: fila con las columnas calculadas y errores [{ column, message }]
+ */
+const createDerivedColumns = (schema) => {
+  const sourceFields = schema.filter(field => !isDerivedField(field));
+  const derivedFields = schema.filter(isDerivedField);
+  const derivedNames = derivedFields.map(field => field.name);
+  const expressions = derivedFields.map(field => ({
+    name: field.name,
+    evaluate: compileDerivedField(field, sourceFields, derivedNames)
+  }));
+  const validateDerived = createRowValidator(derivedFields);
+
+  return (row) => {
+    if (expressions.length === 0) {
+      return { row, errors: [] };
+    }
+
+    const values = {};
+    for (const expression of expressions) {
+      const value = expression.evaluate(row);
+      // Las fechas calculadas se guardan en ISO 8601, como las leídas del archivo
+      values[expression.name] = value instanceof Date ? value.toISOString() : value;
+    }
+    const { row: derivedRow, errors } = validateDerived(values);
+    return { row: { ...row, ...derivedRow }, errors };
+  };
+};
+
+module.exports = {
+  isDerivedField,
+  validateDerivedColumns,
+  createDerivedColumns
+};
@@ -0,0 +1,305 @@
+/**
+ * Detector del dialecto de archivos CSV compartido por la Lambda ETL y el backend, que lo expone
+ * al Ingestor en POST /api/inspect: separador, comillas y escape, codificación, fin de línea y
+ * si la primera fila es una cabecera
+ * @module utils/dialectSniffer
+ */
+
+// Bytes iniciales del archivo que se examinan y filas usadas para comparar separadores y cabecera
+const DIALECT_SAMPLE_BYTES = 64 * 1024;
+const SNIFF_ROWS = 50;
+
+// Candidatos por orden de preferencia en caso de empate
+const SEPARATOR_CANDIDATES = [',', ';', '\t', '|'];
+const QUOTE_CANDIDATES = ['"', "'"];
+
+// Caracteres de cada fin de línea
+const LINE_ENDINGS = {
+  lf: '\n',
+  crlf: '\r\n',
+  cr: '\r'
+};
+
+// Opciones de lectura que forman el dialecto
+const DIALECT_KEYS = ['separator', 'quote', 'escape', 'encoding', 'lineEnding', 'hasHeader'];
+
+/**
+ * Detecta la codificación del texto por su BOM, por la posición de los bytes nulos (UTF-16
+ * sin BOM) o comprobando si es UTF-8 válido; en otro caso se asume Latin-1
+ * @param {Uint8Array} bytes - Primeros bytes del archivo
+ * @returns {Object} - { encoding, bom }
+ */
+const detectEncoding = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) {
+    return { encoding: 'utf-8', bom: true };
+  }
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) {
+    return { encoding: 'utf-16le', bom: true };
+  }
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) {
+    return { encoding: 'utf-16be', bom: true };
+  }
+
+  // En texto UTF-16 con caracteres ASCII uno de cada dos bytes es nulo
+  const length = Math.min(bytes.length, 1024) & ~1;
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+  if (length > 0 && oddZeros > length / 4 && evenZeros === 0) {
+    return { encoding: 'utf-16le', bom: false };
+  }
+  if (length > 0 && evenZeros > length / 4 && oddZeros === 0) {
+    return { encoding: 'utf-16be', bom: false };
+  }
+
+  try {
+    // stream: true admite un carácter multibyte cortado al final de la muestra
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: true });
+    return { encoding: 'utf-8', bom: false };
+  } catch (error) {
+    return { encoding: 'latin1', bom: false };
+  }
+};
+
+/**
+ * Detecta el fin de línea más frecuente
+ * @param {string} text - Texto de la muestra
+ * @returns {string} - lf, crlf o cr
+ */
+const detectLineEnding = (text) => {
+  const crlf = (text.match(/\r\n/g) || []).length;
+  const lf = (text.match(/(^|[^\r])\n/g) || []).length;
+  const cr = (text.match(/\r(?!\n)/g) || []).length;
+  if (crlf >= lf && crlf >= cr && crlf > 0) return 'crlf';
+  return cr > lf ? 'cr' : 'lf';
+};
+
+/**
+ * Quita las primeras líneas del texto (preámbulo anterior a la cabecera)
+ * @param {string} text - Texto de la muestra
+ * @param {string} lineEnding - lf, crlf o cr
+ * @param {number} count - Líneas a quitar
+ * @returns {string} - Texto sin esas líneas
+ */
+const skipLines = (text, lineEnding, count) => {
+  if (!count) return text;
+  return text.split(LINE_ENDINGS[lineEnding]).slice(count).join(LINE_ENDINGS[lineEnding]);
+};
+
+/**
+ * Divide el texto en filas de campos respetando las comillas
+ * Una última fila sin fin de línea se descarta, salvo que sea la única: la muestra puede cortarla
+ * @param {string} text - Texto de la muestra
+ * @param {Object} dialect - { separator, quote, escape, lineEnding }
+ * @param {number} [maxRows] - Filas máximas
+ * @returns {Array} - Filas como arrays de valores
+ */
+const parseRows = (text, { separator, quote, escape, lineEnding }, maxRows = SNIFF_ROWS) => {
+  const newline = LINE_ENDINGS[lineEnding];
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = 0;
+
+  while (i < text.length && rows.length < maxRows) {
+    const char = text[i];
+    if (quoted) {
+      if (char === escape && escape !== quote && text[i + 1] === quote) {
+        field += quote;
+        i += 2;
+      } else if (char === quote && text[i + 1] === quote) {
+        field += quote;
+        i += 2;
+      } else if (char === quote) {
+        quoted = false;
+        i++;
+      } else {
+        field += char;
+        i++;
+      }
+    } else if (char === quote && field === '') {
+      quoted = true;
+      i++;
+    } else if (char === separator) {
+      row.push(field);
+      field = '';
+      i++;
+    } else if (text.startsWith(newline, i)) {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+      i += newline.length;
+    } else {
+      field += char;
+      i++;
+    }
+  }
+
+  if (rows.length === 0 && (row.length > 0 || field !== '')) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter(values => values.length > 1 || values[0] !== '');
+};
+
+/**
+ * Detecta el carácter de comillas: el candidato que más veces abre un campo
+ * @param {string} text - Texto de la muestra
+ * @returns {string} - Carácter de comillas
+ */
+const detectQuote = (text) => {
+  let best = QUOTE_CANDIDATES[0];
+  let bestCount = 0;
+  for (const quote of QUOTE_CANDIDATES) {
+    const pattern = new RegExp(`(^|[,;\\t|\\r\\n])${quote}[^${quote}\\r\\n]*${quote}($|[,;\\t|\\r\\n])`, 'g');
+    const count = (text.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = quote;
+      bestCount = count;
+    }
+  }
+  return best;
+};
+
+/**
+ * Detecta el carácter de escape de las comillas: barra invertida o la propia comilla duplicada
+ * @param {string} text - Texto de la muestra
+ * @param {string} quote - Carácter de comillas
+ * @returns {string} - Carácter de escape
+ */
+const detectEscape = (text, quote) => {
+  const backslashed = text.split(`\\${quote}`).length - 1;
+  const doubled = text.split(`${quote}${quote}`).length - 1;
+  return backslashed > doubled ? '\\' : quote;
+};
+
+/**
+ * Detecta el separador: el candidato que produce el mismo número de campos (más de uno)
+ * en más filas; a igualdad, el que produce más campos
+ * @param {string} text - Texto de la muestra
+ * @param {Object} dialect - { quote, escape, lineEnding }
+ * @returns {string} - Separador
+ */
+const detectSeparator = (text, dialect) => {
+  let best = SEPARATOR_CANDIDATES[0];
+  let bestScore = { consistency: 0, fields: 0 };
+
+  for (const separator of SEPARATOR_CANDIDATES) {
+    const rows = parseRows(text, { ...dialect, separator });
+    if (rows.length === 0) continue;
+
+    const frequencies = new Map();
+    for (const values of rows) {
+      frequencies.set(values.length, (frequencies.get(values.length) || 0) + 1);
+    }
+    const [fields, count] = [...frequencies.entries()].sort((a, b) => b[1] - a[1] || b[0] - a[0])[0];
+    if (fields < 2) continue;
+
+    const consistency = count / rows.length;
+    if (consistency > bestScore.consistency || (consistency === bestScore.consistency && fields > bestScore.fields)) {
+      best = separator;
+      bestScore = { consistency, fields };
+    }
+  }
+  return best;
+};
+
+/**
+ * Clasifica un valor de texto para comparar la primera fila con las demás
+ * @param {string} value - Valor
+ * @returns {string} - number, boolean, date o string
+ */
+const getValueKind = (value) => {
+  const text = value.trim();
+  if (/^[-+]?(\d+([.,]\d+)?|[.,]\d+)$/.test(text)) return 'number';
+  if (/^(true|false)$/i.test(text)) return 'boolean';
+  if (/^(\d{4}-\d{2}-\d{2}|\d{2}[/-]\d{2}[/-]\d{4})/.test(text)) return 'date';
+  return 'string';
+};
+
+/**
+ * Decide si la primera fila es una cabecera comparando cada columna con las filas siguientes:
+ * cuenta a favor si la columna es de números, booleanos, fechas o de longitud fija y la primera
+ * fila no encaja, y en contra si encaja
+ * @param {Array} rows - Filas de la muestra
+ * @returns {boolean} - True si la primera fila es una cabecera
+ */
+const detectHeader = (rows) => {
+  const [first, ...data] = rows;
+  if (!first || data.length === 0) return true;
+
+  let votes = 0;
+  first.forEach((header, index) => {
+    const values = data.map(values => values[index]).filter(value => value !== undefined && value.trim() !== '');
+    if (values.length === 0) return;
+
+    const kinds = new Set(values.map(getValueKind));
+    const kind = kinds.size === 1 ? [...kinds][0] : 'string';
+    if (kind !== 'string') {
+      votes += getValueKind(header) === kind ? -1 : 1;
+      return;
+    }
+
+    const lengths = new Set(values.map(value => value.length));
+    if (lengths.size === 1) {
+      votes += lengths.has(header.length) ? -1 : 1;
+    }
+  });
+
+  if (votes !== 0) return votes > 0;
+
+  // Sin indicios en las columnas: es cabecera si sus valores son textos distintos y no vacíos
+  const names = first.map(header => header.trim());
+  return names.every(name => name !== '' && getValueKind(name) === 'string') && new Set(names).size === names.length;
+};
+
+/**
+ * Detecta el dialecto de un archivo CSV a partir de sus primeros bytes
+ * Las líneas de preámbulo (skipRows) no se tienen en cuenta salvo para el fin de línea
+ * @param {Uint8Array} sample - Primeros bytes del archivo (hasta DIALECT_SAMPLE_BYTES)
+ * @param {Object} [options] - { skipRows } líneas anteriores a la cabecera
+ * @returns {Object} - Dialecto { separator, quote, escape, encoding, bom, lineEnding, hasHeader }
+ */
+const sniffDialect = (sample, { skipRows = 0 } = {}) => {
+  const { encoding, bom } = detectEncoding(sample);
+  const decoded = new TextDecoder(encoding).decode(sample, { stream: true });
+
+  const lineEnding = detectLineEnding(decoded);
+  const text = skipLines(decoded, lineEnding, Number(skipRows) || 0);
+  const quote = detectQuote(text);
+  const escape = detectEscape(text, quote);
+  const separator = detectSeparator(text, { quote, escape, lineEnding });
+  const hasHeader = detectHeader(parseRows(text, { separator, quote, escape, lineEnding }));
+
+  return { separator, quote, escape, encoding, bom, lineEnding, hasHeader };
+};
+
+/**
+ * Combina el dialecto detectado con la configuración del archivo
+ * Las opciones indicadas en la configuración tienen prioridad sobre las detectadas
+ * @param {Object} config - Configuración del archivo
+ * @param {Object} detected - Dialecto detectado
+ * @returns {Object} - Dialecto a usar en la lectura
+ */
+const resolveDialect = (config = {}, detected = {}) => {
+  const dialect = { ...detected };
+  for (const key of DIALECT_KEYS) {
+    if (config[key] !== undefined && config[key] !== null && config[key] !== '') {
+      dialect[key] = config[key];
+    }
+  }
+  return dialect;
+};
+
+module.exports = {
+  DIALECT_SAMPLE_BYTES,
+  LINE_ENDINGS,
+  DIALECT_KEYS,
+  sniffDialect,
+  resolveDialect
+};
@@ -0,0 +1,183 @@
+/**
+ * Lector de libros Excel (.xlsx y .xls) compartido por la Lambda ETL y el backend
+ * Devuelve las celdas ya tipadas: números, booleanos y fechas como texto ISO en UTC
+ * @module utils/excelReader
+ */
+
+const XLSX = require('xlsx');
+const { createError } = require('../constants/errorCodes');
+
+// Filas iniciales que se examinan al buscar la fila de cabecera
+const HEADER_SCAN_ROWS = 20;
+
+/**
+ * Abre un libro Excel desde memoria
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Object} - Libro de SheetJS
+ * @throws {Object} - FILE_CORRUPTED si el contenido no es un libro válido
+ */
+const openWorkbook = (buffer) => {
+  try {
+    // cellNF conserva el formato numérico, que es lo que distingue una fecha de un número
+    return XLSX.read(buffer, { type: 'buffer', cellNF: true });
+  } catch (error) {
+    throw createError('FILE_CORRUPTED', `Archivo Excel inválido: ${error.message}`);
+  }
+};
+
+/**
+ * Lista las hojas de un libro Excel
+ * @param {Buffer} buffer - Contenido del archivo
+ * @returns {Array} - Nombres de las hojas en orden
+ */
+const listSheets = (buffer) => openWorkbook(buffer).SheetNames;
+
+/**
+ * Convierte un número de serie de fecha de Excel a texto ISO
+ * Se interpreta como hora UTC para no depender de la zona horaria del proceso
+ * @param {number} serial - Número de serie de la celda
+ * @param {boolean} date1904 - True si el libro usa el sistema de fechas 1904
+ * @returns {string|null} - Fecha ISO o null si el número no es una fecha válida
+ */
+const excelDateToIso = (serial, date1904) => {
+  const parts = XLSX.SSF.parse_date_code(serial, { date1904 });
+  if (!parts) return null;
+  return new Date(Date.UTC(parts.y, parts.m - 1, parts.d, parts.H, parts.M, Math.floor(parts.S))).toISOString();
+};
+
+/**
+ * Obtiene el valor tipado de una celda
+ * @param {Object} cell - Celda de SheetJS
+ * @param {boolean} date1904 - True si el libro usa el sistema de fechas 1904
+ * @returns {*} - Valor de la celda (null si está vacía o tiene un error)
+ */
+const getCellValue = (cell, date1904) => {
+  if (!cell || cell.v === undefined || cell.v === null) return null;
+
+  switch (cell.t) {
+    case 'b':
+      return cell.v;
+    case 'n':
+      return cell.z && XLSX.SSF.is_date(cell.z) ? excelDateToIso(cell.v, date1904) : cell.v;
+    case 'd':
+      return new Date(cell.v).toISOString();
+    case 'e':
+      return null;
+    default: {
+      const text = String(cell.v);
+      return text.trim() === '' ? null : text;
+    }
+  }
+};
+
+/**
+ * Lee todas las filas de una hoja como arrays de valores tipados
+ * @param {Object} workbook - Libro de SheetJS
+ * @param {string} sheetName - Nombre de la hoja
+ * @returns {Array} - Filas de la hoja, empezando por la fila 1
+ */
+const readSheetRows = (workbook, sheetName) => {
+  const sheet = workbook.Sheets[sheetName];
+  if (!sheet || !sheet['!ref']) return [];
+
+  const date1904 = Boolean(workbook.Workbook && workbook.Workbook.WBProps && workbook.Workbook.WBProps.date1904);
+  const range = XLSX.utils.decode_range(sheet['!ref']);
+  const rows = [];
+
+  // Las filas anteriores al rango usado se conservan vacías para que los números de fila coincidan con Excel;
+  // las columnas empiezan en la primera columna usada
+  for (let r = 0; r < range.s.r; r++) {
+    rows.push([]);
+  }
+  for (let r = range.s.r; r <= range.e.r; r++) {
+    const row = [];
+    for (let c = range.s.c; c <= range.e.c; c++) {
+      row.push(getCellValue(sheet[XLSX.utils.encode_cell({ r, c })], date1904));
+    }
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Indica si una fila no tiene ninguna celda con valor
+ * @param {Array} row - Valores de la fila
+ * @returns {boolean} - True si está vacía
+ */
+const isEmptyRow = (row) => row.every(value => value === null);
+
+/**
+ * Detecta la fila de cabecera de una hoja
+ * Es la primera fila, entre las iniciales, con el mayor número de celdas y todas de texto;
+ * así se saltan títulos y filas en blanco que preceden a la tabla
+ * @param {Array} rows - Filas de la hoja como arrays de valores
+ * @returns {number} - Número de fila (1 es la primera), o 1 si la hoja está vacía
+ */
+const detectHeaderRow = (rows) => {
+  const candidates = rows.slice(0, HEADER_SCAN_ROWS);
+  const filled = candidates.map(row => row.filter(value => value !== null));
+  const maxCells = Math.max(0, ...filled.map(values => values.length));
+  if (maxCells === 0) return 1;
+
+  const isTextRow = values => values.length > 0 && values.every(value => typeof value === 'string');
+  const header = filled.findIndex(values => values.length === maxCells && isTextRow(values));
+  if (header !== -1) return header + 1;
+
+  // Sin una fila de texto completa se toma la primera fila con contenido
+  return filled.findIndex(values => values.length > 0) + 1;
+};
+
+/**
+ * Lee una hoja de un libro Excel fila a fila
+ * Las filas vacías se omiten. Si onRow devuelve false la lectura se detiene
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {Object} [options] - Opciones { sheetName, headerRow }; por defecto la primera hoja y cabecera detectada
+ * @param {Function} onRow - Función (row, index, totalRows) llamada por cada fila; puede ser asíncrona
+ * @param {Function} [mapHeader] - Renombra cada cabecera antes de construir las filas
+ * @returns {Promise<Object>} - { headers, rowCount, totalRows, sheetName, headerRow }
+ * @throws {Object} - VALIDATION_ERROR si la hoja o la fila de cabecera no existen
+ */
+const readExcel = async (buffer, options = {}, onRow, mapHeader = null) => {
+  const workbook = openWorkbook(buffer);
+  const sheetName = options.sheetName || workbook.SheetNames[0];
+  if (!workbook.Sheets[sheetName]) {
+    throw createError('VALIDATION_ERROR', `La hoja ${sheetName} no existe en el libro`, {
+      sheets: workbook.SheetNames
+    });
+  }
+
+  const rows = readSheetRows(workbook, sheetName);
+  const headerRow = options.headerRow ? parseInt(options.headerRow, 10) : detectHeaderRow(rows);
+  if (!Number.isInteger(headerRow) || headerRow < 1 || (rows.length > 0 && headerRow > rows.length)) {
+    throw createError('VALIDATION_ERROR', `Fila de cabecera inválida para la hoja ${sheetName}: ${options.headerRow}`);
+  }
+
+  const headers = (rows[headerRow - 1] || []).map((value, index) => {
+    const name = value === null ? `columna_${index + 1}` : String(value).trim();
+    return mapHeader ? mapHeader(name) : name;
+  });
+
+  const dataRows = rows.slice(headerRow).filter(row => !isEmptyRow(row));
+  let rowCount = 0;
+
+  for (const values of dataRows) {
+    const row = {};
+    headers.forEach((header, index) => {
+      row[header] = values[index] === undefined ? null : values[index];
+    });
+
+    const result = await onRow(row, rowCount, dataRows.length);
+    rowCount++;
+    if (result === false) {
+      break;
+    }
+  }
+
+  return { headers, rowCount, totalRows: dataRows.length, sheetName, headerRow };
+};
+
+module.exports = {
+  listSheets,
+  detectHeaderRow,
+  readExcel
+};
@@ -0,0 +1,432 @@
+/**
+ * Lectura de archivos de entrada con el lector de su formato, compartida por la Lambda ETL y el backend
+ * Descomprime de forma transparente los archivos gzip y bzip2 y recorre las entradas de los zip
+ * @module utils/inputReader
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { pipeline, PassThrough, Readable, Transform } = require('stream');
+const yauzl = require('yauzl');
+const unbzip2 = require('unbzip2-stream');
+const { createError } = require('../constants/errorCodes');
+const {
+  FILE_FORMATS,
+  FILE_COMPRESSIONS,
+  getFileFormat,
+  getFileCompression
+} = require('../constants/fileTypes');
+const { readCsv } = require('./csvReader');
+const { readExcel } = require('./excelReader');
+const { readJson } = require('./jsonReader');
+const { readParquetInput } = require('./parquet');
+const { readAvro } = require('./avroReader');
+
+/**
+ * Crea el origen de un archivo local
+ * @param {string} filePath - Ruta local del archivo
+ * @param {string} name - Nombre o clave S3 del archivo, del que se deducen formato y compresión
+ * @param {number} [size] - Tamaño del archivo en bytes
+ * @returns {Object} - Origen { name, size, path, createReadStream(), readBuffer() }
+ */
+const fileSource = (filePath, name, size = 0) => ({
+  name,
+  size,
+  path: filePath,
+  createReadStream: () => fs.createReadStream(filePath),
+  readBuffer: () => fs.promises.readFile(filePath)
+});
+
+/**
+ * Crea el origen de un archivo en memoria
+ * @param {Buffer} buffer - Contenido del archivo
+ * @param {string} name - Nombre del archivo, del que se deducen formato y compresión
+ * @returns {Object} - Origen { name, size, createReadStream(), readBuffer() }
+ */
+const bufferSource = (buffer, name) => ({
+  name,
+  size: buffer.length,
+  createReadStream: () => Readable.from([buffer]),
+  readBuffer: async () => buffer
+});
+
+/**
+ * Crea un stream que cuenta los bytes que lo atraviesan
+ * @returns {Transform} - Stream con la propiedad bytes
+ */
+const createByteCounter = () => {
+  const counter = new Transform({
+    transform (chunk, _encoding, callback) {
+      counter.bytes += chunk.length;
+      callback(null, chunk);
+    }
+  });
+  counter.bytes = 0;
+  return counter;
+};
+
+/**
+ * Lee un stream completo en memoria
+ * @param {Readable} input - Stream a leer
+ * @returns {Promise<Buffer>} - Contenido del stream
+ */
+const streamToBuffer = async (input) => {
+  const chunks = [];
+  for await (const chunk of input) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Indica si una entrada de un zip es un archivo de datos que se puede leer
+ * Se ignoran directorios, archivos ocultos y los metadatos que añade macOS
+ * @param {string} fileName - Ruta de la entrada dentro del zip
+ * @returns {boolean} - True si la entrada tiene un formato de datos conocido
+ */
+const isDataEntry = (fileName) => {
+  return !fileName.endsWith('/') &&
+    !fileName.startsWith('__MACOSX/') &&
+    !path.posix.basename(fileName).startsWith('.') &&
+    Boolean(getFileFormat(fileName));
+};
+
+/**
+ * Abre un archivo zip desde disco o desde memoria
+ * @param {Object} source - Origen del archivo
+ * @returns {Promise<Object>} - Zip de yauzl, que hay que cerrar tras leerlo
+ * @throws {Object} - FILE_CORRUPTED si el contenido no es un zip válido
+ */
+const openZip = async (source) => {
+  const options = { lazyEntries: true, autoClose: false };
+  const buffer = source.path ? null : await source.readBuffer();
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const callback = (error, zipfile) => (error ? reject(error) : resolve(zipfile));
+      if (buffer) {
+        yauzl.fromBuffer(buffer, options, callback);
+      } else {
+        yauzl.open(source.path, options, callback);
+      }
+    });
+  } catch (error) {
+    throw createError('FILE_CORRUPTED', `Archivo zip inválido: ${error.message}`);
+  }
+};
+
+/**
+ * Lee el directorio central de un zip
+ * @param {Object} zipfile - Zip de yauzl
+ * @returns {Promise<Array>} - Entradas de yauzl en orden
+ */
+const readZipDirectory = (zipfile) => new Promise((resolve, reject) => {
+  const entries = [];
+  zipfile.on('entry', (entry) => {
+    entries.push(entry);
+    zipfile.readEntry();
+  });
+  zipfile.on('end', () => resolve(entries));
+  zipfile.on('error', (error) => reject(createError('FILE_CORRUPTED', `Archivo zip inválido: ${error.message}`)));
+  zipfile.readEntry();
+});
+
+/**
+ * Abre el contenido descomprimido de una entrada de un zip
+ * @param {Object} zipfile - Zip de yauzl
+ * @param {Object} entry - Entrada de yauzl
+ * @returns {Promise<Readable>} - Stream con el contenido de la entrada
+ */
+const openZipEntry = (zipfile, entry) => new Promise((resolve, reject) => {
+  zipfile.openReadStream(entry, (error, stream) => {
+    if (error) {
+      reject(createError('FILE_CORRUPTED', `Entrada ${entry.fileName} del zip inválida: ${error.message}`));
+    } else {
+      resolve(stream);
+    }
+  });
+});
+
+/**
+ * Lista los archivos de datos de un zip
+ * @param {Object} source - Origen del archivo (fileSource o bufferSource)
+ * @returns {Promise<Array>} - Entradas [{ name, format, size }] con el tamaño descomprimido
+ */
+const listZipEntries = async (source) => {
+  const zipfile = await openZip(source);
+  try {
+    const entries = await readZipDirectory(zipfile);
+    return entries
+      .filter(entry => isDataEntry(entry.fileName))
+      .map(entry => ({
+        name: entry.fileName,
+        format: getFileFormat(entry.fileName),
+        size: entry.uncompressedSize
+      }));
+  } finally {
+    zipfile.close();
+  }
+};
+
+/**
+ * Lee un stream de datos con el lector de su formato
+ * Excel y Parquet no se pueden leer por partes y se cargan completos en memoria
+ * @param {Readable} input - Stream con el contenido ya descomprimido
+ * @param {string} format - Formato del contenido
+ * @param {Object} options - Opciones del lector (CSV, hoja de Excel, arrays JSON)
+ * @param {Function} onRow - Función (row, index, totalRows) llamada por cada fila
+ * @param {Function} [mapHeader] - Renombra cada columna antes de construir las filas
+ * @returns {Promise<Object>} - { headers, rowCount }
+ */
+const readFormat = async (input, format, options, onRow, mapHeader) => {
+  switch (format) {
+    case FILE_FORMATS.EXCEL:
+      return readExcel(await streamToBuffer(input), options, onRow, mapHeader);
+    case FILE_FORMATS.PARQUET:
+      return readParquetInput(await streamToBuffer(input), onRow, mapHeader);
+    case FILE_FORMATS.JSON:
+    case FILE_FORMATS.NDJSON:
+      return readJson(input, options, onRow, mapHeader);
+    case FILE_FORMATS.AVRO:
+      return readAvro(input, onRow, mapHeader);
+    default:
+      return readCsv(input, options, onRow, mapHeader);
+  }
+};
+
+/**
+ * Abre el contenido de una parte del archivo, descomprimiéndolo si es un gzip o bzip2
+ * @param {Object} part - { name, compression, open() }
+ * @param {Transform} [counter] - Contador de los bytes comprimidos leídos
+ * @returns {Promise<Object>} - { input, decompressError() } con el error de descompresión, si lo hubo
+ */
+const openPartInput = async (part, counter = new PassThrough()) => {
+  let decompressError = null;
+  let input = pipeline(await part.open(), counter, () => {});
+  if (part.compression) {
+    const decompressor = part.compression === FILE_COMPRESSIONS.GZIP ? zlib.createGunzip() : unbzip2();
+    decompressor.on('error', (error) => {
+      decompressError = error;
+    });
+    input = pipeline(input, decompressor, new PassThrough(), () => {});
+  }
+  return { input, decompressError: () => decompressError };
+};
+
+/**
+ * Descomprime completo un archivo gzip o bzip2 (el navegador no dispone de un descompresor bzip2)
+ * @param {Object} source - Origen del archivo (fileSource o bufferSource)
+ * @returns {Promise<Buffer>} - Contenido descomprimido
+ * @throws {Object} - VALIDATION_ERROR si el archivo no es un gzip o bzip2, FILE_CORRUPTED si no se puede descomprimir
+ */
+const decompressSource = async (source) => {
+  const compression = getFileCompression(source.name);
+  if (compression !== FILE_COMPRESSIONS.GZIP && compression !== FILE_COMPRESSIONS.BZIP2) {
+    throw createError('VALIDATION_ERROR', `El archivo ${source.name} no es un gzip ni un bzip2`);
+  }
+
+  const { input, decompressError } = await openPartInput({
+    name: source.name,
+    compression,
+    open: async () => source.createReadStream()
+  });
+  try {
+    return await streamToBuffer(input);
+  } catch (error) {
+    if (decompressError()) {
+      throw createError('FILE_CORRUPTED', `Archivo ${compression} inválido en ${source.name}: ${decompressError().message}`);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Crea un lector de filas para un archivo de entrada, comprimido o no
+ * Los archivos gzip y bzip2 se descomprimen en streaming; de un zip se leen una tras otra
+ * las entradas de options.entries (por defecto todos sus archivos de datos) y sus filas se unen
+ * @param {Object} source - Origen del archivo (fileSource o bufferSource)
+ * @param {Object} [options] - Opciones del archivo: format, entries y opciones del lector
+ * @returns {Object} - Lector { read(onRow, mapHeader), readSample(maxBytes), bytesRead() }; bytesRead
+ *   estima los bytes del archivo original ya leídos
+ */
+const createInputReader = (source, options = {}) => {
+  const compression = getFileCompression(source.name);
+  // Bytes del archivo original correspondientes a las partes ya leídas y avance de la parte actual
+  let completedBytes = 0;
+  let current = null;
+
+  /**
+   * Resuelve las partes a leer (el archivo completo o las entradas seleccionadas del zip)
+   * y las entrega a callback mientras el zip sigue abierto
+   * @param {Function} callback - Función asíncrona (parts) que las lee
+   * @returns {Promise<*>} - Resultado de callback
+   */
+  const withParts = async (callback) => {
+    if (compression !== FILE_COMPRESSIONS.ZIP) {
+      return callback([{
+        name: source.name,
+        format: options.format || getFileFormat(source.name),
+        compression,
+        path: source.path,
+        open: async () => source.createReadStream(),
+        length: source.size,
+        weight: source.size
+      }]);
+    }
+
+    const zipfile = await openZip(source);
+    try {
+      const entries = (await readZipDirectory(zipfile)).filter(entry => isDataEntry(entry.fileName));
+      const names = Array.isArray(options.entries) && options.entries.length > 0
+        ? options.entries
+        : entries.map(entry => entry.fileName);
+      const selected = names.map((name) => {
+        const entry = entries.find(candidate => candidate.fileName === name);
+        if (!entry) {
+          throw createError('VALIDATION_ERROR', `La entrada ${name} no existe en el zip o no es un archivo de datos`);
+        }
+        return entry;
+      });
+      if (selected.length === 0) {
+        throw createError('VALIDATION_ERROR', 'El zip no contiene archivos de datos');
+      }
+
+      return await callback(selected.map(entry => ({
+        name: entry.fileName,
+        format: getFileFormat(entry.fileName),
+        compression: getFileCompression(entry.fileName),
+        open: () => openZipEntry(zipfile, entry),
+        length: entry.uncompressedSize,
+        weight: entry.compressedSize
+      })));
+    } finally {
+      zipfile.close();
+    }
+  };
+
+  /**
+   * Lee una parte del archivo: el archivo completo o una entrada del zip
+   * @param {Object} part - { name, format, compression, open(), length, weight }
+   * @param {Function} emit - Función (row) que entrega cada fila; devuelve false para detener la lectura
+   * @param {Function} [mapHeader] - Renombra cada columna
+   * @returns {Promise<Object>} - { headers, rowCount }
+   */
+  const readPart = async (part, emit, mapHeader) => {
+    const counter = createByteCounter();
+    let rowFraction = null;
+    current = {
+      weight: part.weight,
+      // Excel y Parquet avanzan por filas porque se leen completos antes de entregar la primera
+      fraction: () => (rowFraction !== null ? rowFraction : (part.length ? counter.bytes / part.length : 0))
+    };
+
+    const onRow = (row, index, totalRows) => {
+      if (totalRows) {
+        rowFraction = (index + 1) / totalRows;
+      }
+      return emit(row);
+    };
+
+    // Un Parquet o un Excel sin comprimir en disco se lee directamente del archivo
+    if (!part.compression && source.path && part.path) {
+      if (part.format === FILE_FORMATS.PARQUET) {
+        return readParquetInput(part.path, onRow, mapHeader);
+      }
+      if (part.format === FILE_FORMATS.EXCEL) {
+        return readExcel(await fs.promises.readFile(part.path), options, onRow, mapHeader);
+      }
+    }
+
+    const { input, decompressError } = await openPartInput(part, counter);
+    try {
+      return await readFormat(input, part.format, options, onRow, mapHeader);
+    } catch (error) {
+      if (decompressError()) {
+        throw createError('FILE_CORRUPTED', `Archivo ${part.compression} inválido en ${part.name}: ${decompressError().message}`);
+      }
+      throw error;
+    }
+  };
+
+  const read = async (onRow, mapHeader = null) => {
+    const headers = [];
+    let rowCount = 0;
+    let stopped = false;
+
+    const emit = async (row) => {
+      const result = await onRow(row, rowCount);
+      rowCount++;
+      if (result === false) {
+        stopped = true;
+      }
+      return result;
+    };
+
+    const readAndCollect = async (part) => {
+      const result = await readPart(part, emit, mapHeader);
+      for (const header of result.headers) {
+        if (!headers.includes(header)) headers.push(header);
+      }
+      completedBytes += part.weight;
+      current = null;
+    };
+
+    return withParts(async (parts) => {
+      // Cabeceras del zip y entradas que no se leen cuentan como ya procesadas
+      completedBytes = Math.max(0, source.size - parts.reduce((sum, part) => sum + part.weight, 0));
+
+      for (const part of parts) {
+        await readAndCollect(part);
+        if (stopped) break;
+      }
+      return { headers, rowCount, entries: parts.map(part => part.name) };
+    });
+  };
+
+  /**
+   * Lee los primeros bytes descomprimidos de la primera parte CSV, para detectar su dialecto
+   * @param {number} maxBytes - Bytes máximos de la muestra
+   * @returns {Promise<Buffer|null>} - Muestra o null si ninguna parte es CSV
+   */
+  const readSample = (maxBytes) => withParts(async (parts) => {
+    const part = parts.find(candidate => candidate.format === FILE_FORMATS.CSV);
+    if (!part) return null;
+
+    const { input, decompressError } = await openPartInput(part);
+    const chunks = [];
+    let length = 0;
+    try {
+      for await (const chunk of input) {
+        chunks.push(chunk);
+        length += chunk.length;
+        if (length >= maxBytes) break;
+      }
+    } catch (error) {
+      if (decompressError()) {
+        throw createError('FILE_CORRUPTED', `Archivo ${part.compression} inválido en ${part.name}: ${decompressError().message}`);
+      }
+      throw error;
+    } finally {
+      input.destroy();
+    }
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+  });
+
+  return {
+    read,
+    readSample,
+    bytesRead: () => {
+      const partBytes = current ? current.weight * Math.min(current.fraction(), 1) : 0;
+      return Math.min(Math.floor(completedBytes + partBytes), source.size);
+    }
+  };
+};
+
+module.exports = {
+  fileSource,
+  bufferSource,
+  listZipEntries,
+  decompressSource,
+  createInputReader
+};
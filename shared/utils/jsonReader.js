@@ -0,0 +1,242 @@
+/**
+ * Lector de datasets JSON en streaming compartido por la Lambda ETL y el backend
+ * Admite un array JSON de objetos y JSON delimitado por líneas (NDJSON), y aplana
+ * los objetos anidados en columnas con nombres separados por puntos
+ * @module utils/jsonReader
+ */
+
+const { createError } = require('../constants/errorCodes');
+
+// Separador de los nombres de columna de los campos anidados
+const PATH_SEPARATOR = '.';
+
+/**
+ * Indica si un valor es un objeto JSON (no array ni null)
+ * @param {*} value - Valor a comprobar
+ * @returns {boolean} - True si es un objeto
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Aplana un objeto anidado en columnas `padre.hijo`
+ * Los arrays que no se expanden se conservan como texto JSON
+ * @param {*} value - Valor a aplanar
+ * @param {string} prefix - Nombre de la columna del valor
+ * @param {Object} row - Fila en la que se escriben las columnas
+ * @returns {Object} - La fila
+ */
+const flattenValue = (value, prefix, row) => {
+  if (isPlainObject(value)) {
+    for (const [key, nested] of Object.entries(value)) {
+      flattenValue(nested, prefix ? `${prefix}${PATH_SEPARATOR}${key}` : key, row);
+    }
+  } else if (Array.isArray(value)) {
+    row[prefix] = JSON.stringify(value);
+  } else {
+    row[prefix] = value === undefined ? null : value;
+  }
+  return row;
+};
+
+/**
+ * Expande un array del registro en un registro por elemento
+ * Un array vacío o ausente deja un único registro sin el campo, para no crear una columna con el
+ * nombre del array junto a las de sus elementos; esas columnas quedan en NULL en ese registro
+ * @param {Object} record - Registro JSON
+ * @param {Array} path - Segmentos de la ruta del array
+ * @returns {Array} - Registros resultantes
+ */
+const explodeRecord = (record, path) => {
+  const [key, ...rest] = path;
+  const value = record[key];
+
+  if (rest.length > 0) {
+    if (!isPlainObject(value)) return [record];
+    return explodeRecord(value, rest).map(nested => ({ ...record, [key]: nested }));
+  }
+
+  if (!Array.isArray(value) || value.length === 0) {
+    const { [key]: _omitted, ...others } = record;
+    return [others];
+  }
+  return value.map(element => ({ ...record, [key]: element }));
+};
+
+/**
+ * Convierte un registro JSON en filas planas
+ * @param {Object} record - Registro JSON
+ * @param {Array} [explodeArrays] - Rutas (`padre.hijo`) de los arrays que se expanden en filas, en orden
+ * @returns {Array} - Filas con columnas aplanadas
+ */
+const flattenRecord = (record, explodeArrays = []) => {
+  let records = [record];
+  for (const path of explodeArrays) {
+    const segments = path.split(PATH_SEPARATOR);
+    records = records.flatMap(current => explodeRecord(current, segments));
+  }
+  return records.map(current => flattenValue(current, '', {}));
+};
+
+/**
+ * Crea un separador incremental de registros JSON
+ * Cada registro es un objeto del nivel superior (NDJSON u objetos concatenados)
+ * o un elemento de un array del nivel superior
+ * @returns {Object} - Separador { push(text), end() }; push devuelve los registros completos como [texto, línea]
+ */
+const createRecordSplitter = () => {
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let arrayMode = null;
+  let arrayClosed = false;
+  let pending = '';
+  let line = 1;
+  let recordLine = 0;
+
+  const fail = (message) => {
+    throw createError('FILE_CORRUPTED', `JSON inválido en la línea ${line}: ${message}`);
+  };
+
+  const push = (text) => {
+    const records = [];
+    // Un registro a medias del bloque anterior continúa desde el inicio de este
+    let start = depth > (arrayMode ? 1 : 0) ? 0 : -1;
+
+    for (let i = 0; i < text.length; i++) {
+      const ch = text[i];
+      if (ch === '\n') line++;
+
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (ch === '\\') escaped = true;
+        else if (ch === '"') inString = false;
+        continue;
+      }
+      if (ch === ' ' || ch === '\t' || ch === '\n' || ch === '\r') continue;
+      if (arrayClosed) {
+        fail(`contenido después del array principal: "${ch}"`);
+      }
+
+      const baseDepth = arrayMode ? 1 : 0;
+      if (depth === baseDepth) {
+        // Entre registros solo se admiten el inicio de un objeto y la puntuación del array
+        if (depth === 0 && arrayMode === null && ch === '[') {
+          arrayMode = true;
+          depth = 1;
+        } else if (depth === 1 && arrayMode && ch === ',') {
+          continue;
+        } else if (depth === 1 && arrayMode && ch === ']') {
+          depth = 0;
+          arrayClosed = true;
+        } else if (ch === '{') {
+          if (arrayMode === null) arrayMode = false;
+          depth++;
+          start = i;
+          recordLine = line;
+        } else {
+          fail(`se esperaba un objeto y se encontró "${ch}"`);
+        }
+        continue;
+      }
+
+      if (ch === '"') {
+        inString = true;
+      } else if (ch === '{' || ch === '[') {
+        depth++;
+      } else if (ch === '}' || ch === ']') {
+        depth--;
+        if (depth === baseDepth) {
+          records.push([pending + text.slice(start, i + 1), recordLine]);
+          pending = '';
+          start = -1;
+        }
+      }
+    }
+
+    if (start !== -1) {
+      pending += text.slice(start);
+    }
+    return records;
+  };
+
+  const end = () => {
+    if (inString || depth > 0) {
+      fail('el archivo termina dentro de un registro');
+    }
+  };
+
+  return { push, end };
+};
+
+/**
+ * Lee un dataset JSON o NDJSON fila a fila desde un stream
+ * Si onRow devuelve false la lectura se detiene
+ * @param {Readable} input - Stream con el contenido del archivo (UTF-8)
+ * @param {Object} [options] - Opciones { explodeArrays }
+ * @param {Function} onRow - Función (row, index) llamada por cada fila; puede ser asíncrona
+ * @param {Function} [mapHeader] - Renombra cada columna aplanada antes de construir las filas
+ * @returns {Promise<Object>} - { headers, rowCount } con las columnas vistas en orden de aparición
+ */
+const readJson = async (input, options = {}, onRow, mapHeader = null) => {
+  const explodeArrays = options.explodeArrays || [];
+  const splitter = createRecordSplitter();
+  // TextDecoder elimina el BOM inicial
+  const decoder = new TextDecoder('utf-8');
+  const headerNames = new Map();
+  let rowCount = 0;
+  let stopped = false;
+
+  const mapRow = (row) => {
+    const mapped = {};
+    for (const [key, value] of Object.entries(row)) {
+      if (!headerNames.has(key)) {
+        headerNames.set(key, mapHeader ? mapHeader(key) : key);
+      }
+      mapped[headerNames.get(key)] = value;
+    }
+    return mapped;
+  };
+
+  const emit = async (records) => {
+    for (const [text, recordLine] of records) {
+      let record;
+      try {
+        record = JSON.parse(text);
+      } catch (error) {
+        throw createError('FILE_CORRUPTED', `JSON inválido en el registro de la línea ${recordLine}: ${error.message}`);
+      }
+
+      for (const row of flattenRecord(record, explodeArrays)) {
+        const result = await onRow(mapRow(row), rowCount);
+        rowCount++;
+        if (result === false) {
+          stopped = true;
+          return;
+        }
+      }
+    }
+  };
+
+  try {
+    for await (const chunk of input) {
+      await emit(splitter.push(decoder.decode(chunk, { stream: true })));
+      if (stopped) break;
+    }
+    if (!stopped) {
+      await emit(splitter.push(decoder.decode()));
+      splitter.end();
+    }
+  } catch (error) {
+    if (error.code && error.statusCode) throw error;
+    throw createError('FILE_CORRUPTED', `Error leyendo JSON: ${error.message}`);
+  } finally {
+    input.destroy();
+  }
+
+  return { headers: Array.from(headerNames.values()), rowCount };
+};
+
+module.exports = {
+  flattenRecord,
+  readJson
+};
@@ -0,0 +1,316 @@
+/**
+ * Lectura y escritura de archivos Parquet tipados según el esquema del catálogo
+ * Compartido por la Lambda ETL (escritura) y el backend (lectura)
+ * @module utils/parquet
+ */
+
+const parquet = require('@dsnp/parquetjs');
+const { createError } = require('../constants/errorCodes');
+
+// Tipo Parquet de cada tipo de columna del catálogo
+const PARQUET_TYPES = {
+  string: 'UTF8',
+  integer: 'INT64',
+  float: 'DOUBLE',
+  boolean: 'BOOLEAN',
+  date: 'TIMESTAMP_MILLIS'
+};
+
+// Compresión de las columnas y tamaño de los row groups
+const PARQUET_COMPRESSION = 'SNAPPY';
+const DEFAULT_ROW_GROUP_SIZE = 10000;
+
+/**
+ * Construye el esquema Parquet a partir del esquema del catálogo
+ * Todas las columnas son opcionales para admitir valores NULL
+ * @param {Array} schema - Esquema del catálogo [{ name, type }]
+ * @returns {ParquetSchema} - Esquema Parquet
+ */
+const createParquetSchema = (schema) => {
+  const fields = {};
+  for (const field of schema) {
+    fields[field.name] = {
+      type: PARQUET_TYPES[field.type] || PARQUET_TYPES.string,
+      optional: true,
+      compression: PARQUET_COMPRESSION
+    };
+  }
+  return new parquet.ParquetSchema(fields);
+};
+
+/**
+ * Prepara una fila ya transformada para escribirla en Parquet
+ * @param {Object} row - Fila con valores del tipo del catálogo
+ * @param {Array} schema - Esquema del catálogo
+ * @returns {Object} - Registro Parquet
+ */
+const toParquetRecord = (row, schema) => {
+  const record = {};
+  for (const field of schema) {
+    const value = row[field.name];
+    if (value === null || value === undefined) {
+      record[field.name] = null;
+      continue;
+    }
+
+    switch (field.type) {
+      case 'date': {
+        const date = value instanceof Date ? value : new Date(value);
+        record[field.name] = isNaN(date.getTime()) ? null : date;
+        break;
+      }
+      case 'string':
+        record[field.name] = String(value);
+        break;
+      default:
+        record[field.name] = value;
+    }
+  }
+  return record;
+};
+
+// Tipo del catálogo de cada tipo primitivo Parquet
+const PARQUET_PRIMITIVE_TYPES = {
+  BOOLEAN: 'boolean',
+  INT32: 'integer',
+  INT64: 'integer',
+  FLOAT: 'float',
+  DOUBLE: 'float',
+  INT96: 'date'
+};
+
+// Tipos lógicos Parquet que se leen como fecha
+const PARQUET_DATE_TYPES = ['DATE', 'TIMESTAMP_MILLIS', 'TIMESTAMP_MICROS'];
+
+// Grupos que representan colecciones y se guardan como texto JSON
+const PARQUET_COLLECTION_TYPES = ['LIST', 'MAP', 'MAP_KEY_VALUE'];
+
+/**
+ * Convierte un valor leído de Parquet a su equivalente JSON
+ * Los enteros de 64 bits se devuelven como número, las fechas como texto ISO y los binarios en base64
+ * @param {*} value - Valor Parquet
+ * @returns {*} - Valor JSON
+ */
+const fromParquetValue = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'bigint') return Number(value);
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return value.toString('base64');
+  if (Array.isArray(value)) return value.map(fromParquetValue);
+  if (typeof value === 'object') {
+    const nested = {};
+    for (const [key, item] of Object.entries(value)) {
+      nested[key] = fromParquetValue(item);
+    }
+    return nested;
+  }
+  return value;
+};
+
+/**
+ * Convierte un registro leído de Parquet a los valores que usa el motor de consultas
+ * @param {Object} record - Registro Parquet
+ * @returns {Object} - Fila con valores JSON
+ */
+const fromParquetRecord = (record) => fromParquetValue(record);
+
+/**
+ * Traduce los campos de un esquema Parquet a columnas del catálogo
+ * Los grupos anidados se aplanan en columnas `padre.hijo`; los campos repetidos,
+ * listas y mapas se guardan como texto JSON
+ * @param {Object} fields - Campos del esquema Parquet (schema.fields del lector)
+ * @param {boolean} nullable - True si algún grupo contenedor es opcional
+ * @returns {Array} - Columnas [{ name, path, type, nullable, source, json }]
+ */
+const buildParquetColumns = (fields, nullable = false) => {
+  const columns = [];
+  for (const field of Object.values(fields)) {
+    const column = {
+      name: field.path.join('.'),
+      path: field.path,
+      nullable: nullable || field.repetitionType !== 'REQUIRED'
+    };
+
+    if (field.repetitionType === 'REPEATED' || PARQUET_COLLECTION_TYPES.includes(field.originalType)) {
+      columns.push({ ...column, type: 'string', source: field.repetitionType === 'REPEATED' ? 'REPEATED' : field.originalType, json: true });
+    } else if (field.isNested) {
+      columns.push(...buildParquetColumns(field.fields, column.nullable));
+    } else if (PARQUET_DATE_TYPES.includes(field.originalType)) {
+      columns.push({ ...column, type: 'date', source: field.originalType });
+    } else if (field.originalType === 'DECIMAL') {
+      columns.push({ ...column, type: 'float', source: field.originalType });
+    } else {
+      columns.push({
+        ...column,
+        type: (!field.originalType || field.originalType.startsWith('INT_') || field.originalType.startsWith('UINT_'))
+          ? PARQUET_PRIMITIVE_TYPES[field.primitiveType] || 'string'
+          : 'string',
+        source: field.originalType || field.primitiveType
+      });
+    }
+  }
+  return columns;
+};
+
+/**
+ * Abre un archivo Parquet para lectura desde memoria o desde disco
+ * @param {Buffer|string} source - Contenido del archivo o ruta local
+ * @returns {Promise<ParquetReader>} - Lector de parquetjs
+ * @throws {Object} - FILE_CORRUPTED si el contenido no es un Parquet válido
+ */
+const openParquetReader = async (source) => {
+  // INT96 es la codificación heredada de timestamps de Spark e Impala
+  const options = { treatInt96AsTimestamp: true };
+  try {
+    return Buffer.isBuffer(source)
+      ? await parquet.ParquetReader.openBuffer(source, options)
+      : await parquet.ParquetReader.openFile(source, options);
+  } catch (error) {
+    throw createError('FILE_CORRUPTED', `Archivo Parquet inválido: ${error.message}`);
+  }
+};
+
+/**
+ * Abre un archivo Parquet para escritura
+ * @param {string} filePath - Ruta local del archivo
+ * @param {Array} schema - Esquema del catálogo
+ * @param {Object} [options] - Opciones { rowGroupSize }
+ * @returns {Promise<Object>} - Escritor { append(row), close(), rowCount() }
+ */
+const openParquetWriter = async (filePath, schema, options = {}) => {
+  const writer = await parquet.ParquetWriter.openFile(createParquetSchema(schema), filePath, {
+    rowGroupSize: options.rowGroupSize || DEFAULT_ROW_GROUP_SIZE
+  });
+  let rowCount = 0;
+
+  return {
+    append: async (row) => {
+      await writer.appendRow(toParquetRecord(row, schema));
+      rowCount++;
+    },
+    close: () => writer.close(),
+    rowCount: () => rowCount
+  };
+};
+
+/**
+ * Escribe filas en un archivo Parquet
+ * @param {string} filePath - Ruta local del archivo
+ * @param {Array} schema - Esquema del catálogo
+ * @param {Array} rows - Filas ya transformadas
+ * @param {Object} [options] - Opciones { rowGroupSize }
+ * @returns {Promise<number>} - Número de filas escritas
+ */
+const writeParquetFile = async (filePath, schema, rows, options = {}) => {
+  const writer = await openParquetWriter(filePath, schema, options);
+  for (const row of rows) {
+    await writer.append(row);
+  }
+  await writer.close();
+  return writer.rowCount();
+};
+
+/**
+ * Lee un archivo Parquet fila a fila
+ * Si onRow devuelve false la lectura se detiene
+ * @param {Buffer|string} source - Contenido del archivo o ruta local
+ * @param {Function} onRow - Función (row, index, totalRows) llamada por cada fila; puede ser asíncrona
+ * @returns {Promise<number>} - Número de filas leídas
+ */
+const readParquet = async (source, onRow) => {
+  const reader = await openParquetReader(source);
+  const totalRows = Number(reader.getRowCount());
+
+  let rowCount = 0;
+  try {
+    const cursor = reader.getCursor();
+    let record;
+    while ((record = await cursor.next())) {
+      const result = await onRow(fromParquetRecord(record), rowCount, totalRows);
+      rowCount++;
+      if (result === false) {
+        break;
+      }
+    }
+  } finally {
+    await reader.close();
+  }
+  return rowCount;
+};
+
+/**
+ * Lee el esquema embebido en un archivo Parquet traducido a tipos del catálogo
+ * @param {Buffer|string} source - Contenido del archivo o ruta local
+ * @returns {Promise<Object>} - { schema, rowCount } con campos { name, type, nullable, description }
+ */
+const inspectParquet = async (source) => {
+  const reader = await openParquetReader(source);
+  try {
+    return {
+      schema: buildParquetColumns(reader.schema.fields).map(column => ({
+        name: column.name,
+        type: column.type,
+        nullable: column.nullable,
+        description: `Campo ${column.name} (Parquet ${column.source})`
+      })),
+      rowCount: Number(reader.getRowCount())
+    };
+  } finally {
+    await reader.close();
+  }
+};
+
+/**
+ * Lee un archivo Parquet de entrada como filas planas según su esquema embebido
+ * Si onRow devuelve false la lectura se detiene
+ * @param {Buffer|string} source - Contenido del archivo o ruta local
+ * @param {Function} onRow - Función (row, index, totalRows) llamada por cada fila; puede ser asíncrona
+ * @param {Function} [mapHeader] - Renombra cada columna antes de construir las filas
+ * @returns {Promise<Object>} - { headers, rowCount, totalRows }
+ */
+const readParquetInput = async (source, onRow, mapHeader = null) => {
+  const reader = await openParquetReader(source);
+  const columns = buildParquetColumns(reader.schema.fields).map(column => ({
+    ...column,
+    header: mapHeader ? mapHeader(column.name) : column.name
+  }));
+  const totalRows = Number(reader.getRowCount());
+
+  let rowCount = 0;
+  try {
+    const cursor = reader.getCursor();
+    let record;
+    while ((record = await cursor.next())) {
+      const row = {};
+      for (const column of columns) {
+        let value = record;
+        for (const key of column.path) {
+          value = value === null || value === undefined ? null : value[key];
+        }
+        value = fromParquetValue(value);
+        row[column.header] = column.json && value !== null ? JSON.stringify(value) : value;
+      }
+
+      const result = await onRow(row, rowCount, totalRows);
+      rowCount++;
+      if (result === false) {
+        break;
+      }
+    }
+  } finally {
+    await reader.close();
+  }
+  return { headers: columns.map(column => column.header), rowCount, totalRows };
+};
+
+module.exports = {
+  PARQUET_TYPES,
+  PARQUET_COMPRESSION,
+  DEFAULT_ROW_GROUP_SIZE,
+  createParquetSchema,
+  openParquetWriter,
+  writeParquetFile,
+  readParquet,
+  inspectParquet,
+  readParquetInput
+};
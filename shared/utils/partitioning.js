@@ -0,0 +1,154 @@
+/**
+ * Particionado estilo Hive (`columna=valor/`) de la salida curated
+ * Compartido por la Lambda ETL (escritura) y el backend (poda de particiones)
+ * @module utils/partitioning
+ */
+
+const { createError } = require('../constants/errorCodes');
+
+// Transformaciones de partición disponibles
+const PARTITION_TRANSFORMS = ['identity', 'year', 'month', 'day'];
+
+// Transformaciones que agrupan una columna de fecha por periodo
+const DATE_TRANSFORMS = {
+  year: { length: 4 },
+  month: { length: 7 },
+  day: { length: 10 }
+};
+
+// Valor de partición para filas con la columna en NULL
+const DEFAULT_PARTITION = '__HIVE_DEFAULT_PARTITION__';
+
+/**
+ * Valida y normaliza la especificación de particionado de un archivo
+ * @param {Array} partitionSpec - Particiones [{ column, transform }]
+ * @param {Array} schema - Esquema del catálogo
+ * @returns {Array} - Particiones normalizadas [{ column, transform, name }]
+ * @throws {Object} - VALIDATION_ERROR si alguna partición no es válida
+ */
+const normalizePartitionSpec = (partitionSpec, schema) => {
+  if (partitionSpec === undefined || partitionSpec === null) return [];
+  if (!Array.isArray(partitionSpec)) {
+    throw createError('VALIDATION_ERROR', 'La especificación de particionado debe ser un array');
+  }
+
+  const names = new Set();
+  return partitionSpec.map((partition) => {
+    const column = partition && partition.column;
+    const transform = (partition && partition.transform) || 'identity';
+    const field = schema.find(f => f.name === column);
+
+    if (!field) {
+      throw createError('VALIDATION_ERROR', `La columna de partición ${column} no existe en el esquema`);
+    }
+    if (!PARTITION_TRANSFORMS.includes(transform)) {
+      throw createError('VALIDATION_ERROR',
+        `Transformación de partición no soportada: ${transform} (${PARTITION_TRANSFORMS.join(', ')})`);
+    }
+    if (DATE_TRANSFORMS[transform] && field.type !== 'date') {
+      throw createError('VALIDATION_ERROR',
+        `La partición por ${transform} requiere una columna de tipo date: ${column} es ${field.type}`);
+    }
+
+    const name = getPartitionName({ column, transform });
+    if (names.has(name)) {
+      throw createError('VALIDATION_ERROR', `Partición duplicada: ${name}`);
+    }
+    names.add(name);
+
+    return { column, transform, name };
+  });
+};
+
+/**
+ * Nombre del segmento de ruta de una partición
+ * @param {Object} partition - Partición { column, transform }
+ * @returns {string} - Nombre (columna, o columna_transformación para fechas)
+ */
+const getPartitionName = (partition) => (
+  partition.transform === 'identity' ? partition.column : `${partition.column}_${partition.transform}`
+);
+
+/**
+ * Calcula el valor de partición de un valor ya transformado según el esquema
+ * @param {*} value - Valor de la columna
+ * @param {string} transform - Transformación de la partición
+ * @returns {string|null} - Valor de partición, o null si la fila va a la partición por defecto
+ */
+const getPartitionValue = (value, transform) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const dateTransform = DATE_TRANSFORMS[transform];
+  if (!dateTransform) return String(value);
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, dateTransform.length);
+};
+
+/**
+ * Construye el prefijo Hive de una fila
+ * @param {Object} row - Fila ya transformada
+ * @param {Array} partitionSpec - Particiones normalizadas
+ * @returns {string} - Prefijo `nombre=valor/...` sin barra final
+ */
+const buildPartitionPath = (row, partitionSpec) => partitionSpec
+  .map((partition) => {
+    const value = getPartitionValue(row[partition.column], partition.transform);
+    return `${partition.name}=${value === null ? DEFAULT_PARTITION : encodeURIComponent(value)}`;
+  })
+  .join('/');
+
+/**
+ * Extrae los valores de partición de una clave del bucket curated
+ * @param {string} key - Clave del objeto
+ * @param {Array} partitionSpec - Particiones del archivo
+ * @returns {Array} - Valores [{ column, transform, value }] (value null en la partición por defecto)
+ */
+const parsePartitionPath = (key, partitionSpec = []) => {
+  const segments = {};
+  for (const segment of key.split('/')) {
+    const separator = segment.indexOf('=');
+    if (separator > 0) {
+      segments[segment.slice(0, separator)] = segment.slice(separator + 1);
+    }
+  }
+
+  return partitionSpec
+    .filter(partition => segments[partition.name] !== undefined)
+    .map((partition) => {
+      const raw = segments[partition.name];
+      return {
+        column: partition.column,
+        transform: partition.transform,
+        value: raw === DEFAULT_PARTITION ? null : decodeURIComponent(raw)
+      };
+    });
+};
+
+/**
+ * Rango de fechas [desde, hasta) que cubre un valor de partición de fecha
+ * @param {string} value - Valor de partición (2024, 2024-03 o 2024-03-15)
+ * @param {string} transform - Transformación year, month o day
+ * @returns {Object} - { from, to } como texto ISO
+ */
+const getPartitionRange = (value, transform) => {
+  const [year, month = 1, day = 1] = value.split('-').map(Number);
+  const from = new Date(Date.UTC(year, month - 1, day));
+  const to = new Date(Date.UTC(
+    year + (transform === 'year' ? 1 : 0),
+    month - 1 + (transform === 'month' ? 1 : 0),
+    day + (transform === 'day' ? 1 : 0)
+  ));
+  return { from: from.toISOString(), to: to.toISOString() };
+};
+
+module.exports = {
+  PARTITION_TRANSFORMS,
+  DEFAULT_PARTITION,
+  normalizePartitionSpec,
+  getPartitionName,
+  getPartitionValue,
+  buildPartitionPath,
+  parsePartitionPath,
+  getPartitionRange
+};
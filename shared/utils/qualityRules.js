@@ -0,0 +1,296 @@
+/**
+ * Reglas de calidad de datos declaradas por tabla y evaluadas por la Lambda ETL sobre las filas
+ * ya transformadas de cada archivo: condiciones con expresiones del motor de consultas, patrones,
+ * listas de referencia y límites del número de filas
+ * @module utils/qualityRules
+ */
+
+const { createError } = require('../constants/errorCodes');
+const { parseExpression, compileExpression } = require('../sql');
+const { toBoolean } = require('../sql/evaluator');
+const { coerceValue } = require('../sql/types');
+
+const QUALITY_RULE_TYPES = {
+  // Expresión SQL que cada fila debe cumplir, p. ej. "amount >= 0" o "end_date > start_date"
+  CONDITION: 'condition',
+  // Expresión regular que debe cumplir el texto de una columna
+  PATTERN: 'pattern',
+  // Valores de referencia admitidos en una columna
+  IN_LIST: 'in_list',
+  // Número de filas del archivo: mínimo, máximo o variación respecto a la carga anterior de la tabla
+  ROW_COUNT: 'row_count'
+};
+
+// Una regla error que no se cumple hace fallar el archivo; una warning solo queda en el informe
+const QUALITY_SEVERITIES = ['warning', 'error'];
+const DEFAULT_QUALITY_SEVERITY = 'warning';
+
+// Filas de ejemplo que el informe guarda por cada regla incumplida
+const MAX_FAILING_SAMPLES = 5;
+
+const isSet = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Valida la definición de las reglas de calidad de una tabla
+ * @param {Array} rules - Reglas [{ name, type, severity, ... }]
+ * @throws {Object} - VALIDATION_ERROR si alguna regla no es válida
+ */
+const validateQualityRules = (rules) => {
+  if (!Array.isArray(rules)) {
+    throw createError('VALIDATION_ERROR', 'Las reglas de calidad deben ser una lista');
+  }
+
+  const names = new Set();
+  for (const rule of rules) {
+    if (!rule || typeof rule.name !== 'string' || !rule.name.trim()) {
+      throw createError('VALIDATION_ERROR', 'Cada regla de calidad necesita un nombre');
+    }
+    if (names.has(rule.name)) {
+      throw createError('VALIDATION_ERROR', `Regla de calidad repetida: ${rule.name}`);
+    }
+    names.add(rule.name);
+
+    if (isSet(rule.severity) && !QUALITY_SEVERITIES.includes(rule.severity)) {
+      throw createError('VALIDATION_ERROR', `La severidad de ${rule.name} debe ser warning o error`);
+    }
+
+    switch (rule.type) {
+      case QUALITY_RULE_TYPES.CONDITION:
+        try {
+          // Se compila con cualquier columna para rechazar ya agregados y funciones desconocidas;
+          // las columnas se comprueban con el esquema de cada archivo
+          compileExpression(parseExpression(rule.condition), { resolveColumn: () => () => null });
+        } catch (conditionError) {
+          throw createError('VALIDATION_ERROR', `La condición de ${rule.name} no es válida: ${conditionError.message}`);
+        }
+        break;
+
+      case QUALITY_RULE_TYPES.PATTERN:
+        if (!rule.column || !rule.pattern) {
+          throw createError('VALIDATION_ERROR', `La regla ${rule.name} necesita column y pattern`);
+        }
+        try {
+          new RegExp(rule.pattern);
+        } catch (regexError) {
+          throw createError('VALIDATION_ERROR', `El patrón de ${rule.name} no es válido: ${regexError.message}`);
+        }
+        break;
+
+      case QUALITY_RULE_TYPES.IN_LIST:
+        if (!rule.column || !Array.isArray(rule.values) || rule.values.length === 0) {
+          throw createError('VALIDATION_ERROR', `La regla ${rule.name} necesita column y una lista values no vacía`);
+        }
+        break;
+
+      case QUALITY_RULE_TYPES.ROW_COUNT: {
+        const limits = ['min', 'max', 'maxChangePercent'].filter(limit => isSet(rule[limit]));
+        if (limits.length === 0) {
+          throw createError('VALIDATION_ERROR', `La regla ${rule.name} necesita min, max o maxChangePercent`);
+        }
+        const invalid = limits.find(limit => typeof rule[limit] !== 'number' || rule[limit] < 0);
+        if (invalid) {
+          throw createError('VALIDATION_ERROR', `${invalid} de ${rule.name} debe ser un número no negativo`);
+        }
+        break;
+      }
+
+      default:
+        throw createError('VALIDATION_ERROR',
+          `Tipo de regla de calidad no soportado en ${rule.name}: ${rule.type} (${Object.values(QUALITY_RULE_TYPES).join(', ')})`);
+    }
+  }
+};
+
+/**
+ * Compila la comprobación por fila de una regla
+ * @param {Object} rule - Regla de calidad
+ * @param {Array} schema - Esquema del archivo
+ * @returns {Function} - (row) => false si la fila incumple la regla
+ * @throws {Object} - Si la regla usa columnas que no están en el esquema
+ */
+const compileRowCheck = (rule, schema) => {
+  const findField = (name) => {
+    const field = schema.find(candidate => candidate.name === name) ||
+      schema.find(candidate => candidate.name.toLowerCase() === String(name).toLowerCase());
+    if (!field) {
+      throw createError('VALIDATION_ERROR', `Columna desconocida: ${name}`);
+    }
+    return field;
+  };
+  const findColumn = (name) => findField(name).name;
+
+  switch (rule.type) {
+    case QUALITY_RULE_TYPES.CONDITION: {
+      const condition = compileExpression(parseExpression(rule.condition), {
+        resolveColumn: (node) => {
+          const field = findField(node.name);
+          // Las fechas se evalúan como Date para compararlas por instante con los literales
+          return field.type === 'date'
+            ? (row) => coerceValue(row[field.name], field.type)
+            : (row) => (row[field.name] === undefined ? null : row[field.name]);
+        }
+      });
+      // Como en un CHECK de SQL, solo incumple la fila cuya condición es falsa (NULL se acepta)
+      return (row) => toBoolean(condition(row)) !== false;
+    }
+
+    case QUALITY_RULE_TYPES.PATTERN: {
+      const column = findColumn(rule.column);
+      const regex = new RegExp(rule.pattern);
+      return (row) => row[column] === null || row[column] === undefined || regex.test(String(row[column]));
+    }
+
+    case QUALITY_RULE_TYPES.IN_LIST: {
+      const column = findColumn(rule.column);
+      const values = new Set(rule.values.map(String));
+      return (row) => row[column] === null || row[column] === undefined || values.has(String(row[column]));
+    }
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Describe lo que comprueba una regla para el informe
+ * @param {Object} rule - Regla de calidad
+ * @returns {string} - Descripción legible
+ */
+const describeRule = (rule) => {
+  switch (rule.type) {
+    case QUALITY_RULE_TYPES.CONDITION:
+      return rule.condition;
+    case QUALITY_RULE_TYPES.PATTERN:
+      return `${rule.column} cumple ${rule.pattern}`;
+    case QUALITY_RULE_TYPES.IN_LIST:
+      return `${rule.column} en lista de ${rule.values.length} valores`;
+    default:
+      return ['min', 'max', 'maxChangePercent']
+        .filter(limit => isSet(rule[limit]))
+        .map(limit => (limit === 'maxChangePercent' ? `variación <= ${rule[limit]}%` : `${limit} ${rule[limit]} filas`))
+        .join(', ');
+  }
+};
+
+/**
+ * Evalúa una regla row_count con el número de filas cargadas
+ * @param {Object} rule - Regla row_count
+ * @param {number} rowCount - Filas cargadas del archivo
+ * @param {number|null} previousRowCount - Filas de la carga anterior de la tabla
+ * @returns {Object} - { passed, message }
+ */
+const checkRowCount = (rule, rowCount, previousRowCount) => {
+  if (isSet(rule.min) && rowCount < rule.min) {
+    return { passed: false, message: `${rowCount} filas, menos que el mínimo ${rule.min}` };
+  }
+  if (isSet(rule.max) && rowCount > rule.max) {
+    return { passed: false, message: `${rowCount} filas, más que el máximo ${rule.max}` };
+  }
+  if (isSet(rule.maxChangePercent)) {
+    if (previousRowCount === null || previousRowCount === undefined) {
+      return { passed: true, message: 'Sin carga anterior con la que comparar' };
+    }
+    const change = previousRowCount === 0
+      ? (rowCount === 0 ? 0 : Infinity)
+      : (Math.abs(rowCount - previousRowCount) / previousRowCount) * 100;
+    if (change > rule.maxChangePercent) {
+      return {
+        passed: false,
+        message: `${rowCount} filas frente a ${previousRowCount} de la carga anterior (variación ${Number.isFinite(change) ? change.toFixed(1) : '∞'}%)`
+      };
+    }
+  }
+  return { passed: true, message: null };
+};
+
+/**
+ * Crea el evaluador de las reglas de calidad de una tabla para un archivo
+ * @param {Array} rules - Reglas de calidad de la tabla
+ * @param {Array} schema - Esquema del archivo
+ * @returns {Object} - { checkRows(rows, rowNumbers), buildReport({ rowCount, previousRowCount }) }
+ */
+const createQualityChecker = (rules, schema) => {
+  const results = rules.map(rule => {
+    const result = {
+      name: rule.name,
+      type: rule.type,
+      severity: rule.severity || DEFAULT_QUALITY_SEVERITY,
+      description: describeRule(rule),
+      failedRows: 0,
+      samples: [],
+      message: null
+    };
+    try {
+      result.check = compileRowCheck(rule, schema);
+    } catch (compileError) {
+      // Una regla que no se puede aplicar al esquema del archivo se informa como incumplida
+      result.check = null;
+      result.message = compileError.message;
+    }
+    return { rule, result };
+  });
+
+  return {
+    /**
+     * Evalúa las reglas por fila sobre un chunk de filas cargadas
+     * @param {Array} rows - Filas transformadas
+     * @param {Array} rowNumbers - Número de fila de datos de cada fila
+     */
+    checkRows: (rows, rowNumbers) => {
+      for (const { result } of results) {
+        if (!result.check) {
+          continue;
+        }
+        rows.forEach((row, index) => {
+          if (!result.check(row)) {
+            result.failedRows++;
+            if (result.samples.length < MAX_FAILING_SAMPLES) {
+              result.samples.push({ rowNumber: rowNumbers[index], row });
+            }
+          }
+        });
+      }
+    },
+
+    /**
+     * Construye el informe de calidad del archivo
+     * @param {Object} counts - { rowCount, previousRowCount } filas cargadas y de la carga anterior
+     * @returns {Object} - Informe { passed, blocking, rulesPassed, rulesFailed, rowCount, evaluatedAt, rules }
+     */
+    buildReport: ({ rowCount, previousRowCount = null }) => {
+      const reportRules = results.map(({ rule, result }) => {
+        const { check, ...reported } = result;
+        if (rule.type === QUALITY_RULE_TYPES.ROW_COUNT) {
+          return { ...reported, ...checkRowCount(rule, rowCount, previousRowCount) };
+        }
+        const applicable = check !== null;
+        return {
+          ...reported,
+          passed: applicable && result.failedRows === 0,
+          message: applicable
+            ? (result.failedRows > 0 ? `${result.failedRows} de ${rowCount} filas no cumplen la regla` : null)
+            : result.message
+        };
+      });
+
+      const failed = reportRules.filter(rule => !rule.passed);
+      return {
+        passed: failed.length === 0,
+        blocking: failed.some(rule => rule.severity === 'error'),
+        rulesPassed: reportRules.length - failed.length,
+        rulesFailed: failed.length,
+        rowCount,
+        previousRowCount,
+        evaluatedAt: new Date().toISOString(),
+        rules: reportRules
+      };
+    }
+  };
+};
+
+module.exports = {
+  QUALITY_RULE_TYPES,
+  QUALITY_SEVERITIES,
+  validateQualityRules,
+  createQualityChecker
+};
@@ -0,0 +1,186 @@
+/**
+ * Validación de filas contra el esquema: tipo, nulabilidad, patrón, mínimo y máximo y valores permitidos
+ * La usa la Lambda ETL para apartar en cuarentena las filas inválidas y el backend para validar
+ * las reglas declaradas en el esquema al subir un archivo
+ * @module utils/rowValidator
+ */
+
+const { createError } = require('../constants/errorCodes');
+const { transformValue } = require('./valueTransformer');
+
+// Tipos a los que se aplican min y max (por valor; las fechas en ISO 8601)
+const RANGE_TYPES = ['integer', 'float', 'date'];
+
+const INTEGER_PATTERN = /^[+-]?\d+$/;
+const FLOAT_PATTERN = /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/;
+const BOOLEAN_VALUES = ['true', 'false', '1', '0'];
+
+/**
+ * Comprueba que un valor no vacío se puede convertir al tipo de la columna
+ * transformValue es permisiva (un entero ilegible pasa a NULL y una fecha inválida queda como texto),
+ * así que aquí se rechaza lo que no representa un valor del tipo
+ * @param {*} value - Valor leído del archivo
+ * @param {string} type - Tipo de la columna
+ * @returns {boolean} - True si el valor es del tipo
+ */
+const isValidType = (value, type) => {
+  switch (type) {
+    case 'integer':
+      return typeof value === 'number' ? Number.isInteger(value) : INTEGER_PATTERN.test(String(value).trim());
+    case 'float':
+      return typeof value === 'number' ? Number.isFinite(value) : FLOAT_PATTERN.test(String(value).trim());
+    case 'boolean':
+      return typeof value === 'boolean' || BOOLEAN_VALUES.includes(String(value).trim().toLowerCase());
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      return !isNaN(date.getTime());
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Convierte un límite min o max al valor comparable de la columna
+ * @param {*} limit - Límite declarado en el esquema
+ * @param {string} type - Tipo de la columna
+ * @returns {number} - Número, o milisegundos en las fechas
+ */
+const toComparable = (limit, type) => (type === 'date' ? new Date(limit).getTime() : Number(limit));
+
+/**
+ * Valida las reglas declaradas en los campos del esquema y el umbral de errores
+ * @param {Array} schema - Esquema con las reglas pattern, min, max y allowedValues por campo
+ * @param {Object} [config] - Configuración del archivo (errorThreshold)
+ * @throws {Object} - VALIDATION_ERROR si alguna regla no es válida
+ */
+const validateRowRules = (schema, config = {}) => {
+  for (const field of schema || []) {
+    if (field.pattern !== undefined && field.pattern !== null && field.pattern !== '') {
+      try {
+        new RegExp(field.pattern);
+      } catch (regexError) {
+        throw createError('VALIDATION_ERROR', `El patrón de ${field.name} no es una expresión regular válida: ${regexError.message}`);
+      }
+    }
+
+    for (const limit of ['min', 'max']) {
+      if (field[limit] === undefined || field[limit] === null || field[limit] === '') {
+        continue;
+      }
+      if (!RANGE_TYPES.includes(field.type)) {
+        throw createError('VALIDATION_ERROR', `${limit} de ${field.name} solo se aplica a columnas integer, float o date`);
+      }
+      if (isNaN(toComparable(field[limit], field.type))) {
+        throw createError('VALIDATION_ERROR', `${limit} de ${field.name} no es un valor ${field.type}: ${field[limit]}`);
+      }
+    }
+    if (RANGE_TYPES.includes(field.type) && ![field.min, field.max].some(limit => limit === undefined || limit === null || limit === '') &&
+        toComparable(field.min, field.type) > toComparable(field.max, field.type)) {
+      throw createError('VALIDATION_ERROR', `min de ${field.name} es mayor que su max`);
+    }
+
+    if (field.allowedValues !== undefined && field.allowedValues !== null) {
+      if (!Array.isArray(field.allowedValues) || field.allowedValues.length === 0) {
+        throw createError('VALIDATION_ERROR', `Los valores permitidos de ${field.name} deben ser una lista no vacía`);
+      }
+      const invalid = field.allowedValues.find(value => value === null || !isValidType(value, field.type));
+      if (invalid !== undefined) {
+        throw createError('VALIDATION_ERROR', `El valor permitido ${invalid} de ${field.name} no es de tipo ${field.type}`);
+      }
+    }
+  }
+
+  const threshold = config && config.errorThreshold;
+  if (threshold !== undefined && threshold !== null && (typeof threshold !== 'number' || threshold < 0 || threshold > 100)) {
+    throw createError('VALIDATION_ERROR', 'errorThreshold debe ser un porcentaje entre 0 y 100');
+  }
+};
+
+/**
+ * Crea el validador de filas de un esquema, con sus patrones y valores permitidos ya preparados
+ * @param {Array} schema - Esquema de la tabla
+ * @returns {Function} - (row) => { row, errors }: fila transformada y errores [{ column, message }]
+ */
+const createRowValidator = (schema) => {
+  const fields = schema.map(field => ({
+    ...field,
+    regex: field.pattern ? new RegExp(field.pattern) : null,
+    minValue: RANGE_TYPES.includes(field.type) && field.min !== undefined && field.min !== null && field.min !== ''
+      ? toComparable(field.min, field.type) : null,
+    maxValue: RANGE_TYPES.includes(field.type) && field.max !== undefined && field.max !== null && field.max !== ''
+      ? toComparable(field.max, field.type) : null,
+    allowed: Array.isArray(field.allowedValues)
+      ? new Set(field.allowedValues.map(value => transformValue(value, field.type)))
+      : null
+  }));
+
+  return (row) => {
+    const transformed = {};
+    const errors = [];
+
+    for (const field of fields) {
+      const raw = row[field.name];
+      if (raw === null || raw === undefined || raw === '') {
+        transformed[field.name] = null;
+        if (field.nullable === false) {
+          errors.push({ column: field.name, message: 'valor requerido (la columna no admite NULL)' });
+        }
+        continue;
+      }
+
+      if (!isValidType(raw, field.type)) {
+        transformed[field.name] = null;
+        errors.push({ column: field.name, message: `"${raw}" no es un valor ${field.type}` });
+        continue;
+      }
+
+      const value = transformValue(raw, field.type);
+      transformed[field.name] = value;
+
+      if (field.regex && !field.regex.test(String(raw))) {
+        errors.push({ column: field.name, message: `"${raw}" no cumple el patrón ${field.pattern}` });
+      }
+      const comparable = field.minValue !== null || field.maxValue !== null ? toComparable(value, field.type) : null;
+      if (field.minValue !== null && comparable < field.minValue) {
+        errors.push({ column: field.name, message: `${value} es menor que el mínimo ${field.min}` });
+      }
+      if (field.maxValue !== null && comparable > field.maxValue) {
+        errors.push({ column: field.name, message: `${value} es mayor que el máximo ${field.max}` });
+      }
+      if (field.allowed && !field.allowed.has(value)) {
+        errors.push({ column: field.name, message: `${value} no está entre los valores permitidos` });
+      }
+    }
+
+    return { row: transformed, errors };
+  };
+};
+
+/**
+ * Describe los errores de una fila como motivo de cuarentena
+ * @param {Array} errors - Errores [{ column, message }]
+ * @returns {string} - Texto `columna: mensaje; ...`
+ */
+const formatRowErrors = (errors) => errors.map(error => `${error.column}: ${error.message}`).join('; ');
+
+/**
+ * Indica si las filas rechazadas superan el umbral de errores de un archivo
+ * @param {number} rejectedRows - Filas rechazadas
+ * @param {number} totalRows - Filas leídas
+ * @param {number} [threshold] - Porcentaje máximo de filas rechazadas; sin umbral nunca se supera
+ * @returns {boolean} - True si el archivo debe fallar
+ */
+const isErrorThresholdExceeded = (rejectedRows, totalRows, threshold) => {
+  if (threshold === undefined || threshold === null || totalRows === 0) {
+    return false;
+  }
+  return (rejectedRows / totalRows) * 100 > threshold;
+};
+
+module.exports = {
+  validateRowRules,
+  createRowValidator,
+  formatRowErrors,
+  isErrorThresholdExceeded
+};
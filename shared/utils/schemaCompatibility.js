@@ -0,0 +1,215 @@
+/**
+ * Compatibilidad del esquema de un archivo nuevo con el esquema actual de su tabla
+ * Añadir columnas que admiten NULL es compatible: los datos ya cargados no las tienen y se leen
+ * como NULL. Quitar columnas, cambiar su tipo, añadir columnas obligatorias o hacer obligatoria
+ * una columna existente rompe la tabla. El resto de cambios en la definición de una columna
+ * (transformaciones, expresión, claves, reglas de validación...) son compatibles
+ * @module utils/schemaCompatibility
+ */
+
+const SCHEMA_CHANGES = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  TYPE_CHANGED: 'type_changed',
+  REQUIRED: 'required',
+  MODIFIED: 'modified'
+};
+
+// Propiedades de un campo que no forman parte de la definición de la columna: el nombre y el tipo
+// se comparan aparte, y originalName y description describen el archivo de origen
+const IGNORED_FIELD_PROPERTIES = ['name', 'type', 'nullable', 'originalName', 'description'];
+
+// Modo de compatibilidad de una versión del esquema con la anterior: backward si los datos ya
+// cargados se leen con la nueva versión (solo se añaden columnas que admiten NULL) y none si
+// se creó explícitamente con cambios incompatibles
+const COMPATIBILITY_MODES = {
+  BACKWARD: 'backward',
+  NONE: 'none'
+};
+
+/**
+ * Normaliza el valor de una propiedad de un campo: sin valor, false y las listas vacías equivalen
+ * a no declararla, y los objetos se comparan sin tener en cuenta el orden de sus claves
+ * @param {*} value - Valor de la propiedad
+ * @returns {*} - Valor comparable, o undefined si la propiedad no tiene efecto
+ */
+const normalizeProperty = (value) => {
+  if (value === undefined || value === null || value === false || value === '' ||
+      (Array.isArray(value) && value.length === 0)) {
+    return undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeProperty);
+  }
+  if (typeof value === 'object') {
+    return Object.keys(value).sort().reduce((normalized, key) => {
+      const item = normalizeProperty(value[key]);
+      return item === undefined ? normalized : { ...normalized, [key]: item };
+    }, {});
+  }
+  return value;
+};
+
+/**
+ * Propiedades de la definición de una columna que cambian entre dos versiones del campo
+ * @param {Object} current - Campo del esquema actual
+ * @param {Object} field - Campo del esquema nuevo
+ * @returns {Array<string>} - Nombres de las propiedades que cambian
+ */
+const getChangedProperties = (current, field) => [...new Set([...Object.keys(current), ...Object.keys(field)])]
+  .filter(property => !IGNORED_FIELD_PROPERTIES.includes(property))
+  .filter(property => JSON.stringify(normalizeProperty(current[property])) !== JSON.stringify(normalizeProperty(field[property])));
+
+/**
+ * Compara el esquema de un archivo con el esquema actual de la tabla
+ * @param {Array} currentSchema - Esquema actual de la tabla
+ * @param {Array} schema - Esquema del archivo a ingestar
+ * @returns {Object} - { compatible, changes }: cambios [{ column, change, from, to, compatible, message }]
+ */
+const compareSchemas = (currentSchema, schema) => {
+  const currentFields = new Map(currentSchema.map(field => [field.name, field]));
+  const fields = new Map(schema.map(field => [field.name, field]));
+  const changes = [];
+
+  for (const [name, current] of currentFields) {
+    const field = fields.get(name);
+    if (!field) {
+      changes.push({
+        column: name,
+        change: SCHEMA_CHANGES.REMOVED,
+        from: current.type,
+        to: null,
+        compatible: false,
+        message: `se elimina la columna ${name} (${current.type})`
+      });
+    } else if (field.type !== current.type) {
+      changes.push({
+        column: name,
+        change: SCHEMA_CHANGES.TYPE_CHANGED,
+        from: current.type,
+        to: field.type,
+        compatible: false,
+        message: `la columna ${name} pasa de ${current.type} a ${field.type}`
+      });
+    } else {
+      const properties = getChangedProperties(current, field);
+      // Dejar de ser obligatoria es compatible: los datos ya cargados no tienen NULL
+      const relaxed = current.nullable === false && field.nullable !== false;
+      if (current.nullable !== false && field.nullable === false) {
+        changes.push({
+          column: name,
+          change: SCHEMA_CHANGES.REQUIRED,
+          from: current.type,
+          to: field.type,
+          compatible: false,
+          message: `la columna ${name} pasa a ser obligatoria, y los datos ya cargados pueden tener NULL` +
+            (properties.length > 0 ? ` (también cambia ${properties.join(', ')})` : '')
+        });
+      } else if (relaxed || properties.length > 0) {
+        changes.push({
+          column: name,
+          change: SCHEMA_CHANGES.MODIFIED,
+          from: current.type,
+          to: field.type,
+          compatible: true,
+          message: `cambia la definición de la columna ${name}: ${(relaxed ? ['nullable', ...properties] : properties).join(', ')}`
+        });
+      }
+    }
+  }
+
+  for (const [name, field] of fields) {
+    if (currentFields.has(name)) {
+      continue;
+    }
+    const nullable = field.nullable !== false;
+    changes.push({
+      column: name,
+      change: SCHEMA_CHANGES.ADDED,
+      from: null,
+      to: field.type,
+      compatible: nullable,
+      message: nullable
+        ? `se añade la columna ${name} (${field.type})`
+        : `se añade la columna obligatoria ${name} (${field.type}), que los datos ya cargados no tienen`
+    });
+  }
+
+  return {
+    compatible: changes.every(change => change.compatible),
+    changes
+  };
+};
+
+/**
+ * Obtiene la versión actual del esquema de una tabla
+ * @param {Object} registry - Registro de versiones { currentVersion, versions } de la tabla
+ * @returns {Object} - Versión { version, schema, author, createdAt, description, compatibility, changes }
+ */
+const getCurrentSchemaVersion = (registry) =>
+  registry.versions.find(version => version.version === registry.currentVersion);
+
+/**
+ * Compara el esquema de un archivo con la versión actual del esquema de su tabla
+ * Cualquier cambio crea una nueva versión del esquema; la primera subida de una tabla es la versión 1
+ * @param {string} tableName - Nombre de la tabla
+ * @param {Object|null} registry - Registro de versiones de la tabla, o null si la tabla no existe
+ * @param {Array} schema - Esquema del archivo
+ * @returns {Object} - { tableName, exists, currentVersion, currentSchema, schemaVersion, compatible, changes }
+ */
+const compareWithSchemaRegistry = (tableName, registry, schema) => {
+  if (!registry) {
+    return { tableName, exists: false, currentVersion: null, currentSchema: null, schemaVersion: 1, compatible: true, changes: [] };
+  }
+
+  const current = getCurrentSchemaVersion(registry);
+  const { compatible, changes } = compareSchemas(current.schema, schema);
+  return {
+    tableName,
+    exists: true,
+    currentVersion: current.version,
+    currentSchema: current.schema,
+    schemaVersion: changes.length > 0 ? current.version + 1 : current.version,
+    compatible,
+    changes
+  };
+};
+
+/**
+ * Calcula cómo deshacer la versión actual del esquema de una tabla cuando falla la ingesta que
+ * la registró: la versión se registra al subir el archivo, antes de que la Lambda ETL lo procese
+ * Solo se deshace si ningún otro archivo que se está ingestando o ya se ingestó la usa
+ * @param {Object|null} record - Registro de la tabla con schemas y schemaVersion
+ * @param {number} version - Versión del esquema del archivo fallido
+ * @param {Array} files - Entradas del catálogo de los archivos de la tabla
+ * @returns {Object|null} - { index, count, previousVersion } de la versión en record.schemas, o null si
+ *   la versión debe seguir siendo la actual; previousVersion es null si era la primera versión
+ */
+const getSchemaRollback = (record, version, files) => {
+  if (!record || !Array.isArray(record.schemas) || record.schemaVersion !== version) {
+    return null;
+  }
+  if (files.some(file => (file.schemaVersion || 1) === version && file.status !== 'error')) {
+    return null;
+  }
+
+  const index = record.schemas.findIndex(candidate => candidate.version === version);
+  if (index === -1) {
+    return null;
+  }
+  const previous = record.schemas.filter(candidate => candidate.version < version);
+  return {
+    index,
+    count: record.schemas.length,
+    previousVersion: previous.length > 0 ? Math.max(...previous.map(candidate => candidate.version)) : null
+  };
+};
+
+module.exports = {
+  SCHEMA_CHANGES,
+  COMPATIBILITY_MODES,
+  compareSchemas,
+  getCurrentSchemaVersion,
+  compareWithSchemaRegistry,
+  getSchemaRollback
+};
@@ -0,0 +1,58 @@
+/**
+ * Conversión de valores al tipo de columna declarado en el esquema
+ * Compartido por la Lambda ETL y el motor de consultas del backend
+ * @module utils/valueTransformer
+ */
+
+/**
+ * Transforma un valor según el tipo de datos especificado
+ * Aplicarla sobre un valor ya transformado devuelve el mismo valor
+ * @param {*} value - Valor a transformar
+ * @param {string} type - Tipo de datos objetivo
+ * @returns {*} - Valor transformado
+ */
+const transformValue = (value, type) => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+
+  switch (type) {
+    case 'integer': {
+      if (typeof value === 'number') {
+        return Number.isFinite(value) ? Math.trunc(value) : null;
+      }
+      const intValue = parseInt(value, 10);
+      return isNaN(intValue) ? null : intValue;
+    }
+
+    case 'float': {
+      if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+      }
+      const floatValue = parseFloat(value);
+      return isNaN(floatValue) ? null : floatValue;
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') {
+        return value;
+      }
+      return String(value).toLowerCase() === 'true' || String(value) === '1';
+
+    case 'date': {
+      // Intentar parsear diferentes formatos de fecha
+      const dateValue = value instanceof Date ? value : new Date(value);
+      return isNaN(dateValue.getTime()) ? value : dateValue.toISOString();
+    }
+
+    case 'string':
+      return typeof value === 'string' ? value : String(value);
+
+    default:
+      return value;
+  }
+};
+
+module.exports = {
+  transformValue
+};